@@ -6,6 +6,11 @@
 -- IMPORTANT: Drop existing tables to start fresh
 -- This will delete all existing data!
 DROP TABLE IF EXISTS usage_tracking CASCADE;
+DROP TABLE IF EXISTS plan_jobs CASCADE;
+DROP TABLE IF EXISTS household_members CASCADE;
+DROP TABLE IF EXISTS generation_usage CASCADE;
+DROP TABLE IF EXISTS plan_prices CASCADE;
+DROP TABLE IF EXISTS rate_limit_buckets CASCADE;
 DROP TABLE IF EXISTS saved_grocery_lists CASCADE;
 DROP TABLE IF EXISTS saved_meals CASCADE;
 DROP TABLE IF EXISTS profiles CASCADE;
@@ -132,16 +137,21 @@ CREATE POLICY "Users can insert own profile" ON profiles
 CREATE POLICY "Users can update own profile" ON profiles
     FOR UPDATE USING (auth.uid() = id);
 
+-- Users may only write their name and email. Tier, generation limit and billing columns
+-- decide what consume_generation() (section 7) allows, so only the service role (the API
+-- and the Stripe webhook) can set them; new rows get the column defaults ('free', 3).
+-- Supabase grants anon and authenticated INSERT and UPDATE on the whole table, and a
+-- column-level REVOKE can't narrow a table-level grant, so take the table grant away
+-- and give back the allowed columns.
+REVOKE INSERT, UPDATE ON profiles FROM anon, authenticated;
+GRANT INSERT (id, email, full_name) ON profiles TO authenticated;
+GRANT UPDATE (email, full_name, updated_at) ON profiles TO authenticated;
+
 -- Usage tracking policies
+-- Read-only for users: counts change only through consume_generation() (section 7)
 CREATE POLICY "Users can view own usage" ON usage_tracking
     FOR SELECT USING (auth.uid() = user_id);
 
-CREATE POLICY "Users can insert own usage" ON usage_tracking
-    FOR INSERT WITH CHECK (auth.uid() = user_id);
-
-CREATE POLICY "Users can update own usage" ON usage_tracking
-    FOR UPDATE USING (auth.uid() = user_id);
-
 -- Saved meals policies
 CREATE POLICY "Users can view own meals" ON saved_meals
     FOR SELECT USING (auth.uid() = user_id);
@@ -193,9 +203,352 @@ CREATE TRIGGER on_auth_user_created
     EXECUTE FUNCTION handle_new_user();
 
 -- ============================================
--- 7. INDEXES FOR PERFORMANCE
+-- 7. GENERATION QUOTA FUNCTION
+-- ============================================
+-- Called by the API over RPC with the service role key:
+--   POST /rest/v1/rpc/consume_generation { "p_user_id": "...", "p_cost": 1 }
+-- Upserts this month's usage row (months start at 00:00 UTC), locks it and checks the
+-- tier limit in one transaction, so parallel generations can't lose increments or
+-- overspend. Over the limit nothing is consumed and allowed = false. A negative cost
+-- refunds a failed generation (never below zero).
+
+DROP FUNCTION IF EXISTS consume_generation(UUID, INTEGER);
+
+CREATE OR REPLACE FUNCTION consume_generation(p_user_id UUID, p_cost INTEGER DEFAULT 1)
+RETURNS TABLE (
+    allowed BOOLEAN,
+    tier TEXT,
+    monthly_limit INTEGER,
+    used INTEGER,
+    remaining INTEGER,
+    resets_at TIMESTAMPTZ
+) AS $$
+DECLARE
+    v_tier TEXT;
+    v_limit INTEGER;
+    v_used INTEGER;
+    v_month TIMESTAMPTZ := date_trunc('month', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC';
+BEGIN
+    SELECT COALESCE(p.subscription_tier, 'free'), COALESCE(p.monthly_generation_limit, 3)
+      INTO v_tier, v_limit
+      FROM profiles p
+     WHERE p.id = p_user_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'No profile for user %', p_user_id USING ERRCODE = 'P0002';
+    END IF;
+
+    INSERT INTO usage_tracking (user_id, month_start, generation_count)
+    VALUES (p_user_id, v_month, 0)
+    ON CONFLICT (user_id, month_start) DO NOTHING;
+
+    -- Row lock serializes concurrent calls for the same user and month
+    SELECT u.generation_count
+      INTO v_used
+      FROM usage_tracking u
+     WHERE u.user_id = p_user_id AND u.month_start = v_month
+       FOR UPDATE;
+
+    IF p_cost > 0 AND v_limit <> -1 AND v_used + p_cost > v_limit THEN
+        RETURN QUERY SELECT FALSE, v_tier, v_limit, v_used, GREATEST(v_limit - v_used, 0), v_month + INTERVAL '1 month';
+        RETURN;
+    END IF;
+
+    v_used := GREATEST(v_used + p_cost, 0);
+
+    UPDATE usage_tracking u
+       SET generation_count = v_used, updated_at = NOW()
+     WHERE u.user_id = p_user_id AND u.month_start = v_month;
+
+    RETURN QUERY SELECT TRUE, v_tier, v_limit, v_used,
+        CASE WHEN v_limit = -1 THEN -1 ELSE GREATEST(v_limit - v_used, 0) END,
+        v_month + INTERVAL '1 month';
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only the server may spend quota; users could otherwise pass any user id or cost
+REVOKE EXECUTE ON FUNCTION consume_generation(UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION consume_generation(UUID, INTEGER) TO service_role;
+
+-- ============================================
+-- 8. RATE LIMIT BUCKETS (RATE_LIMIT_STORE=postgres)
+-- ============================================
+-- One token bucket per "user:<id>" or "ip:<address>" key. Only the API touches it:
+-- RLS is on with no policies, and the function is limited to the service role.
+
+CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+    key TEXT PRIMARY KEY,
+    tokens DOUBLE PRECISION NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE rate_limit_buckets ENABLE ROW LEVEL SECURITY;
+
+DROP FUNCTION IF EXISTS take_rate_limit_tokens(TEXT, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION);
+
+-- Refill the bucket for the time since its last use, then spend p_cost tokens if available
+CREATE OR REPLACE FUNCTION take_rate_limit_tokens(
+    p_key TEXT,
+    p_capacity DOUBLE PRECISION,
+    p_refill_per_second DOUBLE PRECISION,
+    p_cost DOUBLE PRECISION DEFAULT 1
+)
+RETURNS TABLE (allowed BOOLEAN, remaining_tokens DOUBLE PRECISION) AS $$
+DECLARE
+    v_tokens DOUBLE PRECISION;
+    v_updated TIMESTAMPTZ;
+    v_allowed BOOLEAN := FALSE;
+BEGIN
+    INSERT INTO rate_limit_buckets (key, tokens, updated_at)
+    VALUES (p_key, p_capacity, NOW())
+    ON CONFLICT (key) DO NOTHING;
+
+    SELECT b.tokens, b.updated_at
+      INTO v_tokens, v_updated
+      FROM rate_limit_buckets b
+     WHERE b.key = p_key
+       FOR UPDATE;
+
+    v_tokens := LEAST(p_capacity, v_tokens + EXTRACT(EPOCH FROM (NOW() - v_updated)) * p_refill_per_second);
+    IF v_tokens >= p_cost THEN
+        v_tokens := v_tokens - p_cost;
+        v_allowed := TRUE;
+    END IF;
+
+    UPDATE rate_limit_buckets b
+       SET tokens = v_tokens, updated_at = NOW()
+     WHERE b.key = p_key;
+
+    RETURN QUERY SELECT v_allowed, v_tokens;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION take_rate_limit_tokens(TEXT, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION take_rate_limit_tokens(TEXT, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION) TO service_role;
+
+-- ============================================
+-- 9. GENERATION USAGE AND COST
+-- ============================================
+-- One row per model call, written by the API (lib/usage.js) with the service role key.
+-- Calls made for one API request share a request_id: a multi-day plan and its repairs
+-- are one generation. estimated_cost_usd comes from the API's price table (LLM_PRICES)
+-- and is NULL for models without a price. Users can read their own rows.
+
+CREATE TABLE IF NOT EXISTS generation_usage (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+    request_id UUID NOT NULL,
+    tier TEXT,
+    operation TEXT NOT NULL CHECK (operation IN ('plan', 'meal', 'regeneration', 'repair', 'image', 'other')),
+    provider TEXT,
+    model TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    thoughts_tokens INTEGER NOT NULL DEFAULT 0,
+    total_tokens INTEGER NOT NULL DEFAULT 0,
+    latency_ms INTEGER,
+    finish_reason TEXT,
+    estimated_cost_usd NUMERIC(14, 8),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE generation_usage ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own generation usage" ON generation_usage;
+CREATE POLICY "Users can view own generation usage" ON generation_usage
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- Monthly price per tier, for the profitability report. Keep in step with Stripe.
+CREATE TABLE IF NOT EXISTS plan_prices (
+    tier TEXT PRIMARY KEY,
+    monthly_price_usd NUMERIC(10, 2) NOT NULL
+);
+
+ALTER TABLE plan_prices ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO plan_prices (tier, monthly_price_usd) VALUES
+    ('free', 0), ('starter', 4.99), ('pro', 9.99), ('unlimited', 19.99)
+ON CONFLICT (tier) DO UPDATE SET monthly_price_usd = EXCLUDED.monthly_price_usd;
+
+DROP FUNCTION IF EXISTS get_usage_summary();
+
+-- The signed-in user's usage this month (UTC), by operation. Runs with the caller's
+-- rights, so RLS limits it to their own rows.
+CREATE OR REPLACE FUNCTION get_usage_summary()
+RETURNS TABLE (
+    operation TEXT,
+    generations BIGINT,
+    calls BIGINT,
+    total_tokens BIGINT,
+    avg_latency_ms INTEGER,
+    estimated_cost_usd NUMERIC
+) AS $$
+    SELECT g.operation,
+           COUNT(DISTINCT g.request_id),
+           COUNT(*),
+           COALESCE(SUM(g.total_tokens), 0),
+           ROUND(AVG(g.latency_ms))::INTEGER,
+           ROUND(COALESCE(SUM(g.estimated_cost_usd), 0), 6)
+      FROM generation_usage g
+     WHERE g.user_id = auth.uid()
+       AND g.created_at >= date_trunc('month', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+     GROUP BY g.operation
+     ORDER BY g.operation;
+$$ LANGUAGE sql STABLE;
+
+-- Profitability by month and tier: model cost against subscription revenue.
+-- Users are grouped by their current tier, and revenue counts current active
+-- subscribers, so past months are an approximation. Admin only:
+--   SELECT * FROM usage_profitability ORDER BY month DESC, tier;
+CREATE OR REPLACE VIEW usage_profitability AS
+WITH user_costs AS (
+    SELECT date_trunc('month', g.created_at AT TIME ZONE 'UTC') AS month,
+           COALESCE(p.subscription_tier, 'anonymous') AS tier,
+           g.user_id,
+           COUNT(DISTINCT g.request_id) AS generations,
+           COUNT(*) AS calls,
+           SUM(g.total_tokens) AS tokens,
+           COALESCE(SUM(g.estimated_cost_usd), 0) AS cost_usd
+      FROM generation_usage g
+      LEFT JOIN profiles p ON p.id = g.user_id
+     GROUP BY 1, 2, 3
+),
+by_tier AS (
+    SELECT month, tier,
+           COUNT(user_id) AS active_users,
+           SUM(generations) AS generations,
+           SUM(calls) AS calls,
+           SUM(tokens) AS tokens,
+           SUM(cost_usd) AS cost_usd,
+           MAX(cost_usd) AS max_user_cost_usd
+      FROM user_costs
+     GROUP BY month, tier
+),
+subscribers AS (
+    SELECT subscription_tier AS tier, COUNT(*) AS subscribers
+      FROM profiles
+     WHERE subscription_status = 'active'
+     GROUP BY subscription_tier
+)
+SELECT b.month,
+       b.tier,
+       COALESCE(s.subscribers, 0) AS subscribers,
+       b.active_users,
+       b.generations,
+       b.calls,
+       b.tokens,
+       ROUND(b.cost_usd, 4) AS cost_usd,
+       ROUND(b.cost_usd / NULLIF(b.generations, 0), 6) AS cost_per_generation_usd,
+       ROUND(b.max_user_cost_usd, 4) AS max_user_cost_usd,
+       pp.monthly_price_usd,
+       COALESCE(s.subscribers, 0) * COALESCE(pp.monthly_price_usd, 0) AS revenue_usd,
+       ROUND(COALESCE(s.subscribers, 0) * COALESCE(pp.monthly_price_usd, 0) - b.cost_usd, 4) AS profit_usd,
+       ROUND(100 * (1 - b.cost_usd / NULLIF(COALESCE(s.subscribers, 0) * pp.monthly_price_usd, 0)), 2) AS margin_pct
+  FROM by_tier b
+  LEFT JOIN subscribers s ON s.tier = b.tier
+  LEFT JOIN plan_prices pp ON pp.tier = b.tier;
+
+-- The view runs with its owner's rights and would bypass RLS; keep it off the public API
+REVOKE ALL ON usage_profitability FROM PUBLIC, anon, authenticated;
+GRANT SELECT ON usage_profitability TO service_role;
+
+-- ============================================
+-- 10. PLAN GENERATION JOBS
+-- ============================================
+-- Multi-day plans are generated in the background (lib/plan-jobs.js): the API creates
+-- a job, then workers fill in one day at a time and save progress here, so a plan
+-- survives closed tabs and function timeouts. `days` holds one entry per day:
+--   { "day": "Monday", "status": "pending|running|done|failed", "attempts": 0, "error": null, "data": {...} }
+-- A worker holds the job while lease_until is in the future. Only the API writes;
+-- users can read their own jobs.
+
+CREATE TABLE IF NOT EXISTS plan_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    tier TEXT,
+    model TEXT NOT NULL,
+    profile JSONB NOT NULL,
+    days JSONB NOT NULL DEFAULT '[]'::jsonb,
+    plan JSONB,
+    validation JSONB,
+    error TEXT,
+    lease_until TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    completed_at TIMESTAMPTZ
+);
+
+ALTER TABLE plan_jobs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own plan jobs" ON plan_jobs;
+CREATE POLICY "Users can view own plan jobs" ON plan_jobs
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- ============================================
+-- 11. HOUSEHOLD MEMBERS
+-- ============================================
+-- The people a user plans shared meals for besides themselves (lib/household.js). `profile`
+-- holds the validated person: age, gender, goal, diet, exclusions, allergies, conditions,
+-- heightCm, weightKg and activity. Saving replaces all of a user's rows through
+-- replace_household_members(); only the API writes.
+
+CREATE TABLE IF NOT EXISTS household_members (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL DEFAULT 0,
+    name TEXT NOT NULL,
+    profile JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE household_members ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own household members" ON household_members;
+CREATE POLICY "Users can view own household members" ON household_members
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- Called by the API over RPC with the service role key:
+--   POST /rest/v1/rpc/replace_household_members { "p_user_id": "...", "p_members": [{ "name": "...", "profile": {...} }] }
+-- Deletes the old rows and inserts the new ones in one transaction, so a failed save leaves
+-- the previous members in place. The profile row lock serializes saves of the same user.
+
+DROP FUNCTION IF EXISTS replace_household_members(UUID, JSONB);
+
+CREATE OR REPLACE FUNCTION replace_household_members(p_user_id UUID, p_members JSONB)
+RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    PERFORM 1 FROM profiles p WHERE p.id = p_user_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'No profile for user %', p_user_id USING ERRCODE = 'P0002';
+    END IF;
+
+    DELETE FROM household_members h WHERE h.user_id = p_user_id;
+
+    INSERT INTO household_members (user_id, position, name, profile)
+    SELECT p_user_id, (m.ordinality - 1)::INTEGER, m.value->>'name', m.value->'profile'
+      FROM jsonb_array_elements(COALESCE(p_members, '[]'::JSONB)) WITH ORDINALITY AS m(value, ordinality);
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION replace_household_members(UUID, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION replace_household_members(UUID, JSONB) TO service_role;
+
+-- ============================================
+-- 12. INDEXES FOR PERFORMANCE
 -- ============================================
 CREATE INDEX IF NOT EXISTS idx_usage_tracking_user_month ON usage_tracking(user_id, month_start);
+CREATE INDEX IF NOT EXISTS idx_generation_usage_user_created ON generation_usage(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_generation_usage_created ON generation_usage(created_at);
+CREATE INDEX IF NOT EXISTS idx_plan_jobs_user_created ON plan_jobs(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_plan_jobs_runnable ON plan_jobs(updated_at) WHERE status IN ('queued', 'running');
+CREATE INDEX IF NOT EXISTS idx_household_members_user ON household_members(user_id, position);
 CREATE INDEX IF NOT EXISTS idx_saved_meals_user ON saved_meals(user_id);
 CREATE INDEX IF NOT EXISTS idx_saved_grocery_lists_user ON saved_grocery_lists(user_id);
 
@@ -0,0 +1,7 @@
+// Vercel API Route: Check a plan against the profile's exclusions, diets and allergies
+// The handler lives in lib/routes/check-plan.js, shared with the Netlify function
+
+import { toVercelHandler } from "../lib/http/vercel.js";
+import { checkPlanRoute } from "../lib/routes/check-plan.js";
+
+export default toVercelHandler(checkPlanRoute);
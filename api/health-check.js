@@ -0,0 +1,7 @@
+// Vercel API Route: Health check for the LLM provider configuration
+// The handler lives in lib/routes/health-check.js, shared with the Netlify function
+
+import { toVercelHandler } from "../lib/http/vercel.js";
+import { healthCheckRoute } from "../lib/routes/health-check.js";
+
+export default toVercelHandler(healthCheckRoute);
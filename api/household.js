@@ -0,0 +1,7 @@
+// Vercel API Route: The account's household members
+// The handler lives in lib/routes/household.js, shared with the Netlify function
+
+import { toVercelHandler } from "../lib/http/vercel.js";
+import { householdRoute } from "../lib/routes/household.js";
+
+export default toVercelHandler(householdRoute);
@@ -0,0 +1,7 @@
+// Vercel API Route: List available models from the configured LLM provider
+// The handler lives in lib/routes/list-models.js, shared with the Netlify function
+
+import { toVercelHandler } from "../lib/http/vercel.js";
+import { listModelsRoute } from "../lib/routes/list-models.js";
+
+export default toVercelHandler(listModelsRoute);
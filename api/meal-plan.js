@@ -0,0 +1,7 @@
+// Vercel API Route: Build a meal plan on the server from a structured profile
+// The handler lives in lib/routes/meal-plan.js, shared with the Netlify function
+
+import { toVercelHandler } from "../lib/http/vercel.js";
+import { mealPlanRoute } from "../lib/routes/meal-plan.js";
+
+export default toVercelHandler(mealPlanRoute);
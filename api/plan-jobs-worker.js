@@ -0,0 +1,7 @@
+// Vercel API Route: Scheduled worker for background plan jobs (Vercel Cron, see vercel.json)
+// The handler lives in lib/routes/plan-jobs-worker.js, shared with the Netlify function
+
+import { toVercelHandler } from "../lib/http/vercel.js";
+import { planJobsWorkerRoute } from "../lib/routes/plan-jobs-worker.js";
+
+export default toVercelHandler(planJobsWorkerRoute);
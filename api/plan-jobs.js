@@ -0,0 +1,7 @@
+// Vercel API Route: Background plan-generation jobs (create, poll, resume)
+// The handler lives in lib/routes/plan-jobs.js, shared with the Netlify function
+
+import { toVercelHandler } from "../lib/http/vercel.js";
+import { planJobsRoute } from "../lib/routes/plan-jobs.js";
+
+export default toVercelHandler(planJobsRoute);
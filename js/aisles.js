@@ -0,0 +1,203 @@
+// Grocery aisles: every ingredient lands in one of AISLES, whatever category the model gave.
+//
+// classifyAisle() looks the ingredient up in LEXICON, first by its name as written and then
+// by its canonical name (js/ingredients.js, so "garbanzo beans" finds chickpea). The word
+// that ends last wins, since English names end in the food: "chicken broth" is broth and
+// "peanut butter" beats butter by being longer. Plant-based milks, yogurts and butters are
+// listed with the dairy they replace, so "unsweetened almond milk" lands there whatever the
+// model says. Before the lexicon, "frozen" and "canned" send an ingredient to those aisles,
+// and dried herbs go to Spices. Names the lexicon doesn't know fall back to the model's
+// category when it maps to an aisle (CATEGORY_ALIASES: Meat and Protein are Meat & Seafood,
+// Vegetables is Produce), and to "Other" after that.
+//
+// Plain ES module: the server classifies plan ingredients (lib/meal-plan.js) and the
+// browser orders the grocery list by the user's aisle order (index.html).
+
+import { canonicalName, singularize } from "./ingredients.js";
+
+// Canonical aisles in the default store order
+export const AISLES = [
+  "Produce", "Meat & Seafood", "Dairy & Eggs", "Bakery", "Grains & Pasta", "Canned Goods", "Baking",
+  "Spices", "Condiments & Oils", "Snacks & Nuts", "Frozen", "Beverages", "Other"
+];
+
+// Singular names and head words per aisle
+const LEXICON = {
+  "Produce": [
+    "apple", "banana", "berry", "blueberry", "strawberry", "raspberry", "blackberry", "cherry", "grape", "orange",
+    "lemon", "lime", "grapefruit", "pear", "peach", "plum", "nectarine", "apricot", "mango", "pineapple", "papaya",
+    "kiwi", "melon", "watermelon", "cantaloupe", "pomegranate", "fig", "fruit", "avocado", "tomato", "cherry tomato",
+    "onion", "red onion", "shallot", "scallion", "leek", "garlic", "ginger", "potato", "sweet potato", "yam", "carrot",
+    "celery", "bell pepper", "red pepper", "green pepper", "jalapeno", "chili pepper", "spinach", "kale", "lettuce",
+    "romaine lettuce", "arugula", "mixed green", "green", "chard", "collard", "bok choy", "cabbage", "broccoli",
+    "broccolini", "cauliflower", "brussels sprout", "sprout", "zucchini", "squash", "butternut squash", "pumpkin",
+    "eggplant", "cucumber", "mushroom", "asparagus", "green bean", "snap pea", "snow pea", "pea", "corn", "beet",
+    "radish", "turnip", "parsnip", "rutabaga", "artichoke", "fennel", "okra", "vegetable", "cauliflower rice",
+    "coleslaw mix", "lemon juice", "lime juice", "lemon zest", "lime zest", "basil", "cilantro", "parsley", "mint", "dill", "chive",
+    "rosemary", "thyme", "sage", "tarragon", "herb", "tofu", "tempeh"
+  ],
+  "Meat & Seafood": [
+    "chicken", "chicken breast", "chicken thigh", "chicken wing", "turkey", "ground turkey", "beef", "ground beef",
+    "steak", "sirloin", "pork", "pork chop", "pork tenderloin", "ground pork", "lamb", "veal", "bison", "venison",
+    "bacon", "turkey bacon", "sausage", "chorizo", "ham", "prosciutto", "salami", "pepperoni", "deli meat", "meatball",
+    "salmon", "tuna steak", "cod", "tilapia", "halibut", "trout", "mahi mahi", "sea bass", "snapper", "fish",
+    "shrimp", "scallop", "crab", "lobster", "mussel", "clam", "oyster", "squid", "calamari", "seafood"
+  ],
+  "Dairy & Eggs": [
+    "egg", "egg white", "egg yolk", "milk", "whole milk", "skim milk", "buttermilk", "almond milk", "oat milk",
+    "soy milk", "cashew milk", "half and half", "cream", "heavy cream", "sour cream", "cream cheese", "creamer",
+    "butter", "yogurt", "greek yogurt", "skyr", "kefir", "cheese", "cheddar", "mozzarella", "parmesan", "feta",
+    "ricotta", "cottage cheese", "goat cheese", "swiss", "provolone", "gouda", "brie", "halloumi", "paneer",
+    "rice milk", "hemp milk", "pea milk", "macadamia milk", "flax milk", "coconut milk beverage", "plant milk",
+    "plant based milk", "non dairy milk", "dairy free milk", "coconut yogurt", "coconut milk yogurt", "almond yogurt",
+    "soy yogurt", "oat yogurt", "cashew yogurt", "plant based yogurt", "dairy free yogurt", "vegan yogurt",
+    "vegan butter", "plant butter", "plant based butter", "dairy free butter", "non dairy creamer"
+  ],
+  "Bakery": [
+    "bread", "whole wheat bread", "sourdough", "baguette", "roll", "bun", "bagel", "english muffin", "muffin",
+    "croissant", "toast", "tortilla", "wrap", "pita", "naan", "flatbread", "lavash", "pizza dough", "pizza crust"
+  ],
+  "Grains & Pasta": [
+    "rice", "brown rice", "wild rice", "jasmine rice", "basmati rice", "quinoa", "couscous",
+    "bulgur", "barley", "farro", "millet", "buckwheat", "polenta", "grits", "oat", "rolled oat", "steel cut oat",
+    "oatmeal", "cereal", "granola", "muesli", "pasta", "spaghetti", "penne", "fusilli", "macaroni", "linguine",
+    "fettuccine", "lasagna noodle", "orzo", "noodle", "rice noodle", "soba", "udon", "ramen", "lentil",
+    "red lentil", "dried bean", "split pea", "cracker", "rice cake", "breadcrumb", "panko"
+  ],
+  "Canned Goods": [
+    "bean", "black bean", "kidney bean", "pinto bean", "cannellini bean", "white bean", "navy bean", "refried bean",
+    "chickpea", "tuna", "sardine", "anchovy", "broth", "chicken broth", "vegetable broth", "beef broth", "bone broth",
+    "soup", "coconut milk", "coconut cream", "tomato paste", "tomato sauce", "crushed tomato", "diced tomato",
+    "marinara", "marinara sauce", "pasta sauce", "salsa", "olive", "caper", "artichoke heart", "roasted red pepper",
+    "sun dried tomato", "pickle", "sauerkraut", "kimchi", "water chestnut", "bamboo shoot", "canned pumpkin",
+    "pumpkin puree", "green chile"
+  ],
+  "Baking": [
+    "flour", "whole wheat flour", "almond flour", "coconut flour", "oat flour", "cornmeal", "cornstarch", "sugar",
+    "brown sugar", "powdered sugar", "coconut sugar", "baking soda", "baking powder", "yeast", "vanilla",
+    "vanilla extract", "extract", "cocoa", "cocoa powder", "chocolate", "chocolate chip", "dark chocolate",
+    "sprinkle", "gelatin", "shredded coconut", "coconut flake", "sweetener", "stevia", "monk fruit"
+  ],
+  "Spices": [
+    "salt", "black pepper", "pepper flake", "red pepper flake", "chili flake", "cumin", "paprika", "smoked paprika",
+    "turmeric", "cinnamon", "nutmeg", "clove", "allspice", "cardamom", "coriander", "ground ginger", "garlic powder",
+    "onion powder", "chili powder", "curry powder", "curry", "garam masala", "cayenne", "cayenne pepper",
+    "italian seasoning", "seasoning", "taco seasoning", "everything bagel seasoning", "za atar", "sumac",
+    "five spice", "bay leaf", "oregano", "dried oregano", "spice", "peppercorn", "saffron", "mustard seed",
+    "fennel seed", "cumin seed", "powder"
+  ],
+  "Condiments & Oils": [
+    "oil", "olive oil", "vegetable oil", "canola oil", "avocado oil", "coconut oil", "sesame oil", "cooking spray",
+    "ghee", "vinegar", "balsamic vinegar", "apple cider vinegar", "rice vinegar", "soy sauce", "tamari",
+    "coconut amino", "fish sauce", "oyster sauce", "hoisin", "hoisin sauce", "teriyaki sauce", "worcestershire sauce",
+    "hot sauce", "sriracha", "chili sauce", "bbq sauce", "barbecue sauce", "sauce", "ketchup", "mustard",
+    "dijon mustard", "mayonnaise", "mayo", "dressing", "salad dressing", "ranch", "pesto", "hummus", "tahini",
+    "miso", "gochujang", "harissa", "curry paste", "honey", "maple syrup", "agave", "syrup", "molasses", "jam",
+    "jelly", "preserve", "peanut butter", "almond butter", "cashew butter", "sunflower butter", "nut butter",
+    "cooking wine", "mirin"
+  ],
+  "Snacks & Nuts": [
+    "nut", "almond", "walnut", "pecan", "cashew", "pistachio", "peanut", "hazelnut", "macadamia", "pine nut",
+    "mixed nut", "seed", "chia seed", "flaxseed", "flax seed", "hemp seed", "pumpkin seed", "pepita", "sunflower seed",
+    "sesame seed", "trail mix", "raisin", "dried cranberry", "dried fruit", "dried apricot", "date", "prune",
+    "dried mango", "protein bar", "granola bar", "chip", "tortilla chip", "pretzel", "popcorn", "rice cracker",
+    "protein powder", "whey protein", "nutritional yeast"
+  ],
+  "Frozen": [
+    "ice cream", "frozen yogurt", "edamame", "ice"
+  ],
+  "Beverages": [
+    "water", "sparkling water", "coconut water", "juice", "orange juice", "apple juice", "coffee", "espresso",
+    "tea", "green tea", "matcha", "kombucha", "soda", "sports drink", "wine", "beer"
+  ]
+};
+
+// Herbs that are fresh by default but go to Spices when dried
+const HERBS = ["basil", "parsley", "thyme", "rosemary", "sage", "dill", "mint", "cilantro", "tarragon", "chive", "herb"];
+
+// The model's categories (lowercase) → aisle
+const CATEGORY_ALIASES = {
+  produce: "Produce", vegetable: "Produce", vegetables: "Produce", veggies: "Produce", fruit: "Produce", fruits: "Produce",
+  "fruits & vegetables": "Produce", "fresh produce": "Produce", herbs: "Produce",
+  meat: "Meat & Seafood", meats: "Meat & Seafood", protein: "Meat & Seafood", proteins: "Meat & Seafood",
+  poultry: "Meat & Seafood", seafood: "Meat & Seafood", fish: "Meat & Seafood", deli: "Meat & Seafood",
+  "meat & poultry": "Meat & Seafood", "meat & fish": "Meat & Seafood", butcher: "Meat & Seafood",
+  dairy: "Dairy & Eggs", eggs: "Dairy & Eggs", "dairy & alternatives": "Dairy & Eggs", "dairy alternatives": "Dairy & Eggs",
+  refrigerated: "Dairy & Eggs",
+  bakery: "Bakery", bread: "Bakery", breads: "Bakery",
+  grains: "Grains & Pasta", grain: "Grains & Pasta", pasta: "Grains & Pasta", rice: "Grains & Pasta", cereal: "Grains & Pasta",
+  "grains & legumes": "Grains & Pasta", legumes: "Grains & Pasta",
+  canned: "Canned Goods", "canned goods": "Canned Goods", "canned & jarred": "Canned Goods", jarred: "Canned Goods",
+  baking: "Baking", "baking supplies": "Baking",
+  spices: "Spices", spice: "Spices", seasoning: "Spices", seasonings: "Spices", "herbs & spices": "Spices",
+  "spices & seasonings": "Spices",
+  condiments: "Condiments & Oils", condiment: "Condiments & Oils", oils: "Condiments & Oils", oil: "Condiments & Oils",
+  sauces: "Condiments & Oils", "oils & vinegars": "Condiments & Oils", "condiments & sauces": "Condiments & Oils",
+  snacks: "Snacks & Nuts", nuts: "Snacks & Nuts", "nuts & seeds": "Snacks & Nuts", "dried fruit": "Snacks & Nuts",
+  frozen: "Frozen", "frozen foods": "Frozen",
+  beverages: "Beverages", beverage: "Beverages", drinks: "Beverages"
+};
+
+const byAisle = new Map(AISLES.map(a => [a.toLowerCase(), a]));
+
+const ENTRIES = Object.entries(LEXICON).flatMap(([aisle, names]) => names.map(name => ({ name, aisle })));
+
+const plainName = (name) => String(name || "")
+  .toLowerCase()
+  .replace(/\([^)]*\)/g, " ")
+  .split(/,|;/)[0]
+  .replace(/['’`]/g, "")
+  .replace(/[^a-z]+/g, " ")
+  .trim()
+  .split(" ")
+  .filter(Boolean)
+  .map(singularize)
+  .join(" ");
+
+// The lexicon entry that ends last in the name, the longest of those on a tie
+function lookup(text) {
+  const padded = ` ${text} `;
+  let best = null;
+  ENTRIES.forEach(entry => {
+    const at = padded.lastIndexOf(` ${entry.name} `);
+    if (at < 0) return;
+    const end = at + entry.name.length;
+    if (!best || end > best.end || (end === best.end && entry.name.length > best.entry.name.length)) best = { entry, end };
+  });
+  return best?.entry.aisle || null;
+}
+
+/**
+ * The canonical aisle for a category the model gave ("Vegetables" → "Produce").
+ * @param {string} category
+ * @returns {string|null} null when it doesn't name an aisle ("Pantry", "Misc")
+ */
+export function aisleForCategory(category) {
+  const key = String(category || "").trim().toLowerCase().replace(/\s+and\s+/g, " & ").replace(/\s+/g, " ");
+  return byAisle.get(key) || CATEGORY_ALIASES[key] || null;
+}
+
+/**
+ * The aisle of an ingredient ("Boneless skinless chicken breasts" → "Meat & Seafood").
+ * @param {string} name
+ * @param {string} [category] - the model's category, used when the name isn't known
+ * @returns {string} always one of AISLES
+ */
+export function classifyAisle(name, category) {
+  const plain = plainName(name);
+  const words = plain.split(" ");
+  if (words.includes("frozen")) return "Frozen";
+  if (words.some(w => ["canned", "tinned", "jarred"].includes(w))) return "Canned Goods";
+  if (words.includes("dried") && HERBS.some(h => words.includes(h))) return "Spices";
+  return lookup(plain) || lookup(canonicalName(name)) || aisleForCategory(category) || "Other";
+}
+
+/**
+ * AISLES in a user's order: known aisles from `order` first, then the rest in default order.
+ * @param {string[]} [order]
+ * @returns {string[]}
+ */
+export function orderAisles(order = []) {
+  const picked = (Array.isArray(order) ? order : []).map(aisleForCategory).filter(Boolean);
+  return [...new Set([...picked, ...AISLES])];
+}
@@ -0,0 +1,18 @@
+// The nine major allergens (US FALCPA plus sesame), in display order. Keys are what
+// profile.allergies and item.allergens hold; the lexicon (lib/rules/lexicon.js) gives each
+// one the terms that detect it.
+//
+// Plain ES module: the server checks plans against it and the browser labels allergen
+// badges, prompts and the CSV with it (index.html).
+
+export const ALLERGEN_LABELS = {
+  milk: "Milk",
+  egg: "Egg",
+  fish: "Fish",
+  shellfish: "Shellfish",
+  "tree-nuts": "Tree nuts",
+  peanuts: "Peanuts",
+  wheat: "Wheat",
+  soy: "Soy",
+  sesame: "Sesame"
+};
@@ -14,18 +14,21 @@
   const debounce = (fn, wait) => { let t; return (...a) => { clearTimeout(t); t = setTimeout(() => fn(...a), wait); }; };
   const fmt = (x) => (x == null || isNaN(Number(x))) ? "-" : Number(x).toFixed(0);
   const escapeHTML = (s) => String(s).replace(/[&<>\"']/g, c => ({ "&":"&amp;", "<":"&lt;", ">":"&gt;", "\"":"&quot;", "'":"&#39;" }[c]));
+
+  // Label of an allergen key the server tags recipes and ingredients with (js/allergens.js)
+  const allergenLabel = (key) => window.PPAllergens?.ALLERGEN_LABELS[key] || null;
   
-  // Rate limiting helper - add delay between requests to avoid bursts
+  // Rate limiting - the API answers 429 RATE_LIMITED with Retry-After; hold calls until then
   const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-  let lastApiCall = 0;
-  async function throttleApiCall() {
-    const now = Date.now();
-    const timeSinceLastCall = now - lastApiCall;
-    const minInterval = 2000; // 2 seconds between calls
-    if (timeSinceLastCall < minInterval) {
-      await sleep(minInterval - timeSinceLastCall);
-    }
-    lastApiCall = Date.now();
+  const MAX_RATE_LIMIT_WAIT_S = 30; // longer waits are reported to the user instead
+  const MAX_RATE_LIMIT_RETRIES = 2;
+  let rateLimitedUntil = 0;
+  async function waitForRateLimit() {
+    const wait = rateLimitedUntil - Date.now();
+    if (wait > 0) {
+      console.warn(`[Rate Limit] Waiting ${Math.ceil(wait / 1000)}s as requested by the server`);
+      await sleep(wait);
+    }
   }
   
   // Normalize title for comparison (to avoid duplicates)
@@ -95,6 +98,39 @@
    * Gemini typically uses ~4 characters per token on average for English text.
    * This is a rough estimate - actual tokenization may vary.
    */
+  // Incremental JSON scanner for streamed model output: calls onMeal with each
+  // object that completes inside a "meals" array, before the rest of the day arrives.
+  function createMealStreamParser(onMeal) {
+    let buf = "", pos = 0, inString = false, escaped = false, strStart = -1, lastString = "", pendingKey = null;
+    const stack = [];
+    return {
+      feed(text) {
+        buf += text;
+        for (; pos < buf.length; pos++) {
+          const c = buf[pos];
+          if (inString) {
+            if (escaped) escaped = false;
+            else if (c === "\\") escaped = true;
+            else if (c === '"') { inString = false; lastString = buf.slice(strStart + 1, pos); }
+            continue;
+          }
+          if (c === '"') { inString = true; strStart = pos; }
+          else if (c === ":") pendingKey = lastString;
+          else if (c === ",") pendingKey = null;
+          else if (c === "{" || c === "[") { stack.push({ type: c, key: pendingKey, start: pos }); pendingKey = null; }
+          else if (c === "}" || c === "]") {
+            const open = stack.pop();
+            const parent = stack[stack.length - 1];
+            if (open && c === "}" && parent?.type === "[" && parent.key === "meals") {
+              try { onMeal(JSON.parse(buf.slice(open.start, pos + 1))); } catch {}
+            }
+            pendingKey = null;
+          }
+        }
+      }
+    };
+  }
+
   function estimateTokenCount(text) {
     if (!text) return 0;
     const chars = String(text).length;
@@ -176,6 +212,7 @@
     let lastInputs = null;
     let userInputs = null; // For 7-day generation
     let currentPlan = null;
+    let planTargets = null; // Calorie and macro targets from the server (lib/targets.js), when known
 
     const API_BASE = (typeof window.API_BASE === "string" && window.API_BASE.trim())
       ? window.API_BASE.replace(/\/$/, "")
@@ -188,7 +225,6 @@
     const loader          = $("loader");
     const messageBox      = $("message-box");
     const messageText     = $("message-text");
-    const mealPlanImage   = $("meal-plan-image");
     const loaderText      = $("loader-text");
 
     if (!form || !formContainer || !resultContainer) {
@@ -305,12 +341,127 @@
     const showLoader = () => { if (loader) { loader.classList.remove("hidden"); loader.style.display = "flex"; } };
     const hideLoader = () => { if (loader) loader.style.display = "none"; };
 
+    // ---------- Household members ----------
+    // The other people the plan is for (lib/household). Their choices reuse the options of
+    // the user's own gender, goal, diet, allergy and condition inputs.
+    const MAX_MEMBERS = 7;
+    const membersBox = $("household-members");
+
+    const selectOptions = (id) => Array.from($(id)?.options || []).filter(o => o.value).map(o => ({ value: o.value, label: o.textContent.trim() }));
+    const checkboxOptions = (name) => Array.from(document.querySelectorAll(`input[name="${name}"]`))
+      .map(el => ({ value: el.value, label: el.closest("label")?.textContent.trim() || el.value }));
+
+    function memberCardHTML(m = {}) {
+      const input = (field, type, attrs, placeholder, cls = "") =>
+        `<input type="${type}" data-field="${field}" ${attrs} value="${escapeHTML(m[field] ?? "")}" placeholder="${placeholder}" class="px-3 py-2 bg-white border border-gray-200 rounded-lg text-sm ${cls}">`;
+      const select = (field, id) => `<select data-field="${field}" class="px-3 py-2 bg-white border border-gray-200 rounded-lg text-sm">
+          ${selectOptions(id).map(o => `<option value="${escapeHTML(o.value)}"${o.value === m[field] ? " selected" : ""}>${escapeHTML(o.label)}</option>`).join("")}
+        </select>`;
+      const checks = (field, name) => `<div class="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-700">
+          ${checkboxOptions(name).map(o => `<label class="flex items-center gap-1"><input type="checkbox" data-field="${field}" value="${escapeHTML(o.value)}"${(m[field] || []).includes(o.value) ? " checked" : ""}>${escapeHTML(o.label)}</label>`).join("")}
+        </div>`;
+
+      return `<div class="household-member border border-gray-200 rounded-lg p-4 space-y-3">
+          <div class="grid grid-cols-2 md:grid-cols-3 gap-3">
+            ${input("name", "text", 'maxlength="40"', "Name")}
+            ${input("age", "number", 'min="10" max="110"', "Age")}
+            ${select("gender", "gender")}
+            ${select("goal", "fitness-goal")}
+            ${input("heightCm", "number", 'min="100" max="250"', "Height (cm)")}
+            ${input("weightKg", "number", 'min="25" max="350" step="0.1"', "Weight (kg)")}
+          </div>
+          ${checks("diet", "diet")}
+          ${checks("allergies", "allergy")}
+          ${checks("conditions", "condition")}
+          ${input("exclusions", "text", 'maxlength="200"', "Foods they won't eat (e.g., mushrooms)", "w-full")}
+          <button type="button" class="remove-member text-xs text-red-600 hover:text-red-800 underline">Remove</button>
+        </div>`;
+    }
+
+    function renderMembers(members) {
+      if (!membersBox) return;
+      membersBox.innerHTML = members.slice(0, MAX_MEMBERS).map(memberCardHTML).join("");
+      const add = $("add-member");
+      if (add) add.classList.toggle("hidden", members.length >= MAX_MEMBERS);
+      syncHouseholdSize(Math.min(members.length, MAX_MEMBERS));
+    }
+
+    // With members, servings follow everyone's portions and the household size is not used
+    function syncHouseholdSize(count) {
+      const size = $("household-size");
+      const hint = $("household-size-hint");
+      if (size) size.disabled = count > 0;
+      if (hint) hint.textContent = count
+        ? `Set by your household members: recipes and the grocery list are scaled to the portions of all ${count + 1} of you; you can change it per recipe`
+        : "Recipes and the grocery list are scaled to this many servings; you can change it per recipe";
+    }
+
+    // Members as entered; number fields stay null when blank
+    function readMembers() {
+      return Array.from(membersBox?.querySelectorAll(".household-member") || []).map(card => {
+        const value = (field) => card.querySelector(`[data-field="${field}"]`)?.value.trim() || "";
+        const checked = (field) => Array.from(card.querySelectorAll(`input[data-field="${field}"]:checked`)).map(el => el.value);
+        return {
+          name: value("name"),
+          age: Number(value("age")) || null,
+          gender: value("gender"),
+          goal: value("goal"),
+          heightCm: Number(value("heightCm")) || null,
+          weightKg: Number(value("weightKg")) || null,
+          diet: checked("diet"),
+          allergies: checked("allergies"),
+          conditions: checked("conditions"),
+          exclusions: value("exclusions")
+        };
+      });
+    }
+
+    $("add-member")?.addEventListener("click", () => {
+      renderMembers([...readMembers(), { goal: "Maintain Weight" }]);
+      saveState();
+    });
+    membersBox?.addEventListener("click", (e) => {
+      const card = e.target.closest(".remove-member")?.closest(".household-member");
+      if (!card) return;
+      card.remove();
+      renderMembers(readMembers());
+      saveState();
+    });
+
+    // Signed-in users get the members saved to their account (/api/household)
+    async function loadAccountMembers() {
+      try {
+        if (!(await authHeaders()).Authorization) return;
+        const { members } = await secureApiGet("household");
+        if (members?.length) {
+          renderMembers(members);
+          saveState();
+        }
+      } catch (err) {
+        console.warn("[Household] Could not load saved members:", err.message);
+      }
+    }
+
+    // Best effort: the plan is generated from the form either way
+    async function saveAccountMembers(members) {
+      try {
+        if (!(await authHeaders()).Authorization) return;
+        await secureApiPut("household", { members });
+      } catch (err) {
+        console.warn("[Household] Could not save members:", err.message);
+      }
+    }
+
     // ---------- Persist inputs ----------
-    const FIELDS = ["age", "gender", "ethnicity", "medical-conditions", "exclusions", "fitness-goal"];
+    const FIELDS = ["age", "gender", "ethnicity", "medical-conditions", "exclusions", "fitness-goal", "height", "weight", "activity", "household-size", "unit-system", "plan-horizon", "plan-start", "plan-days"];
     function saveState() {
       const d = {};
       FIELDS.forEach(id => d[id] = $(id)?.value ?? "");
       d.diet = Array.from(document.querySelectorAll('input[name="diet"]:checked')).map(x => x.value);
+      d.allergy = Array.from(document.querySelectorAll('input[name="allergy"]:checked')).map(x => x.value);
+      d.condition = Array.from(document.querySelectorAll('input[name="condition"]:checked')).map(x => x.value);
+      d.members = readMembers();
+      d.aisleOrder = aisleOrder;
       try { localStorage.setItem("pp_state", JSON.stringify(d)); } catch {}
     }
     function loadState() {
@@ -319,389 +470,475 @@
         const d = JSON.parse(raw);
         FIELDS.forEach(id => { if (d[id] != null && $(id)) $(id).value = d[id]; });
         if (Array.isArray(d.diet)) d.diet.forEach(v => { const el = document.querySelector(`input[name="diet"][value="${v}"]`); if (el) el.checked = true; });
+        if (Array.isArray(d.allergy)) d.allergy.forEach(v => { const el = document.querySelector(`input[name="allergy"][value="${v}"]`); if (el) el.checked = true; });
+        if (Array.isArray(d.condition)) d.condition.forEach(v => { const el = document.querySelector(`input[name="condition"][value="${v}"]`); if (el) el.checked = true; });
+        if (Array.isArray(d.members)) renderMembers(d.members);
+        if (Array.isArray(d.aisleOrder)) aisleOrder = d.aisleOrder.map(String);
       } catch {}
     }
+    // ---------- Units ----------
+    // Metric or imperial for recipe cards, the grocery list and its CSV (js/units.js).
+    // The locale picks the default until the user chooses.
+    const unitSelect = $("unit-system");
+    if (unitSelect) unitSelect.value = PPUnits.defaultSystem();
+    const unitSystem = () => unitSelect?.value === "imperial" ? "imperial" : "metric";
+
+    unitSelect?.addEventListener("change", () => {
+      saveState();
+      (currentPlan?.days || []).forEach((_, dayIdx) => refreshDayPanel(dayIdx));
+      if ($("grocery-list-container")?.children.length) renderGroceryList(buildGroceryGroups(currentPlan));
+    });
+
+    // ---------- Aisle order ----------
+    // The grocery list follows the user's store layout. aisleOrder holds the aisles they
+    // moved; PPAisles.orderAisles (js/aisles.js) completes it with the default order.
+    let aisleOrder = [];
+    const orderedAisles = () => window.PPAisles ? PPAisles.orderAisles(aisleOrder) : aisleOrder;
+
+    function renderAisleOrder() {
+      const list = $("aisle-order"); if (!list) return;
+      const aisles = orderedAisles();
+      list.innerHTML = aisles.map((aisle, i) => `<li class="flex items-center justify-between gap-2 py-1">
+          <span>${escapeHTML(aisle)}</span>
+          <span class="flex gap-1">
+            <button type="button" data-move="-1" data-index="${i}" aria-label="Move ${escapeHTML(aisle)} up" class="px-2 rounded border border-gray-200 hover:bg-gray-100"${i === 0 ? " disabled" : ""}>↑</button>
+            <button type="button" data-move="1" data-index="${i}" aria-label="Move ${escapeHTML(aisle)} down" class="px-2 rounded border border-gray-200 hover:bg-gray-100"${i === aisles.length - 1 ? " disabled" : ""}>↓</button>
+          </span>
+        </li>`).join("");
+    }
+
+    function setAisleOrder(order) {
+      aisleOrder = order;
+      saveState();
+      renderAisleOrder();
+      if ($("grocery-list-container")?.children.length) renderGroceryList(buildGroceryGroups(currentPlan));
+    }
+
+    $("aisle-order-toggle")?.addEventListener("click", () => {
+      const panel = $("aisle-order-panel"); if (!panel) return;
+      panel.classList.toggle("hidden");
+      if (!panel.classList.contains("hidden")) renderAisleOrder();
+    });
+    $("aisle-order")?.addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-move]"); if (!btn) return;
+      const aisles = orderedAisles();
+      const from = Number(btn.dataset.index), to = from + Number(btn.dataset.move);
+      if (to < 0 || to >= aisles.length) return;
+      [aisles[from], aisles[to]] = [aisles[to], aisles[from]];
+      setAisleOrder(aisles);
+    });
+    $("aisle-order-reset")?.addEventListener("click", () => setAisleOrder([]));
+
     loadState();
     form.addEventListener("input", debounce(saveState, 300));
+    loadAccountMembers();
+
+    // ---------- Planning horizon ----------
+    // Dates are the user's local calendar dates, sent to the server as YYYY-MM-DD
+    const MAX_PLAN_DAYS = 28;
+    const pad2 = (n) => String(n).padStart(2, "0");
+    const localISODate = (d = new Date()) => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+
+    // "2025-10-20" → "Mon, Oct 20" (or "Monday, October 20" with long = true)
+    function formatPlanDate(iso, long = false) {
+      const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(iso || "");
+      if (!m) return "";
+      const date = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+      return date.toLocaleDateString("en-US", long
+        ? { weekday: "long", month: "long", day: "numeric" }
+        : { weekday: "short", month: "short", day: "numeric" });
+    }
+
+    function syncPlanHorizon() {
+      const custom = $("plan-horizon")?.value === "custom";
+      $("plan-custom-range")?.classList.toggle("hidden", !custom);
+      const start = $("plan-start");
+      if (start) {
+        const today = localISODate();
+        start.min = today;
+        // A saved start date may have passed since the last visit
+        if (!start.value || start.value < today) start.value = today;
+      }
+    }
+    syncPlanHorizon();
+    $("plan-horizon")?.addEventListener("change", syncPlanHorizon);
+
+    // → { startDate, days }, or an { error } to show the user
+    function readPlanHorizon() {
+      const today = localISODate();
+      const horizon = $("plan-horizon")?.value || "today";
+      if (horizon === "today") return { startDate: today, days: 1 };
+      if (horizon === "week") return { startDate: today, days: 7 };
+
+      const startDate = $("plan-start")?.value || today;
+      const days = Number($("plan-days")?.value);
+      if (startDate < today) return { error: "The start date can't be in the past." };
+      if (!Number.isInteger(days) || days < 1 || days > MAX_PLAN_DAYS) {
+        return { error: `Choose between 1 and ${MAX_PLAN_DAYS} days.` };
+      }
+      return { startDate, days };
+    }
 
     // ---------- API ----------
-    async function secureApiCall(path, payload) {
-      await throttleApiCall(); // Add 2-second delay between API calls
-      
+    function apiUrl(path) {
       const base = API_BASE || "";
       if (!base) throw new Error("No API_BASE configured. Set window.API_BASE in js/config.js to your Netlify Functions URL.");
       if (location.protocol === "https:" && /^http:\/\//i.test(base)) {
         throw new Error(`Mixed content blocked: page is HTTPS but API_BASE is HTTP ("${base}"). Use your HTTPS Netlify URL.`);
       }
-      const url = (`${base}/${path}`).replace(/([^:]\/)\/+/g, "$1");
-      console.log("[Perfect-Plate] POST", url, { origin: location.origin });
+      return (`${base}/${path}`).replace(/([^:]\/)\/+/g, "$1");
+    }
 
-      try {
-        const res = await fetch(url, {
-          method: "POST",
-          mode: "cors",
-          credentials: "omit",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(payload),
-        });
-        if (!res.ok) {
-          const txt = await res.text().catch(() => "");
-          
-          // Special handling for rate limiting
-          if (res.status === 429) {
-            console.warn("[Rate Limit] Hit 429 TooManyRequests - pausing generation");
-            throw new Error(`RATE_LIMITED: You've reached the API rate limit. Please wait a few minutes before trying again. The free tier allows 10 requests per hour.`);
-          }
-          
-          throw new Error(`API error (${res.status}): ${txt || res.statusText}`);
+    // The server verifies the Supabase session and enforces the monthly quota
+    async function authHeaders() {
+      const session = typeof checkAuth === "function" ? await checkAuth() : null;
+      return session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {};
+    }
+
+    // Show the remaining generations the server reported (see updateGenerationDisplay in index.html)
+    function reportQuota(remaining) {
+      if (remaining === null || remaining === undefined || remaining === "") return;
+      if (typeof updateGenerationDisplay === "function") updateGenerationDisplay(Number(remaining));
+    }
+
+    // Turn a failed response into an Error. Auth, quota, rate-limit and plan-job rejections
+    // carry the server's message and code; an exhausted free tier opens the paywall.
+    async function apiError(res) {
+      const txt = await res.text().catch(() => "");
+      let data = null;
+      try { data = JSON.parse(txt); } catch {}
+
+      if (["AUTH_REQUIRED", "INVALID_TOKEN", "QUOTA_EXCEEDED", "RATE_LIMITED", "JOB_NOT_FOUND", "INVALID_JOB_ID"].includes(data?.error)) {
+        const err = new Error(data.message);
+        err.code = data.error;
+        err.status = res.status;
+        if (data.error === "QUOTA_EXCEEDED") {
+          reportQuota(data.remaining);
+          if (res.status === 402) showPaywall();
         }
-        return res.json();
-      } catch (err) {
-        throw new Error(`Failed to reach ${url}. ${
-          /Failed to fetch/i.test(String(err))
-            ? "Possible CORS or wrong API_BASE. Check ALLOWED_ORIGIN on Netlify and the URL."
-            : String(err)
-        }`);
+        if (data.error === "RATE_LIMITED") {
+          err.retryAfter = Number(res.headers.get("Retry-After")) || data.retryAfter || 1;
+          rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + err.retryAfter * 1000);
+        }
+        return err;
       }
+
+      // 429 relayed from the model provider
+      if (res.status === 429) {
+        const retryAfter = Number(res.headers.get("Retry-After"));
+        const err = new Error(`The AI service is busy. Please try again ${retryAfter ? `in ${retryAfter} seconds` : "in a minute"}.`);
+        err.code = "RATE_LIMITED";
+        err.status = 429;
+        return err;
+      }
+
+      return new Error(`API error (${res.status}): ${txt || res.statusText}`);
     }
 
-    // ---------- Prompt (ultra-compact for efficiency) ----------
-    function buildJsonPromptRange(i, daysArray, avoidTitles = [], avoidTokens = []) {
-      const daysList = daysArray.join(", ");
-      // Limit avoid lists to prevent bloat
-      const avoid = avoidTitles.length ? avoidTitles.slice(0, 10).join(", ") : "";
+    // POST JSON with the session token. A 429 RATE_LIMITED is retried after the
+    // server's Retry-After when the wait is short; anything else is thrown.
+    async function apiPost(url, body, headers = {}) {
+      for (let attempt = 0; ; attempt++) {
+        await waitForRateLimit();
 
-      return `{"days":[{"day":"Mon","totals":{"calories":1800,"protein":120,"carbs":180,"fat":60},"meals":[{"name":"Breakfast","items":[{"title":"Eggs Toast","calories":350,"protein":20,"carbs":30,"fat":15,"ingredients":[{"item":"Eggs","qty":2,"unit":"large"}],"steps":["Cook","Serve"]}]}]}]}
+        let res;
+        try {
+          res = await fetch(url, {
+            method: "POST",
+            mode: "cors",
+            credentials: "omit",
+            headers: { "Content-Type": "application/json", ...headers, ...(await authHeaders()) },
+            body: JSON.stringify(body),
+          });
+        } catch (err) {
+          throw new Error(`Failed to reach ${url}. ${
+            /Failed to fetch/i.test(String(err))
+              ? "Possible CORS or wrong API_BASE. Check ALLOWED_ORIGIN on Netlify and the URL."
+              : String(err)
+          }`);
+        }
+        if (res.ok) {
+          reportQuota(res.headers.get("X-Generations-Remaining"));
+          return res;
+        }
 
-${daysList}: ${i.age}yr ${i.gender}, ${i.fitnessGoal}${i.dietaryPrefs?.length ? ', '+i.dietaryPrefs.slice(0,2).join('/') : ''}${i.exclusions ? ', no '+i.exclusions.slice(0,50) : ''}. 3 meals, 1 item each.${avoid ? ' Skip '+avoid : ''}`;
+        const err = await apiError(res);
+        if (err.retryAfter && err.retryAfter <= MAX_RATE_LIMIT_WAIT_S && attempt < MAX_RATE_LIMIT_RETRIES) {
+          console.warn(`[Rate Limit] 429 from ${url}, retrying after ${err.retryAfter}s`);
+          continue;
+        }
+        throw err;
+      }
     }
 
-    // ---------- Single 7-Day Prompt (most efficient) ----------
-    function buildComplete7DayPrompt(userInputs) {
-      return `{"days":[{"day":"Mon","meals":[{"name":"Breakfast","items":[{"title":"Eggs","calories":350}]},{"name":"Lunch","items":[{"title":"Chicken","calories":450}]},{"name":"Dinner","items":[{"title":"Salmon","calories":550}]}]},{"day":"Tue",...},...]}
+    // GET with the session token; failures are turned into Errors like apiPost's
+    async function secureApiGet(path) {
+      const url = apiUrl(path);
+      let res;
+      try {
+        res = await fetch(url, { method: "GET", mode: "cors", credentials: "omit", headers: await authHeaders() });
+      } catch (err) {
+        throw new Error(`Failed to reach ${url}. ${String(err)}`);
+      }
+      if (!res.ok) throw await apiError(res);
+      return res.json();
+    }
 
-${userInputs.age}yr ${userInputs.gender} ${userInputs.fitnessGoal} 7days.`;
+    // PUT JSON with the session token, for settings saved to the account
+    async function secureApiPut(path, payload) {
+      const url = apiUrl(path);
+      let res;
+      try {
+        res = await fetch(url, {
+          method: "PUT",
+          mode: "cors",
+          credentials: "omit",
+          headers: { "Content-Type": "application/json", ...(await authHeaders()) },
+          body: JSON.stringify(payload)
+        });
+      } catch (err) {
+        throw new Error(`Failed to reach ${url}. ${String(err)}`);
+      }
+      if (!res.ok) throw await apiError(res);
+      return res.json();
     }
 
-    // ---------- Generate Day-By-Day Plan (Most Reliable) ----------
-    async function generateDayByDayPlan() {
-        const days = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
-        const planDays = [];
-        
-        for (let i = 0; i < days.length; i++) {
-            const dayName = days[i];
-            if (loaderText) loaderText.textContent = `Creating ${dayName}... (${i+1}/${days.length})`;
-            
-            // Strict JSON-only prompt
-            const prompt = `Return ONLY valid JSON, no explanatory text. Create a meal plan for ${dayName}.
+    async function secureApiCall(path, payload) {
+      const url = apiUrl(path);
+      console.log("[Perfect-Plate] POST", url, { origin: location.origin });
 
-Requirements: ${userInputs.age}yr ${userInputs.gender}, ${userInputs.fitnessGoal}${userInputs.dietaryPrefs?.length ? ', '+userInputs.dietaryPrefs.join('/') : ''}${userInputs.exclusions ? ', avoid '+userInputs.exclusions : ''}${userInputs.ethnicity ? ', '+userInputs.ethnicity+' cuisine' : ''}
+      const res = await apiPost(url, payload);
+      return res.json();
+    }
 
-JSON format (respond with ONLY this structure, no other text):
-{"days":[{"day":"${dayName}","totals":{"calories":1800,"protein":120,"carbs":180,"fat":60},"meals":[{"name":"Breakfast","items":[{"title":"Scrambled Eggs","calories":350,"protein":20,"carbs":30,"fat":15,"ingredients":[{"item":"Eggs","qty":"2","unit":"large"}],"steps":["Beat eggs","Cook in pan","Serve"]}]},{"name":"Lunch","items":[{"title":"Grilled Chicken","calories":450,"protein":35,"carbs":25,"fat":20,"ingredients":[{"item":"Chicken breast","qty":"4","unit":"oz"}],"steps":["Grill chicken","Serve"]}]},{"name":"Dinner","items":[{"title":"Baked Salmon","calories":500,"protein":40,"carbs":30,"fat":25,"ingredients":[{"item":"Salmon","qty":"5","unit":"oz"}],"steps":["Bake salmon","Serve"]}]}]}]}`;
-            
-            const body = {
-                contents: [{ role: "user", parts: [{ text: prompt }] }],
-                generationConfig: {
-                    maxOutputTokens: 8000, // Maximum for gemini-2.0-flash
-                    temperature: 0.7,
-                    topP: 0.95,
-                    topK: 40
-                }
-            };
-            
-            try {
-                const response = await secureApiCall("generate-plan", {
-                    endpoint: "gemini-2.0-flash:generateContent",
-                    body: body
-                });
-                
-                const text = getFirstPartText(response);
-                if (text) {
-                    console.log(`[${dayName}] Response text length:`, text.length);
-                    console.log(`[${dayName}] First 500 chars:`, text.substring(0, 500));
-                    const dayData = extractFirstJSON(text);
-                    console.log(`[${dayName}] Extracted JSON:`, dayData);
-                    if (dayData && dayData.days && dayData.days[0]) {
-                        console.log(`[${dayName}] Successfully parsed day data`);
-                        planDays.push(dayData.days[0]);
-                    } else if (dayData && dayData.day) {
-                        // Model might return single day object instead of days array
-                        console.log(`[${dayName}] Found single day object, converting to array format`);
-                        planDays.push(dayData);
-                    } else {
-                        console.warn(`[${dayName}] Failed to extract day data from JSON`, { dayData });
-                    }
-                } else {
-                    console.warn(`[${dayName}] No text returned from API`);
-                }
-            } catch (err) {
-                console.error(`[Day Generation] Failed to generate ${dayName}:`, err);
-                // Continue with other days even if one fails
-            }
-        }
-        
-        if (planDays.length > 0) {
-            const finalPlan = {
-                planTitle: `Your ${planDays.length}-Day Meal Plan`,
-                notes: "",
-                days: planDays
-            };
-            
-            finalPlan.days.forEach(normalizeDayMeals);
-            ensureDayTotals(finalPlan);
-            currentPlan = finalPlan;
-            renderResults(finalPlan, userInputs);
-        } else {
-            throw new Error("Failed to generate any days");
+    // POST with { stream: true } and dispatch each SSE event as onEvent(event, data).
+    // Resolves when the stream ends; browsers without readable fetch bodies get an error.
+    async function secureApiStream(path, payload, onEvent) {
+      const url = apiUrl(path);
+      console.log("[Perfect-Plate] POST (stream)", url, { origin: location.origin });
+
+      const res = await apiPost(url, { ...payload, stream: true }, { "Accept": "text/event-stream" });
+      if (!res.body?.getReader) throw new Error("STREAM_UNSUPPORTED");
+
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+      const dispatch = (frame) => {
+        let event = "message", data = "";
+        frame.split(/\r?\n/).forEach(line => {
+          if (line.startsWith("event:")) event = line.slice(6).trim();
+          else if (line.startsWith("data:")) data += line.slice(5).trim();
+        });
+        if (data) onEvent(event, JSON.parse(data));
+      };
+      try {
+        for (;;) {
+          const { done, value } = await reader.read();
+          buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+          const frames = buffer.split(/\r?\n\r?\n/);
+          buffer = frames.pop();
+          frames.forEach(dispatch);
+          if (done) break;
         }
+        if (buffer.trim()) dispatch(buffer);
+      } catch (err) {
+        reader.cancel().catch(() => {});
+        throw err;
+      }
     }
 
-    // ---------- Generate Selected Meals for Today ----------
-    async function generateSelectedMeals(selectedMeals) {
-        // Check if user can generate
-        const canGenerate = await canUserGenerate();
-        if (!canGenerate) {
-            showPaywall();
-            return;
-        }
-        
-        const today = new Date().toLocaleDateString('en-US', { weekday: 'long' });
-        
-        // Build meal examples based on what user selected
-        const mealExamples = [];
-        if (selectedMeals.includes('Breakfast')) {
-            mealExamples.push('{"name":"Breakfast","items":[{"title":"Scrambled Eggs","calories":350,"protein":20,"carbs":30,"fat":15,"ingredients":[{"item":"Eggs","qty":"2","unit":"large"}],"steps":["Beat eggs","Cook","Serve"],"benefits":"High protein for energy","tips":"Cook on medium heat"}]}');
-        }
-        if (selectedMeals.includes('Lunch')) {
-            mealExamples.push('{"name":"Lunch","items":[{"title":"Grilled Chicken","calories":450,"protein":35,"carbs":25,"fat":20,"ingredients":[{"item":"Chicken breast","qty":"4","unit":"oz"}],"steps":["Grill chicken","Serve"],"benefits":"Lean protein for muscle","tips":"Don\'t overcook"}]}');
-        }
-        if (selectedMeals.includes('Dinner')) {
-            mealExamples.push('{"name":"Dinner","items":[{"title":"Baked Salmon","calories":500,"protein":40,"carbs":30,"fat":25,"ingredients":[{"item":"Salmon","qty":"5","unit":"oz"}],"steps":["Bake salmon","Serve"],"benefits":"Omega-3 for heart health","tips":"Bake at 400°F"}]}');
+    // ---------- Streamed generation (days render as their meals complete) ----------
+    function showStreamedDays(days, activeIndex) {
+      hideLoader();
+      resultContainer.style.display = "block";
+      renderDayTabs(days.map(d => {
+        // Provisional copy: totals are recomputed from the meals received so far
+        const view = { ...d, meals: d.meals.map(m => ({ ...m })) };
+        ensureDayTotals({ days: [view] });
+        return view;
+      }));
+      activateTab(`tab-${activeIndex}`);
+      initIcons();
+    }
+
+    async function streamMealPlan(profile) {
+      const days = [];
+      let parser = null;
+      let result = null;
+
+      await secureApiStream("meal-plan", { profile }, (event, data) => {
+        if (event === "start") {
+          planTargets = data.targets || null;
+        } else if (event === "day-start") {
+          days[data.index] = { day: data.day, date: data.date, meals: [] };
+          parser = createMealStreamParser(meal => {
+            days[data.index].meals.push(meal);
+            showStreamedDays(days, data.index);
+          });
+        } else if (event === "delta") {
+          parser?.feed(data.text);
+        } else if (event === "day") {
+          days[data.index] = data.day;
+          showStreamedDays(days, data.index);
+        } else if (event === "plan") {
+          result = data;
+        } else if (event === "error") {
+          throw new Error(`API error (${data.status}): ${data.message}`);
         }
-        
-        const prompt = `Return ONLY valid JSON, no explanatory text. Create ${selectedMeals.join(', ')} for ${today}.
+      });
 
-Requirements: ${userInputs.age}yr ${userInputs.gender}, ${userInputs.fitnessGoal}${userInputs.dietaryPrefs?.length ? ', '+userInputs.dietaryPrefs.join('/') : ''}${userInputs.exclusions ? ', avoid '+userInputs.exclusions : ''}${userInputs.ethnicity ? ', '+userInputs.ethnicity+' cuisine' : ''}
+      if (!result) throw new Error("The plan stream ended before the plan was complete. Please try again.");
+      return result;
+    }
 
-Include for each meal item:
-- Full ingredients with quantities
-- Step-by-step cooking instructions
-- "benefits": Brief health benefits (1 sentence)
-- "tips": Cooking or preparation tips (1 sentence)
-- Complete macros (calories, protein, carbs, fat)
+    // ---------- Generate Selected Meals for Today ----------
+    // Prompt construction, parsing and the quota check live on the server (/api/meal-plan)
+    function buildProfile(selectedMeals, days, startDate) {
+        return {
+            age: userInputs.age,
+            gender: userInputs.gender,
+            goal: userInputs.fitnessGoal,
+            diet: userInputs.dietaryPrefs,
+            exclusions: userInputs.exclusions,
+            ethnicity: userInputs.ethnicity,
+            medicalConditions: userInputs.medicalConditions,
+            conditions: userInputs.conditions || [],
+            allergies: userInputs.allergies || [],
+            meals: selectedMeals,
+            heightCm: userInputs.height || null,
+            weightKg: userInputs.weight || null,
+            activity: userInputs.activity,
+            members: userInputs.members || [],
+            days,
+            startDate
+        };
+    }
 
-JSON format (respond with ONLY this structure, no other text):
-{"days":[{"day":"${today}","totals":{"calories":1800,"protein":120,"carbs":180,"fat":60},"meals":[${mealExamples.join(',')}]}]}`;
-        
-        const body = {
-            contents: [{ role: "user", parts: [{ text: prompt }] }],
-            generationConfig: {
-                maxOutputTokens: 8000,
-                temperature: 0.7,
-                topP: 0.95,
-                topK: 40
-            }
+    // Normalize a plan from the server and render it as the current plan
+    function showPlan(plan, fallbackTitle) {
+        if (!plan || !Array.isArray(plan.days) || plan.days.length === 0) {
+            throw new Error("Failed to extract meal data from response");
+        }
+        const finalPlan = {
+            planTitle: plan.planTitle || fallbackTitle,
+            notes: plan.notes || "",
+            targets: plan.targets || null,
+            medical: plan.medical || null,
+            household: plan.household || null,
+            days: plan.days
         };
+        planTargets = finalPlan.targets;
+        finalPlan.days.forEach(normalizeDayMeals);
+        ensureDayTotals(finalPlan);
+        currentPlan = finalPlan;
+        renderResults(finalPlan, userInputs);
+        enforceConstraints().catch(err => console.warn("[Constraints] Check failed:", err));
+    }
+
+    async function generateSelectedMeals(selectedMeals, startDate) {
+        const today = formatPlanDate(startDate, true);
+        const profile = buildProfile(selectedMeals, 1, startDate);
         
         try {
-            const response = await secureApiCall("generate-plan", {
-                endpoint: "gemini-2.0-flash:generateContent",
-                body: body
-            });
+            let response;
+            try {
+                response = await streamMealPlan(profile);
+            } catch (streamErr) {
+                if (streamErr.message !== "STREAM_UNSUPPORTED") throw streamErr;
+                response = await secureApiCall("meal-plan", { profile });
+            }
             
-            const text = getFirstPartText(response);
-            if (text) {
-                console.log(`[${today}] Response text length:`, text.length);
-                console.log(`[${today}] First 500 chars:`, text.substring(0, 500));
-                const dayData = extractFirstJSON(text);
-                console.log(`[${today}] Extracted JSON:`, dayData);
-                
-                if (dayData && dayData.days && dayData.days[0]) {
-                    const finalPlan = {
-                        planTitle: `Your ${selectedMeals.join(', ')} for ${today}`,
-                        notes: "",
-                        days: [dayData.days[0]]
-                    };
-                    
-                    finalPlan.days.forEach(normalizeDayMeals);
-                    ensureDayTotals(finalPlan);
-                    currentPlan = finalPlan;
-                    
-                    // Increment generation count in database
-                    await incrementGenerationCount();
-                    // Update UI display
-                    if (typeof updateGenerationDisplay === 'function') {
-                        updateGenerationDisplay();
-                    }
-                    
-                    renderResults(finalPlan, userInputs);
-                } else if (dayData && dayData.day) {
-                    const finalPlan = {
-                        planTitle: `Your ${selectedMeals.join(', ')} for ${today}`,
-                        notes: "",
-                        days: [dayData]
-                    };
-                    
-                    finalPlan.days.forEach(normalizeDayMeals);
-                    ensureDayTotals(finalPlan);
-                    currentPlan = finalPlan;
-                    
-                    // Increment generation count in database
-                    await incrementGenerationCount();
-                    // Update UI display
-                    if (typeof updateGenerationDisplay === 'function') {
-                        updateGenerationDisplay();
-                    }
-                    
-                    renderResults(finalPlan, userInputs);
-                } else {
-                    throw new Error("Failed to extract meal data from response");
-                }
-            } else {
-                throw new Error("No response text from API");
+            console.log(`[${today}] Plan received from ${response?.model}:`, response?.plan);
+            if (response?.validation && !response.validation.valid) {
+                console.warn(`[${today}] Plan failed schema validation after ${response.validation.repairs} repair(s):`, response.validation.errors);
             }
+            showPlan(response?.plan, `Your ${selectedMeals.join(', ')} for ${today}`);
         } catch (err) {
             console.error(`[Meal Generation] Failed:`, err);
             throw err;
         }
     }
 
-    // ---------- Generate Complete 7-Day Plan ----------
-    async function generateComplete7DayPlan() {
-        try {
-            // Build a comprehensive prompt for all 7 days
-            const prompt = `{"days":[{"day":"Monday","totals":{"calories":1800,"protein":120,"carbs":180,"fat":60},"meals":[{"name":"Breakfast","items":[{"title":"Scrambled Eggs","calories":350,"protein":20,"carbs":30,"fat":15,"ingredients":[{"item":"Eggs","qty":"2","unit":"large"}],"steps":["Beat eggs","Cook in pan","Serve"]}]},{"name":"Lunch","items":[{"title":"Grilled Chicken","calories":450,"protein":35,"carbs":25,"fat":20,"ingredients":[{"item":"Chicken breast","qty":"4","unit":"oz"}],"steps":["Grill chicken","Serve"]}]},{"name":"Dinner","items":[{"title":"Baked Salmon","calories":500,"protein":40,"carbs":30,"fat":25,"ingredients":[{"item":"Salmon","qty":"5","unit":"oz"}],"steps":["Bake salmon"]}]}]},{"day":"Tuesday",...},{"day":"Wednesday",...},{"day":"Thursday",...},{"day":"Friday",...},{"day":"Saturday",...},{"day":"Sunday",...}]}
+    // ---------- Background Plan Jobs (multi-day plans) ----------
+    // The server generates one day per step and saves progress (/api/plan-jobs), so a
+    // week survives a closed tab or a dropped connection. The job id and inputs are
+    // kept in localStorage and the page resumes following the job on the next visit.
+    const PLAN_JOB_KEY = "pp_plan_job";
+    const PLAN_JOB_POLL_MS = 3000;
 
-Full 7 days (Mon-Sun): ${userInputs.age}yr ${userInputs.gender}, ${userInputs.fitnessGoal}${userInputs.dietaryPrefs?.length ? ', '+userInputs.dietaryPrefs.join('/') : ''}${userInputs.exclusions ? ', avoid '+userInputs.exclusions : ''}${userInputs.ethnicity ? ', '+userInputs.ethnicity+' cuisine' : ''}. Each day: 3 meals with complete ingredients, steps, macros.`;
-            
-            console.log("7-Day prompt:", prompt);
-            
-            const body = {
-                contents: [{ role: "user", parts: [{ text: prompt }] }],
-                generationConfig: {
-                    maxOutputTokens: 8000, // Maximum for all 7 days in one call
-                    temperature: 0.7,
-                    topP: 0.95,
-                    topK: 40
-                }
-            };
-            
-            const response = await secureApiCall("generate-plan", {
-                endpoint: "gemini-2.0-flash:generateContent",
-                body: body
-            });
-            
-            const text = getFirstPartText(response);
-            if (!text) {
-                throw new Error("No response text from API");
-            }
-            
-            processAndDisplayFullWeek(text);
-            
-        } catch (error) {
-            console.error("7-Day generation error:", error);
-            throw error; // Re-throw to be handled by submit handler
-        }
+    function rememberPlanJob(id) {
+      try { localStorage.setItem(PLAN_JOB_KEY, JSON.stringify({ id, inputs: userInputs })); } catch {}
+    }
+    function forgetPlanJob() {
+      try { localStorage.removeItem(PLAN_JOB_KEY); } catch {}
     }
 
-    // ---------- Process and Display Full Week ----------
-    function processAndDisplayFullWeek(responseText) {
-        try {
-            // Use existing JSON extraction method
-            const weekData = extractFirstJSON(responseText);
-            
-            if (!weekData || !weekData.days || !Array.isArray(weekData.days)) {
-                throw new Error("Invalid week structure");
-            }
-            
-            // Ensure we have the proper structure with coercePlan
-            const plan = coercePlan(weekData);
-            
-            // Sort days in correct order
-            const dayOrder = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
-            const sortedDays = plan.days.sort((a, b) => {
-                return dayOrder.indexOf(a.day) - dayOrder.indexOf(b.day);
-            });
-            
-            // Create final plan structure
-            const finalPlan = {
-                planTitle: "Your 7-Day Meal Plan",
-                notes: "",
-                days: sortedDays
-            };
-            
-            // Normalize meal structure and ensure day totals
-            finalPlan.days.forEach(normalizeDayMeals);
-            ensureDayTotals(finalPlan);
-            
-            // Store for global access
-            currentPlan = finalPlan;
-            
-            // Render using existing system
-            renderResults(finalPlan, userInputs);
-            
-            console.log("✅ Complete 7-day plan generated successfully");
-            
-        } catch (error) {
-            console.error("Processing error:", error);
-            throw new Error("Error processing meal plan: " + error.message);
+    function showPlanJobProgress(job) {
+      const { completed, total } = job.progress;
+      const next = job.days.find(d => d.status !== "done");
+      if (loaderText && next) {
+        loaderText.textContent = `Creating ${next.date ? formatPlanDate(next.date) : next.day} (${completed + 1} of ${total})${next.attempts ? " - retrying" : ""}...`;
+      }
+      planTargets = job.plan.targets || null;
+      if (job.status !== "completed" && job.plan.days.length) {
+        showStreamedDays(job.plan.days, job.plan.days.length - 1);
+      }
+    }
+
+    // Poll until the job finishes; the server's worker generates the days in the background
+    async function followPlanJob(id) {
+      let shown = -1;
+      for (;;) {
+        const { job } = await secureApiGet(`plan-jobs?id=${encodeURIComponent(id)}`);
+        if (job.progress.completed !== shown) {
+          shown = job.progress.completed;
+          showPlanJobProgress(job);
+          if (shown && job.status === "running") showMessage(`${shown} of ${job.progress.total} days ready. You can close this tab and come back later.`);
         }
+        if (job.status === "completed") {
+          forgetPlanJob();
+          if (job.validation && !job.validation.valid) {
+            console.warn("[Plan Job] Plan failed schema validation:", job.validation.errors);
+          }
+          showPlan(job.plan, `Your ${job.progress.total}-Day Meal Plan`);
+          return;
+        }
+        if (job.status === "failed") {
+          forgetPlanJob();
+          throw new Error(job.error || "Your meal plan could not be generated. Your generation was refunded.");
+        }
+        await sleep(PLAN_JOB_POLL_MS);
+      }
     }
 
-    // ---------- Fallback 3-Day Generation ----------
-    async function generateFallback3DayPlan() {
-        try {
-            const prompt = `{"days":[{"day":"Mon","meals":[{"name":"Breakfast","items":[{"title":"Eggs","calories":350}]},{"name":"Lunch","items":[{"title":"Chicken","calories":450}]},{"name":"Dinner","items":[{"title":"Salmon","calories":550}]}]},{"day":"Tue",...}]}
+    async function generatePlanJob(selectedMeals, days, startDate) {
+      const { job } = await secureApiCall("plan-jobs", { profile: buildProfile(selectedMeals, days, startDate) });
+      console.log("[Plan Job] Created", job.id);
+      rememberPlanJob(job.id);
+      await followPlanJob(job.id);
+    }
 
-${userInputs.age}yr ${userInputs.gender} ${userInputs.fitnessGoal} 3days.`;
-            
-            console.log("3-Day fallback prompt:", prompt);
-            
-            const body = {
-                contents: [{ role: "user", parts: [{ text: prompt }] }],
-                generationConfig: {
-                    maxOutputTokens: 200, // Very small for 3 days
-                    temperature: 0.7,
-                    topP: 0.95,
-                    topK: 40
-                }
-            };
-            
-            const response = await secureApiCall("generate-plan", {
-                endpoint: "gemini-2.0-flash:generateContent",
-                body: body
-            });
-            
-            const text = getFirstPartText(response);
-            if (!text) {
-                throw new Error("No response text from API");
-            }
-            
-            // Process as a partial week
-            const weekData = extractFirstJSON(text);
-            if (!weekData || !weekData.days || !Array.isArray(weekData.days)) {
-                throw new Error("Invalid 3-day structure");
-            }
-            
-            const plan = coercePlan(weekData);
-            const finalPlan = {
-                planTitle: "Your 3-Day Meal Plan (Preview)",
-                notes: "This is a 3-day preview. Click 'Regenerate' to try for more days.",
-                days: plan.days
-            };
-            
-            finalPlan.days.forEach(normalizeDayMeals);
-            ensureDayTotals(finalPlan);
-            currentPlan = finalPlan;
-            renderResults(finalPlan, userInputs);
-            
-            console.log("✅ 3-day fallback plan generated successfully");
-            
-        } catch (error) {
-            console.error("3-Day fallback error:", error);
-            throw error;
-        }
+    // Pick up a job started in an earlier visit
+    async function resumePlanJob() {
+      let saved = null;
+      try { saved = JSON.parse(localStorage.getItem(PLAN_JOB_KEY) || "null"); } catch {}
+      if (!saved?.id) return;
+
+      userInputs = saved.inputs || {};
+      formContainer.style.display = "none";
+      showLoader();
+      if (loaderText) loaderText.textContent = "Picking up your meal plan where it left off...";
+      try {
+        await followPlanJob(saved.id);
+        hideLoader();
+        resultContainer.style.display = "block";
+      } catch (err) {
+        console.error("[Plan Job] Resume failed:", err);
+        if (["JOB_NOT_FOUND", "AUTH_REQUIRED", "INVALID_TOKEN"].includes(err.code)) forgetPlanJob();
+        hideLoader();
+        formContainer.style.display = "block";
+        showMessage(err.message || "Could not resume your meal plan.");
+      }
     }
 
     // ---------- JSON helpers ----------
@@ -879,62 +1116,6 @@ ${userInputs.age}yr ${userInputs.gender} ${userInputs.fitnessGoal} 3days.`;
       }
     }
 
-    function needsRepair(plan){
-      let bad = false;
-      (plan.days || []).forEach(d =>
-        (d.meals || []).forEach(m => {
-          if (!Array.isArray(m.items) || m.items.length === 0) bad = true;
-          (m.items || []).forEach(it => {
-            if (!Array.isArray(it.ingredients) || !it.ingredients.length) bad = true;
-            if (!Array.isArray(it.steps) || !it.steps.length) bad = true;
-          });
-        })
-      );
-      return bad;
-    }
-
-    async function repairPlan(plan, inputs){
-      try {
-        console.log("[repairPlan] Attempting to repair plan");
-        const repairPrompt =
-          `Fix JSON: Add missing ingredients[] and steps[] to all items. Keep same structure. Return JSON ONLY.\n\nProfile: ${JSON.stringify(inputs)}\n\nJSON:\n${JSON.stringify(plan)}`;
-
-        const fixRes = await secureApiCall("generate-plan", {
-          endpoint: "gemini-2.0-flash:generateContent",
-          body: {
-            contents: [{ role: "user", parts: [{ text: repairPrompt }] }],
-            generationConfig: {
-              maxOutputTokens: 300,  // Much lower to avoid MAX_TOKENS
-              temperature: 0.3,
-              topP: 0.95,
-              topK: 40
-              // Note: responseMimeType not supported by Generative Language API
-            }
-          }
-        });
-        
-        const raw = getFirstPartText(fixRes);
-        if (!raw) {
-          console.warn("[repairPlan] No text returned from repair attempt, using original plan");
-          return plan;
-        }
-        
-        let fixed = extractFirstJSON(raw);
-        fixed = coercePlan(fixed);
-        
-        if (!fixed) {
-          console.warn("[repairPlan] Failed to parse repaired JSON, using original plan");
-          return plan;
-        }
-        
-        console.log("[repairPlan] Successfully repaired plan");
-        return fixed;
-      } catch (err) {
-        console.error("[repairPlan] Error during repair:", err);
-        return plan; // Return original plan if repair fails
-      }
-    }
-
     // ---------- Totals helper (fallback if model omits day.totals) ----------
     function ensureDayTotals(plan){
       (plan.days || []).forEach(d => {
@@ -945,6 +1126,34 @@ ${userInputs.age}yr ${userInputs.gender} ${userInputs.fitnessGoal} 3days.`;
       });
     }
 
+    // ---------- Targets ----------
+    // A macro within this share of its target counts as on target
+    const TARGET_TOLERANCE = 0.1;
+    const MACRO_KEYS = ["calories", "protein", "carbs", "fat"];
+
+    // Deviation of a day's totals from the target for its meals
+    function scoreDayTotals(totals, target) {
+      return MACRO_KEYS.map(key => {
+        const diff = (+totals?.[key] || 0) - target[key];
+        const pct = target[key] ? diff / target[key] : 0;
+        return { key, diff: Math.round(diff), pct, onTarget: Math.abs(pct) <= TARGET_TOLERANCE };
+      });
+    }
+
+    function renderTargetDeviation(totals, target) {
+      if (!target) return "";
+      const chips = scoreDayTotals(totals, target).map(({ key, diff, pct, onTarget }) => {
+        const sign = diff > 0 ? "+" : "";
+        const amount = key === "calories" ? `${sign}${fmt(diff)} kcal` : `${key.charAt(0).toUpperCase()} ${sign}${fmt(diff)}g`;
+        const tone = onTarget ? "bg-emerald-50 text-emerald-700 border-emerald-200" : "bg-amber-50 text-amber-700 border-amber-200";
+        return `<span class="px-2 py-0.5 rounded-full border ${tone}">${amount} (${sign}${Math.round(pct * 100)}%)</span>`;
+      }).join(" ");
+      return `<div class="flex flex-wrap items-center gap-2 text-xs text-gray-500 -mt-4 mb-6">
+        <span>Target: ${fmt(target.calories)} kcal · P ${fmt(target.protein)}g · C ${fmt(target.carbs)}g · F ${fmt(target.fat)}g</span>
+        ${chips}
+      </div>`;
+    }
+
     // Calculate similarity between two recipe titles based on shared tokens
     function calculateTitleSimilarity(title1, title2) {
       if (!title1 || !title2) return 0;
@@ -1138,7 +1347,7 @@ Use different proteins/methods than existing recipes.`;
         } 
       };
       
-      const resp = await secureApiCall('generate-plan', { endpoint: 'gemini-2.0-flash:generateContent', body });
+      const resp = await secureApiCall('generate-plan', { endpoint: 'gemini-2.0-flash:generateContent', operation: 'meal', body });
       const text = getFirstPartText(resp);
       const obj = extractFirstJSON(text);
       
@@ -1263,8 +1472,8 @@ Use different proteins/methods than existing recipes.`;
         const src = byName.get(w);
         if (src) {
           const picked = pickOneItem({ ...src, name: src.name || cap });
-          // if pickOneItem returned null (no valid items) push an empty shell
-          result.push(picked || { name: cap, items: [] });
+          // if pickOneItem returned null (no valid items) push an empty shell, keeping what was withheld
+          result.push(picked || { name: cap, items: [], ...(src.withheld ? { withheld: src.withheld } : {}) });
         } else {
           // no meal at all -> push empty shell to keep structure
           result.push({ name: cap, items: [] });
@@ -1302,7 +1511,8 @@ Use different proteins/methods than existing recipes.`;
       if (inputs.goal) bits.push(`goal of **${inputs.goal}**`);
       if (inputs.dietaryPrefs?.length) bits.push(`diet: **${inputs.dietaryPrefs.join(", ")}**`);
       if (inputs.exclusions) bits.push(`exclusions: **${inputs.exclusions}**`);
-      if (inputs.medicalConditions) bits.push(`conditions: **${inputs.medicalConditions}**`);
+      if (plan.medical?.conditions?.length) bits.push(`conditions: **${plan.medical.conditions.join(", ")}**`);
+      else if (inputs.medicalConditions) bits.push(`conditions: **${inputs.medicalConditions}**`);
       if (inputs.ethnicity) bits.push(`cultural cues: **${inputs.ethnicity}**`);
 
       const summary = `Built for your ${bits.join(" • ")}. Portions and macros are balanced across the day to support your profile.`;
@@ -1323,8 +1533,7 @@ Use different proteins/methods than existing recipes.`;
       e.preventDefault();
       if (!form.checkValidity()) { showMessage("Please complete required fields."); return; }
 
-      // Check if user can generate (this is now handled in generateSelectedMeals)
-      // The auth check happens inside generateSelectedMeals function
+      // Auth and the generation quota are enforced by the server on each request
 
       const age = $("age").value.trim();
       const gender = $("gender").value;
@@ -1332,7 +1541,18 @@ Use different proteins/methods than existing recipes.`;
       const medicalConditions = $("medical-conditions").value.trim();
       const fitnessGoal = $("fitness-goal").value;
       const exclusions = $("exclusions").value.trim();
+      const height = Number($("height")?.value) || null;
+      const weight = Number($("weight")?.value) || null;
+      const activity = $("activity")?.value || "light";
       const dietaryPrefs = Array.from(document.querySelectorAll('input[name="diet"]:checked')).map(el => el.value);
+      const allergies = Array.from(document.querySelectorAll('input[name="allergy"]:checked')).map(el => el.value);
+      const conditions = Array.from(document.querySelectorAll('input[name="condition"]:checked')).map(el => el.value);
+      const householdSize = Math.min(MAX_SERVINGS, Math.max(1, parseInt($("household-size")?.value, 10) || 1));
+      const members = readMembers();
+      if (members.some(m => !m.age || !m.gender)) {
+        showMessage("Please give every household member an age and gender, or remove them.");
+        return;
+      }
       
       // Get selected meals
       const selectedMeals = Array.from(document.querySelectorAll('.meal-checkbox:checked')).map(el => el.value);
@@ -1342,12 +1562,12 @@ Use different proteins/methods than existing recipes.`;
         return;
       }
       
-      // Increment usage count
-      const count = incrementGenerationCount();
-      console.log(`Generation #${count} (${getRemainingGenerations()} remaining)`);
-      
+      const { startDate, days: planDays, error: horizonError } = readPlanHorizon();
+      if (horizonError) { showMessage(horizonError); return; }
+
       // Store user inputs
-      userInputs = { age, gender, ethnicity, medicalConditions, fitnessGoal, exclusions, dietaryPrefs, goal: fitnessGoal, selectedMeals };
+      userInputs = { age, gender, ethnicity, medicalConditions, conditions, fitnessGoal, exclusions, dietaryPrefs, allergies, goal: fitnessGoal, height, weight, activity, householdSize, members, selectedMeals, planDays, startDate };
+      await saveAccountMembers(members);
 
       formContainer.style.display = "none";
       showLoader();
@@ -1357,54 +1577,19 @@ Use different proteins/methods than existing recipes.`;
       if (imgWrap) imgWrap.style.display = 'none';
 
       try {
-        // Generate only selected meals for today
-        if (loaderText) loaderText.textContent = `Creating your ${selectedMeals.join(', ')}...`;
-        
-        await generateSelectedMeals(selectedMeals);
-
-        // Plan image: generate via Gemini Images endpoint
-        try {
-          const imgPrompt = `Editorial food photography, natural light, 1200x800, appetizing meal spread inspired by ${ethnicity ||
-            "healthy"} cuisine and ${fitnessGoal || "wellness"} goals.`;
-
-          const imageResult = await secureApiCall("generate-plan", {
-            endpoint: "imagegeneration:generate",
-            body: {
-              contents: [{ role: "user", parts: [{ text: imgPrompt }] }],
-              generationConfig: {
-                size: "1200x800",
-                mimeType: "image/png",
-                n: 1
-              }
-            }
-          });
-
-          let b64 =
-            imageResult?.generatedImages?.[0]?.bytesBase64Encoded ||
-            imageResult?.generatedImages?.[0]?.image?.bytesBase64Encoded ||
-            (imageResult?.candidates?.[0]?.content?.parts || []).find(
-              p => (p.inlineData && p.inlineData.data) || (p.inline_data && p.inline_data.data)
-            )?.inlineData?.data ||
-            (imageResult?.candidates?.[0]?.content?.parts || []).find(
-              p => p.inline_data && p.inline_data.data
-            )?.inline_data?.data ||
-            null;
-
-          if (b64 && mealPlanImage) {
-            mealPlanImage.onload = () => {
-              const wrap = document.getElementById("image-container");
-              if (wrap) wrap.style.display = "block";
-            };
-            mealPlanImage.onerror = () => {
-              const wrap = document.getElementById("image-container");
-              if (wrap) wrap.style.display = "none";
-            };
-            mealPlanImage.src = `data:image/png;base64,${b64}`;
-          }
-        } catch (imgErr) {
-          console.warn("Image generation failed:", imgErr);
+        if (planDays > 1) {
+          // Multi-day plans run as a background job on the server
+          if (loaderText) loaderText.textContent = `Starting your ${planDays}-day plan from ${formatPlanDate(startDate)}...`;
+          await generatePlanJob(selectedMeals, planDays, startDate);
+        } else {
+          // Generate only selected meals for today
+          if (loaderText) loaderText.textContent = `Creating your ${selectedMeals.join(', ')}...`;
+          await generateSelectedMeals(selectedMeals, startDate);
         }
 
+        // No plan image: the proxy only relays allowlisted text models (lib/proxy-policy.js),
+        // so #image-container stays hidden
+
         hideLoader();
         resultContainer.style.display = "block";
       } catch (err) {
@@ -1421,42 +1606,15 @@ Use different proteins/methods than existing recipes.`;
       currentPlan = plan;
       renderWhyCard(plan, inputs);
 
-      const tabs = $("result-tabs");
-      const content = $("tab-content");
       if (!plan || !Array.isArray(plan.days)) {
         throw new Error("Invalid meal plan structure. The generated plan is missing required data. Please try again.");
       }
       if (plan.days.length === 0) {
         throw new Error("Generated plan has no days. Please try creating your plan again.");
       }
-      if (tabs) tabs.innerHTML = "";
-      if (content) content.innerHTML = "";
-
-      plan.days.forEach((d, idx) => {
-        const id = `tab-${idx}`;
+      renderDayTabs(plan.days);
 
-        const a = document.createElement("a");
-        a.href = "#"; a.dataset.tab = id;
-        a.className = "result-tab whitespace-nowrap py-4 px-1 border-b-2 border-transparent text-sm font-semibold text-gray-600 hover:text-gray-800 hover:border-gray-300";
-        a.textContent = d.day || `Day ${idx + 1}`;
-        a.addEventListener("click", (e) => { e.preventDefault(); activateTab(id); });
-        tabs?.appendChild(a);
-
-        const panel = document.createElement("div");
-        panel.id = id;
-        panel.className = "tab-panel hidden";
-        panel.innerHTML = renderDayHTML(d, idx);
-        content?.appendChild(panel);
-      });
-
-      if (plan.days.length) {
-        activateTab("tab-0");
-        
-        // Show success message with info about partial generation
-        if (plan.days.length < 7) {
-          showMessage(`✓ Generated ${plan.days.length} days successfully! Due to free tier limits (10 requests/hour), we generate 3 days at a time. Click "Create My Plan" again to generate more days.`, "success");
-        }
-      }
+      activateTab("tab-0");
 
       $("grocery-list-button")?.addEventListener("click", () => renderGroceryList(buildGroceryGroups(plan)));
 
@@ -1492,45 +1650,224 @@ Use different proteins/methods than existing recipes.`;
         goToStep(1);
       });
       
-      // Bind regenerate buttons
-      document.querySelectorAll('.regen-btn').forEach(btn => 
-        btn.addEventListener('click', onRegenClick));
+      // Bind regenerate buttons and servings selectors
+      bindCardControls(document);
       
       // Re-initialize icons for dynamically added content
       initIcons();
     }
 
+    // Short weekday and date when the day has one ("Mon, Oct 20"), else its name
+    const dayLabel = (d, idx) => (d.date && formatPlanDate(d.date)) || d.day || `Day ${idx + 1}`;
+
+    // One tab + panel per day; also used for provisional days while a plan streams in.
+    // Plans longer than a week get a row of week buttons that each show seven day tabs.
+    function renderDayTabs(days) {
+      const tabs = $("result-tabs");
+      const content = $("tab-content");
+      const weeks = $("result-weeks");
+      if (tabs) tabs.innerHTML = "";
+      if (content) content.innerHTML = "";
+      if (weeks) {
+        weeks.innerHTML = "";
+        weeks.classList.toggle("hidden", days.length <= 7);
+      }
+
+      if (weeks && days.length > 7) {
+        for (let start = 0; start < days.length; start += 7) {
+          const week = start / 7;
+          const first = days[start];
+          const last = days[Math.min(start + 6, days.length - 1)];
+          const range = first.date && last.date
+            ? ` · ${formatPlanDate(first.date).replace(/^\w+, /, "")} – ${formatPlanDate(last.date).replace(/^\w+, /, "")}`
+            : "";
+          const b = document.createElement("button");
+          b.type = "button"; b.dataset.week = String(week);
+          b.className = "result-week whitespace-nowrap px-3 py-1.5 rounded-full border border-gray-200 text-sm font-medium text-gray-600 hover:border-emerald-400";
+          b.textContent = `Week ${week + 1}${range}`;
+          b.addEventListener("click", () => activateTab(`tab-${start}`));
+          weeks.appendChild(b);
+        }
+      }
+
+      days.forEach((d, idx) => {
+        const id = `tab-${idx}`;
+
+        const a = document.createElement("a");
+        a.href = "#"; a.dataset.tab = id; a.dataset.week = String(Math.floor(idx / 7));
+        a.className = "result-tab whitespace-nowrap py-4 px-1 border-b-2 border-transparent text-sm font-semibold text-gray-600 hover:text-gray-800 hover:border-gray-300";
+        a.textContent = dayLabel(d, idx);
+        a.addEventListener("click", (e) => { e.preventDefault(); activateTab(id); });
+        tabs?.appendChild(a);
+
+        const panel = document.createElement("div");
+        panel.id = id;
+        panel.className = "tab-panel hidden";
+        panel.innerHTML = renderDayHTML(d, idx);
+        content?.appendChild(panel);
+      });
+    }
+
     function activateTab(id) {
       document.querySelectorAll(".result-tab").forEach(el => el.classList.remove("active", "text-emerald-600", "border-emerald-600"));
       document.querySelectorAll(".tab-panel").forEach(el => el.classList.add("hidden"));
       const link = Array.from(document.querySelectorAll(".result-tab")).find(a => a.dataset.tab === id);
       if (link) link.classList.add("active", "text-emerald-600", "border-emerald-600");
+
+      // Only the tabs of the week holding the active day are shown
+      const week = link?.dataset.week ?? "0";
+      const multiWeek = document.querySelectorAll(".result-week").length > 0;
+      document.querySelectorAll(".result-tab").forEach(el => el.classList.toggle("hidden", multiWeek && el.dataset.week !== week));
+      document.querySelectorAll(".result-week").forEach(el => {
+        const on = el.dataset.week === week;
+        el.classList.toggle("bg-emerald-600", on);
+        el.classList.toggle("text-white", on);
+        el.classList.toggle("border-emerald-600", on);
+        el.classList.toggle("text-gray-600", !on);
+      });
       const panel = $(id);
       if (panel) panel.classList.remove("hidden");
     }
 
+    // Result of the server's ingredient check (lib/nutrition): macros recomputed from USDA data
+    function renderNutritionCheck(n) {
+      if (!n?.checked) return "";
+      const macros = (t) => `${fmt(t.calories)} kcal · P ${fmt(t.protein)}g · C ${fmt(t.carbs)}g · F ${fmt(t.fat)}g`;
+      if (n.source === "database") {
+        return `<p class="text-xs text-amber-700">Macros recomputed from the ingredients (USDA data). The AI estimate was ${macros(n.model)}.</p>`;
+      }
+      if (n.flagged) {
+        return `<p class="text-xs text-amber-700">⚠ The ingredients add up to ${macros(n.computed)} (USDA data), which differs from the AI estimate.</p>`;
+      }
+      return `<p class="text-xs text-emerald-700">✓ Macros match the ingredients (USDA data)</p>`;
+    }
+
+    // Rules the recipe breaks, from the server's check against the exclusions and diets (lib/rules)
+    function renderViolations(violations) {
+      if (!violations?.length) return "";
+      return `
+                <div class="p-3 bg-rose-50 border-l-4 border-rose-500 rounded">
+                  <p class="text-sm text-rose-900"><strong>⚠ Doesn't fit your preferences:</strong> ${violations.map(v => escapeHTML(v.message)).join("; ")}</p>
+                </div>`;
+    }
+
+    // Recipes the server took out of a meal because they contain one of the user's allergens
+    function renderWithheld(withheld) {
+      if (!withheld?.length) return "";
+      return `<div class="mb-4 p-3 bg-rose-50 border-l-4 border-rose-500 rounded">
+          <p class="text-sm text-rose-900"><strong>⚠ Recipe withheld:</strong> ${withheld.map(w => `${escapeHTML(w.title || "A recipe")} (${w.violations.map(v => escapeHTML(v.message)).join("; ")})`).join("; ")}. Regenerate this meal for a safe one.</p>
+        </div>`;
+    }
+
+    // Allergen badges; the ones the user is allergic to stand out
+    function renderAllergenBadges(allergens) {
+      return (allergens || []).filter(a => allergenLabel(a)).map(a => {
+        const danger = (userInputs?.allergies || []).includes(a);
+        const cls = danger ? "bg-rose-100 text-rose-800 border-rose-300" : "bg-amber-50 text-amber-800 border-amber-200";
+        return `<span class="px-2 py-0.5 text-xs rounded-full border ${cls}" title="Contains ${allergenLabel(a).toLowerCase()}">${danger ? "⚠ " : ""}${allergenLabel(a)}</span>`;
+      }).join(" ");
+    }
+
+    // Days above a medical limit (lib/conditions), and the disclaimer every such plan carries
+    function renderConditionWarnings(warnings) {
+      if (!warnings?.length) return "";
+      return `<div class="mb-6 p-3 bg-amber-50 border-l-4 border-amber-500 rounded">
+          <p class="text-sm text-amber-900"><strong>⚠ Above your medical limits:</strong></p>
+          <ul class="list-disc pl-5 text-sm text-amber-900">${warnings.map(w => `<li>${escapeHTML(w.message)}</li>`).join("")}</ul>
+        </div>`;
+    }
+
+    // People whose portions couldn't be sized (lib/household): without height and weight they get one serving
+    function renderUnsizedPortions(household) {
+      const names = household?.unsized || [];
+      if (!names.length) return "";
+      const who = names.map(n => n === "You" ? "you" : escapeHTML(n)).join(", ");
+      return `<p class="mb-4 p-3 text-xs text-amber-900 bg-amber-50 border-l-4 border-amber-500 rounded"><strong>⚠ Portions not sized:</strong> ${who} get one serving of every recipe. Add height and weight to size portions to everyone's targets.</p>`;
+    }
+
+    function renderMedicalDisclaimer(medical) {
+      if (!medical?.disclaimer) return "";
+      return `<p class="mb-4 p-3 text-xs text-gray-700 bg-gray-50 border border-gray-200 rounded"><strong>Medical disclaimer:</strong> ${escapeHTML(medical.disclaimer)}</p>`;
+    }
+
+    // ---------- Servings ----------
+    // Recipes come per serving (macros and ingredient quantities). Each card can be cooked for
+    // its own number of servings (it.servings). It defaults to the sum of everyone's portions
+    // (it.portions, e.g. 2.25) in plans with household members, and to the household size otherwise.
+    const MAX_SERVINGS = 12;
+    const portionTotal = (it) => (it.portions || []).reduce((sum, p) => sum + (+p.portion || 0), 0);
+    const itemServings = (it) => it.servings || (it.portions?.length ? portionTotal(it) : userInputs?.householdSize || 1);
+
+    // Each person's share of a shared recipe, e.g. "You ×1.5 · Sam ×1"
+    function renderPortions(portions) {
+      if (!portions?.length) return "";
+      return `<p class="text-xs text-gray-500">Portions: ${portions.map(p => `${escapeHTML(p.name)} ×${p.portion}`).join(" · ")}</p>`;
+    }
+
+    // Day totals for each person in a household plan, with their own target when known
+    function renderMemberTotals(memberTotals) {
+      if (!memberTotals?.length) return "";
+      const rows = memberTotals.map(t => `<li>${escapeHTML(t.name)}: ${fmt(t.calories)} kcal · P ${fmt(t.protein)}g · C ${fmt(t.carbs)}g · F ${fmt(t.fat)}g${t.target ? ` <span class="text-gray-400">(target ~${fmt(t.target)} kcal)</span>` : ""}</li>`).join("");
+      return `<div class="mb-6 text-xs text-gray-600"><p class="font-semibold text-gray-700 mb-1">Per person</p><ul class="space-y-0.5">${rows}</ul></div>`;
+    }
+
+    // Ingredient with its quantity scaled to a number of servings
+    function scaleIngredient(ing, servings) {
+      const n = normalizeIngredient(ing);
+      if (!n) return null;
+      return { ...n, qty: n.qty != null ? n.qty * servings : null };
+    }
+
+    function renderServingsSelect(it, dayIndex, mealIndex, itemIndex) {
+      const servings = itemServings(it);
+      // The portion total can be a fraction or above MAX_SERVINGS; it gets its own option
+      const counts = Array.from({ length: MAX_SERVINGS }, (_, i) => i + 1);
+      const options = [...new Set([...counts, servings])].sort((a, b) => a - b)
+        .map(n => `<option value="${n}"${n === servings ? " selected" : ""}>${formatQty(n)}</option>`).join("");
+      return `<label class="text-xs text-gray-500 flex items-center gap-1">Servings
+          <select class="servings-select border border-gray-200 rounded px-1 py-0.5 text-xs" data-day-index="${dayIndex}" data-meal-index="${mealIndex}" data-item-index="${itemIndex}">${options}</select>
+        </label>`;
+    }
+
+    // Rescale one card's ingredients, and the grocery list when it is open
+    function onServingsChange(e) {
+      const { dayIndex, mealIndex, itemIndex } = e.currentTarget.dataset;
+      const item = currentPlan?.days?.[dayIndex]?.meals?.[mealIndex]?.items?.[itemIndex];
+      if (!item) return;
+      item.servings = Number(e.currentTarget.value) || 1;
+      refreshDayPanel(Number(dayIndex));
+      if ($("grocery-list-container")?.children.length) renderGroceryList(buildGroceryGroups(currentPlan));
+    }
+
+    // Bind the regenerate buttons and servings selectors under root
+    function bindCardControls(root) {
+      root.querySelectorAll('.regen-btn').forEach(btn => btn.addEventListener('click', onRegenClick));
+      root.querySelectorAll('.servings-select').forEach(sel => sel.addEventListener('change', onServingsChange));
+    }
+
     function renderDayHTML(day, dayIndex) {
       const meals = (day.meals || []).filter(m => m && typeof m === "object");
       const summary = day.summary ? `<p class="text-sm text-gray-600 mb-4">${escapeHTML(day.summary)}</p>` : "";
       const totals = day.totals
-        ? `<p class="text-xs text-gray-500 mb-6">Daily totals: ${fmt(day.totals.calories)} kcal · P ${fmt(day.totals.protein)}g · C ${fmt(day.totals.carbs)}g · F ${fmt(day.totals.fat)}g</p>`
+        ? `<p class="text-xs text-gray-500 mb-6">Daily totals per ${day.memberTotals?.length ? "serving" : "person"}: ${fmt(day.totals.calories)} kcal · P ${fmt(day.totals.protein)}g · C ${fmt(day.totals.carbs)}g · F ${fmt(day.totals.fat)}g</p>`
         : "";
 
+      const system = unitSystem();
+
       const blocks = meals.map(m => {
-        const items = (m.items || []).map(it => {
+        const mealIndex = day.meals.indexOf(m);
+        const items = (m.items || []).map((it, itemIndex) => {
           const tags = (it.tags || []).map(t => `<span class="px-2 py-0.5 text-xs rounded-full bg-emerald-50 text-emerald-700 border border-emerald-200">${escapeHTML(t)}</span>`).join(" ");
-          const allergens = (it.allergens || []).length ? `<p class="text-xs text-rose-600 mt-2">Allergens: ${it.allergens.map(escapeHTML).join(", ")}</p>` : "";
+          const allergens = renderAllergenBadges(it.allergens);
           const subs = (it.substitutions || []).length ? `<p class="text-xs text-gray-500 mt-1">Substitutions: ${it.substitutions.map(escapeHTML).join("; ")}</p>` : "";
 
+          const servings = itemServings(it);
           const ing = (it.ingredients || []).map(ing => {
-            if (typeof ing === "string") {
-              return `<li>${escapeHTML(ing)}</li>`;
-            } else {
-              const item = ing?.item ?? "";
-              const qty = ing?.qty ?? "-";
-              const unit = ing?.unit || "";
-              return `<li>${escapeHTML(item)} — ${qty} ${escapeHTML(unit)}</li>`;
-            }
+            const n = scaleIngredient(ing, servings);
+            if (!n) return "";
+            if (n.qty == null) return `<li>${escapeHTML(typeof ing === "string" ? ing : n.item)}</li>`;
+            const q = PPUnits.convert(n.qty, n.unit, system);
+            return `<li>${escapeHTML(n.item)} — ${formatQty(q.qty)} ${escapeHTML(q.unit)}</li>`;
           }).join("");
 
           const steps = (it.steps || []).map((s, idx) => `<li><span class="font-semibold mr-2">${idx+1}.</span>${escapeHTML(s)}</li>`).join("");
@@ -1539,10 +1876,15 @@ Use different proteins/methods than existing recipes.`;
             <li class="space-y-2">
               <div class="flex justify-between flex-wrap gap-2">
                 <span class="text-gray-800 font-medium">${escapeHTML(it.title || "")}</span>
-                <span class="text-gray-500 text-sm">${fmt(it.calories)} kcal · P ${fmt(it.protein)}g · C ${fmt(it.carbs)}g · F ${fmt(it.fat)}g</span>
+                <span class="text-gray-500 text-sm">${fmt(it.calories)} kcal · P ${fmt(it.protein)}g · C ${fmt(it.carbs)}g · F ${fmt(it.fat)}g per serving</span>
               </div>
+              ${renderServingsSelect(it, dayIndex, mealIndex, itemIndex)}
+              ${renderPortions(it.portions)}
+              ${renderViolations(it.violations)}
+              ${renderNutritionCheck(it.nutrition)}
               ${it.rationale ? `<p class="text-sm text-gray-600">${escapeHTML(it.rationale)}</p>` : ""}
               ${tags ? `<div class="flex flex-wrap gap-2">${tags}</div>` : ""}
+              ${allergens ? `<div class="flex flex-wrap items-center gap-2"><span class="text-xs text-gray-500">Allergens:</span>${allergens}</div>` : ""}
 
               ${it.benefits ? `
                 <div class="mt-3 p-3 bg-emerald-50 border-l-4 border-emerald-500 rounded">
@@ -1558,7 +1900,7 @@ Use different proteins/methods than existing recipes.`;
                 <summary class="cursor-pointer text-sm text-emerald-700">Ingredients & Steps</summary>
                 <div class="mt-2 grid grid-cols-1 md:grid-cols-2 gap-4">
                   <div>
-                    <h5 class="font-semibold text-gray-900 mb-2">Ingredients</h5>
+                    <h5 class="font-semibold text-gray-900 mb-2">Ingredients${servings !== 1 ? ` (${formatQty(servings)} servings)` : ""}</h5>
                     <ul class="list-disc pl-5 space-y-1 text-sm">${ing || "<li>—</li>"}</ul>
                   </div>
                   <div>
@@ -1568,7 +1910,6 @@ Use different proteins/methods than existing recipes.`;
                       Prep ${fmt(it.prepTime)} min · Cook ${fmt(it.cookTime)} min
                     </p>
                     ${subs}
-                    ${allergens}
                   </div>
                 </div>
               </details>
@@ -1580,14 +1921,20 @@ Use different proteins/methods than existing recipes.`;
             <h4 class="font-semibold text-gray-900 mb-3">${escapeHTML(m.name || "Meal")}</h4>
             <button type="button" class="regen-btn text-xs text-emerald-700 hover:text-emerald-900 underline" data-day-index="${dayIndex}" data-meal-name="${escapeHTML(m.name || "Meal")}">Regenerate</button>
           </div>
+          ${renderWithheld(m.withheld)}
           <ul class="space-y-4">${items}</ul>
         </div>`;
       }).join("");
 
       return `<div>
-        <h3 class="text-2xl font-bold text-gray-900 mb-2">${escapeHTML(day.day || "")}</h3>
+        ${renderMedicalDisclaimer(currentPlan?.medical)}
+        ${renderUnsizedPortions(currentPlan?.household)}
+        <h3 class="text-2xl font-bold text-gray-900 mb-2">${escapeHTML((day.date && formatPlanDate(day.date, true)) || day.day || "")}</h3>
         ${summary}
         ${totals}
+        ${renderMemberTotals(day.memberTotals)}
+        ${day.totals ? renderTargetDeviation(day.totals, planTargets?.planned) : ""}
+        ${renderConditionWarnings(day.conditionWarnings)}
         ${blocks}
         ${day.notes ? `<p class="text-sm text-gray-500 mt-4">${escapeHTML(day.notes)}</p>` : ""}
       </div>`;
@@ -1605,8 +1952,20 @@ Use different proteins/methods than existing recipes.`;
       return {titles, tokens}; 
     }
 
-    // Regenerate a single meal
-    async function regenerateMeal(dayIdx, mealName) {
+    // Re-render one day panel after its meals changed
+    function refreshDayPanel(dayIdx) {
+      const tabPanel = $(`tab-${dayIdx}`);
+      if (!tabPanel) return;
+      tabPanel.innerHTML = renderDayHTML(currentPlan.days[dayIdx], dayIdx);
+      bindCardControls(tabPanel);
+      // Re-initialize icons
+      initIcons();
+    }
+
+    // Regenerate a single meal. The prompt names the rules the current recipe breaks;
+    // quiet skips the success toast and rethrows quota and rate-limit rejections, so
+    // enforceConstraints can stop instead of spending more generations.
+    async function regenerateMeal(dayIdx, mealName, { quiet = false } = {}) {
       if (!currentPlan || !Array.isArray(currentPlan.days) || dayIdx == null || Number.isNaN(Number(dayIdx)) || Number(dayIdx) < 0 || !mealName) {
         showMessage("Cannot regenerate meal: invalid parameters");
         return false;
@@ -1646,11 +2005,26 @@ Use different proteins/methods than existing recipes.`;
         showMessage("Regenerating meal...", 10000);
 
         // Build a simplified prompt for just this meal
+        const mealTarget = planTargets?.meals?.[day.meals[mealIdx].name];
+        const broken = [...(day.meals[mealIdx].items || []), ...(day.meals[mealIdx].withheld || [])].flatMap(it => it.violations || []);
+        const servings = day.meals[mealIdx].items?.[0]?.servings;
+        const rules = [
+          userInputs?.dietaryPrefs?.length ? `Diet: ${userInputs.dietaryPrefs.join(", ")}` : "",
+          userInputs?.exclusions ? `Never include: ${userInputs.exclusions}` : "",
+          currentPlan.medical ? `Medical conditions: ${currentPlan.medical.conditions.join(", ")} (stay within their carb, sodium, potassium and saturated fat limits)` : "",
+          userInputs?.allergies?.length ? `Allergic to (never include): ${userInputs.allergies.map(k => allergenLabel(k) || k).join(", ")}` : "",
+          ...(userInputs?.members || []).map(m => `Also eaten by ${m.name || "a household member"}: ${[
+            m.diet.length ? `diet ${m.diet.join(", ")}` : "",
+            m.exclusions ? `never ${m.exclusions}` : "",
+            m.allergies.length ? `allergic to ${m.allergies.map(k => allergenLabel(k) || k).join(", ")}` : ""
+          ].filter(Boolean).join("; ") || "no restrictions"}`),
+          broken.length ? `The current recipe breaks these rules, so avoid: ${broken.map(v => v.message).join("; ")}` : ""
+        ].filter(Boolean).join("\n");
         const prompt = `JSON ONLY. Schema:
 {"title":"Recipe Name","calories":350,"protein":20,"carbs":55,"fat":9,"rationale":"Brief reason","tags":["High-fiber"],"allergens":[],"substitutions":[],"prepTime":5,"cookTime":5,"ingredients":[{"item":"Ingredient","qty":0.75,"unit":"cup","category":"Grains"}],"steps":["Step 1"]}
 
-Generate 1 UNIQUE recipe for ${mealName} on ${day.day || `Day ${dayIdx+1}`}.
-Profile: ${JSON.stringify(lastInputs)}
+Generate 1 UNIQUE recipe (one serving: macros and quantities) for ${mealName} on ${day.day || `Day ${dayIdx+1}`}.
+Profile: ${JSON.stringify(lastInputs)}${rules ? `\n${rules}` : ""}${mealTarget ? `\nTarget: ~${mealTarget.calories} kcal, ${mealTarget.protein}g protein, ${mealTarget.carbs}g carbs, ${mealTarget.fat}g fat` : ""}
 Must differ from: ${Array.from(usedTitles).slice(0, 25).join(", ")}
 Avoid: ${Array.from(usedTokens).slice(0, 35).join(", ")}
 Use different proteins/methods/cuisines.`;
@@ -1658,6 +2032,7 @@ Use different proteins/methods/cuisines.`;
         // Call the API
         const resp = await secureApiCall("generate-plan", {
           endpoint: "gemini-2.0-flash:generateContent",
+          operation: "regeneration",
           body: {
             contents: [{ role: "user", parts: [{ text: prompt }] }],
             generationConfig: {
@@ -1702,6 +2077,7 @@ Use different proteins/methods/cuisines.`;
           
           const retryResp = await secureApiCall("generate-plan", {
             endpoint: "gemini-2.0-flash:generateContent",
+            operation: "regeneration",
             body: {
               contents: [{ role: "user", parts: [{ text: prompt + "\n\nIMPORTANT: Make this COMPLETELY DIFFERENT." }] }],
               generationConfig: {
@@ -1731,23 +2107,23 @@ Use different proteins/methods/cuisines.`;
           // Use the new item directly
           currentPlan.days[dayIdx].meals[mealIdx].items = [newItem];
         }
+
+        // The new recipe replaces any that was withheld, and is cooked for as many servings as the one it replaces
+        delete currentPlan.days[dayIdx].meals[mealIdx].withheld;
+        if (servings) currentPlan.days[dayIdx].meals[mealIdx].items.forEach(it => { it.servings = servings; });
         
-        // Re-render the day panel
-        const tabPanel = $(`tab-${dayIdx}`);
-        if (tabPanel) {
-          tabPanel.innerHTML = renderDayHTML(currentPlan.days[dayIdx], dayIdx);
-          // Rebind regenerate buttons
-          tabPanel.querySelectorAll('.regen-btn').forEach(btn => 
-            btn.addEventListener('click', onRegenClick));
-          // Re-initialize icons
-          initIcons();
-        }
+        // Totals (and the deviation from the targets) follow the new recipe
+        currentPlan.days[dayIdx].totals = null;
+        ensureDayTotals({ days: [currentPlan.days[dayIdx]] });
+
+        refreshDayPanel(dayIdx);
 
-        showMessage(`${mealName} regenerated successfully!`);
+        if (!quiet) showMessage(`${mealName} regenerated successfully!`);
         return true;
       } catch (err) {
         console.error("Regeneration error:", err);
         showMessage("Failed to regenerate meal: " + (err.message || "unknown error"));
+        if (quiet && (err.status === 402 || err.status === 429)) throw err;
         return false;
       }
     }
@@ -1762,13 +2138,83 @@ Use different proteins/methods/cuisines.`;
       btn.disabled = true;
       btn.textContent = "Regenerating...";
       
-      regenerateMeal(dayIndex, mealName).finally(() => {
-        // Re-enable button after regeneration (success or failure)
-        btn.disabled = false;
-        btn.textContent = "Regenerate";
-      });
+      regenerateMeal(dayIndex, mealName)
+        // The new recipe gets the same exclusion and diet check as the rest of the plan
+        .then(ok => ok && recheckPlan())
+        .catch(err => console.warn("[Constraints] Check failed:", err))
+        .finally(() => {
+          // Re-enable button after regeneration (success or failure)
+          btn.disabled = false;
+          btn.textContent = "Regenerate";
+        });
+    }
+
+    // ---------- Constraint check (exclusions, diets and allergies) ----------
+    // The server marks recipes that break the user's exclusions, diets or allergies with `violations`
+    // and withholds the ones with the user's allergens (/api/check-plan, lib/rules), after
+    // replacing what it could under the plan's own generation.
+    // Replacing the rest here costs a generation each, so the user is asked before every round.
+    const MAX_CONSTRAINT_ROUNDS = 3;
+
+    function offendingMeals(plan) {
+      const found = [];
+      (plan?.days || []).forEach((day, dayIndex) => (day.meals || []).forEach(meal => {
+        if (meal.withheld?.length || (meal.items || []).some(it => it.violations?.length)) found.push({ dayIndex, mealName: meal.name });
+      }));
+      return found;
+    }
+
+    // Check the current plan on the server and re-render it with the new marks
+    async function recheckPlan() {
+      const plan = currentPlan;
+      if (!plan || !userInputs) return null;
+      const profile = buildProfile(userInputs.selectedMeals, userInputs.planDays, userInputs.startDate);
+      const result = await secureApiCall("check-plan", { profile, plan });
+      if (plan !== currentPlan) return null; // a new plan replaced it meanwhile
+
+      // The checked plan carries the violations and allergen tags
+      plan.days = result.plan.days;
+      plan.medical = result.plan.medical || null;
+      plan.household = result.plan.household || null;
+      plan.days.forEach((_, dayIdx) => refreshDayPanel(dayIdx));
+      return result;
+    }
+
+    async function enforceConstraints() {
+      const plan = currentPlan;
+      let offending = offendingMeals(plan);
+      if (!offending.length) return;
+
+      for (let round = 1; round <= MAX_CONSTRAINT_ROUNDS && offending.length; round++) {
+        const ask = `${offending.length} meal(s) don't fit your preferences. Replace them? Each replacement uses one generation from your monthly quota.`;
+        if (!window.confirm(ask)) break;
+
+        showMessage(`Replacing ${offending.length} meal(s) that don't fit your preferences...`, 10000);
+        try {
+          for (const { dayIndex, mealName } of offending) {
+            if (plan !== currentPlan) return;
+            await regenerateMeal(dayIndex, mealName, { quiet: true });
+          }
+        } catch (err) {
+          // Out of generations or rate limited: keep what was replaced and stop
+          await recheckPlan();
+          showMessage(`Stopped replacing meals: ${err.message}`, 8000);
+          return;
+        }
+        if (!await recheckPlan()) return;
+        offending = offendingMeals(plan);
+      }
+
+      showMessage(offending.length
+        ? `${offending.length} meal(s) don't fit your preferences; they are marked in the plan.`
+        : "All meals now fit your diet and exclusions.", 6000);
     }
 
+    // One of the canonical aisles (js/aisles.js), whatever category the model gave
+    const aisleOf = (item, category) => window.PPAisles
+      ? PPAisles.classifyAisle(item, category)
+      : (String(category || "").trim() || "Other");
+
     // Normalize ingredient entries that may be strings or objects
     function normalizeIngredient(ing){
       if (!ing) return null;
@@ -1777,7 +2223,8 @@ Use different proteins/methods/cuisines.`;
           item: String(ing.item),
           qty: parseQuantity(ing.qty),
           unit: ing.unit || "",
-          category: ing.category || "Other"
+          category: aisleOf(ing.item, ing.category),
+          allergens: ing.allergens || []
         };
       }
       if (typeof ing === "string") {
@@ -1794,22 +2241,25 @@ Use different proteins/methods/cuisines.`;
         let m = s.match(/^(\d+(?:\.\d+)?)\s+(\d+)\/(\d+)\s*([a-zA-Z]+)?\s*(.*)$/);
         if (m) {
           const qty = Number(m[1]) + Number(m[2]) / Number(m[3]);
-          return { item: (m[5] || "").trim() || (m[4] || ""), qty, unit: (m[4] || ""), category: "Other" };
+          const item = (m[5] || "").trim() || (m[4] || "");
+          return { item, qty, unit: (m[4] || ""), category: aisleOf(item) };
         }
         // simple fraction: "1/2 cup oats"
         m = s.match(/^(\d+)\/(\d+)\s*([a-zA-Z]+)?\s*(.*)$/);
         if (m) {
           const qty = Number(m[1]) / Number(m[2]);
-          return { item: (m[4] || "").trim() || (m[3] || ""), qty, unit: (m[3] || ""), category: "Other" };
+          const item = (m[4] || "").trim() || (m[3] || "");
+          return { item, qty, unit: (m[3] || ""), category: aisleOf(item) };
         }
         // decimal or integer: "2 tbsp oil" or "0.5 cup milk"
         m = s.match(/^(\d+(?:\.\d+)?)\s*([a-zA-Z]+)?\s*(.*)$/);
         if (m) {
           const qty = Number(m[1]);
-          return { item: (m[3] || "").trim() || (m[2] || ""), qty, unit: (m[2] || ""), category: "Other" };
+          const item = (m[3] || "").trim() || (m[2] || "");
+          return { item, qty, unit: (m[2] || ""), category: aisleOf(item) };
         }
         // fallback: just item name
-        return { item: s, qty: null, unit: "", category: "Other" };
+        return { item: s, qty: null, unit: "", category: aisleOf(s) };
       }
       return null;
     }
@@ -1818,45 +2268,33 @@ Use different proteins/methods/cuisines.`;
     function buildGroceryGroups(plan) {
       const byKey = new Map();
       
-      // Normalize item name by removing descriptors and standardizing
-      const normalizeItemName = (itemName) => {
-        return itemName.toLowerCase()
-          .replace(/\(.*?\)/g, '') // Remove anything in parentheses
-          .replace(/\b(diced|chopped|sliced|minced|shredded|cubed|grated|fresh|dried)\b/gi, '')
-          .replace(/\s+/g, ' ')
-          .trim();
-      };
-      
-      // Normalize unit by removing descriptors
-      const normalizeUnit = (unit) => {
-        return (unit || '').toLowerCase()
-          .replace(/\(.*?\)/g, '')
-          .trim();
-      };
-      
-      const add = (item, qty, unit, category) => {
+      // One entry per canonical ingredient (js/ingredients.js), so "chicken breasts" and
+      // "boneless skinless chicken breast" add up; the first aisle seen wins
+      const canonical = (itemName) => window.PPIngredients
+        ? PPIngredients.canonicalIngredient(itemName)
+        : { id: itemName.toLowerCase().trim(), name: itemName.toLowerCase().trim() };
+
+      // Quantities in any unit are collected per item and merged by PPUnits (js/units.js)
+      const add = (item, qty, unit, category, allergens = []) => {
         const cat = (category || "Other").trim() || "Other";
-        const normalizedItem = normalizeItemName(item);
-        const normalizedUnit = normalizeUnit(unit);
-        const key = `${cat}||${normalizedItem}|${normalizedUnit}`;
-        const prev = byKey.get(key) || { item: normalizedItem, displayItem: item, qty: null, unit: normalizedUnit, category: cat };
-        const num = (qty == null ? null : Number(qty));
-        if (Number.isFinite(num)) {
-          prev.qty = (prev.qty == null ? num : prev.qty + num);
-        }
-        byKey.set(key, prev);
+        const { id, name } = canonical(item);
+        const prev = byKey.get(id) || { item: name || item, id, quantities: [], category: cat, allergens: [] };
+        allergens.forEach(a => { if (!prev.allergens.includes(a)) prev.allergens.push(a); });
+        prev.quantities.push({ qty, unit });
+        byKey.set(id, prev);
       };
 
       let usedIngredients = false;
 
+      // Quantities are per serving; each recipe counts as many times as it is cooked for
       (plan.days || []).forEach(d =>
         (d.meals || []).forEach(m =>
           (m.items || []).forEach(it => {
             if (Array.isArray(it.ingredients) && it.ingredients.length) {
               it.ingredients.forEach(ing => {
-                const n = normalizeIngredient(ing);
+                const n = scaleIngredient(ing, itemServings(it));
                 if (n && n.item) {
-                  add(n.item, n.qty, n.unit, n.category);
+                  add(n.item, n.qty, n.unit, n.category, n.allergens);
                   usedIngredients = true;
                 }
               });
@@ -1872,7 +2310,7 @@ Use different proteins/methods/cuisines.`;
             (m.items || []).forEach(it => {
               const name = (it.title || "").trim();
               if (!name) return;
-              add(name, 1, "", "Other");
+              add(name, itemServings(it), "", "Other");
             })
           )
         );
@@ -1886,8 +2324,8 @@ Use different proteins/methods/cuisines.`;
         groupsMap.set(v.category, arr);
       });
 
-      // Sort categories in a friendly order
-      const order = ["Produce","Protein","Grains","Dairy","Pantry","Frozen","Other"];
+      // Sort aisles in the user's store order
+      const order = orderedAisles();
       const cats = Array.from(groupsMap.keys()).sort((a,b) => {
         const ia = order.indexOf(a), ib = order.indexOf(b);
         if (ia === -1 && ib === -1) return a.localeCompare(b);
@@ -1896,6 +2334,7 @@ Use different proteins/methods/cuisines.`;
         return ia - ib;
       });
 
+      const system = unitSystem();
       return cats.map(cat => {
         const items = groupsMap.get(cat).sort((a,b)=>a.item.localeCompare(b.item));
         return {
@@ -1903,11 +2342,14 @@ Use different proteins/methods/cuisines.`;
           items: items.map(x => {
             // Capitalize first letter for display
             const displayItem = x.item.charAt(0).toUpperCase() + x.item.slice(1);
+            // Usually one line; amounts that can't be converted into each other are listed side by side
+            const quantities = PPUnits.merge(x.quantities, x.item, system);
             return {
-              label: `${displayItem}${(x.qty != null && x.qty > 0) ? ` — ${formatQty(x.qty)} ${x.unit}`.trim() : ""}`,
+              label: `${displayItem}${quantities.length ? ` — ${quantities.map(q => `${formatQty(q.qty)} ${q.unit}`.trim()).join(" + ")}` : ""}`,
               item: x.item,
-              qty: x.qty,
-              unit: x.unit
+              id: x.id,
+              quantities,
+              allergens: x.allergens
             };
           })
         };
@@ -1928,11 +2370,12 @@ Use different proteins/methods/cuisines.`;
 
         const ul = document.createElement("ul");
         ul.className = "space-y-2";
-        group.items.forEach(({ label }) => {
+        group.items.forEach(({ label, allergens }) => {
           const li = document.createElement("li");
           li.className = "flex items-center gap-3";
           li.innerHTML = `<input type="checkbox" class="w-4 h-4 rounded border-gray-300 text-emerald-600 focus:ring-emerald-500">
-            <span class="flex-1">${escapeHTML(label)}</span>`;
+            <span class="flex-1">${escapeHTML(label)}</span>
+            ${renderAllergenBadges(allergens)}`;
           ul.appendChild(li);
         });
         wrap.appendChild(ul);
@@ -1940,6 +2383,17 @@ Use different proteins/methods/cuisines.`;
       });
     }
 
+    // Static grocery list for the PDF export
+    function groceryListHTML(groups) {
+      return `<div class="mt-8">
+        <h3 class="text-2xl font-bold text-gray-900 mb-4">Grocery list</h3>
+        ${groups.map(g => `<div class="mb-4">
+          <div class="grocery-category">${escapeHTML(g.category)}</div>
+          <ul class="list-disc pl-5 space-y-1 text-sm">${g.items.map(it => `<li>${escapeHTML(it.label)}</li>`).join("")}</ul>
+        </div>`).join("")}
+      </div>`;
+    }
+
     // ---------- CSV helpers ----------
     function csvEscape(v){
       if (v == null) return "";
@@ -1947,10 +2401,13 @@ Use different proteins/methods/cuisines.`;
       return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
     }
     function groupsToCSV(groups){
-      const rows = [["Category","Item","Qty","Unit"]];
+      const rows = [["Category","Item","Qty","Unit","Allergens"]];
       groups.forEach(g => {
         (g.items || []).forEach(it => {
-          rows.push([g.category || "", it.item || "", it.qty != null ? formatQty(it.qty) : "", it.unit || ""]);
+          const allergens = (it.allergens || []).map(a => allergenLabel(a) || a).join("; ");
+          // One row per quantity, so Qty stays a single number
+          const quantities = it.quantities?.length ? it.quantities : [{ qty: null, unit: "" }];
+          quantities.forEach(q => rows.push([g.category || "", it.item || "", q.qty != null ? formatQty(q.qty) : "", q.unit || "", allergens]));
         });
       });
       return rows.map(r => r.map(csvEscape).join(",")).join("\n");
@@ -2001,6 +2458,10 @@ Use different proteins/methods/cuisines.`;
         clonedNode.style.padding = '20px';
         clonedNode.style.backgroundColor = '#ffffff';
         clonedNode.style.fontFamily = 'Inter, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif';
+
+        // The grocery list, with quantities for the chosen servings, goes after the plan
+        const groceryGroups = currentPlan ? buildGroceryGroups(currentPlan) : [];
+        if (groceryGroups.length) clonedNode.insertAdjacentHTML("beforeend", groceryListHTML(groceryGroups));
         
         // Append to body temporarily (hidden)
         clonedNode.style.position = 'absolute';
@@ -2110,5 +2571,8 @@ Use different proteins/methods/cuisines.`;
     
     // Generation counter display is now handled by auth.js and index.html
     // See updateGenerationDisplay() function in index.html
+
+    // A multi-day plan started in an earlier visit keeps going on the server
+    resumePlanJob();
   });
 })();
@@ -112,9 +112,9 @@ async function createProfileManually(user) {
             .insert({
                 id: user.id,
                 email: user.email,
-                full_name: user.user_metadata?.full_name || 'User',
-                subscription_tier: 'free',
-                monthly_generation_limit: 3
+                full_name: user.user_metadata?.full_name || 'User'
+                // subscription_tier and monthly_generation_limit take their defaults;
+                // users can't write them (FIXED_DATABASE_SETUP.sql)
             })
             .select()
             .single();
@@ -128,130 +128,26 @@ async function createProfileManually(user) {
     }
 }
 
-// Fix missing monthly_generation_limit
+// Fill in a missing monthly_generation_limit for display. The column is server-only
+// (FIXED_DATABASE_SETUP.sql backfills it; consume_generation() defaults it too)
 async function fixProfileIfNeeded(profile) {
     if (!profile) return null;
     
-    // Check if monthly_generation_limit is missing
     if (typeof profile.monthly_generation_limit === 'undefined' || profile.monthly_generation_limit === null) {
-        console.warn('Profile missing monthly_generation_limit, updating...');
-        
-        // Set default limit based on subscription tier
         const limits = {
             'free': 3,
             'starter': 30,
             'pro': 100,
             'unlimited': -1
         };
-        
-        const limit = limits[profile.subscription_tier] || 3;
-        
-        try {
-            const { data, error } = await supabase
-                .from('profiles')
-                .update({ monthly_generation_limit: limit })
-                .eq('id', profile.id)
-                .select()
-                .single();
-            
-            if (error) throw error;
-            console.log('Profile updated with monthly_generation_limit:', limit);
-            return data;
-        } catch (error) {
-            console.error('Error updating profile:', error);
-            // Return profile with limit added manually
-            return { ...profile, monthly_generation_limit: limit };
-        }
+        return { ...profile, monthly_generation_limit: limits[profile.subscription_tier] || 3 };
     }
     
     return profile;
 }
 
-// Check if user can generate (has generations left)
-async function canUserGenerate() {
-    try {
-        const profile = await getUserProfile();
-        if (!profile) return false;
-
-        // Get current month's usage
-        const startOfMonth = new Date();
-        startOfMonth.setDate(1);
-        startOfMonth.setHours(0, 0, 0, 0);
-
-        const { data, error } = await supabase
-            .from('usage_tracking')
-            .select('generation_count')
-            .eq('user_id', profile.id)
-            .gte('month_start', startOfMonth.toISOString())
-            .maybeSingle(); // Use maybeSingle() - returns null if no rows
-
-        if (error) throw error;
-
-        const currentCount = data ? data.generation_count : 0;
-        const limit = profile.monthly_generation_limit;
-
-        return limit === -1 || currentCount < limit; // -1 means unlimited
-    } catch (error) {
-        console.error('Error checking generation limit:', error);
-        return false;
-    }
-}
-
-// Increment generation count
-async function incrementGenerationCount() {
-    try {
-        console.log('🔄 incrementGenerationCount() called');
-        const profile = await getUserProfile();
-        if (!profile) throw new Error('No user profile found');
-        console.log('✅ Profile found:', profile.id);
-
-        const startOfMonth = new Date();
-        startOfMonth.setDate(1);
-        startOfMonth.setHours(0, 0, 0, 0);
-        console.log('📅 Month start:', startOfMonth.toISOString());
-
-        // Try to increment existing record
-        const { data: existing, error: fetchError } = await supabase
-            .from('usage_tracking')
-            .select('*')
-            .eq('user_id', profile.id)
-            .gte('month_start', startOfMonth.toISOString())
-            .maybeSingle(); // Use maybeSingle() - returns null if no rows
-
-        if (fetchError) throw fetchError;
-        console.log('📊 Existing usage record:', existing);
-
-        if (existing) {
-            // Update existing record
-            console.log(`📈 Updating count from ${existing.generation_count} to ${existing.generation_count + 1}`);
-            const { error } = await supabase
-                .from('usage_tracking')
-                .update({ generation_count: existing.generation_count + 1 })
-                .eq('id', existing.id);
-
-            if (error) throw error;
-            console.log('✅ Successfully incremented generation count!');
-        } else {
-            // Create new record for this month
-            console.log('➕ Creating new usage record with count=1');
-            const { error } = await supabase
-                .from('usage_tracking')
-                .insert({
-                    user_id: profile.id,
-                    month_start: startOfMonth.toISOString(),
-                    generation_count: 1
-                });
-
-            if (error) throw error;
-            console.log('✅ Successfully created new usage record!');
-        }
-
-        return true;
-    } catch (error) {
-        console.error('❌ Error incrementing generation count:', error);
-        return false;
-    }
-}
+// Generation quota is checked and consumed by the API (lib/quota.js); the
+// browser only reads the counter to display it.
 
 // Get remaining generations for current month
 async function getRemainingGenerations() {
@@ -263,9 +159,9 @@ async function getRemainingGenerations() {
             return 0;
         }
 
-        const startOfMonth = new Date();
-        startOfMonth.setDate(1);
-        startOfMonth.setHours(0, 0, 0, 0);
+        // Quota months start at midnight UTC, matching the server
+        const now = new Date();
+        const startOfMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
         
         console.log('Querying usage_tracking for user_id:', profile.id);
         console.log('Month start:', startOfMonth.toISOString());
@@ -297,3 +193,16 @@ async function getRemainingGenerations() {
         return 0;
     }
 }
+
+// This month's model usage by operation (plan, meal, regeneration, repair, ...),
+// from get_usage_summary() in FIXED_DATABASE_SETUP.sql. Returns [] when unavailable.
+async function getUsageSummary() {
+    try {
+        const { data, error } = await supabase.rpc('get_usage_summary');
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        console.error('Error getting usage summary:', error);
+        return [];
+    }
+}
@@ -0,0 +1,187 @@
+// Ingredient canonicalizer: one id per ingredient, whatever a recipe calls it.
+//
+// "Boneless skinless chicken breasts", "chicken breast" and "Chicken breast fillet" are all
+// chicken-breast. A name is lowercased, cut at the first comma ("onion, diced") and at
+// alternatives ("butter or ghee"), stripped of brands (BRANDS) and of descriptors that
+// don't change what to buy (DESCRIPTORS), singularized, and mapped through SYNONYMS to its
+// canonical name. Words that do change the food (ground, dried, cooked, frozen, canned)
+// are kept.
+//
+// Plain ES module without dependencies: the server uses it for nutrition lookups
+// (lib/nutrition) and the browser loads it for the grocery list (index.html).
+
+// Brand names as recipes write them
+const BRANDS = [
+  "Trader Joe's", "Whole Foods", "365", "Kirkland Signature", "Kirkland", "Great Value", "Good & Gather", "Simply Nature",
+  "Barilla", "De Cecco", "Rao's", "Philadelphia", "Heinz", "Kraft", "Hellmann's", "Best Foods", "Fage", "Chobani",
+  "Oikos", "Siggi's", "Quaker", "Kerrygold", "Bob's Red Mill", "King Arthur", "Morton", "Diamond Crystal",
+  "Kikkoman", "Lee Kum Kee", "McCormick", "Goya", "Del Monte", "Bush's", "Hunt's", "Muir Glen", "Swanson",
+  "Organic Valley", "Horizon", "Silk", "Almond Breeze", "Califia", "Oatly", "Daiya",
+  "Tillamook", "Cabot", "Sargento", "Boar's Head", "Oscar Mayer", "Jennie-O", "Perdue", "Tyson", "Applegate",
+  "Dave's Killer", "Ezekiel", "Old El Paso", "Uncle Ben's", "Ben's Original", "Jif", "Skippy", "Justin's",
+  "Smucker's", "Sabra", "Frontera", "Huy Fong", "Thai Kitchen", "Annie's", "Amy's", "Newman's Own", "Primal Kitchen",
+  "Sir Kensington's", "Ken's", "Hidden Valley", "Bragg", "Nature Valley", "Premier Protein", "Optimum Nutrition"
+];
+
+// Words and phrases that describe preparation, size, quality or labeling, not the food
+const DESCRIPTORS = [
+  // Preparation
+  "diced", "chopped", "finely chopped", "roughly chopped", "coarsely chopped", "sliced", "thinly sliced", "minced",
+  "shredded", "cubed", "grated", "freshly grated", "crushed", "julienned", "spiralized", "peeled", "pitted", "seeded",
+  "deseeded", "cored", "stemmed", "halved", "quartered", "trimmed", "rinsed", "drained", "rinsed and drained",
+  "patted dry", "thawed", "softened", "melted", "room temperature", "beaten", "lightly beaten", "whisked", "packed",
+  "firmly packed", "loosely packed", "heaping", "level", "sifted", "cut", "cut into", "torn", "zested", "juiced",
+  "mashed", "smashed", "crumbled", "divided", "optional", "to taste", "for garnish", "for serving", "plus more",
+  // Size and cut
+  "large", "medium", "small", "extra large", "jumbo", "bite size", "fillet", "filet", "piece", "chunk", "strip",
+  "bone in", "boneless", "skinless", "skin on",
+  // Quality and labeling
+  "fresh", "freshly", "organic", "natural", "all natural", "free range", "cage free", "pasture raised", "grass fed",
+  "wild caught", "farm fresh", "premium", "homemade", "store bought", "extra virgin", "virgin", "cold pressed",
+  "pure", "raw", "ripe", "good quality", "high quality", "plain", "regular", "kosher", "brand"
+];
+
+// Canonical name ← names that mean the same thing to a shopper (all normalized and singular)
+const SYNONYMS = {
+  "chicken breast": ["chicken breast half", "chicken breast tender", "chicken tenderloin"],
+  "chicken thigh": ["chicken thigh meat"],
+  "ground beef": ["beef mince", "minced beef", "hamburger meat"],
+  "ground turkey": ["turkey mince", "minced turkey"],
+  "ground pork": ["pork mince", "minced pork"],
+  shrimp: ["prawn"],
+  egg: ["whole egg", "hen egg"],
+  "egg white": ["liquid egg white"],
+  scallion: ["green onion", "spring onion"],
+  cilantro: ["coriander leaf", "coriander leave", "chinese parsley"],
+  chickpea: ["garbanzo", "garbanzo bean", "chick pea"],
+  eggplant: ["aubergine"],
+  zucchini: ["courgette"],
+  "bell pepper": ["capsicum", "sweet pepper"],
+  arugula: ["rocket", "roquette"],
+  beet: ["beetroot"],
+  "snow pea": ["mangetout"],
+  rutabaga: ["swede"],
+  spinach: ["baby spinach", "spinach leaf"],
+  "mixed green": ["salad green", "spring mix", "mesclun", "mixed salad green", "mixed lettuce"],
+  "romaine lettuce": ["romaine", "cos lettuce"],
+  "cherry tomato": ["grape tomato"],
+  "brussels sprout": ["brussel sprout"],
+  garlic: ["garlic clove", "clove garlic", "clove of garlic"],
+  ginger: ["ginger root", "gingerroot"],
+  "olive oil": ["evoo", "olive oil spray"],
+  flour: ["all purpose flour", "ap flour", "plain flour", "white flour"],
+  "powdered sugar": ["confectioner sugar", "confectioners sugar", "icing sugar"],
+  "brown sugar": ["light brown sugar", "dark brown sugar"],
+  cornstarch: ["corn starch", "cornflour"],
+  "baking soda": ["bicarbonate of soda", "bicarb", "sodium bicarbonate"],
+  "heavy cream": ["whipping cream", "heavy whipping cream", "double cream"],
+  "greek yogurt": ["greek style yogurt", "strained yogurt"],
+  yogurt: ["yoghurt"],
+  parmesan: ["parmesan cheese", "parmigiano reggiano", "parmigiano"],
+  mozzarella: ["mozzarella cheese"],
+  feta: ["feta cheese"],
+  cheddar: ["cheddar cheese", "sharp cheddar", "sharp cheddar cheese"],
+  "rolled oat": ["old fashioned oat", "old fashioned rolled oat", "oat flake"],
+  "soy sauce": ["shoyu", "light soy sauce"],
+  broth: ["stock"],
+  "chicken broth": ["chicken stock"],
+  "vegetable broth": ["vegetable stock", "veggie broth", "veggie stock"],
+  "beef broth": ["beef stock"],
+  "black pepper": ["pepper", "ground black pepper", "cracked black pepper"],
+  salt: ["sea salt", "table salt", "kosher salt"],
+  "peanut butter": ["natural peanut butter", "creamy peanut butter", "smooth peanut butter", "crunchy peanut butter"],
+  "almond milk": ["unsweetened almond milk", "almond beverage"],
+  "oat milk": ["oat beverage"],
+  "soy milk": ["soya milk"],
+  quinoa: ["white quinoa", "tri color quinoa"],
+  "brown rice": ["long grain brown rice"],
+  rice: ["white rice", "long grain rice", "long grain white rice"],
+  "sweet potato": ["kumara"],
+  "lemon juice": ["juice of lemon", "fresh lemon juice"],
+  "lime juice": ["juice of lime", "fresh lime juice"]
+};
+
+const apostrophes = /['’`]/g;
+
+const normalize = (text) => String(text || "")
+  .toLowerCase()
+  .replace(/[™®©]/g, " ")
+  .replace(apostrophes, "")
+  .replace(/[^a-z0-9]+/g, " ")
+  .trim()
+  .replace(/\s+/g, " ");
+
+// Words the suffix rules get wrong: irregular plurals, plurals of "-ie" words, and
+// words that only look plural
+const IRREGULAR = {
+  leaves: "leaf", loaves: "loaf", halves: "half", knives: "knife",
+  cookies: "cookie", brownies: "brownie", smoothies: "smoothie", veggies: "veggie", pies: "pie", calories: "calorie",
+  quiches: "quiche", mousses: "mousse",
+  molasses: "molasses", brussels: "brussels", grits: "grits", swiss: "swiss", hummus: "hummus", couscous: "couscous"
+};
+
+/**
+ * Singular form of one word ("tomatoes" → "tomato", "berries" → "berry", "leaves" → "leaf").
+ * @param {string} word
+ * @returns {string}
+ */
+export function singularize(word) {
+  if (Object.hasOwn(IRREGULAR, word)) return IRREGULAR[word];
+  if (word.length <= 3) return word;
+  if (word.endsWith("ies")) return word.slice(0, -3) + "y";
+  if (/(?:oes|ches|shes|sses|xes)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith("s") && !/(?:ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+const singular = (text) => text.split(" ").filter(Boolean).map(singularize).join(" ");
+
+// Longest phrases first, so "extra virgin" goes before "virgin"
+const byLength = (a, b) => b.length - a.length;
+const STRIP = [...new Set([...BRANDS, ...DESCRIPTORS].map(p => singular(normalize(p))))].sort(byLength);
+const ALIASES = new Map(Object.entries(SYNONYMS).flatMap(([name, names]) => names.map(n => [singular(normalize(n)), name])));
+
+function stripPhrases(text) {
+  return STRIP.reduce((s, phrase) => ` ${s} `.split(` ${phrase} `).join(" ").trim(), text).replace(/\s+/g, " ");
+}
+
+/**
+ * Canonical name of an ingredient ("Boneless skinless chicken breasts, cubed" → "chicken breast").
+ * Falls back to the name without its parentheses when stripping would leave nothing.
+ * @param {string} name
+ * @returns {string} lowercase and singular; "" for an empty name
+ */
+export function canonicalName(name) {
+  const base = String(name || "")
+    .replace(/\([^)]*\)/g, " ")
+    .split(/,|;| - | or /i)[0];
+  const words = singular(normalize(base));
+  // Strip until nothing changes: removing one phrase can expose another
+  let stripped = words;
+  for (let prev = null; prev !== stripped;) {
+    prev = stripped;
+    stripped = stripPhrases(stripped);
+  }
+  const result = stripped.replace(/\b\d+\b/g, " ").replace(/\s+/g, " ").trim() || words;
+  return ALIASES.get(result) || result;
+}
+
+/**
+ * Canonical id of an ingredient, for matching across recipes, the grocery list and lookups
+ * ("Chicken breast fillet" → "chicken-breast").
+ * @param {string} name
+ * @returns {string}
+ */
+export function canonicalId(name) {
+  return canonicalName(name).replace(/ /g, "-");
+}
+
+/**
+ * Both forms at once.
+ * @param {string} name
+ * @returns {{id: string, name: string}}
+ */
+export function canonicalIngredient(name) {
+  const canonical = canonicalName(name);
+  return { id: canonical.replace(/ /g, "-"), name: canonical };
+}
@@ -0,0 +1,192 @@
+// PERFECT-PLATE – Units for ingredient quantities (loaded before app.js as window.PPUnits)
+//
+// Quantities are volume (ml), mass (g) or counts; any other unit ("clove", "can", "pinch")
+// only adds up with itself. Merging converts volume to mass with the ingredient's density
+// when the same ingredient is measured both ways ("2 tbsp olive oil" + "20 g olive oil"),
+// and the result is printed in the user's metric or imperial system with kitchen-friendly
+// rounding (spoons for small volumes, quarter cups, half ounces).
+//
+// Ingredient and unit names go through window.PPIngredients (js/ingredients.js, set by the
+// module script in index.html), so densities match the grocery list's canonical ids.
+(function () {
+  const MASS_G = { g: 1, kg: 1000, mg: 0.001, oz: 28.3495, lb: 453.592 };
+  const VOLUME_ML = { ml: 1, l: 1000, tsp: 4.92892, tbsp: 14.7868, cup: 236.588, "fl oz": 29.5735, pint: 473.176, quart: 946.353, gallon: 3785.41 };
+  // Count units; size words count as plain items ("2 large eggs" + "1 egg" = 3)
+  const COUNT = { "": 1, each: 1, whole: 1, piece: 1, item: 1, large: 1, medium: 1, small: 1, dozen: 12 };
+
+  const UNIT_ALIASES = {
+    gram: "g", gr: "g", grams: "g", kilogram: "kg", kilo: "kg", milligram: "mg", ounce: "oz", pound: "lb", lbs: "lb",
+    milliliter: "ml", millilitre: "ml", liter: "l", litre: "l", cc: "ml",
+    teaspoon: "tsp", tablespoon: "tbsp", tbs: "tbsp", tbl: "tbsp", c: "cup",
+    "fluid ounce": "fl oz", floz: "fl oz", "fl. oz": "fl oz", pt: "pint", qt: "quart", gal: "gallon",
+    ea: "each", pc: "piece", pcs: "piece", med: "medium", lg: "large", sm: "small"
+  };
+
+  // Grams per US cup of common ingredients, as measured for recipes (chopped, shredded, dry).
+  // Looked up by canonical id; longer names win ("almond milk" before "milk").
+  const GRAMS_PER_CUP = {
+    water: 237, milk: 245, "almond milk": 240, "oat milk": 240, "soy milk": 243, "coconut milk": 226, buttermilk: 245,
+    broth: 240, stock: 240, juice: 248, "lemon juice": 244, "lime juice": 242, vinegar: 239, "soy sauce": 255,
+    oil: 218, "olive oil": 216, "coconut oil": 218, butter: 227, ghee: 205,
+    honey: 340, "maple syrup": 315, syrup: 328, sugar: 200, "brown sugar": 213, "powdered sugar": 120, salt: 292,
+    flour: 125, "whole wheat flour": 120, "almond flour": 96, "coconut flour": 112, cornstarch: 128, "baking powder": 230, "cocoa powder": 86,
+    rice: 185, "brown rice": 190, "cooked rice": 158, oat: 81, "rolled oat": 81, "steel cut oat": 176, quinoa: 170, "cooked quinoa": 185,
+    couscous: 173, lentil: 192, "cooked lentil": 198, bean: 172, "black bean": 172, chickpea: 164, pea: 145, corn: 154, granola: 122,
+    yogurt: 245, "greek yogurt": 285, "cottage cheese": 226, "cream cheese": 232, "sour cream": 230, cream: 238, "heavy cream": 238,
+    cheese: 113, cheddar: 113, "cheddar cheese": 113, mozzarella: 112, parmesan: 100, feta: 150, ricotta: 246,
+    "peanut butter": 258, "almond butter": 256, tahini: 240, hummus: 246, salsa: 259, pesto: 240,
+    almond: 143, walnut: 117, pecan: 99, cashew: 137, peanut: 146, "chia seed": 170, flaxseed: 168, "sunflower seed": 140, "pumpkin seed": 129,
+    raisin: 145, "dried cranberry": 120, berry: 148, blueberry: 148, strawberry: 152, raspberry: 123, banana: 150, apple: 125, mango: 165,
+    spinach: 30, kale: 67, lettuce: 47, arugula: 20, "mixed green": 30, cabbage: 89, broccoli: 91, cauliflower: 107, carrot: 128,
+    onion: 160, "red onion": 160, "bell pepper": 149, tomato: 180, "cherry tomato": 149, cucumber: 119, zucchini: 124, mushroom: 70,
+    celery: 101, avocado: 150, "sweet potato": 133, potato: 150, "green bean": 100, edamame: 155,
+    chicken: 140, "chicken breast": 140, "ground beef": 225, "ground turkey": 225, tuna: 154, shrimp: 145, tofu: 252, tempeh: 166
+  };
+
+  // The module script runs after this file, so look the canonicalizer up when called
+  const canonicalId = (name) => window.PPIngredients
+    ? PPIngredients.canonicalIngredient(name).id
+    : String(name || "").toLowerCase().trim().replace(/\s+/g, "-");
+  const singularize = (word) => window.PPIngredients ? PPIngredients.singularize(word) : word;
+
+  // [id, grams per cup], longest id first; built once the canonicalizer is there
+  let densityIds = null;
+  function densityTable() {
+    if (densityIds) return densityIds;
+    const table = Object.entries(GRAMS_PER_CUP)
+      .map(([key, grams]) => [canonicalId(key), grams])
+      .sort((a, b) => b[0].length - a[0].length);
+    if (window.PPIngredients) densityIds = table;
+    return table;
+  }
+
+  /**
+   * Density of an ingredient in g/ml, or null when unknown ("Extra virgin olive oil" → olive-oil).
+   * @param {string} name
+   * @returns {number|null}
+   */
+  function density(name) {
+    // The last words name the food ("chicken broth" is broth), so a match there comes first
+    const padded = `-${canonicalId(name)}-`;
+    const table = densityTable();
+    const match = table.find(([id]) => padded.endsWith(`-${id}-`)) || table.find(([id]) => padded.includes(`-${id}-`));
+    return match ? match[1] / VOLUME_ML.cup : null;
+  }
+
+  /**
+   * What a unit measures ("Tablespoons" → volume, 14.79 ml each).
+   * @param {string} unit
+   * @returns {{kind: "mass"|"volume"|"count"|"other", unit: string, factor: number}}
+   *   factor converts one unit to g, ml or items; "other" units keep their own name
+   */
+  function parseUnit(unit) {
+    const raw = String(unit || "").toLowerCase().replace(/\([^)]*\)/g, " ").replace(/\s+/g, " ").trim();
+    const plain = raw.replace(/\.$/, "");
+    const u = UNIT_ALIASES[plain] || UNIT_ALIASES[singularize(plain)] || (MASS_G[plain] || VOLUME_ML[plain] || COUNT[plain] ? plain : singularize(plain));
+    if (MASS_G[u]) return { kind: "mass", unit: u, factor: MASS_G[u] };
+    if (VOLUME_ML[u]) return { kind: "volume", unit: u, factor: VOLUME_ML[u] };
+    if (COUNT[u]) return { kind: "count", unit: u, factor: COUNT[u] };
+    return { kind: "other", unit: u, factor: 1 };
+  }
+
+  // Round to the nearest step, never down to zero
+  const roundTo = (n, step) => Math.max(step, Math.round(n / step) * step);
+
+  function formatMass(g, system) {
+    if (system === "imperial") {
+      const oz = g / MASS_G.oz;
+      if (oz >= 16) return { qty: roundTo(oz / 16, 0.25), unit: "lb" };
+      return { qty: roundTo(oz, oz < 2 ? 0.25 : 0.5), unit: "oz" };
+    }
+    if (g >= 1000) return { qty: roundTo(g / 1000, 0.05), unit: "kg" };
+    return { qty: roundTo(g, g < 10 ? 0.5 : g < 100 ? 1 : 5), unit: "g" };
+  }
+
+  // Spoons stay spoons in both systems; larger volumes become cups or millilitres
+  function formatVolume(ml, system) {
+    if (ml < VOLUME_ML.tbsp) return { qty: roundTo(ml / VOLUME_ML.tsp, 0.25), unit: "tsp" };
+    if (ml < VOLUME_ML.cup / 4) return { qty: roundTo(ml / VOLUME_ML.tbsp, 0.5), unit: "tbsp" };
+    if (system === "imperial") {
+      if (ml >= VOLUME_ML.gallon) return { qty: roundTo(ml / VOLUME_ML.gallon, 0.25), unit: "gallon" };
+      if (ml >= VOLUME_ML.quart) return { qty: roundTo(ml / VOLUME_ML.quart, 0.25), unit: "quart" };
+      return { qty: roundTo(ml / VOLUME_ML.cup, 0.25), unit: "cup" };
+    }
+    if (ml >= 1000) return { qty: roundTo(ml / 1000, 0.05), unit: "l" };
+    return { qty: roundTo(ml, ml < 100 ? 5 : 10), unit: "ml" };
+  }
+
+  /**
+   * One quantity in the preferred system ("4 oz" → "115 g" in metric). Counts and other
+   * units are returned as they are.
+   * @param {number|null} qty
+   * @param {string} unit
+   * @param {"metric"|"imperial"} system
+   * @returns {{qty: number|null, unit: string}}
+   */
+  function convert(qty, unit, system) {
+    const n = Number(qty);
+    if (qty == null || !Number.isFinite(n) || n <= 0) return { qty: qty ?? null, unit: unit || "" };
+    const u = parseUnit(unit);
+    if (u.kind === "mass") return formatMass(n * u.factor, system);
+    if (u.kind === "volume") return formatVolume(n * u.factor, system);
+    return { qty: n, unit: unit || "" };
+  }
+
+  /**
+   * Add up quantities of one ingredient. Volume and mass merge through the ingredient's
+   * density; without one they stay separate, as do counts and each other unit.
+   * @param {Array<{qty: number|null, unit: string}>} quantities
+   * @param {string} name - the ingredient, for its density
+   * @param {"metric"|"imperial"} system
+   * @returns {Array<{qty: number, unit: string}>} mass, volume, count, then other units;
+   *   empty when no quantity is known
+   */
+  function merge(quantities, name, system) {
+    const totals = { mass: 0, volume: 0, count: 0 };
+    const countUnits = new Set();
+    const others = new Map();
+
+    quantities.forEach(({ qty, unit }) => {
+      const n = Number(qty);
+      if (qty == null || !Number.isFinite(n) || n <= 0) return;
+      const u = parseUnit(unit);
+      if (u.kind === "other") {
+        // Keep a plural spelling the recipes used ("cloves") for totals above one
+        const prev = others.get(u.unit) || { qty: 0, unit: u.unit };
+        const spelled = String(unit).trim().toLowerCase();
+        others.set(u.unit, { qty: prev.qty + n, unit: spelled !== u.unit && singularize(spelled) === u.unit ? spelled : prev.unit, singular: u.unit });
+        return;
+      }
+      totals[u.kind] += n * u.factor;
+      if (u.kind === "count") countUnits.add(u.factor === 1 ? u.unit : "");
+    });
+
+    const gPerMl = totals.mass && totals.volume ? density(name) : null;
+    if (gPerMl) {
+      totals.mass += totals.volume * gPerMl;
+      totals.volume = 0;
+    }
+
+    const lines = [];
+    if (totals.mass) lines.push(formatMass(totals.mass, system));
+    if (totals.volume) lines.push(formatVolume(totals.volume, system));
+    if (totals.count) {
+      const [only] = countUnits;
+      const unit = countUnits.size === 1 && !["each", "whole", "piece", "item"].includes(only) ? only : "";
+      lines.push({ qty: roundTo(totals.count, 0.25), unit });
+    }
+    others.forEach(o => lines.push({ qty: roundTo(o.qty, 0.25), unit: o.qty > 1 ? o.unit : o.singular }));
+    return lines;
+  }
+
+  /**
+   * The system for a locale when the user hasn't picked one (US, Liberia and Myanmar use imperial).
+   * @param {string} [locale]
+   * @returns {"metric"|"imperial"}
+   */
+  function defaultSystem(locale = (typeof navigator !== "undefined" && navigator.language) || "") {
+    return /-(US|LR|MM)$/i.test(locale) ? "imperial" : "metric";
+  }
+
+  window.PPUnits = { parseUnit, density, convert, merge, defaultSystem };
+})();
@@ -0,0 +1,198 @@
+// Medical conditions mapped to nutrient limits.
+//
+// Each condition caps nutrients per meal or per day (protein for CKD per kg of body weight),
+// and may add a diet (celiac → Gluten-Free) or foods to avoid (pregnancy), which the
+// constraint checker in lib/rules enforces. The limits go into the prompts, which then ask
+// for the nutrients they need on every item; after generation each day is checked against
+// them. Daily limits are scaled to the share of the day the planned meals cover.
+//
+// Limits follow common guidance (ADA, AHA, KDOQI, FDA), and are not a substitute for the
+// user's clinician: every plan for a condition carries DISCLAIMER.
+
+import { MEAL_SHARES } from "./targets.js";
+
+export const DISCLAIMER = "This plan is general nutrition guidance, not medical advice. Because you listed a medical condition, check it with your doctor or a registered dietitian before following it, and follow their advice where it differs.";
+
+// Nutrients the model reports only when a limit needs them (mg or g per item)
+export const NUTRIENTS = {
+  carbs: { label: "Carbs", unit: "g" },
+  sugar: { label: "Sugar", unit: "g" },
+  sodium: { label: "Sodium", unit: "mg" },
+  potassium: { label: "Potassium", unit: "mg" },
+  phosphorus: { label: "Phosphorus", unit: "mg" },
+  saturatedFat: { label: "Saturated fat", unit: "g" },
+  protein: { label: "Protein", unit: "g" }
+};
+const BASE_NUTRIENTS = ["calories", "protein", "carbs", "fat"];
+
+export const CONDITIONS = {
+  "type-2-diabetes": {
+    label: "Type 2 diabetes",
+    names: ["diabetes", "type 2 diabetes", "type ii diabetes", "t2d", "t2dm", "prediabetes", "pre-diabetes"],
+    limits: [{ nutrient: "carbs", per: "meal", max: 60 }, { nutrient: "sugar", per: "day", max: 25 }],
+    guidance: "favor high-fiber, low-glycemic carbs and pair them with protein"
+  },
+  hypertension: {
+    label: "Hypertension",
+    names: ["hypertension", "high blood pressure", "htn"],
+    limits: [{ nutrient: "sodium", per: "day", max: 1500 }],
+    guidance: "DASH-style: vegetables, fruit, legumes, little added salt and no cured meats"
+  },
+  ckd: {
+    label: "Chronic kidney disease",
+    names: ["ckd", "chronic kidney disease", "kidney disease", "renal disease", "renal failure"],
+    limits: [
+      { nutrient: "sodium", per: "day", max: 2000 },
+      { nutrient: "potassium", per: "day", max: 2000 },
+      { nutrient: "phosphorus", per: "day", max: 800 },
+      { nutrient: "protein", per: "day", maxPerKg: 0.8 }
+    ],
+    guidance: "moderate protein, no salt substitutes (potassium chloride), limit dairy, nuts and processed foods"
+  },
+  "high-cholesterol": {
+    label: "High cholesterol",
+    names: ["high cholesterol", "cholesterol", "hyperlipidemia", "hypercholesterolemia", "dyslipidemia"],
+    limits: [{ nutrient: "saturatedFat", per: "day", max: 13 }],
+    guidance: "unsaturated fats (olive oil, nuts, fish), oats and legumes; little butter, fatty meat and full-fat dairy"
+  },
+  pregnancy: {
+    label: "Pregnancy",
+    names: ["pregnancy", "pregnant", "expecting"],
+    limits: [],
+    avoid: ["sushi", "sashimi", "raw fish", "raw egg", "raw oyster", "tartare", "carpaccio", "ceviche", "swordfish", "shark", "king mackerel", "tilefish", "bigeye tuna", "marlin", "orange roughy", "unpasteurized", "raw milk", "deli meat", "pate", "liver", "alcohol", "wine", "beer", "rum", "vodka", "sake"],
+    avoidExcept: ["wine vinegar", "rice wine vinegar", "red wine vinegar", "white wine vinegar", "rum extract"],
+    guidance: "everything fully cooked; folate, iron and calcium rich foods"
+  },
+  celiac: {
+    label: "Celiac disease",
+    names: ["celiac", "coeliac", "celiac disease", "coeliac disease"],
+    limits: [],
+    diets: ["Gluten-Free"],
+    guidance: "strictly gluten-free, including sauces and oats not labeled gluten-free"
+  }
+};
+
+/**
+ * Known conditions named in free text ("Diabetes, high blood pressure" → type-2-diabetes, hypertension).
+ * @param {string} text
+ * @returns {string[]} CONDITIONS keys
+ */
+export function detectConditions(text) {
+  const padded = ` ${String(text || "").toLowerCase().replace(/[^a-z0-9-]+/g, " ")} `;
+  return Object.keys(CONDITIONS).filter(key => CONDITIONS[key].names.some(name => padded.includes(` ${name} `)));
+}
+
+const planShare = (profile) => profile.meals.reduce((sum, m) => sum + (MEAL_SHARES[m] || 0), 0) || 1;
+
+/**
+ * The profile's limits with their budget for the planned meals: per-meal limits as given,
+ * daily limits scaled by the planned meals' share of the day. Per-kg limits need weightKg.
+ * When two conditions limit the same nutrient, the stricter limit wins.
+ * @param {object} profile - output of parseProfile
+ * @returns {Array<{condition: string, nutrient: string, per: "meal"|"day", max: number, budget: number}>}
+ */
+export function conditionLimits(profile) {
+  const share = planShare(profile);
+  const strictest = new Map();
+  (profile.conditions || []).forEach(key => CONDITIONS[key].limits.forEach(limit => {
+    const max = limit.maxPerKg ? (profile.weightKg ? Math.round(limit.maxPerKg * profile.weightKg) : null) : limit.max;
+    const id = `${limit.nutrient}/${limit.per}`;
+    if (max == null || (strictest.has(id) && strictest.get(id).max <= max)) return;
+    strictest.set(id, { condition: key, nutrient: limit.nutrient, per: limit.per, max, budget: limit.per === "day" ? Math.round(max * share) : max });
+  }));
+  return [...strictest.values()];
+}
+
+/**
+ * Extra nutrients (beyond calories and macros) each item must report for the limits.
+ * @param {object} profile
+ * @returns {string[]}
+ */
+export function requiredNutrients(profile) {
+  return [...new Set(conditionLimits(profile).map(l => l.nutrient))].filter(n => !BASE_NUTRIENTS.includes(n));
+}
+
+const formatLimit = (l) => {
+  const { label, unit } = NUTRIENTS[l.nutrient];
+  const scope = l.per === "meal" ? "per meal" : l.budget === l.max ? "per day" : `per day, so ≤${l.budget}${unit} across these meals`;
+  return `${label} ≤${l.max}${unit} ${scope}`;
+};
+
+// Free-text notes that say there is nothing to note
+const NO_NOTES = /^(?:none|n\/?a|no|nothing|-)?\.?$/i;
+
+/**
+ * Prompt lines for the profile's conditions: limits, guidance, the nutrients to report and
+ * the free-text medical notes. Empty when there are neither conditions nor notes.
+ * @param {object} profile
+ * @returns {string}
+ */
+export function describeConditions(profile) {
+  const keys = profile.conditions || [];
+  const notes = String(profile.medicalConditions || "").trim();
+  const limits = conditionLimits(profile);
+  const extra = requiredNutrients(profile);
+  const lines = [];
+  if (notes && !NO_NOTES.test(notes)) lines.push(`Medical notes from the user: ${notes}`);
+  if (keys.length) lines.push(`Medical conditions: ${keys.map(k => `${CONDITIONS[k].label} (${CONDITIONS[k].guidance})`).join("; ")}`);
+  if (limits.length) lines.push(`Hard limits (these override any target above): ${limits.map(formatLimit).join("; ")}`);
+  if (extra.length) lines.push(`Also give each item ${extra.map(n => `"${n}" (${NUTRIENTS[n].unit})`).join(", ")} as numbers`);
+  return lines.join("\n");
+}
+
+const sumNutrient = (items, nutrient) => {
+  let known = true;
+  const total = items.reduce((sum, it) => {
+    const value = Number(it[nutrient]);
+    if (it[nutrient] == null || !Number.isFinite(value)) known = false;
+    return sum + (Number.isFinite(value) ? value : 0);
+  }, 0);
+  return known ? Math.round(total) : null;
+};
+
+function warning(l, value, meal) {
+  const { label, unit } = NUTRIENTS[l.nutrient];
+  const where = meal ? `${meal} has` : "These meals have";
+  const limit = l.per === "meal" ? `${l.max}${unit} per meal` : `${l.budget}${unit}${l.budget === l.max ? " per day" : ` (your ${l.max}${unit} daily limit, scaled to these meals)`}`;
+  return {
+    condition: l.condition, nutrient: l.nutrient, per: l.per, meal: meal || null, value, limit: l.per === "meal" ? l.max : l.budget, unit,
+    message: `${where} ${value}${unit} ${label.toLowerCase()}, above ${limit} for ${CONDITIONS[l.condition].label.toLowerCase()}`
+  };
+}
+
+/**
+ * Check each day against the profile's limits. Days that breach one get `day.conditionWarnings`;
+ * a plan for any condition gets `plan.medical = { conditions, disclaimer }`. Items that don't
+ * report a nutrient leave that limit unchecked for their meal or day.
+ * @param {object} plan - normalized plan; mutated
+ * @param {object} profile
+ * @returns {{conditions: string[], limits: number, checked: number, breaches: number, unchecked: number}}
+ */
+export function checkPlanConditions(plan, profile) {
+  const keys = profile.conditions || [];
+  const limits = conditionLimits(profile);
+  const summary = { conditions: keys, limits: limits.length, checked: 0, breaches: 0, unchecked: 0 };
+
+  if (keys.length) plan.medical = { conditions: keys.map(k => CONDITIONS[k].label), disclaimer: DISCLAIMER };
+  else delete plan.medical;
+
+  (plan.days || []).forEach(day => {
+    const warnings = [];
+    const test = (l, items, meal) => {
+      const value = sumNutrient(items, l.nutrient);
+      if (value == null) { summary.unchecked++; return; }
+      summary.checked++;
+      if (value > (l.per === "meal" ? l.max : l.budget)) warnings.push(warning(l, value, meal));
+    };
+    limits.forEach(l => {
+      if (l.per === "meal") (day.meals || []).filter(m => m.items?.length).forEach(m => test(l, m.items, m.name));
+      else test(l, (day.meals || []).flatMap(m => m.items || []));
+    });
+    summary.breaches += warnings.length;
+    if (warnings.length) day.conditionWarnings = warnings;
+    else delete day.conditionWarnings;
+  });
+
+  if (summary.breaches) console.warn(`[Conditions] ${summary.breaches} limit breach(es) for ${keys.join(", ")}`);
+  return summary;
+}
@@ -0,0 +1,96 @@
+// Shared helpers for the serverless API routes. Bodies use Gemini's request/response
+// shapes whichever provider (lib/providers) serves them.
+
+import { getProvider } from "./providers/index.js";
+import { modelChain, withFallback, streamWithFallback } from "./model-fallback.js";
+
+const DEFAULT_MODEL = "gemini-2.0-flash";
+
+/**
+ * Resolve the model for a request. LLM_MODEL (or GEMINI_MODEL) always wins, matching the proxy's override.
+ * @param {string} [requested]
+ * @returns {string}
+ */
+export function resolveModel(requested) {
+  return process.env.LLM_MODEL || process.env.GEMINI_MODEL || requested || DEFAULT_MODEL;
+}
+
+/**
+ * Call the configured provider's generate and return a Gemini-shaped response.
+ * Falls back through LLM_FALLBACK_MODELS (lib/model-fallback); the response's
+ * servedBy records the model that answered, the number of attempts and the latency.
+ * @param {string} model - e.g. "gemini-2.0-flash"
+ * @param {object} body - Gemini request body
+ * @returns {Promise<object>}
+ */
+export async function generateContent(model, body) {
+  const provider = getProvider();
+  const started = Date.now();
+  const { result, ...servedBy } = await withFallback(modelChain(model), m => provider.generate(m, body));
+  return { ...result, servedBy: { ...servedBy, latencyMs: Date.now() - started } };
+}
+
+/**
+ * Stream a generation, calling onText with every text delta as it arrives.
+ * Resolves with a response shaped like generateContent's (all text in one part),
+ * so getFirstPartText applies the same finishReason checks. Fallback and retry
+ * apply until the first chunk arrives.
+ * @param {string} model
+ * @param {object} body
+ * @param {(delta: string) => void} [onText]
+ * @returns {Promise<object>}
+ */
+export async function streamGenerateContent(model, body, onText) {
+  let text = "", finishReason = null, usageMetadata = null, promptFeedback = null;
+
+  const provider = getProvider();
+  const started = Date.now();
+  const { chunks, first, ...servedBy } = await streamWithFallback(modelChain(model), m => provider.stream(m, body));
+
+  for (let next = first; !next.done; next = await chunks.next()) {
+    const chunk = next.value;
+    const candidate = chunk.candidates?.[0];
+    const delta = (candidate?.content?.parts || []).map(p => p.text || "").join("");
+    if (delta) {
+      text += delta;
+      if (onText) onText(delta);
+    }
+    finishReason = candidate?.finishReason || finishReason;
+    usageMetadata = chunk.usageMetadata || usageMetadata;
+    promptFeedback = chunk.promptFeedback || promptFeedback;
+  }
+
+  return {
+    candidates: [{ finishReason, content: { parts: [{ text }] } }],
+    usageMetadata,
+    promptFeedback,
+    servedBy: { ...servedBy, latencyMs: Date.now() - started }
+  };
+}
+
+/**
+ * Return the first non-empty text part of a Gemini response.
+ * Throws on blocked, truncated or safety-stopped output so callers don't parse partial JSON.
+ * @param {object} response
+ * @returns {string}
+ */
+export function getFirstPartText(response) {
+  if (!response) return "";
+
+  if (response.promptFeedback?.blockReason) {
+    throw new Error(`Content blocked by API: ${response.promptFeedback.blockReason}`);
+  }
+
+  const candidate = response.candidates?.[0];
+  if (!candidate) return "";
+
+  if (candidate.finishReason === "MAX_TOKENS") {
+    throw new Error("MAX_TOKENS: Response truncated due to token limit.");
+  }
+  if (candidate.finishReason === "SAFETY" || candidate.finishReason === "RECITATION") {
+    throw new Error(`Generation stopped: ${candidate.finishReason}`);
+  }
+
+  const part = (candidate.content?.parts || []).find(p => typeof p?.text === "string" && p.text.trim());
+  return part ? part.text : "";
+}
@@ -0,0 +1,144 @@
+// Household plans: one set of shared meals for several people.
+//
+// The profile's own fields describe the account holder; `members` adds the other people
+// at the table, each with their own measurements, goal, diet, exclusions, allergies and
+// conditions. Everyone eats the same recipes, so combineHousehold() folds the members'
+// hard constraints into the profile and lib/rules and lib/conditions check them as usual.
+// Recipes stay one base serving; each person gets a portion of it sized to their own
+// calorie target for that meal, and the day view shows each person's totals.
+//
+// Members are stored per account in the household_members table (FIXED_DATABASE_SETUP.sql)
+// and edited through lib/routes/household.js.
+
+import { rest } from "./supabase.js";
+import { requestError } from "./quota.js";
+import { computeTargets } from "./targets.js";
+
+export const MAX_MEMBERS = 7;
+export const OWNER_NAME = "You";
+
+// Portions are multiples of the base serving, in quarters
+const PORTION_STEP = 0.25;
+const MIN_PORTION = 0.5;
+const MAX_PORTION = 3;
+const KEYS = ["calories", "protein", "carbs", "fat"];
+
+const union = (lists) => [...new Set(lists.flat())];
+
+const roundPortion = (p) => Math.min(MAX_PORTION, Math.max(MIN_PORTION, Math.round(p / PORTION_STEP) * PORTION_STEP));
+
+/**
+ * Attach the members to a parsed profile and make its constraints everyone's: diets,
+ * allergies and conditions are merged, exclusions joined. Targets stay the holder's.
+ * @param {object} profile - output of parseProfile; mutated
+ * @param {object[]} members - parsed members ({ name, age, gender, goal, diet, ... })
+ * @returns {object} the profile
+ */
+export function combineHousehold(profile, members) {
+  if (!members.length) return profile;
+  const everyone = [profile, ...members];
+  profile.members = members;
+  profile.diet = union(everyone.map(p => p.diet));
+  profile.allergies = union(everyone.map(p => p.allergies));
+  profile.conditions = union(everyone.map(p => p.conditions));
+  profile.exclusions = union(everyone.map(p => p.exclusions ? [p.exclusions] : [])).join(", ");
+  return profile;
+}
+
+const describeMember = (m) =>
+  `${m.name} (${m.age}yr ${m.gender}, ${m.goal}${m.diet.length ? ", " + m.diet.join("/") : ""})`;
+
+/**
+ * Prompt line for a household plan. Empty without members.
+ * @param {object} profile
+ * @returns {string}
+ */
+export function describeHousehold(profile) {
+  const members = profile.members || [];
+  if (!members.length) return "";
+  return `Shared household meals for ${members.length + 1} people: the user and ${members.map(describeMember).join(", ")}. Every recipe must suit all of them (the rules here already cover everyone). Write each recipe as one standard serving; portions are scaled per person.`;
+}
+
+function people(profile) {
+  return [
+    { name: OWNER_NAME, targets: computeTargets(profile) },
+    ...profile.members.map(m => ({ name: m.name, targets: computeTargets({ ...m, meals: profile.meals }) }))
+  ];
+}
+
+/**
+ * Size everyone's portions of a household plan. Each item gets `portions: [{ name, portion }]`
+ * (servings of the recipe, holder first), each day `memberTotals: [{ name, calories, protein,
+ * carbs, fat, target }]`, and the plan `household: { members: [{ name, targets }], unsized }`.
+ * People without height and weight have no targets to size a portion to: they get one serving
+ * and are named in `unsized` so the app can say so. Plans without members lose these fields.
+ * @param {object} plan - normalized plan; mutated
+ * @param {object} profile
+ * @returns {object|null} plan.household
+ */
+export function applyPortions(plan, profile) {
+  const days = plan.days || [];
+  if (!profile.members?.length) {
+    delete plan.household;
+    days.forEach(day => {
+      delete day.memberTotals;
+      (day.meals || []).forEach(meal => (meal.items || []).forEach(item => { delete item.portions; }));
+    });
+    return null;
+  }
+
+  const everyone = people(profile);
+  const unsized = everyone.filter(p => !p.targets).map(p => p.name);
+  plan.household = { members: everyone.map(p => ({ name: p.name, targets: p.targets?.planned || null })), unsized };
+
+  days.forEach(day => {
+    const totals = everyone.map(() => Object.fromEntries(KEYS.map(k => [k, 0])));
+    (day.meals || []).forEach(meal => (meal.items || []).forEach(item => {
+      item.portions = everyone.map((person, i) => {
+        const target = person.targets?.meals?.[meal.name]?.calories;
+        const portion = target && item.calories > 0 ? roundPortion(target / meal.items.length / item.calories) : 1;
+        KEYS.forEach(k => { totals[i][k] += (+item[k] || 0) * portion; });
+        return { name: person.name, portion };
+      });
+    }));
+    day.memberTotals = everyone.map((person, i) => ({
+      name: person.name,
+      ...Object.fromEntries(KEYS.map(k => [k, Math.round(totals[i][k])])),
+      target: person.targets?.planned?.calories ?? null
+    }));
+  });
+
+  return plan.household;
+}
+
+/**
+ * A user's saved household members, in order.
+ * @param {string} userId
+ * @returns {Promise<object[]>} the stored members ({ name, ...profile fields })
+ */
+export async function listHouseholdMembers(userId) {
+  const rows = await rest(`household_members?user_id=eq.${userId}&select=name,profile&order=position.asc`);
+  return rows.map(row => ({ ...row.profile, name: row.name }));
+}
+
+/**
+ * Replace a user's household members in one transaction (replace_household_members()), so a
+ * failed save keeps the previous ones.
+ * @param {string} userId
+ * @param {object[]} members - parsed members
+ * @returns {Promise<object[]>} the saved members
+ */
+export async function saveHouseholdMembers(userId, members) {
+  try {
+    await rest("rpc/replace_household_members", {
+      method: "POST",
+      body: { p_user_id: userId, p_members: members.map(({ name, ...profile }) => ({ name, profile })) }
+    });
+  } catch (err) {
+    if (err.dbCode === "P0002") {
+      throw requestError(403, "PROFILE_NOT_FOUND", "No profile found for this account.");
+    }
+    throw err;
+  }
+  return members;
+}
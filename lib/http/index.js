@@ -0,0 +1,111 @@
+// Platform-neutral HTTP layer for the API routes in lib/routes. A route takes a plain
+// request and returns a plain response; lib/http/vercel.js and lib/http/netlify.js
+// translate to and from each host's function signature, so both hosts share CORS,
+// preflight and method handling.
+//
+// ALLOWED_ORIGIN (comma-separated, default "*") lists the origins CORS allows.
+
+/**
+ * @typedef {object} ApiRequest
+ * @property {string} method
+ * @property {Object<string, string>} headers - lower-cased names
+ * @property {any} body - parsed JSON body, or null
+ * @property {Object<string, string>} query
+ * @property {string|null} ip - client address from the header the host itself sets
+ *   (vercel.js, netlify.js); never read from a header the client could choose
+ */
+
+/**
+ * @typedef {object} ApiResponse
+ * @property {number} status
+ * @property {Object<string, string>} [headers]
+ * @property {any} [body] - serialized as JSON unless it is a string
+ * @property {AsyncIterable<string>} [stream] - SSE frames; Vercel relays them live, Netlify buffers them
+ */
+
+/**
+ * @typedef {object} Route
+ * @property {string} name - used in logs
+ * @property {string[]} methods - e.g. ["POST"]; OPTIONS is always answered
+ * @property {string[]} [exposeHeaders] - response headers browsers may read
+ * @property {(request: ApiRequest) => Promise<ApiResponse>} handle
+ */
+
+/**
+ * JSON response helper.
+ * @param {number} status
+ * @param {any} body
+ * @param {Object<string, string>} [headers]
+ * @returns {ApiResponse}
+ */
+export function json(status, body, headers = {}) {
+  return { status, headers, body };
+}
+
+/**
+ * CORS headers for a request's Origin. With a list of origins, a listed Origin is
+ * echoed back; anything else gets the first entry, which the browser will reject.
+ * @param {string} origin - the request's Origin header
+ * @param {Route} route
+ * @returns {Object<string, string>}
+ */
+export function corsHeaders(origin, route) {
+  const allowedList = (process.env.ALLOWED_ORIGIN || "*").split(",").map(s => s.trim()).filter(Boolean);
+  const allowOrigin = allowedList.includes("*")
+    ? "*"
+    : (origin && allowedList.includes(origin) ? origin : (allowedList[0] || "*"));
+
+  const headers = {
+    "Access-Control-Allow-Origin": allowOrigin,
+    "Vary": "Origin",
+    "Access-Control-Allow-Methods": [...route.methods, "OPTIONS"].join(", "),
+    "Access-Control-Allow-Headers": "Content-Type, Authorization"
+  };
+  if (route.exposeHeaders?.length) headers["Access-Control-Expose-Headers"] = route.exposeHeaders.join(", ");
+  return headers;
+}
+
+/**
+ * Lower-case header names, as Node does for Vercel but not every host guarantees.
+ * @param {object} [headers]
+ * @returns {Object<string, string>}
+ */
+export function normalizeHeaders(headers = {}) {
+  return Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+}
+
+/**
+ * Run a route: answer preflight, reject other methods, parse the JSON body and
+ * turn uncaught errors into JSON. CORS headers are added to every response.
+ * @param {Route} route
+ * @param {object} request - an ApiRequest whose body may still be a JSON string
+ * @returns {Promise<ApiResponse>}
+ */
+export async function runRoute(route, request) {
+  const headers = normalizeHeaders(request.headers);
+  const cors = corsHeaders(headers.origin || "", route);
+
+  if (request.method === "OPTIONS") {
+    return { status: 204, headers: cors, body: "" };
+  }
+  if (!route.methods.includes(request.method)) {
+    return json(405, { error: "Method Not Allowed" }, cors);
+  }
+
+  let body = request.body ?? null;
+  if (typeof body === "string") {
+    try {
+      body = body ? JSON.parse(body) : null;
+    } catch {
+      return json(400, { error: "INVALID_JSON", message: "The request body is not valid JSON." }, cors);
+    }
+  }
+
+  try {
+    const response = await route.handle({ ...request, headers, body, query: request.query || {} });
+    return { ...response, headers: { ...cors, ...response.headers } };
+  } catch (err) {
+    console.error(`[${route.name}] Exception:`, err);
+    return json(err.status || 500, { error: err.message || "Server error" }, cors);
+  }
+}
@@ -0,0 +1,46 @@
+// Netlify adapter: wraps a lib/routes route as a Netlify Functions handler(event).
+// Netlify's buffered functions can't stream, so SSE frames are collected and
+// returned as one text/event-stream body.
+
+import { runRoute, normalizeHeaders } from "./index.js";
+
+/**
+ * @param {import("./index.js").Route} route
+ * @returns {(event: object) => Promise<{statusCode: number, headers: object, body: string}>}
+ */
+export function toNetlifyHandler(route) {
+  return async function handler(event) {
+    const rawBody = event.isBase64Encoded && event.body
+      ? Buffer.from(event.body, "base64").toString("utf8")
+      : event.body;
+
+    const response = await runRoute(route, {
+      method: event.httpMethod,
+      headers: event.headers || {},
+      body: rawBody,
+      query: event.queryStringParameters || {},
+      // Netlify sets this from the connection, replacing whatever the client sent
+      ip: normalizeHeaders(event.headers)["x-nf-client-connection-ip"] || null
+    });
+
+    if (!response.stream) {
+      return {
+        statusCode: response.status,
+        headers: response.headers,
+        body: typeof response.body === "string" ? response.body : JSON.stringify(response.body)
+      };
+    }
+
+    let body = "";
+    try {
+      for await (const frame of response.stream) body += frame;
+    } catch (err) {
+      console.error(`[${route.name}] Stream exception:`, err);
+    }
+    return {
+      statusCode: response.status,
+      headers: { ...response.headers, "Content-Type": "text/event-stream; charset=utf-8", "Cache-Control": "no-cache" },
+      body
+    };
+  };
+}
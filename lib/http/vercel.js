@@ -0,0 +1,39 @@
+// Vercel adapter: wraps a lib/routes route as an (req, res) handler for api/.
+// Streaming responses are written frame by frame as Server-Sent Events.
+
+import { runRoute } from "./index.js";
+import { startSSE } from "../sse.js";
+
+/**
+ * @param {import("./index.js").Route} route
+ * @returns {(req: object, res: object) => Promise<void>}
+ */
+export function toVercelHandler(route) {
+  return async function handler(req, res) {
+    const response = await runRoute(route, {
+      method: req.method,
+      headers: req.headers,
+      body: req.body,
+      query: req.query,
+      // Vercel's edge sets x-real-ip from the connection, replacing whatever the client sent
+      ip: req.headers["x-real-ip"] || req.socket?.remoteAddress || null
+    });
+
+    Object.entries(response.headers || {}).forEach(([key, value]) => res.setHeader(key, value));
+
+    if (!response.stream) {
+      if (typeof response.body === "string") res.status(response.status).send(response.body);
+      else res.status(response.status).json(response.body);
+      return;
+    }
+
+    startSSE(res);
+    try {
+      for await (const frame of response.stream) res.write(frame);
+    } catch (err) {
+      // Headers are sent, so the status can't change; the client sees the stream end early
+      console.error(`[${route.name}] Stream exception:`, err);
+    }
+    res.end();
+  };
+}
@@ -0,0 +1,472 @@
+// Meal-plan builder: turns a structured profile into Gemini prompts and
+// parses the model output into a normalized plan object.
+
+import { generateContent, streamGenerateContent, getFirstPartText } from "./gemini.js";
+import { ACTIVITY_LEVELS, computeTargets, describeTargets } from "./targets.js";
+import { describeConstraints } from "./rules/index.js";
+import { ALLERGENS } from "./rules/lexicon.js";
+import { CONDITIONS, NUTRIENTS, describeConditions, detectConditions } from "./conditions.js";
+import { MAX_MEMBERS, combineHousehold, describeHousehold } from "./household.js";
+import { AISLES, classifyAisle } from "../js/aisles.js";
+
+export const MEAL_NAMES = ["Breakfast", "Lunch", "Dinner"];
+// Background jobs (lib/plan-jobs) take up to four weeks; a single request generates at most one
+export const MAX_DAYS = 28;
+export const MAX_SYNC_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What each household member keeps of their parsed profile
+const MEMBER_FIELDS = ["age", "gender", "goal", "diet", "exclusions", "conditions", "allergies", "heightCm", "weightKg", "activity"];
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// One example item per meal, shown to the model as the expected shape
+const MEAL_EXAMPLES = {
+  Breakfast: '{"name":"Breakfast","items":[{"title":"Scrambled Eggs","calories":350,"protein":20,"carbs":30,"fat":15,"ingredients":[{"item":"Eggs","qty":2,"unit":"large","category":"Dairy & Eggs"}],"steps":["Beat eggs","Cook","Serve"],"benefits":"High protein for energy","tips":"Cook on medium heat"}]}',
+  Lunch: '{"name":"Lunch","items":[{"title":"Grilled Chicken","calories":450,"protein":35,"carbs":25,"fat":20,"ingredients":[{"item":"Chicken breast","qty":4,"unit":"oz","category":"Meat & Seafood"}],"steps":["Grill chicken","Serve"],"benefits":"Lean protein for muscle","tips":"Don\'t overcook"}]}',
+  Dinner: '{"name":"Dinner","items":[{"title":"Baked Salmon","calories":500,"protein":40,"carbs":30,"fat":25,"ingredients":[{"item":"Salmon","qty":5,"unit":"oz","category":"Meat & Seafood"}],"steps":["Bake salmon","Serve"],"benefits":"Omega-3 for heart health","tips":"Bake at 400°F"}]}'
+};
+
+const GENERATION_CONFIG = {
+  maxOutputTokens: 8000,
+  temperature: 0.7,
+  topP: 0.95,
+  topK: 40
+};
+
+const toList = (v) => (Array.isArray(v) ? v : (v ? String(v).split(",") : []))
+  .map(s => String(s).trim())
+  .filter(Boolean);
+
+const capitalize = (s) => s ? s.charAt(0).toUpperCase() + s.slice(1).toLowerCase() : "";
+
+// Missing or non-numeric values become null so schema validation can flag them
+const toNumber = (v) => {
+  if (v == null || (typeof v === "string" && v.trim() === "")) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * Parse a calendar date ("2026-10-20") as midnight UTC.
+ * @param {string} value
+ * @returns {Date|null}
+ */
+export function parseDate(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || "").trim());
+  if (!m) return null;
+  const date = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  return date.getUTCMonth() === +m[2] - 1 && date.getUTCDate() === +m[3] ? date : null;
+}
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+// Next occurrence of a weekday (today included), for clients that only send startDay
+function nextWeekday(dayName) {
+  const today = new Date();
+  const start = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+  const offset = (WEEKDAYS.indexOf(dayName) - start.getUTCDay() + 7) % 7;
+  return new Date(start.getTime() + offset * DAY_MS);
+}
+
+/**
+ * Validate a structured profile from the request body.
+ * @param {object} input - { age, gender, goal, diet, exclusions, meals, days, startDate?, startDay?, ethnicity?,
+ *   medicalConditions?, conditions?, allergies?, heightCm?, weightKg?, activity?, members? }
+ * @param {{maxDays?: number}} [options] - longest plan the caller accepts (default MAX_DAYS)
+ * @returns {{profile: object|null, errors: string[]}}
+ */
+export function parseProfile(input, { maxDays = MAX_DAYS } = {}) {
+  const src = input && typeof input === "object" ? input : {};
+  const errors = [];
+
+  const age = Number(src.age);
+  if (!Number.isFinite(age) || age < 10 || age > 110) errors.push("age must be a number between 10 and 110");
+
+  const gender = String(src.gender || "").trim();
+  if (!gender) errors.push("gender is required");
+
+  const meals = toList(src.meals).map(capitalize);
+  const unknownMeals = meals.filter(m => !MEAL_NAMES.includes(m));
+  if (unknownMeals.length) errors.push(`unknown meals: ${unknownMeals.join(", ")}`);
+
+  const days = src.days == null ? 1 : Number(src.days);
+  if (!Number.isInteger(days) || days < 1 || days > maxDays) errors.push(`days must be an integer between 1 and ${maxDays}`);
+
+  // startDate is the plan's first calendar day; startDay (a weekday name) is the older form
+  const startDay = capitalize(String(src.startDay || "").trim());
+  if (startDay && !WEEKDAYS.includes(startDay)) errors.push("startDay must be a weekday name");
+  const startDate = src.startDate ? parseDate(src.startDate) : null;
+  if (src.startDate && !startDate) errors.push("startDate must be a date (YYYY-MM-DD)");
+
+  // Body measurements are optional; with both, the prompts carry calorie and macro targets
+  const heightCm = src.heightCm == null || src.heightCm === "" ? null : Number(src.heightCm);
+  if (heightCm != null && !(heightCm >= 100 && heightCm <= 250)) errors.push("heightCm must be a number between 100 and 250");
+  const weightKg = src.weightKg == null || src.weightKg === "" ? null : Number(src.weightKg);
+  if (weightKg != null && !(weightKg >= 25 && weightKg <= 350)) errors.push("weightKg must be a number between 25 and 350");
+  const activity = String(src.activity || "").trim().toLowerCase();
+  if (activity && !ACTIVITY_LEVELS[activity]) errors.push(`activity must be one of: ${Object.keys(ACTIVITY_LEVELS).join(", ")}`);
+
+  // Allergies are hard constraints: recipes with the allergen fail the constraint check
+  const allergies = toList(src.allergies).map(a => a.toLowerCase());
+  // Structured conditions, plus the known ones named in the free-text medicalConditions
+  const conditions = toList(src.conditions).map(c => c.toLowerCase());
+  const unknownConditions = conditions.filter(c => !CONDITIONS[c]);
+  if (unknownConditions.length) errors.push(`unknown conditions: ${unknownConditions.join(", ")} (use ${Object.keys(CONDITIONS).join(", ")})`);
+  detectConditions(src.medicalConditions).forEach(c => { if (!conditions.includes(c)) conditions.push(c); });
+
+  const unknownAllergies = allergies.filter(a => !ALLERGENS[a]);
+  if (unknownAllergies.length) errors.push(`unknown allergies: ${unknownAllergies.join(", ")} (use ${Object.keys(ALLERGENS).join(", ")})`);
+
+  // Household members share every meal (lib/household)
+  const { members, errors: memberErrors } = parseMembers(src.members);
+  errors.push(...memberErrors);
+
+  if (errors.length) return { profile: null, errors };
+
+  const profile = {
+    age,
+    gender,
+    goal: String(src.goal || "").trim() || "Maintain Weight",
+    diet: toList(src.diet),
+    exclusions: String(src.exclusions || "").trim(),
+    ethnicity: String(src.ethnicity || "").trim(),
+    medicalConditions: String(src.medicalConditions || "").trim(),
+    conditions: Object.keys(CONDITIONS).filter(c => conditions.includes(c)),
+    allergies: Object.keys(ALLERGENS).filter(a => allergies.includes(a)),
+    meals: meals.length ? MEAL_NAMES.filter(m => meals.includes(m)) : MEAL_NAMES.slice(),
+    days,
+    startDate: isoDate(startDate || nextWeekday(startDay || WEEKDAYS[new Date().getUTCDay()])),
+    heightCm,
+    weightKg,
+    activity: activity || null
+  };
+  return { profile: combineHousehold(profile, members), errors };
+}
+
+/**
+ * Validate household members: each is a person as in parseProfile (age, gender, goal, diet,
+ * exclusions, allergies, conditions, heightCm, weightKg, activity) plus a name.
+ * @param {object[]} [input]
+ * @returns {{members: object[], errors: string[]}} errors are prefixed with the member's index
+ */
+export function parseMembers(input) {
+  const list = input == null ? [] : input;
+  if (!Array.isArray(list)) return { members: [], errors: ["members must be an array"] };
+  if (list.length > MAX_MEMBERS) return { members: [], errors: [`members can list at most ${MAX_MEMBERS} people`] };
+
+  const errors = [];
+  const members = list.map((m, i) => {
+    const { profile, errors: personErrors } = parseProfile({ ...m, members: undefined, meals: undefined, days: 1 });
+    errors.push(...personErrors.map(e => `members[${i}].${e}`));
+    const name = String(m?.name || "").trim().slice(0, 40) || `Member ${i + 1}`;
+    return profile && { name, ...Object.fromEntries(MEMBER_FIELDS.map(k => [k, profile[k]])) };
+  });
+  return { members: errors.length ? [] : members, errors };
+}
+
+/**
+ * Calendar dates of the plan, starting at profile.startDate.
+ * @param {object} profile
+ * @returns {Array<{date: string, day: string}>} ISO date and weekday name
+ */
+export function planDates(profile) {
+  const start = parseDate(profile.startDate);
+  return Array.from({ length: profile.days }, (_, i) => {
+    const date = new Date(start.getTime() + i * DAY_MS);
+    return { date: isoDate(date), day: WEEKDAYS[date.getUTCDay()] };
+  });
+}
+
+/**
+ * Generations a plan costs: one per started week.
+ * @param {object} profile
+ * @returns {number}
+ */
+export function generationCost(profile) {
+  return Math.ceil(profile.days / 7);
+}
+
+/**
+ * Short label for a plan date, e.g. "Oct 20".
+ * @param {string} date - ISO date
+ * @returns {string}
+ */
+export function formatPlanDate(date) {
+  return parseDate(date).toLocaleDateString("en-US", { month: "short", day: "numeric", timeZone: "UTC" });
+}
+
+/**
+ * One-line summary of the profile used in every prompt ("34yr Female, Weight Loss, Vegetarian, avoid mushrooms,
+ * allergic to peanuts").
+ * @param {object} profile
+ * @returns {string}
+ */
+export function describeProfile(profile) {
+  return `${profile.age}yr ${profile.gender}, ${profile.goal}${profile.diet.length ? ", " + profile.diet.join("/") : ""}${profile.exclusions ? ", avoid " + profile.exclusions : ""}${profile.allergies?.length ? ", allergic to " + profile.allergies.map(k => ALLERGENS[k].label.toLowerCase()).join("/") : ""}${profile.ethnicity ? ", " + profile.ethnicity + " cuisine" : ""}`;
+}
+
+/**
+ * Build the single-day prompt (same wording the browser used to send).
+ * @param {object} profile - output of parseProfile
+ * @param {string} dayName
+ * @param {string[]} [avoidTitles] - titles already used earlier in the plan
+ * @returns {string}
+ */
+export function buildDayPrompt(profile, dayName, avoidTitles = []) {
+  const avoid = avoidTitles.slice(0, 20).join(", ");
+  const examples = profile.meals.map(m => MEAL_EXAMPLES[m]).join(",");
+  const targets = computeTargets(profile);
+  const totals = targets ? targets.planned : { calories: 1800, protein: 120, carbs: 180, fat: 60 };
+  const never = describeConstraints(profile);
+  const medical = describeConditions(profile);
+  const household = describeHousehold(profile);
+
+  return `Return ONLY valid JSON, no explanatory text. Create ${profile.meals.join(", ")} for ${dayName}.
+
+Requirements: ${describeProfile(profile)}${household ? `\n${household}` : ""}${never ? `\n${never}` : ""}${targets ? `\n${describeTargets(targets)}\nSize portions so each meal's macros land within 10% of its target.` : ""}${medical ? `\n${medical}` : ""}${avoid ? `\nDo not repeat: ${avoid}` : ""}
+
+Include for each meal item:
+- Full ingredients with quantities for one serving (calories and macros are per serving too); each ingredient's "category" is its grocery aisle: ${AISLES.join(", ")}
+- Step-by-step cooking instructions
+- "benefits": Brief health benefits (1 sentence)
+- "tips": Cooking or preparation tips (1 sentence)
+- Complete macros (calories, protein, carbs, fat)
+
+JSON format (respond with ONLY this structure, no other text):
+{"days":[{"day":"${dayName}","totals":${JSON.stringify(totals)},"meals":[${examples}]}]}`;
+}
+
+/**
+ * Extract the first balanced JSON object from model text (tolerates ``` fences and chatter).
+ * @param {string} text
+ * @returns {object|null}
+ */
+export function extractFirstJSON(text) {
+  if (!text) return null;
+  const cleaned = String(text).replace(/```(?:json)?/gi, "").trim();
+  try { return JSON.parse(cleaned); } catch {}
+  const start = cleaned.indexOf("{"); if (start === -1) return null;
+  let depth = 0, inStr = false, esc = false;
+  for (let i = start; i < cleaned.length; i++) {
+    const ch = cleaned[i];
+    if (inStr) {
+      if (esc) { esc = false; }
+      else if (ch === "\\") { esc = true; }
+      else if (ch === '"') { inStr = false; }
+    } else {
+      if (ch === '"') inStr = true;
+      else if (ch === "{") depth++;
+      else if (ch === "}") { depth--; if (depth === 0) {
+        try { return JSON.parse(cleaned.slice(start, i + 1)); } catch { return null; }
+      }}
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the days array in the shapes the model tends to return.
+ * @param {object} obj
+ * @returns {{days: object[]}|null}
+ */
+export function coercePlan(obj) {
+  if (!obj) return null;
+  if (Array.isArray(obj)) return { days: obj };
+  if (Array.isArray(obj.days)) return obj;
+  if (Array.isArray(obj.plan?.days)) return obj.plan;
+  if (Array.isArray(obj.weekPlan?.days)) return obj.weekPlan;
+  if (Array.isArray(obj.week?.days)) return obj.week;
+  if (Array.isArray(obj.meals)) return { days: [obj] };
+  return null;
+}
+
+/**
+ * Parse quantities like 2, "1/2", "1 1/2" or "½" into a Number (null when unknown).
+ */
+export function parseQuantity(q) {
+  if (q == null || (typeof q === "string" && q.trim() === "")) return null;
+  if (typeof q === "number") return Number.isFinite(q) ? q : null;
+  if (typeof q !== "string") return null;
+
+  const s = q.trim()
+    .replace(/½/g, "1/2")
+    .replace(/¼/g, "1/4")
+    .replace(/¾/g, "3/4")
+    .replace(/⅓/g, "1/3")
+    .replace(/⅔/g, "2/3");
+
+  let m = s.match(/^([0-9]+(?:\.[0-9]+)?)\s+([0-9]+)\/([0-9]+)$/);
+  if (m) return Number(m[1]) + Number(m[2]) / Number(m[3]);
+  m = s.match(/^([0-9]+)\/([0-9]+)$/);
+  if (m) return Number(m[1]) / Number(m[2]);
+  m = s.match(/^([0-9]+(?:\.[0-9]+)?)$/);
+  if (m) return Number(m[1]);
+  return null;
+}
+
+/**
+ * Normalize an ingredient given as an object or a free-text line ("1 1/2 cup oats").
+ * `category` is always one of AISLES (js/aisles.js), whatever the model called it.
+ * @returns {{item: string, qty: number|null, unit: string, category: string}|null}
+ */
+export function normalizeIngredient(ing) {
+  if (typeof ing === "string") {
+    const s = ing.trim().replace(/\s+/g, " ");
+    if (!s) return null;
+    const m = s.match(/^(\d+(?:\.\d+)?\s+\d+\/\d+|\d+\/\d+|\d+(?:\.\d+)?|[½¼¾⅓⅔])\s*([a-zA-Z]+)?\s*(.*)$/);
+    if (m) {
+      const item = (m[3] || "").trim() || (m[2] || "");
+      return { item, qty: parseQuantity(m[1]), unit: m[3] ? (m[2] || "") : "", category: classifyAisle(item) };
+    }
+    return { item: s, qty: null, unit: "", category: classifyAisle(s) };
+  }
+  if (!ing || typeof ing !== "object" || !ing.item) return null;
+  const item = String(ing.item).trim();
+  return {
+    item,
+    qty: parseQuantity(ing.qty),
+    unit: String(ing.unit || "").trim(),
+    category: classifyAisle(item, ing.category)
+  };
+}
+
+/**
+ * Normalize one recipe item. Returns null when it has no title.
+ * @param {object} it
+ * @returns {object|null}
+ */
+export function normalizeItem(it) {
+  if (!it || typeof it !== "object") return null;
+  const item = {
+    title: String(it.title || "").trim(),
+    calories: toNumber(it.calories),
+    protein: toNumber(it.protein),
+    carbs: toNumber(it.carbs),
+    fat: toNumber(it.fat),
+    ingredients: (Array.isArray(it.ingredients) ? it.ingredients : []).map(normalizeIngredient).filter(Boolean),
+    steps: (Array.isArray(it.steps) ? it.steps : []).map(s => String(s).trim()).filter(Boolean)
+  };
+  ["benefits", "tips", "rationale"].forEach(k => { if (it[k]) item[k] = String(it[k]); });
+  ["tags", "allergens", "substitutions"].forEach(k => { if (Array.isArray(it[k])) item[k] = it[k].map(String); });
+  ["prepTime", "cookTime"].forEach(k => { if (it[k] != null) item[k] = toNumber(it[k]); });
+  // Extra nutrients the prompt asks for when the profile has medical conditions
+  Object.keys(NUTRIENTS).filter(k => !(k in item) && it[k] != null).forEach(k => { item[k] = toNumber(it[k]); });
+  return item.title ? item : null;
+}
+
+/**
+ * Day totals summed from the items (never trusted from the model).
+ * @param {object[]} meals
+ * @returns {{calories: number, protein: number, carbs: number, fat: number}}
+ */
+export function sumTotals(meals) {
+  const t = { calories: 0, protein: 0, carbs: 0, fat: 0 };
+  meals.forEach(m => (m.items || []).forEach(it => Object.keys(t).forEach(k => { t[k] += +it[k] || 0; })));
+  Object.keys(t).forEach(k => { t[k] = Math.round(t[k]); });
+  return t;
+}
+
+/**
+ * Normalize one model-produced day: keep only the requested meals (in order), coerce
+ * numbers and ingredients, and recompute totals from the items.
+ * @param {object} rawDay
+ * @param {string} dayName
+ * @param {string[]} mealNames
+ * @returns {object}
+ */
+export function normalizeDay(rawDay, dayName, mealNames) {
+  const byName = new Map();
+  (Array.isArray(rawDay?.meals) ? rawDay.meals : []).forEach(m => {
+    const key = capitalize(String(m?.name || "").trim());
+    if (key && !byName.has(key)) byName.set(key, m);
+  });
+
+  const meals = mealNames.map(name => {
+    const src = byName.get(name);
+    const items = (Array.isArray(src?.items) ? src.items : []).map(normalizeItem).filter(Boolean).slice(0, 1);
+    return { name, items };
+  });
+
+  return { day: dayName, totals: sumTotals(meals), meals };
+}
+
+/**
+ * Generate one day of the plan with a single Gemini call.
+ * @param {object} profile - output of parseProfile
+ * @param {string} model
+ * @param {{date: string, day: string}} planDate - an entry of planDates(profile)
+ * @param {string[]} usedTitles - titles from earlier days, to avoid repeats
+ * @param {{index?: number, onEvent?: Function, onResponse?: Function}} [options] - as for generateMealPlan
+ * @returns {Promise<object>} the normalized day
+ */
+export async function generateDay(profile, model, { date, day: dayName }, usedTitles = [], { index = 0, onEvent, onResponse } = {}) {
+  const prompt = buildDayPrompt(profile, dayName, usedTitles);
+  console.log(`[Meal Plan] Generating ${dayName} (${index + 1}/${profile.days}), prompt length: ${prompt.length}`);
+
+  const body = {
+    contents: [{ role: "user", parts: [{ text: prompt }] }],
+    generationConfig: GENERATION_CONFIG
+  };
+
+  let response;
+  if (onEvent) {
+    onEvent("day-start", { index, day: dayName, date });
+    response = await streamGenerateContent(model, body, text => onEvent("delta", { index, text }));
+  } else {
+    response = await generateContent(model, body);
+  }
+  if (onResponse) onResponse(response);
+
+  const parsed = coercePlan(extractFirstJSON(getFirstPartText(response)));
+  if (!parsed || !parsed.days.length) {
+    const err = new Error(`Could not parse a meal plan for ${dayName} from the model output`);
+    err.code = "PLAN_PARSE_FAILED";
+    throw err;
+  }
+
+  return { ...normalizeDay(parsed.days[0], dayName, profile.meals), date };
+}
+
+/**
+ * Titles used by the given days, in order.
+ * @param {object[]} days
+ * @returns {string[]}
+ */
+export function usedTitlesOf(days) {
+  return days.flatMap(d => (d.meals || []).flatMap(m => (m.items || []).map(it => it.title)));
+}
+
+/**
+ * Title for a plan built from this profile.
+ * @param {object} profile
+ * @returns {string}
+ */
+export function planTitle(profile) {
+  const dates = planDates(profile);
+  const first = dates[0];
+  if (profile.days === 1) return `Your ${profile.meals.join(", ")} for ${first.day}, ${formatPlanDate(first.date)}`;
+  return `Your ${profile.days}-Day Meal Plan (${formatPlanDate(first.date)} – ${formatPlanDate(dates[dates.length - 1].date)})`;
+}
+
+/**
+ * Generate a full plan for a validated profile, one Gemini call per day.
+ * With `onEvent`, each day is streamed and progress is reported as
+ * ("day-start", {index, day, date}), ("delta", {index, text}) and ("day", {index, day}).
+ * @param {object} profile - output of parseProfile
+ * @param {string} model
+ * @param {{onEvent?: (event: string, data: object) => void, onResponse?: (response: object) => void}} [options]
+ *   onResponse receives each model response (with servedBy), e.g. to report which models served the plan
+ * @returns {Promise<object>} { planTitle, notes, days }
+ */
+export async function generateMealPlan(profile, model, { onEvent, onResponse } = {}) {
+  const days = [];
+
+  for (const [index, planDate] of planDates(profile).entries()) {
+    const day = await generateDay(profile, model, planDate, usedTitlesOf(days), { index, onEvent, onResponse });
+    days.push(day);
+    if (onEvent) onEvent("day", { index, day });
+  }
+
+  return { planTitle: planTitle(profile), notes: "", targets: computeTargets(profile), days };
+}
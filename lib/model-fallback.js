@@ -0,0 +1,129 @@
+// Model fallback chain with retry for LLM calls. The requested model is tried first,
+// then each model in LLM_FALLBACK_MODELS (comma-separated) in order.
+//
+// Rate limits (429), upstream server errors (5xx) and network failures are retried
+// on the same model with jittered exponential backoff, up to LLM_MAX_RETRIES times,
+// before moving on. A 404 (model not found or not enabled) moves straight to the
+// next model. Anything else, e.g. a 400 for a bad request, fails immediately.
+// LLM_RETRY_BASE_MS and LLM_RETRY_MAX_MS tune the backoff.
+
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 500;
+const DEFAULT_RETRY_MAX_MS = 8000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Models to try for a request: the requested model, then the configured fallbacks.
+ * @param {string} model
+ * @returns {string[]}
+ */
+export function modelChain(model) {
+  const fallbacks = (process.env.LLM_FALLBACK_MODELS || "").split(",").map(s => s.trim()).filter(Boolean);
+  return [...new Set([model, ...fallbacks])];
+}
+
+/**
+ * Backoff before retry `retry` (0-based): a random delay up to base * 2^retry, capped ("full jitter").
+ * @param {number} retry
+ * @returns {number} milliseconds
+ */
+export function backoffDelay(retry) {
+  const base = envInt("LLM_RETRY_BASE_MS", DEFAULT_RETRY_BASE_MS);
+  const max = envInt("LLM_RETRY_MAX_MS", DEFAULT_RETRY_MAX_MS);
+  return Math.round(Math.random() * Math.min(max, base * 2 ** retry));
+}
+
+// Upstream errors carry the response body; configuration errors (missing key, unknown
+// provider) are also status 500 but have none, and retrying them can't help
+function isTransient(err) {
+  if (err instanceof TypeError) return true; // fetch network failure
+  return err.status === 429 || (err.status >= 500 && err.body !== undefined);
+}
+
+/**
+ * Run `call` against each model in turn until one succeeds.
+ * The error from the last attempt is rethrown with `attempts` and `models` added.
+ * @template T
+ * @param {string[]} models - e.g. modelChain(model)
+ * @param {(model: string) => Promise<T>} call
+ * @returns {Promise<{result: T, model: string, attempts: number}>}
+ */
+export async function withFallback(models, call) {
+  const maxRetries = envInt("LLM_MAX_RETRIES", DEFAULT_MAX_RETRIES);
+  let attempts = 0;
+  let lastError;
+
+  for (const [index, model] of models.entries()) {
+    for (let retry = 0; retry <= maxRetries; retry++) {
+      attempts++;
+      try {
+        const result = await call(model);
+        if (attempts > 1) console.log(`[Model Fallback] Served by ${model} after ${attempts} attempt(s)`);
+        return { result, model, attempts };
+      } catch (err) {
+        lastError = err;
+        const hasNext = index < models.length - 1;
+        if (err.status === 404 && hasNext) {
+          console.warn(`[Model Fallback] ${model} not found, trying ${models[index + 1]}`);
+          break;
+        }
+        if (!isTransient(err)) throw Object.assign(err, { attempts, models });
+
+        if (retry < maxRetries) {
+          const delay = backoffDelay(retry);
+          console.warn(`[Model Fallback] ${model} failed (${err.status || err.message}), retrying in ${delay}ms`);
+          await sleep(delay);
+        } else if (hasNext) {
+          console.warn(`[Model Fallback] ${model} failed ${retry + 1} time(s), trying ${models[index + 1]}`);
+        }
+      }
+    }
+  }
+  throw Object.assign(lastError, { attempts, models });
+}
+
+/**
+ * Open a stream with fallback. Only the first chunk is covered: once it has been
+ * received the stream is committed to that model, since partial output can't be retried.
+ * @param {string[]} models
+ * @param {(model: string) => AsyncIterable<object>} open
+ * @returns {Promise<{chunks: AsyncIterator<object>, first: IteratorResult<object>, model: string, attempts: number}>}
+ */
+export async function streamWithFallback(models, open) {
+  const { result, model, attempts } = await withFallback(models, async (m) => {
+    const chunks = open(m)[Symbol.asyncIterator]();
+    return { chunks, first: await chunks.next() };
+  });
+  return { ...result, model, attempts };
+}
+
+/**
+ * Response headers reporting which model served a request.
+ * @param {{model: string, attempts: number}} servedBy
+ * @returns {object}
+ */
+export function servedByHeaders({ model, attempts }) {
+  return { "X-LLM-Model": model, "X-LLM-Attempts": String(attempts) };
+}
+
+/**
+ * Combine the servedBy of several calls (e.g. one per plan day) into one summary.
+ * @param {Array<{model: string, attempts: number}>} calls
+ * @returns {{model: string|null, models: string[], attempts: number, calls: number}}
+ *   model is the one that served the last call
+ */
+export function summarizeServedBy(calls) {
+  const served = calls.filter(Boolean);
+  return {
+    model: served.length ? served[served.length - 1].model : null,
+    models: [...new Set(served.map(s => s.model))],
+    attempts: served.reduce((n, s) => n + s.attempts, 0),
+    calls: served.length
+  };
+}
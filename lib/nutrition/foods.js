@@ -0,0 +1,162 @@
+// Bundled food-composition data: a subset of USDA FoodData Central (SR Legacy), covering
+// the ingredients the model uses most. A few branded staples without a USDA entry (light
+// coconut milk, whey protein) use typical label values.
+//
+// per100g is [calories, protein g, carbs g, fat g] per 100 g of the food as the recipe
+// measures it (cooked grains and beans are listed as cooked unless the alias says dry).
+// portions gives grams per unit: "cup" also converts the other volume units, "each" is
+// used for counts and size words ("2 medium"), and any other key matches its unit exactly.
+// Aliases are matched as whole words after singularizing, longest first.
+
+export const FOODS = [
+  // Eggs, meat and fish
+  { id: "egg", name: "Egg, whole, raw", aliases: ["egg", "whole egg"], per100g: [143, 12.6, 0.7, 9.5], portions: { each: 50, cup: 243 } },
+  { id: "egg-white", name: "Egg white, raw", aliases: ["egg white", "liquid egg white"], per100g: [52, 10.9, 0.7, 0.2], portions: { each: 33, cup: 243 } },
+  { id: "chicken-breast", name: "Chicken breast, meat only, raw", aliases: ["chicken breast", "chicken", "chicken tenderloin"], per100g: [120, 22.5, 0, 2.6], portions: { each: 170, cup: 140 } },
+  { id: "chicken-thigh", name: "Chicken thigh, meat only, raw", aliases: ["chicken thigh"], per100g: [121, 19.7, 0, 4.1], portions: { each: 110 } },
+  { id: "ground-turkey", name: "Turkey, ground, 93% lean, raw", aliases: ["ground turkey", "lean ground turkey"], per100g: [150, 18.7, 0, 8.3], portions: {} },
+  { id: "turkey-breast-deli", name: "Turkey breast, sliced, prepackaged", aliases: ["turkey breast", "sliced turkey", "deli turkey", "turkey"], per100g: [104, 17.1, 4.2, 1.7], portions: { slice: 28 } },
+  { id: "ground-beef", name: "Beef, ground, 90% lean, raw", aliases: ["ground beef", "lean ground beef", "beef mince"], per100g: [176, 20, 0, 10], portions: {} },
+  { id: "beef-sirloin", name: "Beef, top sirloin, lean, raw", aliases: ["sirloin", "steak", "beef", "flank steak"], per100g: [160, 21, 0, 8], portions: { each: 170 } },
+  { id: "pork-tenderloin", name: "Pork tenderloin, lean, raw", aliases: ["pork tenderloin", "pork loin", "pork"], per100g: [120, 21, 0, 3.5], portions: {} },
+  { id: "bacon", name: "Bacon, pan-fried", aliases: ["bacon"], per100g: [541, 37, 1.4, 42], portions: { slice: 8, strip: 8 } },
+  { id: "salmon", name: "Salmon, Atlantic, farmed, raw", aliases: ["salmon", "salmon fillet"], per100g: [208, 20.4, 0, 13.4], portions: { each: 170, fillet: 170 } },
+  { id: "smoked-salmon", name: "Salmon, smoked (lox)", aliases: ["smoked salmon", "lox"], per100g: [117, 18.3, 0, 4.3], portions: { slice: 14 } },
+  { id: "tuna-canned", name: "Tuna, light, canned in water, drained", aliases: ["tuna", "canned tuna", "tuna in water"], per100g: [116, 25.5, 0, 0.8], portions: { can: 113, cup: 154 } },
+  { id: "cod", name: "Cod, Atlantic, raw", aliases: ["cod", "white fish", "whitefish", "tilapia", "halibut"], per100g: [82, 17.8, 0, 0.7], portions: { each: 170, fillet: 170 } },
+  { id: "shrimp", name: "Shrimp, raw", aliases: ["shrimp", "prawn"], per100g: [85, 20.1, 0, 0.5], portions: { each: 6, cup: 145 } },
+
+  // Plant proteins
+  { id: "tofu", name: "Tofu, firm, prepared with calcium sulfate", aliases: ["tofu", "firm tofu", "extra firm tofu"], per100g: [144, 17.3, 2.8, 8.7], portions: { cup: 252, block: 396 } },
+  { id: "tempeh", name: "Tempeh", aliases: ["tempeh"], per100g: [192, 20.3, 7.6, 10.8], portions: { cup: 166 } },
+  { id: "edamame", name: "Edamame, frozen, prepared", aliases: ["edamame"], per100g: [121, 11.9, 8.9, 5.2], portions: { cup: 155 } },
+  { id: "lentils", name: "Lentils, boiled", aliases: ["lentil", "cooked lentil", "red lentil", "green lentil"], per100g: [116, 9, 20.1, 0.4], portions: { cup: 198 } },
+  { id: "lentils-dry", name: "Lentils, raw", aliases: ["dry lentil", "dried lentil", "uncooked lentil", "dried green lentil", "dried red lentil"], per100g: [352, 24.6, 63.4, 1.1], portions: { cup: 192 } },
+  { id: "chickpeas", name: "Chickpeas, canned, drained", aliases: ["chickpea", "garbanzo bean"], per100g: [164, 8.9, 27.4, 2.6], portions: { cup: 164, can: 240 } },
+  { id: "black-beans", name: "Black beans, boiled", aliases: ["black bean"], per100g: [132, 8.9, 23.7, 0.5], portions: { cup: 172, can: 240 } },
+  { id: "kidney-beans", name: "Kidney beans, boiled", aliases: ["kidney bean", "pinto bean", "bean"], per100g: [127, 8.7, 22.8, 0.5], portions: { cup: 177, can: 240 } },
+  { id: "whey-protein", name: "Whey protein powder (label values)", aliases: ["protein powder", "whey protein", "whey"], per100g: [400, 80, 10, 5], portions: { scoop: 30 } },
+
+  // Dairy and alternatives
+  { id: "milk-2", name: "Milk, reduced fat, 2%", aliases: ["milk", "2% milk", "low fat milk"], per100g: [50, 3.3, 4.8, 2], portions: { cup: 244 } },
+  { id: "milk-whole", name: "Milk, whole, 3.25%", aliases: ["whole milk"], per100g: [61, 3.2, 4.8, 3.3], portions: { cup: 244 } },
+  { id: "milk-skim", name: "Milk, nonfat", aliases: ["skim milk", "nonfat milk", "fat free milk"], per100g: [34, 3.4, 5, 0.1], portions: { cup: 245 } },
+  { id: "almond-milk", name: "Almond milk, unsweetened", aliases: ["almond milk", "unsweetened almond milk", "oat milk", "soy milk"], per100g: [15, 0.6, 0.6, 1.1], portions: { cup: 240 } },
+  { id: "greek-yogurt", name: "Yogurt, Greek, plain, nonfat", aliases: ["greek yogurt", "plain greek yogurt", "nonfat greek yogurt"], per100g: [59, 10.2, 3.6, 0.4], portions: { cup: 245, each: 170 } },
+  { id: "yogurt", name: "Yogurt, plain, whole milk", aliases: ["yogurt", "plain yogurt"], per100g: [61, 3.5, 4.7, 3.3], portions: { cup: 245, each: 170 } },
+  { id: "cottage-cheese", name: "Cottage cheese, lowfat, 2% milkfat", aliases: ["cottage cheese"], per100g: [81, 10.5, 4.8, 2.3], portions: { cup: 226 } },
+  { id: "cheddar", name: "Cheese, cheddar", aliases: ["cheddar", "cheddar cheese", "cheese", "shredded cheese"], per100g: [403, 24.9, 1.3, 33.1], portions: { cup: 113, slice: 28 } },
+  { id: "mozzarella", name: "Cheese, mozzarella, part skim", aliases: ["mozzarella", "mozzarella cheese"], per100g: [254, 24.3, 2.8, 15.9], portions: { cup: 112, slice: 28 } },
+  { id: "parmesan", name: "Cheese, parmesan, hard", aliases: ["parmesan", "parmesan cheese", "parmigiano reggiano"], per100g: [392, 35.8, 3.2, 25.8], portions: { cup: 80 } },
+  { id: "feta", name: "Cheese, feta", aliases: ["feta", "feta cheese"], per100g: [264, 14.2, 4.1, 21.3], portions: { cup: 150 } },
+  { id: "cream-cheese", name: "Cheese, cream", aliases: ["cream cheese"], per100g: [342, 5.9, 4.1, 34.2], portions: { cup: 232 } },
+  { id: "butter", name: "Butter, salted", aliases: ["butter"], per100g: [717, 0.9, 0.1, 81.1], portions: { cup: 227, pat: 5 } },
+  { id: "sour-cream", name: "Cream, sour, cultured", aliases: ["sour cream"], per100g: [198, 2.4, 4.6, 19.4], portions: { cup: 230 } },
+  { id: "heavy-cream", name: "Cream, heavy whipping", aliases: ["heavy cream", "whipping cream", "cream"], per100g: [340, 2.8, 2.7, 36.1], portions: { cup: 238 } },
+
+  // Grains and bread
+  { id: "oats", name: "Oats, rolled, dry", aliases: ["oat", "rolled oat", "oatmeal", "old fashioned oat", "steel cut oat", "quick oat"], per100g: [379, 13.2, 67.7, 6.5], portions: { cup: 81 } },
+  { id: "granola", name: "Granola", aliases: ["granola"], per100g: [471, 10, 64, 20], portions: { cup: 122 } },
+  { id: "white-rice", name: "Rice, white, long-grain, cooked", aliases: ["rice", "white rice", "cooked rice", "cooked white rice", "basmati rice", "jasmine rice", "cooked basmati rice", "cooked jasmine rice"], per100g: [130, 2.7, 28.2, 0.3], portions: { cup: 158 } },
+  { id: "brown-rice", name: "Rice, brown, long-grain, cooked", aliases: ["brown rice", "cooked brown rice", "wild rice"], per100g: [123, 2.7, 25.6, 1], portions: { cup: 195 } },
+  { id: "rice-dry", name: "Rice, white, long-grain, raw", aliases: ["dry rice", "uncooked rice", "dry white rice", "uncooked white rice", "uncooked brown rice", "dry brown rice"], per100g: [365, 7.1, 80, 0.7], portions: { cup: 185 } },
+  { id: "quinoa", name: "Quinoa, cooked", aliases: ["quinoa", "cooked quinoa"], per100g: [120, 4.4, 21.3, 1.9], portions: { cup: 185 } },
+  { id: "quinoa-dry", name: "Quinoa, uncooked", aliases: ["dry quinoa", "uncooked quinoa"], per100g: [368, 14.1, 64.2, 6.1], portions: { cup: 170 } },
+  { id: "couscous", name: "Couscous, cooked", aliases: ["couscous", "bulgur", "farro"], per100g: [112, 3.8, 23.2, 0.2], portions: { cup: 157 } },
+  { id: "pasta", name: "Pasta, cooked", aliases: ["pasta", "cooked pasta", "spaghetti", "penne", "noodle", "whole wheat pasta", "cooked spaghetti"], per100g: [158, 5.8, 30.9, 0.9], portions: { cup: 140 } },
+  { id: "pasta-dry", name: "Pasta, dry", aliases: ["dry pasta", "uncooked pasta", "dry spaghetti", "uncooked spaghetti"], per100g: [371, 13, 74.7, 1.5], portions: { cup: 91 } },
+  { id: "whole-wheat-bread", name: "Bread, whole-wheat", aliases: ["whole wheat bread", "whole grain bread", "whole grain toast", "whole wheat toast", "bread", "toast", "multigrain bread"], per100g: [252, 12.4, 42.7, 3.5], portions: { slice: 32, each: 32 } },
+  { id: "white-bread", name: "Bread, French or sourdough", aliases: ["sourdough", "sourdough bread", "white bread", "french bread", "baguette", "ciabatta"], per100g: [272, 10.8, 51.9, 2.4], portions: { slice: 32, each: 32 } },
+  { id: "english-muffin", name: "English muffin, whole-wheat", aliases: ["english muffin"], per100g: [203, 8.8, 40.4, 2.1], portions: { each: 66 } },
+  { id: "bagel", name: "Bagel, plain", aliases: ["bagel"], per100g: [257, 10.1, 50.5, 1.6], portions: { each: 105 } },
+  { id: "flour-tortilla", name: "Tortilla, flour", aliases: ["tortilla", "flour tortilla", "wrap"], per100g: [306, 8.2, 50.4, 7.9], portions: { each: 45, large: 70, small: 32 } },
+  { id: "whole-wheat-tortilla", name: "Tortilla, whole-wheat", aliases: ["whole wheat tortilla", "whole grain tortilla", "whole wheat wrap"], per100g: [300, 9.5, 48, 8.5], portions: { each: 45, large: 70, small: 32 } },
+  { id: "corn-tortilla", name: "Tortilla, corn", aliases: ["corn tortilla", "taco shell"], per100g: [218, 5.7, 44.6, 2.9], portions: { each: 26, small: 24 } },
+  { id: "flour", name: "Flour, wheat, all-purpose", aliases: ["flour", "all purpose flour", "whole wheat flour"], per100g: [364, 10.3, 76.3, 1], portions: { cup: 125 } },
+  { id: "potato", name: "Potato, flesh and skin, raw", aliases: ["potato", "russet potato", "red potato", "yukon gold potato"], per100g: [77, 2, 17.5, 0.1], portions: { each: 213, small: 170, large: 300, cup: 150 } },
+  { id: "sweet-potato", name: "Sweet potato, raw", aliases: ["sweet potato", "yam"], per100g: [86, 1.6, 20.1, 0.1], portions: { each: 130, large: 180, cup: 133 } },
+
+  // Vegetables
+  { id: "spinach", name: "Spinach, raw", aliases: ["spinach", "baby spinach"], per100g: [23, 2.9, 3.6, 0.4], portions: { cup: 30 } },
+  { id: "kale", name: "Kale, raw", aliases: ["kale"], per100g: [49, 4.3, 8.8, 0.9], portions: { cup: 67, leaf: 35 } },
+  { id: "lettuce", name: "Lettuce, romaine, raw", aliases: ["lettuce", "romaine", "romaine lettuce", "mixed green", "salad green", "arugula", "butter lettuce"], per100g: [17, 1.2, 3.3, 0.3], portions: { cup: 47, leaf: 8, head: 625 } },
+  { id: "broccoli", name: "Broccoli, raw", aliases: ["broccoli", "broccoli floret"], per100g: [34, 2.8, 6.6, 0.4], portions: { cup: 91, each: 150 } },
+  { id: "cauliflower", name: "Cauliflower, raw", aliases: ["cauliflower", "cauliflower rice", "riced cauliflower"], per100g: [25, 1.9, 5, 0.3], portions: { cup: 107 } },
+  { id: "bell-pepper", name: "Peppers, sweet, red, raw", aliases: ["bell pepper", "red pepper", "green pepper", "sweet pepper"], per100g: [31, 1, 6, 0.3], portions: { each: 119, cup: 149 } },
+  { id: "onion", name: "Onions, raw", aliases: ["onion", "red onion", "yellow onion", "shallot", "green onion", "scallion"], per100g: [40, 1.1, 9.3, 0.1], portions: { each: 110, cup: 160 } },
+  { id: "garlic", name: "Garlic, raw", aliases: ["garlic", "garlic clove"], per100g: [149, 6.4, 33.1, 0.5], portions: { clove: 3, each: 3, cup: 136 } },
+  { id: "ginger", name: "Ginger root, raw", aliases: ["ginger", "ginger root"], per100g: [80, 1.8, 17.8, 0.8], portions: { cup: 96 } },
+  { id: "tomato", name: "Tomatoes, red, raw", aliases: ["tomato", "diced tomato", "roma tomato", "crushed tomato", "canned tomato"], per100g: [18, 0.9, 3.9, 0.2], portions: { each: 123, cup: 180, can: 400 } },
+  { id: "cherry-tomato", name: "Tomatoes, cherry, raw", aliases: ["cherry tomato", "grape tomato"], per100g: [18, 0.9, 3.9, 0.2], portions: { each: 17, cup: 149 } },
+  { id: "carrot", name: "Carrots, raw", aliases: ["carrot", "baby carrot", "shredded carrot"], per100g: [41, 0.9, 9.6, 0.2], portions: { each: 61, cup: 128 } },
+  { id: "cucumber", name: "Cucumber, with peel, raw", aliases: ["cucumber"], per100g: [15, 0.7, 3.6, 0.1], portions: { each: 301, cup: 104 } },
+  { id: "zucchini", name: "Squash, zucchini, raw", aliases: ["zucchini", "courgette", "summer squash"], per100g: [17, 1.2, 3.1, 0.3], portions: { each: 196, cup: 124 } },
+  { id: "mushroom", name: "Mushrooms, white, raw", aliases: ["mushroom", "cremini mushroom", "portobello mushroom"], per100g: [22, 3.1, 3.3, 0.3], portions: { each: 18, cup: 70 } },
+  { id: "asparagus", name: "Asparagus, raw", aliases: ["asparagus"], per100g: [20, 2.2, 3.9, 0.1], portions: { spear: 16, each: 16, bunch: 450, cup: 134 } },
+  { id: "green-beans", name: "Beans, snap, green, raw", aliases: ["green bean", "string bean"], per100g: [31, 1.8, 7, 0.2], portions: { cup: 110 } },
+  { id: "peas", name: "Peas, green, frozen", aliases: ["pea", "green pea", "snap pea", "snow pea"], per100g: [81, 5.4, 14.5, 0.4], portions: { cup: 145 } },
+  { id: "corn", name: "Corn, sweet, yellow, raw", aliases: ["corn", "sweet corn", "corn kernel"], per100g: [86, 3.3, 19, 1.4], portions: { cup: 154, each: 90 } },
+  { id: "celery", name: "Celery, raw", aliases: ["celery"], per100g: [16, 0.7, 3, 0.2], portions: { stalk: 40, each: 40, cup: 101 } },
+  { id: "cabbage", name: "Cabbage, raw", aliases: ["cabbage", "red cabbage", "coleslaw mix", "bok choy"], per100g: [25, 1.3, 5.8, 0.1], portions: { cup: 89 } },
+  { id: "eggplant", name: "Eggplant, raw", aliases: ["eggplant", "aubergine"], per100g: [25, 1, 5.9, 0.2], portions: { each: 458, small: 300, cup: 82 } },
+  { id: "avocado", name: "Avocados, raw", aliases: ["avocado"], per100g: [160, 2, 8.5, 14.7], portions: { each: 150, cup: 150 } },
+
+  // Fruit
+  { id: "banana", name: "Bananas, raw", aliases: ["banana"], per100g: [89, 1.1, 22.8, 0.3], portions: { each: 118, large: 136, small: 101, cup: 150 } },
+  { id: "apple", name: "Apples, raw, with skin", aliases: ["apple"], per100g: [52, 0.3, 13.8, 0.2], portions: { each: 182, cup: 125 } },
+  { id: "orange", name: "Oranges, raw", aliases: ["orange"], per100g: [47, 0.9, 11.8, 0.1], portions: { each: 131, cup: 180 } },
+  { id: "blueberries", name: "Blueberries, raw", aliases: ["blueberry"], per100g: [57, 0.7, 14.5, 0.3], portions: { cup: 148 } },
+  { id: "strawberries", name: "Strawberries, raw", aliases: ["strawberry"], per100g: [32, 0.7, 7.7, 0.3], portions: { each: 12, cup: 152 } },
+  { id: "raspberries", name: "Raspberries, raw", aliases: ["raspberry", "blackberry"], per100g: [52, 1.2, 11.9, 0.7], portions: { cup: 123 } },
+  { id: "mixed-berries", name: "Berries, mixed, frozen, unsweetened", aliases: ["berry", "mixed berry"], per100g: [48, 0.8, 11.6, 0.4], portions: { cup: 140 } },
+  { id: "mango", name: "Mangos, raw", aliases: ["mango"], per100g: [60, 0.8, 15, 0.4], portions: { each: 336, cup: 165 } },
+  { id: "lemon", name: "Lemons, raw, without peel", aliases: ["lemon"], per100g: [29, 1.1, 9.3, 0.3], portions: { each: 58 } },
+  { id: "lime", name: "Limes, raw", aliases: ["lime"], per100g: [30, 0.7, 10.5, 0.2], portions: { each: 67 } },
+  { id: "lemon-juice", name: "Lemon juice, raw", aliases: ["lemon juice", "lime juice"], per100g: [22, 0.4, 6.9, 0.2], portions: { cup: 244 } },
+  { id: "raisins", name: "Raisins, seedless", aliases: ["raisin", "dried cranberry", "dried fruit"], per100g: [299, 3.1, 79.2, 0.5], portions: { cup: 145 } },
+
+  // Nuts, seeds and fats
+  { id: "almonds", name: "Nuts, almonds", aliases: ["almond", "sliced almond"], per100g: [579, 21.2, 21.6, 49.9], portions: { each: 1.2, cup: 143 } },
+  { id: "walnuts", name: "Nuts, walnuts, English", aliases: ["walnut", "pecan", "mixed nut", "nut"], per100g: [654, 15.2, 13.7, 65.2], portions: { cup: 117 } },
+  { id: "peanut-butter", name: "Peanut butter, smooth", aliases: ["peanut butter"], per100g: [588, 25.1, 19.6, 50.4], portions: { cup: 258 } },
+  { id: "almond-butter", name: "Almond butter, plain", aliases: ["almond butter", "nut butter"], per100g: [614, 21, 18.8, 55.5], portions: { cup: 256 } },
+  { id: "chia-seeds", name: "Seeds, chia, dried", aliases: ["chia seed", "chia"], per100g: [486, 16.5, 42.1, 30.7], portions: { cup: 192 } },
+  { id: "flaxseed", name: "Seeds, flaxseed, ground", aliases: ["flaxseed", "flax seed", "ground flaxseed", "flax"], per100g: [534, 18.3, 28.9, 42.2], portions: { cup: 112 } },
+  { id: "hemp-seeds", name: "Seeds, hemp, hulled", aliases: ["hemp seed", "hemp heart", "pumpkin seed", "sunflower seed"], per100g: [553, 31.6, 8.7, 48.8], portions: { cup: 160 } },
+  { id: "olive-oil", name: "Oil, olive", aliases: ["olive oil", "extra virgin olive oil", "oil"], per100g: [884, 0, 0, 100], portions: { cup: 216 } },
+  { id: "vegetable-oil", name: "Oil, canola", aliases: ["vegetable oil", "canola oil", "avocado oil", "sesame oil", "coconut oil"], per100g: [884, 0, 0, 100], portions: { cup: 218 } },
+  { id: "cooking-spray", name: "Cooking spray", aliases: ["cooking spray", "nonstick spray"], per100g: [792, 0, 0, 88], portions: { spray: 0.3, each: 0.3 } },
+  { id: "coconut-milk", name: "Coconut milk, canned", aliases: ["coconut milk", "full fat coconut milk"], per100g: [230, 2.3, 5.5, 23.8], portions: { cup: 226, can: 400 } },
+  { id: "coconut-milk-light", name: "Coconut milk, light, canned (label values)", aliases: ["light coconut milk", "lite coconut milk"], per100g: [62, 0.5, 1.3, 6.2], portions: { cup: 240, can: 400 } },
+  { id: "hummus", name: "Hummus, commercial", aliases: ["hummus"], per100g: [166, 7.9, 14.3, 9.6], portions: { cup: 246 } },
+  { id: "tahini", name: "Seeds, sesame butter, tahini", aliases: ["tahini"], per100g: [595, 17, 21.2, 53.8], portions: { cup: 240 } },
+  { id: "dark-chocolate", name: "Chocolate, dark, 70-85% cacao", aliases: ["dark chocolate", "chocolate chip", "chocolate"], per100g: [598, 7.8, 45.9, 42.6], portions: { cup: 168 } },
+
+  // Sweeteners, sauces and condiments
+  { id: "honey", name: "Honey", aliases: ["honey"], per100g: [304, 0.3, 82.4, 0], portions: { cup: 339 } },
+  { id: "maple-syrup", name: "Syrups, maple", aliases: ["maple syrup", "agave", "agave nectar"], per100g: [260, 0, 67, 0.1], portions: { cup: 315 } },
+  { id: "sugar", name: "Sugars, granulated", aliases: ["sugar", "brown sugar", "coconut sugar"], per100g: [387, 0, 100, 0], portions: { cup: 200 } },
+  { id: "soy-sauce", name: "Soy sauce", aliases: ["soy sauce", "tamari", "coconut amino"], per100g: [53, 8.1, 4.9, 0.6], portions: { cup: 255 } },
+  { id: "salsa", name: "Salsa, ready-to-serve", aliases: ["salsa", "pico de gallo"], per100g: [36, 1.5, 6.6, 0.2], portions: { cup: 259 } },
+  { id: "mayonnaise", name: "Mayonnaise", aliases: ["mayonnaise", "mayo"], per100g: [680, 1, 0.6, 74.9], portions: { cup: 220 } },
+  { id: "mustard", name: "Mustard, prepared, yellow", aliases: ["mustard", "dijon mustard", "dijon"], per100g: [60, 3.7, 5.8, 3.3], portions: { cup: 250 } },
+  { id: "balsamic-vinegar", name: "Vinegar, balsamic", aliases: ["balsamic vinegar", "balsamic glaze", "balsamic"], per100g: [88, 0.5, 17, 0], portions: { cup: 255 } },
+  { id: "vinegar", name: "Vinegar, distilled", aliases: ["vinegar", "apple cider vinegar", "rice vinegar", "red wine vinegar", "white wine vinegar"], per100g: [18, 0, 0, 0], portions: { cup: 238 } },
+  { id: "caesar-dressing", name: "Salad dressing, caesar", aliases: ["caesar dressing", "ranch dressing", "dressing", "salad dressing"], per100g: [542, 2.2, 3.3, 57.9], portions: { cup: 235 } },
+  { id: "caesar-dressing-light", name: "Salad dressing, caesar, low calorie", aliases: ["light caesar dressing", "light dressing", "light ranch dressing"], per100g: [110, 0.3, 18.5, 4.4], portions: { cup: 245 } },
+  { id: "vinaigrette", name: "Salad dressing, Italian", aliases: ["vinaigrette", "italian dressing", "balsamic vinaigrette"], per100g: [240, 0.4, 10, 21.1], portions: { cup: 235 } },
+  { id: "broth", name: "Soup, broth, ready-to-serve", aliases: ["broth", "stock", "vegetable broth", "chicken broth", "vegetable stock", "chicken stock", "bone broth"], per100g: [6, 0.6, 0.5, 0.2], portions: { cup: 240 } },
+  { id: "tomato-sauce", name: "Tomato sauce, canned", aliases: ["tomato sauce", "marinara", "marinara sauce", "pasta sauce", "tomato paste"], per100g: [24, 1.2, 5.3, 0.3], portions: { cup: 245, can: 425 } },
+
+  // Herbs, spices and water (weighed so their few calories count, and so they are not unmatched)
+  { id: "salt", name: "Salt, table", aliases: ["salt", "sea salt", "kosher salt"], per100g: [0, 0, 0, 0], portions: { cup: 292 } },
+  { id: "black-pepper", name: "Spices, pepper, black", aliases: ["black pepper", "pepper", "salt and pepper"], per100g: [251, 10.4, 64, 3.3], portions: { cup: 110 } },
+  { id: "cinnamon", name: "Spices, cinnamon, ground", aliases: ["cinnamon", "nutmeg"], per100g: [247, 4, 80.6, 1.2], portions: { cup: 125 } },
+  { id: "cumin", name: "Spices, cumin seed", aliases: ["cumin"], per100g: [375, 17.8, 44.2, 22.3], portions: { cup: 96 } },
+  { id: "paprika", name: "Spices, paprika", aliases: ["paprika", "smoked paprika", "cayenne", "red pepper flake"], per100g: [282, 14.1, 54, 12.9], portions: { cup: 109 } },
+  { id: "chili-powder", name: "Spices, chili powder", aliases: ["chili powder", "taco seasoning"], per100g: [282, 13.5, 49.7, 14.3], portions: { cup: 128 } },
+  { id: "curry-powder", name: "Spices, curry powder", aliases: ["curry powder", "garam masala", "turmeric"], per100g: [325, 14.3, 55.8, 14], portions: { cup: 101 } },
+  { id: "dried-herbs", name: "Spices, oregano, dried", aliases: ["oregano", "dried oregano", "thyme", "dried thyme", "italian seasoning", "rosemary", "dried herb", "garlic powder", "onion powder"], per100g: [265, 9, 68.9, 4.3], portions: { cup: 45 } },
+  { id: "fresh-herbs", name: "Basil, fresh", aliases: ["basil", "cilantro", "parsley", "mint", "dill", "chive", "fresh herb"], per100g: [23, 3.2, 2.7, 0.6], portions: { cup: 24, sprig: 1, bunch: 40 } },
+  { id: "water", name: "Water", aliases: ["water", "ice", "ice cube"], per100g: [0, 0, 0, 0], portions: { cup: 237 } }
+];
@@ -0,0 +1,187 @@
+// Nutrient check: recompute each recipe's calories and macros from its ingredients with
+// the bundled food data (foods.js) and compare them with the model's numbers.
+//
+// NUTRIENT_CHECK picks what happens when they differ by more than NUTRIENT_TOLERANCE_PCT
+// (default 20) on any of calories, protein, carbs or fat: "flag" (default) marks the item,
+// "override" replaces the model's numbers with the computed ones, "off" skips the check.
+// Items with an ingredient that can't be matched or weighed are left as the model gave them.
+
+import { canonicalName, singularize } from "../../js/ingredients.js";
+import { FOODS } from "./foods.js";
+
+const MODES = ["flag", "override", "off"];
+const DEFAULT_TOLERANCE_PCT = 20;
+const KEYS = ["calories", "protein", "carbs", "fat"];
+
+// Differences below these never count, whatever the percentage (small items, trace macros)
+const MIN_DIFFERENCE = { calories: 50, protein: 5, carbs: 5, fat: 5 };
+
+const MASS_G = { g: 1, kg: 1000, mg: 0.001, oz: 28.35, lb: 453.6 };
+const VOLUME_ML = { ml: 1, l: 1000, tsp: 4.93, tbsp: 14.79, cup: 236.6, "fl oz": 29.57, pint: 473.2, quart: 946.4 };
+const COUNT_UNITS = ["", "each", "whole", "piece", "medium", "large", "small"];
+// Seasoning amounts that weigh next to nothing
+const TRACE_UNITS = ["to taste", "pinch", "dash", "as needed", "sprinkle"];
+
+const UNIT_ALIASES = {
+  gram: "g", gr: "g", kilogram: "kg", milligram: "mg", ounce: "oz", pound: "lb", lbs: "lb",
+  milliliter: "ml", millilitre: "ml", liter: "l", litre: "l",
+  teaspoon: "tsp", tablespoon: "tbsp", tbs: "tbsp", tbl: "tbsp",
+  c: "cup", "fluid ounce": "fl oz", floz: "fl oz", pt: "pint", qt: "quart",
+  ea: "each", pc: "piece", pcs: "piece", med: "medium", lg: "large", sm: "small", leave: "leaf"
+};
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/** @returns {"flag"|"override"|"off"} */
+export function nutrientCheckMode() {
+  const mode = String(process.env.NUTRIENT_CHECK || "flag").trim().toLowerCase();
+  return MODES.includes(mode) ? mode : "flag";
+}
+
+export const nutrientTolerance = () => envInt("NUTRIENT_TOLERANCE_PCT", DEFAULT_TOLERANCE_PCT) / 100;
+
+/**
+ * Lowercase, drop parentheses and punctuation, and singularize each word
+ * ("Cherry Tomatoes (halved)" → "cherry tomato").
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeFoodName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, " ")
+    .replace(/[^a-z0-9%]+/g, " ")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(singularize)
+    .join(" ");
+}
+
+// Every alias once, longest first, so "olive oil" wins over "oil"
+const ALIASES = FOODS
+  .flatMap(food => food.aliases.map(alias => ({ alias: normalizeFoodName(alias), food })))
+  .sort((a, b) => b.alias.length - a.alias.length);
+
+const findAlias = (text) => {
+  const padded = ` ${text} `;
+  return ALIASES.find(({ alias }) => padded.includes(` ${alias} `))?.food || null;
+};
+
+/**
+ * Find the food an ingredient name refers to: by its canonical name (js/ingredients.js),
+ * which resolves synonyms and brands ("garbanzo beans" → chickpeas), then by the name as
+ * written for words the canonicalizer drops.
+ * @param {string} name - e.g. "Low-sodium soy sauce"
+ * @returns {object|null} an entry of FOODS
+ */
+export function matchFood(name) {
+  return findAlias(canonicalName(name)) || findAlias(normalizeFoodName(name));
+}
+
+function normalizeUnit(unit) {
+  const u = String(unit || "").toLowerCase().replace(/\./g, "").replace(/\s+/g, " ").trim();
+  if (UNIT_ALIASES[u]) return UNIT_ALIASES[u];
+  const singular = singularize(u);
+  return UNIT_ALIASES[singular] || singular;
+}
+
+/**
+ * Weight in grams of a quantity of a food.
+ * @param {object} food - an entry of FOODS
+ * @param {number} qty
+ * @param {string} unit
+ * @returns {number|null} null when the unit can't be converted for this food
+ */
+export function ingredientGrams(food, qty, unit) {
+  const u = normalizeUnit(unit);
+  if (food.portions[u]) return qty * food.portions[u];
+  if (MASS_G[u]) return qty * MASS_G[u];
+  if (VOLUME_ML[u] && food.portions.cup) return (qty * VOLUME_ML[u] / VOLUME_ML.cup) * food.portions.cup;
+  if (COUNT_UNITS.includes(u) && food.portions.each) return qty * food.portions.each;
+  return null;
+}
+
+/**
+ * Nutrients of a recipe summed from its ingredients.
+ * @param {object} item - normalized item (ingredients from normalizeIngredient)
+ * @returns {{nutrients: {calories: number, protein: number, carbs: number, fat: number}, unmatched: string[]}}
+ *   unmatched lists ingredients that couldn't be matched or weighed
+ */
+export function computeItemNutrients(item) {
+  const totals = { calories: 0, protein: 0, carbs: 0, fat: 0 };
+  const unmatched = [];
+
+  (item.ingredients || []).forEach(ing => {
+    if (TRACE_UNITS.includes(normalizeUnit(ing.unit))) return;
+    const food = matchFood(ing.item);
+    const grams = food && ing.qty != null ? ingredientGrams(food, ing.qty, ing.unit) : null;
+    if (grams == null) {
+      unmatched.push(ing.item);
+      return;
+    }
+    KEYS.forEach((key, i) => { totals[key] += (food.per100g[i] * grams) / 100; });
+  });
+
+  KEYS.forEach(key => { totals[key] = Math.round(totals[key]); });
+  return { nutrients: totals, unmatched };
+}
+
+/**
+ * Check one item and record the result in item.nutrition. With mode "override", a
+ * flagged item's macros are replaced by the computed ones.
+ * @param {object} item - normalized item; mutated
+ * @param {{mode: string, tolerance: number}} options
+ * @returns {"skipped"|"ok"|"flagged"|"overridden"}
+ */
+export function checkItemNutrients(item, { mode, tolerance }) {
+  const { nutrients, unmatched } = computeItemNutrients(item);
+  if (unmatched.length) {
+    item.nutrition = { checked: false, source: "model", unmatched };
+    return "skipped";
+  }
+
+  const model = Object.fromEntries(KEYS.map(key => [key, item[key]]));
+  const differences = KEYS.filter(key => {
+    const diff = Math.abs((+model[key] || 0) - nutrients[key]);
+    return diff > MIN_DIFFERENCE[key] && diff > tolerance * nutrients[key];
+  });
+  const flagged = differences.length > 0;
+  const override = flagged && mode === "override";
+
+  item.nutrition = { checked: true, source: override ? "database" : "model", computed: nutrients, model, flagged, differences };
+  if (!override) return flagged ? "flagged" : "ok";
+
+  KEYS.forEach(key => { item[key] = nutrients[key]; });
+  return "overridden";
+}
+
+/**
+ * Check every item of a plan. Day totals are not touched; recompute them afterwards.
+ * @param {object} plan - normalized plan; mutated
+ * @param {{mode?: string, tolerance?: number}} [options] - default to NUTRIENT_CHECK and NUTRIENT_TOLERANCE_PCT
+ * @returns {{mode: string, tolerance: number, checked: number, flagged: number, overridden: number, skipped: number}}
+ */
+export function checkPlanNutrients(plan, { mode = nutrientCheckMode(), tolerance = nutrientTolerance() } = {}) {
+  const summary = { mode, tolerance, checked: 0, flagged: 0, overridden: 0, skipped: 0 };
+  if (mode === "off") return summary;
+
+  (plan.days || []).forEach(day => (day.meals || []).forEach(meal => (meal.items || []).forEach(item => {
+    const result = checkItemNutrients(item, { mode, tolerance });
+    if (result === "skipped") {
+      summary.skipped++;
+      return;
+    }
+    summary.checked++;
+    if (result === "flagged") summary.flagged++;
+    if (result === "overridden") summary.overridden++;
+  })));
+
+  if (summary.flagged || summary.overridden) {
+    console.log(`[Nutrients] ${summary.flagged + summary.overridden} of ${summary.checked} checked item(s) differ from the ingredient data by more than ${Math.round(tolerance * 100)}% (${mode})`);
+  }
+  return summary;
+}
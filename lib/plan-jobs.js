@@ -0,0 +1,312 @@
+// Background plan generation. A job stores the profile and one entry per day in the
+// plan_jobs table (FIXED_DATABASE_SETUP.sql); advancePlanJob() generates the next days
+// under a lease and saves each day as soon as it is done, so a plan survives closed
+// tabs and function timeouts.
+//
+// A failed day is retried, up to PLAN_JOB_MAX_ATTEMPTS times (default 3), without
+// redoing the days before it. The job fails, and its generation is refunded, only when
+// a day runs out of attempts. Once every day is done the plan is validated and repaired
+// (lib/plan-repair) and the job completes.
+//
+// Only the worker (lib/routes/plan-jobs-worker.js) generates: it works through runnable
+// jobs for up to PLAN_JOB_BUDGET_MS (default 50000), starting a day only while
+// PLAN_JOB_DAY_MS (default 20000) is left, and triggers itself again while jobs are left. triggerPlanWorker() starts it when a job is created and from the schedules
+// (vercel.json, netlify.toml); polls only read the job.
+
+import { isSupabaseConfigured, rest } from "./supabase.js";
+import { refundGeneration } from "./quota.js";
+import { generateDay, generationCost, planDates, planTitle, usedTitlesOf } from "./meal-plan.js";
+import { repairPlan } from "./plan-repair.js";
+import { checkPlanConstraints } from "./rules/index.js";
+import { computeTargets } from "./targets.js";
+import { createUsageLog } from "./usage.js";
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BUDGET_MS = 50000;
+// The longest one day's model calls (or the final repair) may take. A run stops starting
+// days when less than this is left, so it ends inside Vercel's 60 s maxDuration.
+const DEFAULT_DAY_MS = 20000;
+// Netlify's background worker answers 202 at once; Vercel's answers when its run is over,
+// so stop waiting after this and let the run go on
+const TRIGGER_TIMEOUT_MS = 5000;
+
+// How long a worker holds a job per day; longer than one day's model calls with fallbacks.
+// A worker that dies mid-day (timeout, crash) loses the job when the lease runs out.
+const LEASE_MS = 3 * 60 * 1000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+export const maxDayAttempts = () => envInt("PLAN_JOB_MAX_ATTEMPTS", DEFAULT_MAX_ATTEMPTS);
+export const workerBudgetMs = () => envInt("PLAN_JOB_BUDGET_MS", DEFAULT_BUDGET_MS);
+export const worstDayMs = () => envInt("PLAN_JOB_DAY_MS", DEFAULT_DAY_MS);
+
+const leaseUntil = () => new Date(Date.now() + LEASE_MS).toISOString();
+
+/**
+ * Whether a string can be a job id (ids go into PostgREST filters).
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isJobId(id) {
+  return UUID_PATTERN.test(String(id || ""));
+}
+
+// The days generated so far. They are only repaired once the plan is complete, so the
+// recipes with the user's allergens are withheld here already.
+function partialPlan(row, done) {
+  const plan = { planTitle: planTitle(row.profile), notes: "", targets: computeTargets(row.profile), days: structuredClone(done.map(d => d.data)) };
+  checkPlanConstraints(plan, row.profile, { withhold: true });
+  return plan;
+}
+
+/**
+ * The client's view of a job: status, per-day progress and the days generated so far.
+ * @param {object} row - plan_jobs row
+ * @returns {object}
+ */
+export function jobStatus(row) {
+  const done = row.days.filter(d => d.status === "done");
+  return {
+    id: row.id,
+    status: row.status,
+    model: row.model,
+    progress: { completed: done.length, total: row.days.length },
+    days: row.days.map(({ day, date, status, attempts, error }) => ({ day, date, status, attempts, error })),
+    plan: row.plan || partialPlan(row, done),
+    validation: row.validation || null,
+    error: row.error || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at || null
+  };
+}
+
+/**
+ * Create a queued job for a validated profile. Quota is consumed by the caller.
+ * @param {object} profile - output of parseProfile
+ * @param {string} model
+ * @param {{user: {id: string}, tier: string}} auth
+ * @returns {Promise<object>} the plan_jobs row
+ */
+export async function createPlanJob(profile, model, { user, tier }) {
+  const [row] = await rest("plan_jobs", {
+    method: "POST",
+    body: {
+      user_id: user.id,
+      tier,
+      model,
+      profile,
+      days: planDates(profile).map(({ date, day }) => ({ day, date, status: "pending", attempts: 0, error: null, data: null }))
+    },
+    prefer: "return=representation"
+  });
+  console.log(`[Plan Jobs] Created ${row.id}: ${profile.days} day(s) for ${user.id}`);
+  return row;
+}
+
+/**
+ * Load one of a user's jobs.
+ * @param {string} id
+ * @param {string} userId
+ * @returns {Promise<object|null>}
+ */
+export async function getPlanJob(id, userId) {
+  if (!isJobId(id)) return null;
+  const [row] = await rest(`plan_jobs?id=eq.${id}&user_id=eq.${userId}&select=*`);
+  return row || null;
+}
+
+/**
+ * A user's most recent jobs, newest first.
+ * @param {string} userId
+ * @param {number} [limit]
+ * @returns {Promise<object[]>}
+ */
+export async function listPlanJobs(userId, limit = 5) {
+  return rest(`plan_jobs?user_id=eq.${userId}&select=*&order=created_at.desc&limit=${limit}`);
+}
+
+// Runnable: not finished, and not leased by a live worker. Timestamps are quoted
+// because they contain the "." and ":" that PostgREST's or=() syntax reserves.
+function runnableFilter(now = new Date().toISOString()) {
+  return `status=in.(queued,running)&or=(lease_until.is.null,lease_until.lt.${encodeURIComponent(`"${now}"`)})`;
+}
+
+/**
+ * Whether any job is waiting for a worker.
+ * @returns {Promise<boolean>}
+ */
+export async function hasRunnableJobs() {
+  const rows = await rest(`plan_jobs?${runnableFilter()}&select=id&limit=1`);
+  return rows.length > 0;
+}
+
+/**
+ * Start a worker run at PLAN_JOB_WORKER_URL. Best effort; needs CRON_SECRET, which the
+ * worker checks.
+ * @returns {Promise<boolean>} whether the worker was reached
+ */
+export async function triggerPlanWorker() {
+  const url = process.env.PLAN_JOB_WORKER_URL;
+  const secret = process.env.CRON_SECRET;
+  if (!url || !secret) {
+    console.warn("[Plan Jobs] PLAN_JOB_WORKER_URL or CRON_SECRET is not set; jobs wait for the schedule");
+    return false;
+  }
+  try {
+    await fetch(url, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${secret}` },
+      signal: AbortSignal.timeout(TRIGGER_TIMEOUT_MS)
+    });
+  } catch (err) {
+    if (err.name !== "TimeoutError") {
+      console.warn("[Plan Jobs] Could not trigger the worker:", err.message);
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Trigger the worker when jobs are waiting (the Netlify schedule, netlify.toml).
+ * @returns {Promise<boolean>} whether a run was started
+ */
+export async function triggerPlanWorkerIfPending() {
+  if (!isSupabaseConfigured() || !await hasRunnableJobs()) return false;
+  return triggerPlanWorker();
+}
+
+/**
+ * Take the lease on a runnable job. The conditional update is atomic, so of two
+ * workers racing for a job only one gets the row back.
+ * @param {string} id
+ * @returns {Promise<object|null>} the leased row, or null when finished or leased elsewhere
+ */
+export async function claimPlanJob(id) {
+  if (!isJobId(id)) return null;
+  const rows = await rest(`plan_jobs?id=eq.${id}&${runnableFilter()}`, {
+    method: "PATCH",
+    body: { status: "running", lease_until: leaseUntil(), updated_at: new Date().toISOString() },
+    prefer: "return=representation"
+  });
+  return rows?.[0] || null;
+}
+
+async function saveJob(id, fields) {
+  await rest(`plan_jobs?id=eq.${id}`, {
+    method: "PATCH",
+    body: { ...fields, updated_at: new Date().toISOString() },
+    prefer: "return=minimal"
+  });
+}
+
+async function failJob(job, days, message) {
+  console.error(`[Plan Jobs] ${job.id} failed: ${message}`);
+  await saveJob(job.id, { status: "failed", days, error: message, lease_until: null, completed_at: new Date().toISOString() });
+  await refundGeneration(job.user_id, generationCost(job.profile));
+}
+
+/**
+ * Generate the next days of a leased job, saving after each one, until `maxDays` are
+ * done or a day no longer fits before the deadline; then finish the plan or release
+ * the lease.
+ * @param {object} job - a row returned by claimPlanJob
+ * @param {{maxDays?: number, deadline?: number}} [options] - deadline as a Date.now() timestamp;
+ *   a day (or the final repair) only starts while PLAN_JOB_DAY_MS is left before it
+ * @returns {Promise<string>} the job's status afterwards
+ */
+export async function advancePlanJob(job, { maxDays = Infinity, deadline = Infinity } = {}) {
+  const days = job.days.map(d => ({ ...d }));
+  const usage = createUsageLog({ user: { id: job.user_id }, tier: job.tier });
+  const onResponse = (op) => (response) => usage.addResponse(op, response);
+  const fits = () => Date.now() + worstDayMs() <= deadline;
+
+  try {
+    for (let generated = 0; generated < maxDays && fits(); generated++) {
+      const index = days.findIndex(d => d.status !== "done");
+      if (index === -1) break;
+
+      const entry = days[index];
+      // A day left "running" by a worker that died has already used its attempt
+      if (entry.attempts >= maxDayAttempts()) {
+        await failJob(job, days, `Could not generate ${entry.day} after ${entry.attempts} attempt(s): ${entry.error || "the worker stopped"}`);
+        return "failed";
+      }
+
+      entry.status = "running";
+      entry.attempts += 1;
+      await saveJob(job.id, { days, lease_until: leaseUntil() });
+
+      try {
+        const previous = days.slice(0, index).map(d => d.data);
+        entry.data = await generateDay(job.profile, job.model, entry, usedTitlesOf(previous), { index, onResponse: onResponse("plan") });
+        entry.status = "done";
+        entry.error = null;
+        console.log(`[Plan Jobs] ${job.id}: ${entry.day} done (${index + 1}/${days.length})`);
+      } catch (err) {
+        entry.status = entry.attempts >= maxDayAttempts() ? "failed" : "pending";
+        entry.error = err.message || "Generation failed";
+        console.warn(`[Plan Jobs] ${job.id}: ${entry.day} attempt ${entry.attempts} failed:`, entry.error);
+        if (entry.status === "failed") {
+          await failJob(job, days, `Could not generate ${entry.day} after ${entry.attempts} attempt(s): ${entry.error}`);
+          return "failed";
+        }
+        // Leave the retry to the next worker run rather than hammering the model
+        await saveJob(job.id, { days, lease_until: null });
+        return "running";
+      }
+      await saveJob(job.id, { days, lease_until: leaseUntil() });
+    }
+
+    if (days.some(d => d.status !== "done") || !fits()) {
+      await saveJob(job.id, { days, lease_until: null });
+      return "running";
+    }
+
+    const draft = { planTitle: planTitle(job.profile), notes: "", targets: computeTargets(job.profile), days: days.map(d => d.data) };
+    const { plan, validation } = await repairPlan(draft, job.profile, job.model, { onResponse: onResponse("repair") });
+    await saveJob(job.id, { status: "completed", days, plan, validation, error: null, lease_until: null, completed_at: new Date().toISOString() });
+    console.log(`[Plan Jobs] ${job.id} completed`);
+    return "completed";
+  } finally {
+    await usage.flush();
+  }
+}
+
+/**
+ * Work through runnable jobs, oldest first, until the budget runs out.
+ * @param {{budgetMs?: number}} [options]
+ * @returns {Promise<{processed: number, completed: number, failed: number, pending: boolean}>}
+ *   pending: jobs are still waiting afterwards
+ */
+export async function runPlanJobs({ budgetMs = workerBudgetMs() } = {}) {
+  const deadline = Date.now() + budgetMs;
+  const summary = { processed: 0, completed: 0, failed: 0, pending: false };
+
+  const candidates = await rest(`plan_jobs?${runnableFilter()}&select=id&order=updated_at.asc&limit=10`);
+  for (const { id } of candidates) {
+    if (Date.now() + worstDayMs() > deadline) break;
+    const job = await claimPlanJob(id);
+    if (!job) continue;
+
+    summary.processed++;
+    try {
+      const status = await advancePlanJob(job, { deadline });
+      if (status === "completed") summary.completed++;
+      if (status === "failed") summary.failed++;
+    } catch (err) {
+      // Saving progress failed; the lease runs out and another run picks the job up
+      console.error(`[Plan Jobs] ${id} could not be advanced:`, err.message);
+    }
+  }
+
+  summary.pending = await hasRunnableJobs();
+  console.log(`[Plan Jobs] Worker run: ${summary.processed} job(s), ${summary.completed} completed, ${summary.failed} failed${summary.pending ? ", more waiting" : ""}`);
+  return summary;
+}
@@ -0,0 +1,229 @@
+// Bounded repair loop: validate a normalized plan against PLAN_SCHEMA and
+// re-prompt Gemini only for the recipes (or empty meals) that fail validation.
+// Recipes that break the user's exclusions, diets or allergies (lib/rules) are replaced the same
+// way, under the plan's own generation. The repaired recipes' macros are then checked against
+// the ingredient data (lib/nutrition), every recipe against the rules again, and each day
+// against the nutrient limits of the user's medical conditions (lib/conditions).
+
+import { generateContent, getFirstPartText } from "./gemini.js";
+import { ITEM_SCHEMA, PLAN_SCHEMA, validate, formatErrors } from "./plan-schema.js";
+import { describeProfile, extractFirstJSON, normalizeItem, sumTotals } from "./meal-plan.js";
+import { checkPlanNutrients } from "./nutrition/index.js";
+import { checkPlanConstraints, compileConstraints, checkItem, describeConstraints } from "./rules/index.js";
+import { checkPlanConditions, describeConditions } from "./conditions.js";
+import { applyPortions } from "./household.js";
+
+const MAX_REPAIR_ROUNDS = 2;
+const MAX_FRAGMENTS_PER_ROUND = 6;
+const MAX_CONSTRAINT_ROUNDS = 2;
+
+const REPAIR_CONFIG = {
+  maxOutputTokens: 2000,
+  temperature: 0.3,
+  topP: 0.95,
+  topK: 40
+};
+
+/**
+ * List the smallest fragments that need a repair: a single invalid item, or a meal with no items.
+ * @param {object} plan - normalized plan
+ * @returns {Array<{kind: "item"|"meal", dayIndex: number, mealIndex: number, itemIndex?: number, path: string, errors: object[]}>}
+ */
+export function findInvalidFragments(plan) {
+  const fragments = [];
+  (plan.days || []).forEach((day, dayIndex) => (day.meals || []).forEach((meal, mealIndex) => {
+    const mealPath = `days[${dayIndex}].meals[${mealIndex}]`;
+    if (!Array.isArray(meal.items) || meal.items.length === 0) {
+      fragments.push({ kind: "meal", dayIndex, mealIndex, path: mealPath, errors: [{ path: `${mealPath}.items`, message: "must have at least 1 item(s)" }] });
+      return;
+    }
+    meal.items.forEach((item, itemIndex) => {
+      const path = `${mealPath}.items[${itemIndex}]`;
+      const errors = validate(item, ITEM_SCHEMA, path);
+      if (errors.length) fragments.push({ kind: "item", dayIndex, mealIndex, itemIndex, path, errors });
+    });
+  }));
+  return fragments;
+}
+
+function buildRepairPrompt(fragment, plan, profile) {
+  const day = plan.days[fragment.dayIndex];
+  const meal = day.meals[fragment.mealIndex];
+  const schema = JSON.stringify(ITEM_SCHEMA);
+  const never = describeConstraints(profile);
+  const medical = describeConditions(profile);
+  const extra = `${never ? `\n${never}` : ""}${medical ? `\n${medical}` : ""}`;
+
+  if (fragment.kind === "meal") {
+    const usedTitles = plan.days.flatMap(d => d.meals.flatMap(m => m.items.map(it => it.title)));
+    return `Return ONLY valid JSON, no explanatory text. Create one ${meal.name} recipe for ${day.day}.
+
+Requirements: ${describeProfile(profile)}${extra}${usedTitles.length ? `\nDo not repeat: ${usedTitles.slice(0, 20).join(", ")}` : ""}
+
+The recipe must be a single JSON object matching this JSON Schema:
+${schema}`;
+  }
+
+  const item = meal.items[fragment.itemIndex];
+  const problems = formatErrors(fragment.errors.map(e => ({ ...e, path: e.path.slice(fragment.path.length + 1) })));
+  return `Return ONLY valid JSON, no explanatory text. Fix this ${meal.name} recipe so it matches the schema. Keep the same dish.
+
+Requirements: ${describeProfile(profile)}${extra}
+
+Problems:
+${problems.map(p => `- ${p}`).join("\n")}
+
+JSON Schema:
+${schema}
+
+Recipe:
+${JSON.stringify(item)}`;
+}
+
+/**
+ * Re-prompt for one fragment and splice the result in when it is an improvement.
+ * @returns {Promise<boolean>} true when the fragment was replaced
+ */
+async function repairFragment(plan, fragment, profile, model, onResponse) {
+  const response = await generateContent(model, {
+    contents: [{ role: "user", parts: [{ text: buildRepairPrompt(fragment, plan, profile) }] }],
+    generationConfig: REPAIR_CONFIG
+  });
+  if (onResponse) onResponse(response);
+
+  const raw = extractFirstJSON(getFirstPartText(response));
+  // The model sometimes wraps the recipe in a meal object
+  const candidate = normalizeItem(Array.isArray(raw?.items) ? raw.items[0] : raw);
+  if (!candidate) return false;
+
+  const remaining = validate(candidate, ITEM_SCHEMA);
+  if (remaining.length >= fragment.errors.length) {
+    console.warn(`[Plan Repair] ${fragment.path} still invalid after repair:`, formatErrors(remaining));
+    return false;
+  }
+
+  const meal = plan.days[fragment.dayIndex].meals[fragment.mealIndex];
+  if (fragment.kind === "meal") meal.items = [candidate];
+  else meal.items[fragment.itemIndex] = candidate;
+  return true;
+}
+
+function buildReplacementPrompt(hit, plan, profile) {
+  const day = plan.days[hit.dayIndex];
+  const meal = day.meals[hit.mealIndex];
+  const never = describeConstraints(profile);
+  const medical = describeConditions(profile);
+  const usedTitles = plan.days.flatMap(d => d.meals.flatMap(m => m.items.map(it => it.title)));
+
+  return `Return ONLY valid JSON, no explanatory text. Create a different ${meal.name} recipe for ${day.day} to replace "${meal.items[hit.itemIndex].title}".
+
+Requirements: ${describeProfile(profile)}${never ? `\n${never}` : ""}${medical ? `\n${medical}` : ""}
+
+The recipe it replaces broke these rules, so avoid:
+${hit.violations.map(v => `- ${v.message}`).join("\n")}
+${usedTitles.length ? `\nDo not repeat: ${usedTitles.slice(0, 20).join(", ")}\n` : ""}
+The recipe must be a single JSON object matching this JSON Schema:
+${JSON.stringify(ITEM_SCHEMA)}`;
+}
+
+/**
+ * Re-prompt for a recipe that breaks the user's rules and splice the result in when it is
+ * valid and breaks none of them.
+ * @returns {Promise<boolean>} true when the recipe was replaced
+ */
+async function replaceItem(plan, hit, profile, rules, model, onResponse) {
+  const response = await generateContent(model, {
+    contents: [{ role: "user", parts: [{ text: buildReplacementPrompt(hit, plan, profile) }] }],
+    generationConfig: REPAIR_CONFIG
+  });
+  if (onResponse) onResponse(response);
+
+  const raw = extractFirstJSON(getFirstPartText(response));
+  const candidate = normalizeItem(Array.isArray(raw?.items) ? raw.items[0] : raw);
+  if (!candidate || validate(candidate, ITEM_SCHEMA).length) return false;
+
+  const violations = checkItem(candidate, rules);
+  if (violations.length) {
+    console.warn(`[Plan Repair] Replacement for days[${hit.dayIndex}].meals[${hit.mealIndex}] still breaks:`, violations.map(v => v.message));
+    return false;
+  }
+
+  plan.days[hit.dayIndex].meals[hit.mealIndex].items[hit.itemIndex] = candidate;
+  return true;
+}
+
+/**
+ * Replace the recipes that break the user's exclusions, diets or allergies, allergies first,
+ * at most MAX_CONSTRAINT_ROUNDS rounds of MAX_FRAGMENTS_PER_ROUND calls each.
+ * @returns {Promise<number>} recipes replaced
+ */
+async function replaceOffendingItems(plan, profile, model, onResponse) {
+  const rules = compileConstraints(profile);
+  if (!rules.length) return 0;
+  let replaced = 0;
+
+  for (let round = 1; round <= MAX_CONSTRAINT_ROUNDS; round++) {
+    const { items } = checkPlanConstraints(plan, profile);
+    if (!items.length) break;
+
+    const isAllergy = (hit) => hit.violations.some(v => v.kind === "allergy");
+    const queue = [...items.filter(isAllergy), ...items.filter(hit => !isAllergy(hit))];
+    console.log(`[Plan Repair] Constraint round ${round}: replacing ${Math.min(queue.length, MAX_FRAGMENTS_PER_ROUND)} of ${queue.length} recipe(s)`);
+    for (const hit of queue.slice(0, MAX_FRAGMENTS_PER_ROUND)) {
+      try {
+        if (await replaceItem(plan, hit, profile, rules, model, onResponse)) replaced++;
+      } catch (err) {
+        console.warn(`[Plan Repair] Replacement of days[${hit.dayIndex}].meals[${hit.mealIndex}] failed:`, err.message);
+      }
+    }
+  }
+  return replaced;
+}
+
+/**
+ * Validate the plan and repair invalid fragments, at most MAX_REPAIR_ROUNDS rounds of
+ * MAX_FRAGMENTS_PER_ROUND calls each, then replace the recipes that break the user's rules.
+ * Mutates and returns the plan.
+ * @param {object} plan - normalized plan from generateMealPlan
+ * @param {object} profile - output of parseProfile
+ * @param {string} model
+ * @param {{onResponse?: (response: object) => void}} [options] - as for generateMealPlan
+ * @returns {Promise<{plan: object, validation: {valid: boolean, errors: string[], repairs: number, nutrients: object, constraints: object, conditions: object}}>}
+ *   nutrients summarizes the ingredient check (see checkPlanNutrients), constraints the
+ *   exclusion and diet check (see checkPlanConstraints; offending items carry `violations`,
+ *   recipes with the user's allergens are withheld, and replaced counts the recipes swapped
+ *   for ones that pass),
+ *   conditions the medical limits check (see checkPlanConditions). Household plans also get
+ *   per-person portions and totals (see applyPortions)
+ */
+export async function repairPlan(plan, profile, model, { onResponse } = {}) {
+  let repairs = 0;
+
+  for (let round = 1; round <= MAX_REPAIR_ROUNDS; round++) {
+    const fragments = findInvalidFragments(plan);
+    if (!fragments.length) break;
+
+    console.log(`[Plan Repair] Round ${round}: ${fragments.length} invalid fragment(s)`, fragments.map(f => f.path));
+    for (const fragment of fragments.slice(0, MAX_FRAGMENTS_PER_ROUND)) {
+      try {
+        if (await repairFragment(plan, fragment, profile, model, onResponse)) repairs++;
+      } catch (err) {
+        console.warn(`[Plan Repair] Repair of ${fragment.path} failed:`, err.message);
+      }
+    }
+  }
+
+  const replaced = await replaceOffendingItems(plan, profile, model, onResponse);
+
+  // Before the totals, which must include any macros the check overrides and leave out
+  // the recipes withheld for allergens
+  const nutrients = checkPlanNutrients(plan);
+  const { passed, constraints: rules, checked, failed, withheld } = checkPlanConstraints(plan, profile, { withhold: true });
+  plan.days.forEach(day => { day.totals = sumTotals(day.meals); });
+  const conditions = checkPlanConditions(plan, profile);
+  applyPortions(plan, profile);
+
+  const errors = formatErrors(validate(plan, PLAN_SCHEMA));
+  if (errors.length) console.warn(`[Plan Repair] Plan still has ${errors.length} validation error(s) after ${repairs} repair(s)`);
+  return { plan, validation: { valid: errors.length === 0, errors, repairs, nutrients, constraints: { passed, constraints: rules, checked, failed, withheld, replaced }, conditions } };
+}
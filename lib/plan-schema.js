@@ -0,0 +1,141 @@
+// Meal-plan JSON schema and a small validator that reports errors by path.
+// Supports the subset of JSON Schema we use: type, enum, required, properties,
+// items, minItems, minLength, minimum and exclusiveMinimum.
+
+const MACRO = { type: "number", minimum: 0 };
+
+export const INGREDIENT_SCHEMA = {
+  type: "object",
+  required: ["item", "qty", "unit", "category"],
+  properties: {
+    item: { type: "string", minLength: 1 },
+    qty: { type: "number", exclusiveMinimum: 0 },
+    unit: { type: "string" },
+    category: { type: "string", minLength: 1 }
+  }
+};
+
+export const ITEM_SCHEMA = {
+  type: "object",
+  required: ["title", "calories", "protein", "carbs", "fat", "ingredients", "steps"],
+  properties: {
+    title: { type: "string", minLength: 1 },
+    calories: { type: "number", exclusiveMinimum: 0 },
+    protein: MACRO,
+    carbs: MACRO,
+    fat: MACRO,
+    ingredients: { type: "array", minItems: 1, items: INGREDIENT_SCHEMA },
+    steps: { type: "array", minItems: 1, items: { type: "string", minLength: 1 } },
+    benefits: { type: "string" },
+    tips: { type: "string" }
+  }
+};
+
+export const MEAL_SCHEMA = {
+  type: "object",
+  required: ["name", "items"],
+  properties: {
+    name: { type: "string", enum: ["Breakfast", "Lunch", "Dinner"] },
+    items: { type: "array", minItems: 1, items: ITEM_SCHEMA }
+  }
+};
+
+export const DAY_SCHEMA = {
+  type: "object",
+  required: ["day", "totals", "meals"],
+  properties: {
+    day: { type: "string", minLength: 1 },
+    date: { type: "string" },
+    totals: {
+      type: "object",
+      required: ["calories", "protein", "carbs", "fat"],
+      properties: { calories: MACRO, protein: MACRO, carbs: MACRO, fat: MACRO }
+    },
+    meals: { type: "array", minItems: 1, items: MEAL_SCHEMA }
+  }
+};
+
+export const PLAN_SCHEMA = {
+  type: "object",
+  required: ["planTitle", "days"],
+  properties: {
+    planTitle: { type: "string" },
+    notes: { type: "string" },
+    days: { type: "array", minItems: 1, items: DAY_SCHEMA }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && !Number.isFinite(value)) return "NaN";
+  return typeof value;
+}
+
+function check(value, schema, path, errors) {
+  const actual = typeOf(value);
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.includes(actual)) {
+    errors.push({ path, message: `expected ${types.join(" or ")}, got ${actual}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(", ")}` });
+  }
+
+  if (actual === "string" && schema.minLength != null && value.trim().length < schema.minLength) {
+    errors.push({ path, message: "must not be empty" });
+  }
+
+  if (actual === "number") {
+    if (schema.minimum != null && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+  }
+
+  if (actual === "array") {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((v, i) => check(v, schema.items, `${path}[${i}]`, errors));
+    }
+  }
+
+  if (actual === "object") {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push({ path: joinPath(path, key), message: "is required" });
+    });
+    Object.entries(schema.properties || {}).forEach(([key, sub]) => {
+      if (value[key] !== undefined) check(value[key], sub, joinPath(path, key), errors);
+    });
+  }
+}
+
+const joinPath = (base, key) => base ? `${base}.${key}` : key;
+
+/**
+ * Validate a value against a schema.
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} [basePath] - prefix for reported paths (e.g. "days[0].meals[1].items[0]")
+ * @returns {{path: string, message: string}[]} empty when valid
+ */
+export function validate(value, schema, basePath = "") {
+  const errors = [];
+  check(value, schema, basePath, errors);
+  return errors;
+}
+
+/**
+ * Format validation errors for logs and prompts ("days[0].meals[0].items[0].steps: must have at least 1 item(s)").
+ * @param {{path: string, message: string}[]} errors
+ * @returns {string[]}
+ */
+export function formatErrors(errors) {
+  return errors.map(e => `${e.path || "(root)"}: ${e.message}`);
+}
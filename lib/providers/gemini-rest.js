@@ -0,0 +1,100 @@
+// Shared REST client for Google's Gemini APIs. The Generative Language API and
+// Vertex AI accept the same request bodies and differ only in URLs and auth.
+
+import { readSSE } from "../sse.js";
+
+/**
+ * Build an Error carrying the upstream status and raw body, as the proxies expect.
+ * @param {string} message
+ * @param {number} status
+ * @param {string} [body]
+ */
+export function providerError(message, status, body) {
+  const err = new Error(message);
+  err.status = status;
+  if (body !== undefined) err.body = body;
+  return err;
+}
+
+/**
+ * Authenticate with GEMINI_API_KEY as a `key` query parameter.
+ * @returns {Promise<{headers: object, query: string}>}
+ */
+export async function apiKeyAuth() {
+  const key = process.env.GEMINI_API_KEY;
+  if (!key) throw providerError("GEMINI_API_KEY not configured", 500);
+  return { headers: {}, query: `key=${key}` };
+}
+
+/**
+ * Create a provider for a Gemini REST endpoint.
+ * @param {object} options
+ * @param {string} options.type - provider name used in logs and health checks
+ * @param {string} options.baseUrl - prefix for `{model}:{method}` URLs
+ * @param {string|null} options.listUrl - models collection URL, or null when listing is unsupported
+ * @param {() => Promise<{headers: object, query: string}>} [options.authorize] - request credentials (default: apiKeyAuth)
+ * @param {() => void} [options.onUnauthorized] - called when the endpoint answers 401
+ * @param {string|null} [options.apiKeyEnv]
+ * @returns {import("./index.js").Provider}
+ */
+export function createGeminiRestProvider({ type, baseUrl, listUrl, authorize = apiKeyAuth, onUnauthorized, apiKeyEnv = "GEMINI_API_KEY" }) {
+  async function request(url, init, query = "") {
+    const auth = await authorize();
+    const params = [query, auth.query].filter(Boolean).join("&");
+    const resp = await fetch(params ? `${url}?${params}` : url, {
+      ...init,
+      headers: { ...init.headers, ...auth.headers }
+    });
+    if (resp.status === 401 && onUnauthorized) onUnauthorized();
+    return resp;
+  }
+
+  async function post(model, method, body, query = "") {
+    console.log(`[Gemini] Calling ${type} model: ${model}:${method}`);
+
+    const resp = await request(`${baseUrl}${model}:${method}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    }, query);
+
+    if (!resp.ok) {
+      const text = await resp.text();
+      console.error("[Gemini] API error:", resp.status, text);
+      throw providerError(text || "Gemini API error", resp.status, text);
+    }
+    return resp;
+  }
+
+  return {
+    type,
+    baseUrl,
+    supportsListModels: Boolean(listUrl),
+    apiKeyEnv,
+    apiKeyRequired: Boolean(apiKeyEnv),
+
+    async generate(model, body) {
+      const resp = await post(model, "generateContent", body);
+      return JSON.parse(await resp.text());
+    },
+
+    async *stream(model, body) {
+      const resp = await post(model, "streamGenerateContent", body, "alt=sse");
+      for await (const { data } of readSSE(resp.body)) yield JSON.parse(data);
+    },
+
+    async listModels() {
+      if (!listUrl) throw providerError(`${type} does not support listing models`, 501);
+      const resp = await request(listUrl, { method: "GET" });
+      const text = await resp.text();
+      if (!resp.ok) throw providerError(`Failed to fetch models: ${resp.status}`, resp.status, text);
+      return JSON.parse(text).models || [];
+    },
+
+    async countTokens(model, body) {
+      const resp = await post(model, "countTokens", { contents: body.contents || [] });
+      const { totalTokens } = JSON.parse(await resp.text());
+      return { totalTokens, estimated: false };
+    }
+  };
+}
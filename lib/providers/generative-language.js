@@ -0,0 +1,11 @@
+// Google Generative Language API (AI Studio keys)
+
+import { createGeminiRestProvider } from "./gemini-rest.js";
+
+export function createGenerativeLanguageProvider() {
+  return createGeminiRestProvider({
+    type: "generativelanguage",
+    baseUrl: "https://generativelanguage.googleapis.com/v1/models/",
+    listUrl: "https://generativelanguage.googleapis.com/v1/models"
+  });
+}
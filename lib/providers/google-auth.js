@@ -0,0 +1,130 @@
+// OAuth access tokens for Vertex AI, minted from a service account with google-auth-library.
+//
+// VERTEX_SERVICE_ACCOUNT_JSON holds the service-account key (raw JSON or base64), since
+// serverless hosts can't ship key files. Without it, Application Default Credentials are
+// used (GOOGLE_APPLICATION_CREDENTIALS, or the metadata server on Google Cloud).
+// VERTEX_PROJECT (or GOOGLE_CLOUD_PROJECT) defaults to the key's project_id;
+// VERTEX_LOCATION defaults to us-central1.
+//
+// Tokens are cached per warm instance and refreshed shortly before they expire.
+
+import { providerError } from "./gemini-rest.js";
+
+const SCOPES = ["https://www.googleapis.com/auth/cloud-platform"];
+
+// Refresh this long before expiry so a token never lapses mid-request
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Google tokens last an hour; assume less when the library doesn't report an expiry
+const DEFAULT_TOKEN_TTL_MS = 30 * 60 * 1000;
+
+const tokenCache = {
+  key: null,
+  client: null,
+  token: null,
+  expiresAt: 0,
+  pending: null
+};
+
+/**
+ * Parse VERTEX_SERVICE_ACCOUNT_JSON, accepting raw or base64-encoded JSON.
+ * @returns {object|null} the service-account key, or null when unset
+ */
+export function parseServiceAccount() {
+  const raw = (process.env.VERTEX_SERVICE_ACCOUNT_JSON || "").trim();
+  if (!raw) return null;
+
+  let credentials;
+  try {
+    credentials = JSON.parse(raw.startsWith("{") ? raw : Buffer.from(raw, "base64").toString("utf8"));
+  } catch {
+    throw providerError("VERTEX_SERVICE_ACCOUNT_JSON is not valid JSON (raw or base64)", 500);
+  }
+  if (!credentials.client_email || !credentials.private_key) {
+    throw providerError("VERTEX_SERVICE_ACCOUNT_JSON is missing client_email or private_key", 500);
+  }
+  return credentials;
+}
+
+/**
+ * Whether Vertex should authenticate with OAuth rather than an API key: a service
+ * account, an ADC key file or a project was configured.
+ * @returns {boolean}
+ */
+export function usesServiceAccount() {
+  return Boolean(
+    process.env.VERTEX_SERVICE_ACCOUNT_JSON ||
+    process.env.GOOGLE_APPLICATION_CREDENTIALS ||
+    process.env.VERTEX_PROJECT ||
+    process.env.GOOGLE_CLOUD_PROJECT
+  );
+}
+
+/**
+ * Project and region for project-scoped Vertex URLs.
+ * @returns {{project: string|null, location: string, credentials: object|null}}
+ */
+export function getVertexConfig() {
+  const credentials = parseServiceAccount();
+  return {
+    project: process.env.VERTEX_PROJECT || process.env.GOOGLE_CLOUD_PROJECT || credentials?.project_id || null,
+    location: (process.env.VERTEX_LOCATION || "us-central1").trim().toLowerCase(),
+    credentials
+  };
+}
+
+/**
+ * Drop the cached token, e.g. after Vertex answers 401 so the next call mints a new one.
+ */
+export function invalidateAccessToken() {
+  // The auth client caches its own token too, so drop it as well
+  tokenCache.client = null;
+  tokenCache.token = null;
+  tokenCache.expiresAt = 0;
+}
+
+async function mintToken(credentials) {
+  if (!tokenCache.client) {
+    const { GoogleAuth } = await import("google-auth-library");
+    const auth = new GoogleAuth(credentials ? { credentials, scopes: SCOPES } : { scopes: SCOPES });
+    tokenCache.client = await auth.getClient();
+  }
+
+  const { token } = await tokenCache.client.getAccessToken();
+  if (!token) throw new Error("no access token returned");
+
+  const expiry = tokenCache.client.credentials?.expiry_date;
+  tokenCache.token = token;
+  tokenCache.expiresAt = expiry || Date.now() + DEFAULT_TOKEN_TTL_MS;
+  console.log(`[Vertex Auth] Minted access token, expires ${new Date(tokenCache.expiresAt).toISOString()}`);
+  return token;
+}
+
+/**
+ * A cached OAuth access token for the configured credentials. Concurrent callers
+ * share one refresh.
+ * @returns {Promise<{token: string, expiresAt: number, clientEmail: string|null}>}
+ */
+export async function getAccessToken() {
+  const { credentials } = getVertexConfig();
+  const clientEmail = credentials?.client_email || null;
+  const key = clientEmail || process.env.GOOGLE_APPLICATION_CREDENTIALS || "adc";
+
+  if (tokenCache.key !== key) {
+    Object.assign(tokenCache, { key, client: null, token: null, expiresAt: 0, pending: null });
+  }
+
+  if (!tokenCache.token || tokenCache.expiresAt - Date.now() < REFRESH_MARGIN_MS) {
+    tokenCache.pending = tokenCache.pending || mintToken(credentials).finally(() => {
+      tokenCache.pending = null;
+    });
+    try {
+      await tokenCache.pending;
+    } catch (err) {
+      console.error("[Vertex Auth] Could not mint access token:", err.message);
+      throw providerError(`Vertex AI authentication failed: ${err.message}`, 500);
+    }
+  }
+
+  return { token: tokenCache.token, expiresAt: tokenCache.expiresAt, clientEmail };
+}
@@ -0,0 +1,107 @@
+// LLM provider selection. Every adapter takes and returns Gemini-shaped bodies
+// ({ contents, generationConfig } → { candidates, usageMetadata }).
+//
+// LLM_PROVIDER picks the adapter: "generativelanguage", "vertex" or "openai", or
+// "mock" / "replay" for offline development (see mock.js and recording.js).
+// When unset, GEMINI_API_ENDPOINT is honoured as before ("vertex"/"vertexai" or the default).
+// LLM_RECORD=1 saves every call made through a real provider to LLM_RECORDINGS_DIR.
+
+import { createGenerativeLanguageProvider } from "./generative-language.js";
+import { createVertexProvider } from "./vertex.js";
+import { createOpenAICompatibleProvider } from "./openai-compatible.js";
+import { createMockProvider } from "./mock.js";
+import { createRecordingProvider, createReplayProvider } from "./recording.js";
+import { providerError } from "./gemini-rest.js";
+
+/**
+ * @typedef {object} Provider
+ * @property {string} type
+ * @property {string} baseUrl
+ * @property {boolean} supportsListModels
+ * @property {string|null} apiKeyEnv - env var holding the API key, if the provider uses one
+ * @property {boolean} apiKeyRequired
+ * @property {string} [authType] - "service-account" when calls carry OAuth access tokens
+ * @property {() => Promise<{clientEmail: string, expiresAt: string}>} [verifyCredentials] - mints a token to check OAuth credentials
+ * @property {(model: string, body: object) => Promise<object>} generate
+ * @property {(model: string, body: object) => AsyncIterable<object>} stream - Gemini-shaped chunks
+ * @property {() => Promise<Array<{name: string, displayName?: string, supportedGenerationMethods?: string[]}>>} listModels
+ * @property {(model: string, body: object) => Promise<{totalTokens: number, estimated: boolean}>} countTokens
+ */
+
+const PROVIDERS = {
+  generativelanguage: createGenerativeLanguageProvider,
+  vertex: createVertexProvider,
+  vertexai: createVertexProvider,
+  openai: createOpenAICompatibleProvider,
+  mock: createMockProvider,
+  replay: createReplayProvider
+};
+
+const OFFLINE_PROVIDERS = ["mock", "replay"];
+
+/**
+ * Name of the configured provider.
+ * @returns {string}
+ */
+export function getProviderName() {
+  return (process.env.LLM_PROVIDER || process.env.GEMINI_API_ENDPOINT || "generativelanguage").trim().toLowerCase();
+}
+
+/**
+ * Create the provider selected by the environment.
+ * @returns {Provider}
+ */
+export function getProvider() {
+  const name = getProviderName();
+  const create = PROVIDERS[name];
+  if (!create) {
+    throw providerError(`Unknown LLM provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(", ")}`, 500);
+  }
+  const provider = create();
+  const recording = /^(1|true|yes|record)$/i.test(process.env.LLM_RECORD || "");
+  return recording && !OFFLINE_PROVIDERS.includes(name) ? createRecordingProvider(provider) : provider;
+}
+
+// Model list cache shared by warm serverless invocations
+const modelCache = {
+  key: null,
+  models: null,
+  timestamp: null,
+  cacheDuration: 3600000 // 1 hour in milliseconds
+};
+
+const modelId = (name) => String(name || "").replace(/^models\//, "");
+
+/**
+ * Check whether the provider serves a model. Providers that can't list models,
+ * and failed list calls, report the model as available so the real call surfaces the error.
+ * @param {Provider} provider
+ * @param {string} model - bare model id, e.g. "gemini-2.0-flash"
+ * @returns {Promise<{available: boolean, models: Array, error: string|null}>}
+ */
+export async function checkModelAvailability(provider, model) {
+  if (!provider.supportsListModels) {
+    console.log(`[Model Check] ${provider.type} endpoint - skipping model list check`);
+    return { available: true, models: [], error: null };
+  }
+
+  const now = Date.now();
+  const cacheKey = `${provider.type}:${provider.baseUrl}`;
+  if (modelCache.key === cacheKey && modelCache.models && (now - modelCache.timestamp) < modelCache.cacheDuration) {
+    console.log("[Model Check] Using cached model list");
+    return { available: modelCache.models.some(m => modelId(m.name) === modelId(model)), models: modelCache.models, error: null };
+  }
+
+  try {
+    console.log("[Model Check] Fetching available models...");
+    const models = await provider.listModels();
+    Object.assign(modelCache, { key: cacheKey, models, timestamp: now });
+
+    const available = models.some(m => modelId(m.name) === modelId(model));
+    console.log(`[Model Check] Found ${models.length} models; '${model}' ${available ? "is" : "is NOT"} available`);
+    return { available, models, error: null };
+  } catch (err) {
+    console.error("[Model Check] Failed to fetch models:", err.message);
+    return { available: true, models: [], error: err.message };
+  }
+}
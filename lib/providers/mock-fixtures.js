@@ -0,0 +1,259 @@
+// Recipe fixtures for the mock provider. Macros are realistic per-serving values;
+// `diet` lists the diets each recipe satisfies.
+
+export const MOCK_RECIPES = {
+  Breakfast: [
+    {
+      title: "Greek Yogurt Parfait with Berries",
+      calories: 340, protein: 24, carbs: 42, fat: 9,
+      diet: ["vegetarian"],
+      ingredients: [
+        { item: "Plain Greek yogurt", qty: 1, unit: "cup", category: "Dairy" },
+        { item: "Mixed berries", qty: 0.75, unit: "cup", category: "Produce" },
+        { item: "Granola", qty: 0.25, unit: "cup", category: "Grains" },
+        { item: "Honey", qty: 1, unit: "tsp", category: "Pantry" }
+      ],
+      steps: ["Spoon half the yogurt into a glass.", "Layer with berries and granola.", "Repeat the layers and drizzle with honey."],
+      benefits: "Protein and probiotics from yogurt support fullness and gut health.",
+      tips: "Add the granola just before eating so it stays crunchy.",
+      tags: ["High-protein", "No-cook"], allergens: ["Milk"], prepTime: 5, cookTime: 0
+    },
+    {
+      title: "Spinach and Feta Egg Scramble",
+      calories: 360, protein: 26, carbs: 18, fat: 21,
+      diet: ["vegetarian", "keto"],
+      ingredients: [
+        { item: "Eggs", qty: 3, unit: "large", category: "Protein" },
+        { item: "Baby spinach", qty: 1, unit: "cup", category: "Produce" },
+        { item: "Feta cheese", qty: 1, unit: "oz", category: "Dairy" },
+        { item: "Whole-grain toast", qty: 1, unit: "slice", category: "Grains" }
+      ],
+      steps: ["Wilt the spinach in a non-stick pan.", "Add beaten eggs and stir gently until just set.", "Crumble feta over the top and serve with toast."],
+      benefits: "Eggs and spinach provide complete protein, iron and folate.",
+      tips: "Take the eggs off the heat while still glossy; they keep cooking.",
+      tags: ["High-protein"], allergens: ["Eggs", "Milk", "Wheat"], prepTime: 5, cookTime: 6
+    },
+    {
+      title: "Peanut Butter Banana Overnight Oats",
+      calories: 410, protein: 15, carbs: 58, fat: 14,
+      diet: ["vegetarian", "vegan"],
+      ingredients: [
+        { item: "Rolled oats", qty: 0.5, unit: "cup", category: "Grains" },
+        { item: "Unsweetened almond milk", qty: 0.75, unit: "cup", category: "Dairy Alternatives" },
+        { item: "Peanut butter", qty: 1, unit: "tbsp", category: "Pantry" },
+        { item: "Banana", qty: 1, unit: "medium", category: "Produce" },
+        { item: "Chia seeds", qty: 1, unit: "tsp", category: "Pantry" }
+      ],
+      steps: ["Stir oats, almond milk, chia and peanut butter together in a jar.", "Refrigerate overnight.", "Top with sliced banana in the morning."],
+      benefits: "Slow-release carbohydrates and fiber keep energy steady through the morning.",
+      tips: "Make three jars at once for an easy weekday breakfast.",
+      tags: ["High-fiber", "Make-ahead"], allergens: ["Peanuts", "Tree nuts"], prepTime: 5, cookTime: 0
+    },
+    {
+      title: "Smoked Salmon Avocado Toast",
+      calories: 390, protein: 22, carbs: 30, fat: 20,
+      diet: ["pescatarian"],
+      ingredients: [
+        { item: "Sourdough bread", qty: 1, unit: "slice", category: "Grains" },
+        { item: "Avocado", qty: 0.5, unit: "medium", category: "Produce" },
+        { item: "Smoked salmon", qty: 2, unit: "oz", category: "Protein" },
+        { item: "Lemon juice", qty: 1, unit: "tsp", category: "Produce" }
+      ],
+      steps: ["Toast the bread.", "Mash avocado with lemon juice and spread on the toast.", "Top with smoked salmon and black pepper."],
+      benefits: "Omega-3 fats and monounsaturated fats support heart health.",
+      tips: "A pinch of chili flakes brightens the salmon.",
+      tags: ["Omega-3"], allergens: ["Fish", "Wheat"], prepTime: 5, cookTime: 2
+    },
+    {
+      title: "Tofu Veggie Breakfast Burrito",
+      calories: 420, protein: 21, carbs: 48, fat: 16,
+      diet: ["vegetarian", "vegan"],
+      ingredients: [
+        { item: "Firm tofu", qty: 4, unit: "oz", category: "Protein" },
+        { item: "Whole-wheat tortilla", qty: 1, unit: "large", category: "Grains" },
+        { item: "Bell pepper", qty: 0.5, unit: "medium", category: "Produce" },
+        { item: "Black beans", qty: 0.25, unit: "cup", category: "Canned Goods" },
+        { item: "Salsa", qty: 2, unit: "tbsp", category: "Pantry" }
+      ],
+      steps: ["Crumble tofu into a hot pan with diced pepper and cook 5 minutes.", "Stir in black beans to warm through.", "Fill the tortilla, add salsa and roll up."],
+      benefits: "Plant protein and fiber in one portable meal.",
+      tips: "A pinch of turmeric gives the tofu a scrambled-egg color.",
+      tags: ["Plant-based", "High-fiber"], allergens: ["Soy", "Wheat"], prepTime: 5, cookTime: 8
+    }
+  ],
+  Lunch: [
+    {
+      title: "Mediterranean Chickpea Quinoa Bowl",
+      calories: 520, protein: 19, carbs: 68, fat: 19,
+      diet: ["vegetarian", "vegan"],
+      ingredients: [
+        { item: "Cooked quinoa", qty: 0.75, unit: "cup", category: "Grains" },
+        { item: "Chickpeas", qty: 0.5, unit: "cup", category: "Canned Goods" },
+        { item: "Cucumber", qty: 0.5, unit: "medium", category: "Produce" },
+        { item: "Cherry tomatoes", qty: 0.5, unit: "cup", category: "Produce" },
+        { item: "Olive oil", qty: 1, unit: "tbsp", category: "Pantry" }
+      ],
+      steps: ["Rinse and drain the chickpeas.", "Dice cucumber and halve tomatoes.", "Toss everything with quinoa, olive oil, lemon and salt."],
+      benefits: "Complete plant protein from quinoa plus fiber from chickpeas.",
+      tips: "Cook quinoa in broth for more flavor.",
+      tags: ["Plant-based", "Meal-prep"], allergens: [], prepTime: 10, cookTime: 15
+    },
+    {
+      title: "Grilled Chicken Caesar Wrap",
+      calories: 480, protein: 38, carbs: 36, fat: 19,
+      diet: [],
+      ingredients: [
+        { item: "Chicken breast", qty: 4, unit: "oz", category: "Protein" },
+        { item: "Romaine lettuce", qty: 1, unit: "cup", category: "Produce" },
+        { item: "Whole-wheat tortilla", qty: 1, unit: "large", category: "Grains" },
+        { item: "Parmesan cheese", qty: 1, unit: "tbsp", category: "Dairy" },
+        { item: "Light Caesar dressing", qty: 1, unit: "tbsp", category: "Pantry" }
+      ],
+      steps: ["Grill the chicken 5-6 minutes per side and slice.", "Toss romaine with dressing and parmesan.", "Fill the tortilla with salad and chicken and roll tightly."],
+      benefits: "Lean protein keeps you full through the afternoon.",
+      tips: "Rest the chicken 5 minutes before slicing to keep it juicy.",
+      tags: ["High-protein"], allergens: ["Milk", "Wheat", "Eggs"], prepTime: 10, cookTime: 12
+    },
+    {
+      title: "Lentil and Vegetable Soup",
+      calories: 410, protein: 22, carbs: 62, fat: 8,
+      diet: ["vegetarian", "vegan"],
+      ingredients: [
+        { item: "Dried green lentils", qty: 0.5, unit: "cup", category: "Grains" },
+        { item: "Carrots", qty: 2, unit: "medium", category: "Produce" },
+        { item: "Celery", qty: 2, unit: "stalk", category: "Produce" },
+        { item: "Vegetable broth", qty: 3, unit: "cup", category: "Canned Goods" },
+        { item: "Olive oil", qty: 1, unit: "tsp", category: "Pantry" }
+      ],
+      steps: ["Soften diced carrots and celery in olive oil.", "Add lentils and broth and simmer 25 minutes.", "Season with salt, pepper and a squeeze of lemon."],
+      benefits: "Lentils are rich in fiber, folate and plant protein.",
+      tips: "Freezes well in single portions.",
+      tags: ["High-fiber", "Batch-cook"], allergens: ["Celery"], prepTime: 10, cookTime: 30
+    },
+    {
+      title: "Tuna Salad Lettuce Cups",
+      calories: 360, protein: 34, carbs: 10, fat: 20,
+      diet: ["pescatarian", "keto"],
+      ingredients: [
+        { item: "Canned tuna", qty: 5, unit: "oz", category: "Canned Goods" },
+        { item: "Greek yogurt", qty: 2, unit: "tbsp", category: "Dairy" },
+        { item: "Celery", qty: 1, unit: "stalk", category: "Produce" },
+        { item: "Butter lettuce", qty: 4, unit: "leaf", category: "Produce" },
+        { item: "Avocado", qty: 0.25, unit: "medium", category: "Produce" }
+      ],
+      steps: ["Drain the tuna and mix with yogurt and diced celery.", "Spoon into lettuce leaves.", "Top with diced avocado."],
+      benefits: "High-protein, low-carb lunch with omega-3s.",
+      tips: "Add capers or dill for extra flavor.",
+      tags: ["Low-carb", "High-protein"], allergens: ["Fish", "Milk", "Celery"], prepTime: 10, cookTime: 0
+    },
+    {
+      title: "Turkey and Hummus Whole-Grain Sandwich",
+      calories: 450, protein: 31, carbs: 46, fat: 15,
+      diet: [],
+      ingredients: [
+        { item: "Whole-grain bread", qty: 2, unit: "slice", category: "Grains" },
+        { item: "Sliced turkey breast", qty: 3, unit: "oz", category: "Protein" },
+        { item: "Hummus", qty: 2, unit: "tbsp", category: "Pantry" },
+        { item: "Spinach", qty: 0.5, unit: "cup", category: "Produce" },
+        { item: "Tomato", qty: 0.5, unit: "medium", category: "Produce" }
+      ],
+      steps: ["Spread hummus on both slices of bread.", "Layer turkey, spinach and sliced tomato.", "Close the sandwich and cut in half."],
+      benefits: "Balanced protein and complex carbs for steady energy.",
+      tips: "Pack the tomato separately to avoid soggy bread.",
+      tags: ["Quick"], allergens: ["Wheat", "Sesame"], prepTime: 5, cookTime: 0
+    }
+  ],
+  Dinner: [
+    {
+      title: "Baked Salmon with Roasted Asparagus",
+      calories: 520, protein: 42, carbs: 18, fat: 30,
+      diet: ["pescatarian", "keto"],
+      ingredients: [
+        { item: "Salmon fillet", qty: 6, unit: "oz", category: "Protein" },
+        { item: "Asparagus", qty: 1, unit: "bunch", category: "Produce" },
+        { item: "Olive oil", qty: 1, unit: "tbsp", category: "Pantry" },
+        { item: "Lemon", qty: 0.5, unit: "medium", category: "Produce" },
+        { item: "Garlic", qty: 2, unit: "clove", category: "Produce" }
+      ],
+      steps: ["Heat the oven to 400°F.", "Toss asparagus with oil and garlic on a sheet pan and add the salmon.", "Bake 12-15 minutes and finish with lemon."],
+      benefits: "Omega-3 fatty acids support heart and brain health.",
+      tips: "The salmon is done when it flakes easily with a fork.",
+      tags: ["Omega-3", "Sheet-pan"], allergens: ["Fish"], prepTime: 10, cookTime: 15
+    },
+    {
+      title: "Chicken and Broccoli Stir-Fry with Brown Rice",
+      calories: 560, protein: 44, carbs: 58, fat: 15,
+      diet: [],
+      ingredients: [
+        { item: "Chicken breast", qty: 5, unit: "oz", category: "Protein" },
+        { item: "Broccoli florets", qty: 1.5, unit: "cup", category: "Produce" },
+        { item: "Cooked brown rice", qty: 0.75, unit: "cup", category: "Grains" },
+        { item: "Low-sodium soy sauce", qty: 1, unit: "tbsp", category: "Pantry" },
+        { item: "Fresh ginger", qty: 1, unit: "tsp", category: "Produce" }
+      ],
+      steps: ["Slice chicken thinly and stir-fry until golden.", "Add broccoli, ginger and a splash of water and cover 3 minutes.", "Stir in soy sauce and serve over rice."],
+      benefits: "Lean protein with vitamin C-rich broccoli.",
+      tips: "Get the pan very hot before adding the chicken for a good sear.",
+      tags: ["High-protein"], allergens: ["Soy", "Wheat"], prepTime: 10, cookTime: 12
+    },
+    {
+      title: "Black Bean and Sweet Potato Tacos",
+      calories: 510, protein: 17, carbs: 78, fat: 15,
+      diet: ["vegetarian", "vegan"],
+      ingredients: [
+        { item: "Sweet potato", qty: 1, unit: "medium", category: "Produce" },
+        { item: "Black beans", qty: 0.75, unit: "cup", category: "Canned Goods" },
+        { item: "Corn tortillas", qty: 3, unit: "small", category: "Grains" },
+        { item: "Red cabbage", qty: 0.5, unit: "cup", category: "Produce" },
+        { item: "Lime", qty: 1, unit: "medium", category: "Produce" }
+      ],
+      steps: ["Roast cubed sweet potato at 425°F for 20 minutes.", "Warm the beans with cumin and a pinch of salt.", "Fill warm tortillas with potato, beans and cabbage and squeeze over lime."],
+      benefits: "Fiber and beta-carotene from beans and sweet potato.",
+      tips: "Char the tortillas over a gas flame for extra flavor.",
+      tags: ["Plant-based", "High-fiber"], allergens: [], prepTime: 10, cookTime: 25
+    },
+    {
+      title: "Lean Beef and Vegetable Chili",
+      calories: 540, protein: 41, carbs: 44, fat: 21,
+      diet: [],
+      ingredients: [
+        { item: "Lean ground beef", qty: 5, unit: "oz", category: "Protein" },
+        { item: "Kidney beans", qty: 0.5, unit: "cup", category: "Canned Goods" },
+        { item: "Diced tomatoes", qty: 1, unit: "cup", category: "Canned Goods" },
+        { item: "Onion", qty: 0.5, unit: "medium", category: "Produce" },
+        { item: "Chili powder", qty: 2, unit: "tsp", category: "Spices" }
+      ],
+      steps: ["Brown the beef with diced onion.", "Add tomatoes, beans and chili powder.", "Simmer 20 minutes, stirring occasionally."],
+      benefits: "Iron and protein from beef plus fiber from beans.",
+      tips: "Tastes even better the next day.",
+      tags: ["High-protein", "Batch-cook"], allergens: [], prepTime: 10, cookTime: 25
+    },
+    {
+      title: "Eggplant and Chickpea Curry",
+      calories: 490, protein: 16, carbs: 60, fat: 21,
+      diet: ["vegetarian", "vegan"],
+      ingredients: [
+        { item: "Eggplant", qty: 1, unit: "small", category: "Produce" },
+        { item: "Chickpeas", qty: 0.75, unit: "cup", category: "Canned Goods" },
+        { item: "Light coconut milk", qty: 0.5, unit: "cup", category: "Canned Goods" },
+        { item: "Curry powder", qty: 1, unit: "tbsp", category: "Spices" },
+        { item: "Cooked basmati rice", qty: 0.5, unit: "cup", category: "Grains" }
+      ],
+      steps: ["Brown cubed eggplant in a large pan.", "Add curry powder, chickpeas and coconut milk and simmer 15 minutes.", "Serve over basmati rice."],
+      benefits: "Plant protein and antioxidants in a warming curry.",
+      tips: "Salt the eggplant 10 minutes before cooking to reduce bitterness.",
+      tags: ["Plant-based"], allergens: [], prepTime: 10, cookTime: 20
+    }
+  ]
+};
+
+// Models the mock reports as available; covers every model name used in the app and test-api.html
+export const MOCK_MODELS = [
+  "gemini-2.0-flash",
+  "gemini-2.0-flash-lite",
+  "gemini-2.5-flash",
+  "gemini-2.5-pro",
+  "gemini-1.5-pro",
+  "gemini-1.5-flash",
+  "gemini-1.5-flash-8b"
+];
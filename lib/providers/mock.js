@@ -0,0 +1,179 @@
+// Offline mock provider (GEMINI_API_ENDPOINT=mock). Responses are built from
+// fixtures and seeded by a hash of the request, so the same request always
+// gets the same answer. Prompt kinds are recognised by their JSON examples:
+//   - day plans ({"days":[...]}) → one recipe per requested meal
+//   - single recipes ("recipe for Lunch", repair prompts) → one recipe object
+//   - other JSON prompts → the first JSON object in the prompt, echoed back
+//   - "Say 'X'" → X
+
+import { MOCK_RECIPES, MOCK_MODELS } from "./mock-fixtures.js";
+
+const MEAL_NAMES = Object.keys(MOCK_RECIPES);
+const WEEKDAYS = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const estimateTokens = (text) => Math.ceil(String(text || "").length / 4);
+
+// FNV-1a: a stable 32-bit seed from the request
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32 PRNG
+function createRandom(seed) {
+  let a = seed;
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function promptText(body) {
+  return (body.contents || []).flatMap(c => (c.parts || []).map(p => p.text || "")).join("\n");
+}
+
+function avoidedTitles(prompt) {
+  const match = prompt.match(/(?:Do not repeat|Must differ from):\s*([^\n]*)/i);
+  return new Set(match ? match[1].split(",").map(t => t.trim().toLowerCase()).filter(Boolean) : []);
+}
+
+function dietFilter(prompt) {
+  if (/\bvegan\b/i.test(prompt)) return r => r.diet.includes("vegan");
+  if (/\bvegetarian\b/i.test(prompt)) return r => r.diet.includes("vegetarian");
+  if (/\bpescatarian\b/i.test(prompt)) return r => r.diet.includes("vegetarian") || r.diet.includes("pescatarian");
+  if (/\bketo\b/i.test(prompt)) return r => r.diet.includes("keto");
+  return () => true;
+}
+
+function pickRecipe(mealName, prompt, random, used) {
+  const all = MOCK_RECIPES[mealName] || MOCK_RECIPES.Lunch;
+  const avoid = avoidedTitles(prompt);
+  const byDiet = all.filter(dietFilter(prompt));
+  const fresh = (list) => list.filter(r => !avoid.has(r.title.toLowerCase()) && !used.has(r.title));
+  // Repeating a recipe is better than breaking the diet
+  const pool = [fresh(byDiet), byDiet, fresh(all), all].find(list => list.length);
+  const { diet, ...recipe } = pool[Math.floor(random() * pool.length)];
+  used.add(recipe.title);
+  return JSON.parse(JSON.stringify(recipe));
+}
+
+function buildDay(dayName, mealNames, prompt, random, used) {
+  const meals = mealNames.map(name => ({ name, items: [pickRecipe(name, prompt, random, used)] }));
+  const totals = { calories: 0, protein: 0, carbs: 0, fat: 0 };
+  meals.forEach(m => m.items.forEach(it => Object.keys(totals).forEach(k => { totals[k] += it[k]; })));
+  return { day: dayName, summary: `A balanced ${mealNames.join(", ").toLowerCase()} menu for ${dayName}.`, totals, meals };
+}
+
+function firstJSONObject(prompt) {
+  const start = prompt.indexOf("{");
+  if (start === -1) return null;
+  for (let end = prompt.lastIndexOf("}"); end > start; end = prompt.lastIndexOf("}", end - 1)) {
+    try { return JSON.parse(prompt.slice(start, end + 1)); } catch {}
+  }
+  return null;
+}
+
+/**
+ * Build the mock's text answer for a request.
+ * @param {object} body - Gemini request body
+ * @param {number} seed
+ * @returns {string}
+ */
+export function buildMockText(body, seed) {
+  const prompt = promptText(body);
+  const random = createRandom(seed);
+  const used = new Set();
+  // Real models sometimes wrap JSON in markdown fences; do the same so parsers get exercised
+  const asJSON = (value) => (random() < 0.3 ? "```json\n" + JSON.stringify(value) + "\n```" : JSON.stringify(value));
+
+  if (/\{\s*"days"\s*:\s*\[/.test(prompt)) {
+    const dayName = prompt.match(/"day"\s*:\s*"([^"]+)"/)?.[1] || WEEKDAYS[Math.floor(random() * 7)];
+    const exampleMeals = [...prompt.matchAll(/"name"\s*:\s*"([^"]+)"/g)].map(m => m[1]).filter(n => MEAL_NAMES.includes(n));
+    const mealNames = exampleMeals.length ? [...new Set(exampleMeals)] : MEAL_NAMES;
+    return asJSON({ planTitle: `${dayName} Meal Plan`, days: [buildDay(dayName, mealNames, prompt, random, used)] });
+  }
+
+  if (/\brecipe\b/i.test(prompt)) {
+    const found = prompt.match(/\b(breakfast|lunch|dinner)\b/i)?.[1];
+    const mealName = found ? found[0].toUpperCase() + found.slice(1).toLowerCase() : "Lunch";
+    const recipe = pickRecipe(mealName, prompt, random, used);
+    // Repair prompts send the broken recipe; keep its dish name as the prompt asks
+    const original = prompt.includes("Recipe:") ? firstJSONObject(prompt.slice(prompt.lastIndexOf("Recipe:"))) : null;
+    if (original?.title) recipe.title = original.title;
+    return asJSON(recipe);
+  }
+
+  if (/json/i.test(prompt)) {
+    const example = firstJSONObject(prompt);
+    if (example) return JSON.stringify(example);
+  }
+
+  const say = prompt.match(/\bsay\s+['"]?([^'".!\n]+)/i);
+  return say ? say[1].trim() : "Mock response.";
+}
+
+function toResponse(text, body) {
+  const promptTokenCount = estimateTokens(promptText(body));
+  const candidatesTokenCount = estimateTokens(text);
+  return {
+    candidates: [{ finishReason: "STOP", content: { role: "model", parts: [{ text }] } }],
+    usageMetadata: { promptTokenCount, candidatesTokenCount, totalTokenCount: promptTokenCount + candidatesTokenCount }
+  };
+}
+
+export function createMockProvider() {
+  const latency = Number(process.env.MOCK_LATENCY_MS) || 0;
+  const seedFor = (model, body) => hashString(JSON.stringify({ model, contents: body.contents || [] }));
+
+  return {
+    type: "mock",
+    baseUrl: "mock://fixtures",
+    supportsListModels: true,
+    apiKeyEnv: null,
+    apiKeyRequired: false,
+
+    async generate(model, body) {
+      console.log(`[Mock] generateContent for ${model}`);
+      if (latency) await sleep(latency);
+      return toResponse(buildMockText(body, seedFor(model, body)), body);
+    },
+
+    // Yields the text in a few chunks; usage and finishReason come with the last one, as Gemini does
+    async *stream(model, body) {
+      console.log(`[Mock] streamGenerateContent for ${model}`);
+      const text = buildMockText(body, seedFor(model, body));
+      const size = Math.max(1, Math.ceil(text.length / 8));
+      for (let i = 0; i < text.length; i += size) {
+        if (latency) await sleep(latency);
+        const last = i + size >= text.length;
+        const chunk = { candidates: [{ content: { role: "model", parts: [{ text: text.slice(i, i + size) }] } }] };
+        if (last) {
+          chunk.candidates[0].finishReason = "STOP";
+          chunk.usageMetadata = toResponse(text, body).usageMetadata;
+        }
+        yield chunk;
+      }
+    },
+
+    async listModels() {
+      const configured = process.env.LLM_MODEL || process.env.GEMINI_MODEL;
+      const names = configured && !MOCK_MODELS.includes(configured) ? [...MOCK_MODELS, configured] : MOCK_MODELS;
+      return names.map(name => ({
+        name: `models/${name}`,
+        displayName: `${name} (mock)`,
+        supportedGenerationMethods: ["generateContent", "streamGenerateContent", "countTokens"]
+      }));
+    },
+
+    async countTokens(model, body) {
+      return { totalTokens: estimateTokens(promptText(body)), estimated: true };
+    }
+  };
+}
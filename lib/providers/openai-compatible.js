@@ -0,0 +1,137 @@
+// OpenAI-compatible chat completions (OpenAI, llama.cpp server, Ollama, vLLM, ...).
+// Requests and responses are translated to and from Gemini's shapes so the proxy,
+// the meal-plan route and the browser keep speaking one format.
+
+import { readSSE } from "../sse.js";
+import { providerError } from "./gemini-rest.js";
+
+const FINISH_REASONS = {
+  stop: "STOP",
+  length: "MAX_TOKENS",
+  content_filter: "SAFETY",
+  tool_calls: "STOP"
+};
+
+const partsText = (parts) => (parts || []).map(p => p?.text || "").join("");
+
+/**
+ * Translate a Gemini generateContent body into a chat completions request.
+ * @param {string} model
+ * @param {object} body - { contents, systemInstruction, generationConfig }
+ * @param {boolean} stream
+ */
+export function toChatRequest(model, body, stream) {
+  const messages = [];
+  if (body.systemInstruction) {
+    messages.push({ role: "system", content: partsText(body.systemInstruction.parts) });
+  }
+  (body.contents || []).forEach(c => {
+    messages.push({ role: c.role === "model" ? "assistant" : "user", content: partsText(c.parts) });
+  });
+
+  const config = body.generationConfig || {};
+  const request = { model, messages, stream };
+  if (config.maxOutputTokens != null) request.max_tokens = config.maxOutputTokens;
+  if (config.temperature != null) request.temperature = config.temperature;
+  if (config.topP != null) request.top_p = config.topP;
+  if (Array.isArray(config.stopSequences)) request.stop = config.stopSequences;
+  if (config.responseMimeType === "application/json") request.response_format = { type: "json_object" };
+  if (stream) request.stream_options = { include_usage: true };
+  return request;
+}
+
+function toUsageMetadata(usage) {
+  if (!usage) return undefined;
+  return {
+    promptTokenCount: usage.prompt_tokens,
+    candidatesTokenCount: usage.completion_tokens,
+    totalTokenCount: usage.total_tokens
+  };
+}
+
+/**
+ * Translate a chat completion (or one streamed chunk) into a Gemini response.
+ * @param {object} completion
+ * @param {"message"|"delta"} field - where the choice keeps its content
+ */
+export function toGeminiResponse(completion, field = "message") {
+  const choice = completion.choices?.[0];
+  const response = {
+    candidates: choice
+      ? [{
+          finishReason: choice.finish_reason ? (FINISH_REASONS[choice.finish_reason] || "OTHER") : undefined,
+          content: { role: "model", parts: [{ text: choice[field]?.content || "" }] }
+        }]
+      : []
+  };
+  const usageMetadata = toUsageMetadata(completion.usage);
+  if (usageMetadata) response.usageMetadata = usageMetadata;
+  return response;
+}
+
+export function createOpenAICompatibleProvider() {
+  const baseUrl = (process.env.OPENAI_BASE_URL || "").replace(/\/+$/, "");
+
+  const headers = () => {
+    if (!baseUrl) throw providerError("OPENAI_BASE_URL not configured", 500);
+    const h = { "Content-Type": "application/json" };
+    // Local servers usually run without a key
+    if (process.env.OPENAI_API_KEY) h.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+    return h;
+  };
+
+  async function request(path, init) {
+    const resp = await fetch(`${baseUrl}${path}`, { ...init, headers: headers() });
+    if (!resp.ok) {
+      const text = await resp.text();
+      console.error("[OpenAI-compatible] API error:", resp.status, text);
+      throw providerError(text || "Chat completions API error", resp.status, text);
+    }
+    return resp;
+  }
+
+  return {
+    type: "openai",
+    baseUrl,
+    supportsListModels: true,
+    apiKeyEnv: "OPENAI_API_KEY",
+    apiKeyRequired: false,
+
+    async generate(model, body) {
+      console.log(`[OpenAI-compatible] Calling ${model} at ${baseUrl}`);
+      const resp = await request("/chat/completions", {
+        method: "POST",
+        body: JSON.stringify(toChatRequest(model, body, false))
+      });
+      return toGeminiResponse(JSON.parse(await resp.text()));
+    },
+
+    async *stream(model, body) {
+      console.log(`[OpenAI-compatible] Streaming ${model} from ${baseUrl}`);
+      const resp = await request("/chat/completions", {
+        method: "POST",
+        body: JSON.stringify(toChatRequest(model, body, true))
+      });
+      for await (const { data } of readSSE(resp.body)) {
+        if (data === "[DONE]") break;
+        yield toGeminiResponse(JSON.parse(data), "delta");
+      }
+    },
+
+    async listModels() {
+      const resp = await request("/models", { method: "GET" });
+      const { data = [] } = JSON.parse(await resp.text());
+      return data.map(m => ({
+        name: m.id,
+        displayName: m.id,
+        supportedGenerationMethods: ["generateContent", "streamGenerateContent"]
+      }));
+    },
+
+    // There is no standard tokenizer endpoint; estimate at ~4 characters per token
+    async countTokens(model, body) {
+      const text = [body.systemInstruction, ...(body.contents || [])].map(c => partsText(c?.parts)).join("");
+      return { totalTokens: Math.ceil(text.length / 4), estimated: true };
+    }
+  };
+}
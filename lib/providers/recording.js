@@ -0,0 +1,169 @@
+// Record/replay of provider calls, for reproducing parsing bugs offline.
+// LLM_RECORD=1 wraps the configured provider and saves every call (including
+// upstream errors) to LLM_RECORDINGS_DIR; GEMINI_API_ENDPOINT=replay serves those
+// files back without touching the network. Files are keyed by method, model and
+// the exact request body, so a replay needs the identical request.
+
+import { createHash } from "node:crypto";
+import { mkdir, readdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { providerError } from "./gemini-rest.js";
+
+export function recordingsDir() {
+  return path.resolve(process.env.LLM_RECORDINGS_DIR || ".llm-recordings");
+}
+
+/**
+ * Path of the recording for one call.
+ * @param {string} dir
+ * @param {string} method - generateContent, streamGenerateContent, listModels or countTokens
+ * @param {string|null} model
+ * @param {object|null} body
+ */
+export function recordingFile(dir, method, model, body) {
+  const hash = createHash("sha256")
+    .update(JSON.stringify({ method, model: model || null, body: body || null }))
+    .digest("hex")
+    .slice(0, 16);
+  const safeModel = String(model || "all").replace(/[^a-z0-9.-]+/gi, "_");
+  return path.join(dir, `${method}-${safeModel}-${hash}.json`);
+}
+
+const errorRecord = (err) => ({ status: err.status, message: err.message, body: err.body });
+
+/**
+ * Wrap a provider so every call is also written to disk.
+ * @param {import("./index.js").Provider} inner
+ * @param {string} [dir]
+ * @returns {import("./index.js").Provider}
+ */
+export function createRecordingProvider(inner, dir = recordingsDir()) {
+  async function save(method, model, body, result) {
+    const file = recordingFile(dir, method, model, body);
+    try {
+      await mkdir(dir, { recursive: true });
+      await writeFile(file, JSON.stringify({
+        method,
+        model: model || null,
+        provider: inner.type,
+        recordedAt: new Date().toISOString(),
+        request: body || null,
+        ...result
+      }, null, 2));
+      console.log(`[Recorder] Saved ${path.basename(file)}`);
+    } catch (err) {
+      console.warn("[Recorder] Could not save recording:", err.message);
+    }
+  }
+
+  async function record(method, model, body, call) {
+    try {
+      const response = await call();
+      await save(method, model, body, { response });
+      return response;
+    } catch (err) {
+      // Only upstream failures are worth replaying; config errors would just mask the real call
+      if (err.status && err.status !== 500) await save(method, model, body, { error: errorRecord(err) });
+      throw err;
+    }
+  }
+
+  return {
+    ...inner,
+    recordingTo: dir,
+
+    generate: (model, body) => record("generateContent", model, body, () => inner.generate(model, body)),
+
+    async *stream(model, body) {
+      const chunks = [];
+      try {
+        for await (const chunk of inner.stream(model, body)) {
+          chunks.push(chunk);
+          yield chunk;
+        }
+      } catch (err) {
+        if (err.status && err.status !== 500) await save("streamGenerateContent", model, body, { chunks, error: errorRecord(err) });
+        throw err;
+      }
+      await save("streamGenerateContent", model, body, { chunks });
+    },
+
+    listModels: () => record("listModels", null, null, () => inner.listModels()),
+    countTokens: (model, body) => record("countTokens", model, body, () => inner.countTokens(model, body))
+  };
+}
+
+/**
+ * Serve recorded calls back. Missing recordings fail with code RECORDING_NOT_FOUND.
+ * @param {string} [dir]
+ * @returns {import("./index.js").Provider}
+ */
+export function createReplayProvider(dir = recordingsDir()) {
+  async function load(method, model, body) {
+    const file = recordingFile(dir, method, model, body);
+    let text;
+    try {
+      text = await readFile(file, "utf8");
+    } catch {
+      const err = providerError(`No recording for ${method}${model ? ` ${model}` : ""} (${path.basename(file)}) in ${dir}. Record it first with LLM_RECORD=1.`, 404);
+      err.code = "RECORDING_NOT_FOUND";
+      throw err;
+    }
+    console.log(`[Replay] Serving ${path.basename(file)}`);
+    return JSON.parse(text);
+  }
+
+  const replayError = (recording) => providerError(recording.error.message, recording.error.status, recording.error.body);
+
+  async function response(method, model, body) {
+    const recording = await load(method, model, body);
+    if (recording.error) throw replayError(recording);
+    return recording.response;
+  }
+
+  return {
+    type: "replay",
+    baseUrl: `file://${dir}`,
+    supportsListModels: true,
+    apiKeyEnv: null,
+    apiKeyRequired: false,
+
+    generate: (model, body) => response("generateContent", model, body),
+
+    // Falls back to a recorded generateContent call, served as a single chunk
+    async *stream(model, body) {
+      let recording;
+      try {
+        recording = await load("streamGenerateContent", model, body);
+      } catch (err) {
+        if (err.code !== "RECORDING_NOT_FOUND") throw err;
+        yield await response("generateContent", model, body);
+        return;
+      }
+      for (const chunk of recording.chunks || []) yield chunk;
+      if (recording.error) throw replayError(recording);
+    },
+
+    // Without a recorded list, report every model that has recordings
+    async listModels() {
+      try {
+        return await response("listModels", null, null);
+      } catch (err) {
+        if (err.code !== "RECORDING_NOT_FOUND") throw err;
+      }
+      const files = await readdir(dir).catch(() => []);
+      const models = new Set();
+      for (const file of files.filter(f => f.endsWith(".json"))) {
+        const { model } = JSON.parse(await readFile(path.join(dir, file), "utf8"));
+        if (model) models.add(model);
+      }
+      return [...models].map(name => ({
+        name,
+        displayName: `${name} (replay)`,
+        supportedGenerationMethods: ["generateContent", "streamGenerateContent", "countTokens"]
+      }));
+    },
+
+    countTokens: (model, body) => response("countTokens", model, body)
+  };
+}
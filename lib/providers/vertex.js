@@ -0,0 +1,67 @@
+// Vertex AI publisher models.
+//
+// With a service account (or ADC, or a project) configured, calls go to the project- and
+// region-scoped endpoint with an OAuth access token (see google-auth.js):
+//   https://{location}-aiplatform.googleapis.com/v1/projects/{project}/locations/{location}/publishers/google/models/
+// Otherwise the global publisher endpoint is called with GEMINI_API_KEY, which only
+// Vertex AI express mode keys accept.
+//
+// Vertex has no stable list endpoint for publisher models, so listModels is unsupported
+// and callers fall back to the configured model.
+
+import { createGeminiRestProvider, providerError } from "./gemini-rest.js";
+import { getVertexConfig, getAccessToken, invalidateAccessToken, usesServiceAccount } from "./google-auth.js";
+
+/**
+ * Base URL for a project's publisher models. The "global" location has no regional host.
+ * @param {string} project
+ * @param {string} location
+ * @returns {string}
+ */
+export function vertexModelsUrl(project, location) {
+  const host = location === "global" ? "aiplatform.googleapis.com" : `${location}-aiplatform.googleapis.com`;
+  return `https://${host}/v1/projects/${project}/locations/${location}/publishers/google/models/`;
+}
+
+export function createVertexProvider() {
+  if (!usesServiceAccount()) {
+    return createGeminiRestProvider({
+      type: "vertex",
+      baseUrl: "https://aiplatform.googleapis.com/v1/publishers/google/models/",
+      listUrl: null
+    });
+  }
+
+  const { project, location } = getVertexConfig();
+  if (!project) {
+    throw providerError("Vertex AI project not configured: set VERTEX_PROJECT or use a service account key with a project_id", 500);
+  }
+
+  const provider = createGeminiRestProvider({
+    type: "vertex",
+    baseUrl: vertexModelsUrl(project, location),
+    listUrl: null,
+    apiKeyEnv: null,
+    authorize: async () => {
+      const { token } = await getAccessToken();
+      return { headers: { Authorization: `Bearer ${token}` }, query: "" };
+    },
+    onUnauthorized: invalidateAccessToken
+  });
+
+  return {
+    ...provider,
+    authType: "service-account",
+    project,
+    location,
+
+    /**
+     * Mint (or reuse) an access token to prove the credentials work.
+     * @returns {Promise<{clientEmail: string|null, expiresAt: string}>}
+     */
+    async verifyCredentials() {
+      const { clientEmail, expiresAt } = await getAccessToken();
+      return { clientEmail: clientEmail || "application default credentials", expiresAt: new Date(expiresAt).toISOString() };
+    }
+  };
+}
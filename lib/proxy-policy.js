@@ -0,0 +1,210 @@
+// Request policy for the Gemini-format proxy (/api/generate-plan), so the server's
+// API key can't be used as a general-purpose relay. Only approved model:method
+// pairs are served. Bodies are rebuilt from known fields: text parts, plus a small
+// set of generationConfig options. Prompt length and maxOutputTokens are capped
+// per subscription tier.
+//
+// PROXY_ALLOWED_MODELS (comma-separated) replaces the default model list; the model
+// forced by LLM_MODEL / GEMINI_MODEL is always allowed. PROXY_LIMITS overrides the
+// tier caps as JSON, e.g. {"free": {"maxOutputTokens": 1024}}.
+
+import { resolveModel } from "./gemini.js";
+import { requestError } from "./quota.js";
+
+export const PROXY_METHODS = ["generateContent", "streamGenerateContent", "countTokens"];
+
+const DEFAULT_ALLOWED_MODELS = [
+  "gemini-2.0-flash",
+  "gemini-2.0-flash-lite",
+  "gemini-2.5-flash",
+  "gemini-2.5-pro",
+  "gemini-1.5-flash",
+  "gemini-1.5-pro"
+];
+
+// maxPromptChars counts the text of contents and systemInstruction together
+export const DEFAULT_PROXY_LIMITS = {
+  free: { maxOutputTokens: 2048, maxPromptChars: 8000 },
+  starter: { maxOutputTokens: 4096, maxPromptChars: 16000 },
+  pro: { maxOutputTokens: 8192, maxPromptChars: 32000 },
+  unlimited: { maxOutputTokens: 8192, maxPromptChars: 64000 }
+};
+
+const BODY_FIELDS = ["contents", "systemInstruction", "generationConfig", "safetySettings"];
+const GENERATION_CONFIG_NUMBERS = ["temperature", "topP", "topK", "maxOutputTokens"];
+const RESPONSE_MIME_TYPES = ["text/plain", "application/json"];
+const MAX_STOP_SEQUENCES = 5;
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+export function allowedModels() {
+  const configured = (process.env.PROXY_ALLOWED_MODELS || "").split(",").map(s => s.trim()).filter(Boolean);
+  const forced = process.env.LLM_MODEL || process.env.GEMINI_MODEL;
+  return [...new Set([...(configured.length ? configured : DEFAULT_ALLOWED_MODELS), ...(forced ? [forced] : [])])];
+}
+
+/**
+ * Caps for a tier, with PROXY_LIMITS overrides applied.
+ * @param {string} tier
+ * @returns {{maxOutputTokens: number, maxPromptChars: number}}
+ */
+export function getProxyLimits(tier) {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.PROXY_LIMITS || "{}");
+  } catch {
+    console.warn("[Proxy Policy] Ignoring invalid PROXY_LIMITS JSON");
+  }
+  const name = (DEFAULT_PROXY_LIMITS[tier] || overrides[tier]) ? tier : "free";
+  return { ...DEFAULT_PROXY_LIMITS[name], ...overrides[name] };
+}
+
+// Keep text parts only; images, files and function calls are not relayed
+function textParts(parts, path, stripped) {
+  if (!Array.isArray(parts)) {
+    throw requestError(400, "INVALID_BODY", `${path}.parts must be an array.`);
+  }
+  const kept = [];
+  parts.forEach((part, i) => {
+    if (isObject(part) && typeof part.text === "string") {
+      kept.push({ text: part.text });
+      Object.keys(part).filter(k => k !== "text").forEach(k => stripped.push(`${path}.parts[${i}].${k}`));
+    } else {
+      stripped.push(`${path}.parts[${i}]`);
+    }
+  });
+  return kept;
+}
+
+function sanitizeGenerationConfig(config, stripped) {
+  if (!isObject(config)) {
+    if (config !== undefined) stripped.push("generationConfig");
+    return {};
+  }
+  const clean = {};
+  Object.entries(config).forEach(([key, value]) => {
+    if (GENERATION_CONFIG_NUMBERS.includes(key) && Number.isFinite(value)) {
+      clean[key] = value;
+    } else if (key === "stopSequences" && Array.isArray(value) && value.every(v => typeof v === "string")) {
+      clean.stopSequences = value.slice(0, MAX_STOP_SEQUENCES);
+    } else if (key === "responseMimeType" && RESPONSE_MIME_TYPES.includes(value)) {
+      clean.responseMimeType = value;
+    } else {
+      stripped.push(`generationConfig.${key}`);
+    }
+  });
+  if (clean.temperature !== undefined) clean.temperature = Math.min(2, Math.max(0, clean.temperature));
+  if (clean.topP !== undefined) clean.topP = Math.min(1, Math.max(0, clean.topP));
+  if (clean.topK !== undefined) clean.topK = Math.max(1, Math.round(clean.topK));
+  return clean;
+}
+
+/**
+ * Check a proxy request against the allowlist and rebuild its body from known fields.
+ * Throws a requestError: 400 UNSUPPORTED_METHOD, ENDPOINT_NOT_ALLOWED, INVALID_BODY or
+ * EMPTY_PROMPT, or 403 MODEL_NOT_ALLOWED.
+ * @param {object} request - { endpoint: "model:method", body, stream }
+ * @returns {{model: string, requestedModel: string, method: string, body: object, stripped: string[], promptChars: number}}
+ *   stripped lists the removed fields by path
+ */
+export function checkProxyRequest({ endpoint, body, stream }) {
+  const match = /^(?:models\/)?([A-Za-z0-9._-]+)(?::([A-Za-z]+))?$/.exec(String(endpoint || "").trim());
+  if (!match) {
+    throw requestError(400, "ENDPOINT_NOT_ALLOWED", "endpoint must look like \"<model>:<method>\", e.g. \"gemini-2.0-flash:generateContent\".");
+  }
+  const [, requestedModel, requestedMethod = "generateContent"] = match;
+
+  const method = stream ? "streamGenerateContent" : requestedMethod;
+  if (!PROXY_METHODS.includes(method)) {
+    throw requestError(400, "UNSUPPORTED_METHOD", `'${requestedMethod}' is not supported. Use one of: ${PROXY_METHODS.join(", ")}`, {
+      allowedMethods: PROXY_METHODS
+    });
+  }
+
+  // LLM_MODEL / GEMINI_MODEL override the model the client asked for
+  const model = resolveModel(requestedModel);
+  const models = allowedModels();
+  if (!models.includes(model)) {
+    throw requestError(403, "MODEL_NOT_ALLOWED", `The model '${model}' is not enabled on this server.`, {
+      requestedModel: model,
+      allowedModels: models
+    });
+  }
+
+  if (!isObject(body)) {
+    throw requestError(400, "INVALID_BODY", "body must be a Gemini request object with contents.");
+  }
+  const stripped = Object.keys(body).filter(k => !BODY_FIELDS.includes(k));
+
+  if (!Array.isArray(body.contents) || body.contents.length === 0) {
+    throw requestError(400, "INVALID_BODY", "body.contents must be a non-empty array.");
+  }
+  const contents = body.contents.map((content, i) => {
+    if (!isObject(content)) {
+      throw requestError(400, "INVALID_BODY", `contents[${i}] must be an object.`);
+    }
+    return {
+      role: content.role === "model" ? "model" : "user",
+      parts: textParts(content.parts, `contents[${i}]`, stripped)
+    };
+  }).filter(content => content.parts.length > 0);
+
+  const clean = { contents };
+  let promptChars = contents.reduce((n, c) => n + c.parts.reduce((m, p) => m + p.text.length, 0), 0);
+
+  if (body.systemInstruction !== undefined) {
+    const parts = isObject(body.systemInstruction)
+      ? textParts(body.systemInstruction.parts, "systemInstruction", stripped)
+      : (stripped.push("systemInstruction"), []);
+    if (parts.length) {
+      clean.systemInstruction = { parts };
+      promptChars += parts.reduce((n, p) => n + p.text.length, 0);
+    }
+  }
+
+  if (promptChars === 0) {
+    throw requestError(400, "EMPTY_PROMPT", "The request has no text to send to the model.");
+  }
+
+  if (method !== "countTokens") {
+    const generationConfig = sanitizeGenerationConfig(body.generationConfig, stripped);
+    if (Object.keys(generationConfig).length) clean.generationConfig = generationConfig;
+
+    if (Array.isArray(body.safetySettings)) {
+      clean.safetySettings = body.safetySettings
+        .filter(s => isObject(s) && typeof s.category === "string" && typeof s.threshold === "string")
+        .map(({ category, threshold }) => ({ category, threshold }));
+    } else if (body.safetySettings !== undefined) {
+      stripped.push("safetySettings");
+    }
+  }
+
+  return { model, requestedModel, method, body: clean, stripped, promptChars };
+}
+
+/**
+ * Apply the tier's caps to a checked request: maxOutputTokens is lowered (or set)
+ * to the cap, and prompts over the length cap are rejected with 413 PROMPT_TOO_LONG.
+ * @param {object} request - result of checkProxyRequest()
+ * @param {string} tier
+ * @returns {object} the request body to send
+ */
+export function applyTierLimits(request, tier) {
+  const limits = getProxyLimits(tier);
+  if (request.promptChars > limits.maxPromptChars) {
+    throw requestError(413, "PROMPT_TOO_LONG", `The prompt is ${request.promptChars} characters; your plan allows ${limits.maxPromptChars}.`, {
+      tier,
+      promptChars: request.promptChars,
+      maxPromptChars: limits.maxPromptChars
+    });
+  }
+  if (request.method === "countTokens") return request.body;
+
+  const generationConfig = { ...request.body.generationConfig };
+  const requested = generationConfig.maxOutputTokens;
+  generationConfig.maxOutputTokens = Math.max(1, Math.min(requested || limits.maxOutputTokens, limits.maxOutputTokens));
+  if (requested > limits.maxOutputTokens) {
+    console.log(`[Proxy Policy] maxOutputTokens ${requested} capped to ${limits.maxOutputTokens} (${tier})`);
+  }
+  return { ...request.body, generationConfig };
+}
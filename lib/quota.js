@@ -0,0 +1,220 @@
+// Server-side authentication and monthly generation quota.
+// Every generating route calls authorizeGeneration() before touching the model:
+// it verifies the Supabase access token and spends quota through the
+// consume_generation() Postgres function (FIXED_DATABASE_SETUP.sql), which does the
+// upsert and limit check in one transaction. Requests are rate limited first
+// (lib/rate-limit): per client IP before the token is verified, so invalid tokens
+// can't flood Supabase Auth, then per user and tier. Routes that only authenticate
+// (household, plan-job polls) call throttleByIp() first for the same reason. The tier and limit are read
+// from profiles columns only the service role can write.
+
+import { getUser, isSupabaseConfigured, rest } from "./supabase.js";
+import { getProviderName } from "./providers/index.js";
+import { rateLimit, rateLimitHeaders } from "./rate-limit/index.js";
+
+const OFFLINE_PROVIDERS = ["mock", "replay"];
+
+/**
+ * Build an error that is the client's to fix (auth, quota, rate limit, request policy).
+ * `code` and `details` become the JSON response body; see requestErrorResponse().
+ */
+export function requestError(status, code, message, details = {}) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  err.details = details;
+  return err;
+}
+
+/**
+ * Read the bearer token from request headers (Node lowercases them; Netlify usually does).
+ * @param {object} headers
+ * @returns {string|null}
+ */
+export function getBearerToken(headers = {}) {
+  const value = headers.authorization || headers.Authorization || "";
+  const match = /^Bearer\s+(.+)$/i.exec(String(value).trim());
+  return match ? match[1] : null;
+}
+
+/**
+ * Verify the request's Supabase access token.
+ * @param {object} headers
+ * @returns {Promise<{id: string, email: string}>}
+ */
+export async function authenticateRequest(headers) {
+  const token = getBearerToken(headers);
+  if (!token) {
+    throw requestError(401, "AUTH_REQUIRED", "Sign in to generate meal plans.");
+  }
+  const user = await getUser(token);
+  if (!user) {
+    throw requestError(401, "INVALID_TOKEN", "Your session has expired. Please sign in again.");
+  }
+  return user;
+}
+
+async function getTier(userId) {
+  const [profile] = await rest(`profiles?id=eq.${userId}&select=subscription_tier`);
+  if (!profile) {
+    throw requestError(403, "PROFILE_NOT_FOUND", "No profile found for this account.");
+  }
+  return profile.subscription_tier || "free";
+}
+
+/**
+ * Spend a rate-limit token, or throw RATE_LIMITED (429 with Retry-After).
+ * @param {string} key
+ * @param {string} tier
+ * @returns {Promise<object>} rateLimit() result
+ */
+async function enforceRateLimit(key, tier) {
+  const result = await rateLimit(key, tier);
+  if (result.allowed) return result;
+
+  console.warn(`[Rate Limit] ${key} (${result.policy.tier}) limited for ${result.retryAfter}s`);
+  const err = requestError(429, "RATE_LIMITED", `Too many requests. Please wait ${result.retryAfter} second${result.retryAfter === 1 ? "" : "s"} and try again.`, {
+    tier: result.policy.tier,
+    retryAfter: result.retryAfter
+  });
+  err.headers = rateLimitHeaders(result);
+  throw err;
+}
+
+/**
+ * Call consume_generation() and map its row to a quota summary.
+ * @param {string} userId
+ * @param {number} cost - negative to refund
+ */
+async function callConsumeGeneration(userId, cost) {
+  let rows;
+  try {
+    rows = await rest("rpc/consume_generation", {
+      method: "POST",
+      body: { p_user_id: userId, p_cost: cost }
+    });
+  } catch (err) {
+    if (err.dbCode === "P0002") {
+      throw requestError(403, "PROFILE_NOT_FOUND", "No profile found for this account.");
+    }
+    throw err;
+  }
+  const [row] = rows;
+  return {
+    allowed: row.allowed,
+    quota: {
+      tier: row.tier,
+      limit: row.monthly_limit,
+      used: row.used,
+      remaining: row.remaining,
+      resetsAt: new Date(row.resets_at).toISOString()
+    }
+  };
+}
+
+/**
+ * Consume `cost` generations for the current month, or throw QUOTA_EXCEEDED
+ * (402 on the free tier, where upgrading helps; 429 on paid tiers until the month resets).
+ * @param {string} userId
+ * @param {number} [cost]
+ * @returns {Promise<{tier: string, limit: number, used: number, remaining: number, resetsAt: string}>}
+ */
+export async function consumeGeneration(userId, cost = 1) {
+  const { allowed, quota } = await callConsumeGeneration(userId, cost);
+  if (allowed) return quota;
+
+  const { tier, limit } = quota;
+  throw requestError(
+    tier === "free" ? 402 : 429,
+    "QUOTA_EXCEEDED",
+    tier === "free"
+      ? `You've used all ${limit} free meal plans this month. Upgrade to keep generating.`
+      : `You've used all ${limit} meal plans in your ${tier} plan this month. Your quota resets on ${quota.resetsAt.slice(0, 10)}.`,
+    quota
+  );
+}
+
+/**
+ * Give back generations consumed for a request that then failed. Best effort.
+ * @param {string} userId
+ * @param {number} [cost]
+ */
+export async function refundGeneration(userId, cost = 1) {
+  try {
+    await callConsumeGeneration(userId, -cost);
+  } catch (err) {
+    console.warn("[Quota] Refund failed:", err.message);
+  }
+}
+
+/**
+ * Throttle a request by client IP, or throw RATE_LIMITED. Routes that verify a token without
+ * authorizeGeneration() call this first, so invalid tokens can't flood Supabase Auth either.
+ * @param {string|null} ip - the route's ApiRequest ip
+ * @param {"ip"|"poll"} [policy] - "poll" is the looser bucket for plan-job polls
+ * @returns {Promise<object>} RateLimit-* response headers
+ */
+export async function throttleByIp(ip, policy = "ip") {
+  return rateLimitHeaders(await enforceRateLimit(`${policy}:${ip || "unknown"}`, policy));
+}
+
+/**
+ * Rate limit the request, authenticate it and consume quota. cost 0 skips the quota.
+ * With the offline mock/replay providers and no Supabase configured, requests run
+ * as an unlimited local user (rate limited by IP) so offline development keeps working.
+ * @param {{headers: object, ip: string|null}} request - the route's ApiRequest
+ * @param {number} [cost]
+ * @returns {Promise<{user: object, tier: string, quota: object|null, headers: object, refund: () => Promise<void>}>}
+ *   headers holds the X-Generations-* and RateLimit-* response headers
+ */
+export async function authorizeGeneration({ headers, ip }, cost = 1) {
+  const noRefund = async () => {};
+
+  // Every request, with or without a token, is throttled by IP before it reaches Supabase Auth
+  const byIp = await enforceRateLimit(`ip:${ip || "unknown"}`, "ip");
+
+  if (!isSupabaseConfigured() && OFFLINE_PROVIDERS.includes(getProviderName())) {
+    return { user: { id: "offline", email: null }, tier: "unlimited", quota: null, headers: rateLimitHeaders(byIp), refund: noRefund };
+  }
+
+  const user = await authenticateRequest(headers);
+  const tier = await getTier(user.id);
+  const limited = await enforceRateLimit(`user:${user.id}`, tier);
+  if (cost <= 0) return { user, tier, quota: null, headers: rateLimitHeaders(limited), refund: noRefund };
+
+  const quota = await consumeGeneration(user.id, cost);
+  console.log(`[Quota] ${user.id}: ${quota.used}/${quota.limit === -1 ? "∞" : quota.limit} (${quota.tier})`);
+  return {
+    user,
+    tier,
+    quota,
+    headers: { ...rateLimitHeaders(limited), ...quotaHeaders(quota) },
+    refund: () => refundGeneration(user.id, cost)
+  };
+}
+
+/**
+ * Response headers reporting the remaining quota.
+ * @param {object|null} quota
+ * @returns {object}
+ */
+export function quotaHeaders(quota) {
+  if (!quota) return {};
+  return {
+    "X-Generations-Limit": String(quota.limit),
+    "X-Generations-Remaining": String(quota.remaining)
+  };
+}
+
+/**
+ * Turn an error built with requestError() into { status, headers, body }, or null for other errors.
+ * @param {Error} err
+ */
+export function requestErrorResponse(err) {
+  if (!err?.code || !err.details) return null;
+  const headers = { ...err.headers, ...quotaHeaders(err.code === "QUOTA_EXCEEDED" ? err.details : null) };
+  if (err.status === 429 && err.details?.resetsAt) {
+    headers["Retry-After"] = String(Math.max(1, Math.ceil((Date.parse(err.details.resetsAt) - Date.now()) / 1000)));
+  }
+  return { status: err.status, headers, body: { error: err.code, message: err.message, ...err.details } };
+}
@@ -0,0 +1,115 @@
+// Token-bucket rate limiting for the generation endpoints: every request first spends
+// from its client IP's bucket, then signed-in users from their own, with a bucket size
+// and refill rate per subscription tier.
+//
+// RATE_LIMIT_STORE picks where buckets live: "memory" (default, per instance),
+// "postgres" (Supabase, shared) or "redis" (REST, shared). RATE_LIMITS overrides
+// tiers as JSON, e.g. {"free": {"burst": 5, "perMinute": 2}}.
+
+import { createMemoryStore } from "./memory.js";
+import { createPostgresStore } from "./postgres.js";
+import { createRedisStore } from "./redis.js";
+
+/**
+ * @typedef {object} RateLimitStore
+ * @property {string} type
+ * @property {(key: string, policy: {capacity: number, refillPerSecond: number}, cost: number) => Promise<{allowed: boolean, tokens: number}>} take
+ *   Refill the bucket for the elapsed time, then spend `cost` tokens if there are enough
+ */
+
+const STORES = {
+  memory: createMemoryStore,
+  postgres: createPostgresStore,
+  redis: createRedisStore
+};
+
+// burst = bucket size; perMinute = refill rate. "ip" is the per-address bucket every
+// request passes before its token is checked; it leaves room for several users behind
+// one address. "poll" is a separate, looser per-address bucket for plan-job polls
+export const DEFAULT_RATE_LIMITS = {
+  ip: { burst: 30, perMinute: 30 },
+  poll: { burst: 60, perMinute: 60 },
+  free: { burst: 5, perMinute: 2 },
+  starter: { burst: 10, perMinute: 6 },
+  pro: { burst: 20, perMinute: 12 },
+  unlimited: { burst: 30, perMinute: 30 }
+};
+
+let store = null;
+
+function getStore() {
+  const name = (process.env.RATE_LIMIT_STORE || "memory").trim().toLowerCase();
+  if (store?.type === name) return store;
+  const create = STORES[name];
+  if (!create) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${name}". Use one of: ${Object.keys(STORES).join(", ")}`);
+  }
+  store = create();
+  return store;
+}
+
+/**
+ * Bucket settings for a tier, with RATE_LIMITS overrides applied.
+ * @param {string} tier
+ * @returns {{tier: string, burst: number, perMinute: number, capacity: number, refillPerSecond: number}}
+ */
+export function getRatePolicy(tier) {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.RATE_LIMITS || "{}");
+  } catch {
+    console.warn("[Rate Limit] Ignoring invalid RATE_LIMITS JSON");
+  }
+  const name = (DEFAULT_RATE_LIMITS[tier] || overrides[tier]) ? tier : "free";
+  const { burst, perMinute } = { ...DEFAULT_RATE_LIMITS[name], ...overrides[name] };
+  return { tier: name, burst, perMinute, capacity: burst, refillPerSecond: perMinute / 60 };
+}
+
+/**
+ * Spend `cost` tokens from the bucket for `key`. When the store is unreachable
+ * the request is allowed, so a store outage doesn't take generation down.
+ * @param {string} key - e.g. "user:<id>" or "ip:<address>"
+ * @param {string} tier - subscription tier, or "ip"
+ * @param {number} [cost]
+ * @returns {Promise<{allowed: boolean, limit: number, remaining: number, reset: number, retryAfter: number, policy: object}>}
+ *   reset and retryAfter are in seconds
+ */
+export async function rateLimit(key, tier, cost = 1) {
+  const policy = getRatePolicy(tier);
+  const bucketStore = getStore();
+  let result;
+  try {
+    result = await bucketStore.take(key, policy, cost);
+  } catch (err) {
+    console.warn("[Rate Limit] Store error, allowing request:", err.message);
+    return { allowed: true, limit: policy.capacity, remaining: policy.capacity, reset: 0, retryAfter: 0, policy };
+  }
+
+  const { allowed, tokens } = result;
+  return {
+    allowed,
+    limit: policy.capacity,
+    remaining: Math.max(0, Math.floor(tokens)),
+    reset: Math.ceil((policy.capacity - tokens) / policy.refillPerSecond),
+    retryAfter: allowed ? 0 : Math.max(1, Math.ceil((cost - tokens) / policy.refillPerSecond)),
+    policy
+  };
+}
+
+/**
+ * RateLimit-* headers (IETF draft) for a rateLimit() result, plus Retry-After when limited.
+ * @param {object|null} result
+ * @returns {object}
+ */
+export function rateLimitHeaders(result) {
+  if (!result) return {};
+  const windowSeconds = Math.round((result.policy.burst / result.policy.perMinute) * 60);
+  const headers = {
+    "RateLimit-Limit": String(result.limit),
+    "RateLimit-Remaining": String(result.remaining),
+    "RateLimit-Reset": String(result.reset),
+    "RateLimit-Policy": `${result.limit};w=${windowSeconds}`
+  };
+  if (!result.allowed) headers["Retry-After"] = String(result.retryAfter);
+  return headers;
+}
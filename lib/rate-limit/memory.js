@@ -0,0 +1,30 @@
+// In-process token buckets. Each serverless instance keeps its own buckets, so
+// this only limits reliably in development or on a single long-lived server.
+
+/**
+ * @returns {import("./index.js").RateLimitStore}
+ */
+export function createMemoryStore() {
+  const buckets = new Map();
+
+  return {
+    type: "memory",
+
+    async take(key, { capacity, refillPerSecond }, cost) {
+      const now = Date.now();
+      const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+      const tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+      const allowed = tokens >= cost;
+      const left = allowed ? tokens - cost : tokens;
+      buckets.set(key, { tokens: left, updatedAt: now });
+
+      // Full buckets carry no state; drop them so the map doesn't grow without bound
+      if (buckets.size > 10000) {
+        for (const [k, b] of buckets) {
+          if (b.tokens + ((now - b.updatedAt) / 1000) * refillPerSecond >= capacity) buckets.delete(k);
+        }
+      }
+      return { allowed, tokens: left };
+    }
+  };
+}
@@ -0,0 +1,21 @@
+// Token buckets in Supabase Postgres. take_rate_limit_tokens() (FIXED_DATABASE_SETUP.sql)
+// refills and spends a bucket under a row lock, so all instances share one limit.
+
+import { rest } from "../supabase.js";
+
+/**
+ * @returns {import("./index.js").RateLimitStore}
+ */
+export function createPostgresStore() {
+  return {
+    type: "postgres",
+
+    async take(key, { capacity, refillPerSecond }, cost) {
+      const [row] = await rest("rpc/take_rate_limit_tokens", {
+        method: "POST",
+        body: { p_key: key, p_capacity: capacity, p_refill_per_second: refillPerSecond, p_cost: cost }
+      });
+      return { allowed: row.allowed, tokens: Number(row.remaining_tokens) };
+    }
+  };
+}
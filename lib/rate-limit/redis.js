@@ -0,0 +1,53 @@
+// Token buckets in Redis, over the Upstash-style REST protocol (POST a command as
+// a JSON array), so no Redis client or TCP connection is needed from serverless
+// functions. Refill and spend run in one Lua script, using the server's clock.
+
+const TAKE_SCRIPT = `
+local bucket = redis.call("HMGET", KEYS[1], "tokens", "ts")
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local time = redis.call("TIME")
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local tokens = tonumber(bucket[1]) or capacity
+local ts = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) / 1000 * rate)
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call("HSET", KEYS[1], "tokens", tostring(tokens), "ts", tostring(now))
+redis.call("PEXPIRE", KEYS[1], math.ceil(capacity / rate * 1000) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+/**
+ * @returns {import("./index.js").RateLimitStore}
+ */
+export function createRedisStore() {
+  const url = (process.env.REDIS_REST_URL || "").replace(/\/+$/, "");
+  const token = process.env.REDIS_REST_TOKEN;
+
+  return {
+    type: "redis",
+
+    async take(key, { capacity, refillPerSecond }, cost) {
+      if (!url) throw new Error("REDIS_REST_URL not configured");
+      const resp = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: JSON.stringify(["EVAL", TAKE_SCRIPT, "1", `ratelimit:${key}`, String(capacity), String(refillPerSecond), String(cost)])
+      });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok || data.error) {
+        throw new Error(`Redis rate limit error: ${resp.status} ${data.error || ""}`.trim());
+      }
+      const [allowed, tokens] = data.result;
+      return { allowed: allowed === 1, tokens: Number(tokens) };
+    }
+  };
+}
@@ -0,0 +1,71 @@
+// Check a plan against the profile's exclusions, diets, allergies and medical conditions,
+// served as /api/check-plan (Vercel) and /.netlify/functions/check-plan (Netlify).
+// POST { profile, plan } → { passed, constraints, checked, failed, withheld, items: [{ dayIndex, mealIndex, itemIndex, violations }], conditions, plan }
+// The returned plan carries the marks: item.violations, allergens on items and ingredients,
+// day.conditionWarnings and plan.medical, and for household profiles the portions and
+// per-person totals (lib/household). Recipes with the user's allergens are moved to
+// meal.withheld, and the totals of their days recomputed
+// No model call and no quota: the browser uses it to re-check a plan after regenerating meals.
+// Needs no sign-in, so it is rate limited per client IP (lib/rate-limit)
+
+import { parseProfile, sumTotals, MAX_DAYS } from "../meal-plan.js";
+import { checkPlanConstraints } from "../rules/index.js";
+import { checkPlanConditions } from "../conditions.js";
+import { applyPortions } from "../household.js";
+import { throttleByIp, requestError, requestErrorResponse } from "../quota.js";
+import { json } from "../http/index.js";
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Where the plan breaks the shape the checks walk (days[].meals[].items[].ingredients[]),
+// or null. Other fields are left to the checks, which tolerate missing values
+function planShapeError(plan) {
+  if (!isObject(plan) || !Array.isArray(plan.days)) return "The plan must have a days array.";
+  if (plan.days.length > MAX_DAYS) return `The plan can have at most ${MAX_DAYS} days.`;
+  for (const [d, day] of plan.days.entries()) {
+    if (!isObject(day)) return `days[${d}] must be an object.`;
+    if (day.meals === undefined) continue;
+    if (!Array.isArray(day.meals)) return `days[${d}].meals must be an array.`;
+    for (const [m, meal] of day.meals.entries()) {
+      if (!isObject(meal)) return `days[${d}].meals[${m}] must be an object.`;
+      if (meal.items === undefined) continue;
+      if (!Array.isArray(meal.items)) return `days[${d}].meals[${m}].items must be an array.`;
+      for (const [i, item] of meal.items.entries()) {
+        const path = `days[${d}].meals[${m}].items[${i}]`;
+        if (!isObject(item)) return `${path} must be an object.`;
+        if (item.ingredients !== undefined && !Array.isArray(item.ingredients)) return `${path}.ingredients must be an array.`;
+      }
+    }
+  }
+  return null;
+}
+
+/** @type {import("../http/index.js").Route} */
+export const checkPlanRoute = {
+  name: "Check Plan",
+  methods: ["POST"],
+
+  async handle({ ip, body }) {
+    try {
+      const limits = await throttleByIp(ip);
+      const { profile, errors } = parseProfile(body?.profile, { maxDays: MAX_DAYS });
+      if (!profile) {
+        throw requestError(400, "INVALID_PROFILE", "The profile is missing or invalid.", { details: errors });
+      }
+      const shapeError = planShapeError(body.plan);
+      if (shapeError) throw requestError(400, "INVALID_PLAN", shapeError);
+
+      const result = checkPlanConstraints(body.plan, profile, { withhold: true });
+      if (result.withheld) body.plan.days.forEach(day => { day.totals = sumTotals(day.meals || []); });
+      const conditions = checkPlanConditions(body.plan, profile);
+      applyPortions(body.plan, profile);
+      return json(200, { ...result, conditions, plan: body.plan }, limits);
+    } catch (err) {
+      const errorResponse = requestErrorResponse(err);
+      if (errorResponse) return json(errorResponse.status, errorResponse.body, errorResponse.headers);
+
+      console.error("[Check Plan] Exception:", err);
+      return json(500, { error: "Server error" });
+    }
+  }
+};
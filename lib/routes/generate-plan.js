@@ -0,0 +1,246 @@
+// Gemini-format LLM proxy, served as /api/generate-plan (Vercel) and
+// /.netlify/functions/generate-plan (Netlify).
+// Accepts Gemini-shaped { endpoint: "model:method", body } and serves it from the
+// provider selected by LLM_PROVIDER (see lib/providers)
+// { stream: true } relays streamGenerateContent as Server-Sent Events (buffered on Netlify)
+// Requires a Supabase access token (Authorization: Bearer); each generation consumes monthly quota
+// Rate limited per user and tier (lib/rate-limit); responses carry RateLimit-* headers
+// Only allowlisted model:method pairs and known body fields are relayed (lib/proxy-policy)
+// Transient failures are retried and fall back through LLM_FALLBACK_MODELS (lib/model-fallback);
+// X-LLM-Model / X-LLM-Attempts (and servedBy in JSON bodies) report what served the request
+// Optional { operation: "plan" | "meal" | "regeneration" | ... } labels the call in generation_usage (lib/usage)
+
+import { getProvider, checkModelAvailability } from "../providers/index.js";
+import { formatSSE } from "../sse.js";
+import { authorizeGeneration, requestErrorResponse } from "../quota.js";
+import { checkProxyRequest, applyTierLimits } from "../proxy-policy.js";
+import { modelChain, withFallback, streamWithFallback, servedByHeaders } from "../model-fallback.js";
+import { createUsageLog, parseOperation } from "../usage.js";
+import { json } from "../http/index.js";
+
+export const GENERATION_EXPOSE_HEADERS = [
+  "X-Generations-Limit",
+  "X-Generations-Remaining",
+  "RateLimit-Limit",
+  "RateLimit-Remaining",
+  "RateLimit-Reset",
+  "RateLimit-Policy",
+  "Retry-After",
+  "X-LLM-Model",
+  "X-LLM-Attempts"
+];
+
+/**
+ * Log response shape and token usage to help debug empty or truncated responses.
+ * @param {object} parsed - Gemini-shaped response
+ */
+function logResponseStructure(parsed) {
+  const hasCandidates = Array.isArray(parsed.candidates) && parsed.candidates.length > 0;
+  const hasParts = hasCandidates && Array.isArray(parsed.candidates[0]?.content?.parts);
+  const hasText = hasParts && parsed.candidates[0].content.parts.some(p => p.text);
+  const finishReason = hasCandidates ? parsed.candidates[0]?.finishReason : null;
+
+  console.log("[Gemini Proxy] Response structure - candidates:", hasCandidates, "parts:", hasParts, "hasText:", hasText, "finishReason:", finishReason);
+
+  if (parsed.usageMetadata) {
+    const tokenInfo = {
+      promptTokenCount: parsed.usageMetadata.promptTokenCount,
+      candidatesTokenCount: parsed.usageMetadata.candidatesTokenCount,
+      totalTokenCount: parsed.usageMetadata.totalTokenCount
+    };
+
+    // Include any additional token counts (e.g., thoughtsTokenCount for reasoning models)
+    Object.keys(parsed.usageMetadata).forEach(key => {
+      if (tokenInfo[key] === undefined && parsed.usageMetadata[key] !== undefined) {
+        tokenInfo[key] = parsed.usageMetadata[key];
+      }
+    });
+
+    console.log("[Gemini Proxy] Token usage (actual):", tokenInfo);
+
+    // Warn if hitting token limits
+    if (finishReason === "MAX_TOKENS") {
+      console.error("[Gemini Proxy] ⚠️ Response hit MAX_TOKENS - output is incomplete!");
+    }
+    if (parsed.usageMetadata.totalTokenCount > 7000) {
+      console.warn("[Gemini Proxy] ⚠️ Total token count is high:", parsed.usageMetadata.totalTokenCount, "- Approaching model limits");
+    }
+  }
+
+  if (!hasText && hasCandidates) {
+    console.error("[Gemini Proxy] ⚠️ Response has candidates but no text content");
+    console.warn("[Gemini Proxy] Full response:", JSON.stringify(parsed, null, 2));
+  }
+}
+
+/**
+ * Map a provider error to a response: the upstream status with its body, plus
+ * troubleshooting hints for 404s.
+ * @param {Error & {status?: number, body?: string}} err
+ * @param {object} headers
+ * @returns {import("../http/index.js").ApiResponse}
+ */
+function upstreamErrorResponse(err, headers) {
+  console.error("[Gemini Proxy] API error:", err.status, err.body);
+
+  if (err.status === 404) {
+    console.error("[Gemini Proxy] ❌ 404 NOT_FOUND - Model may not be available");
+    console.error("[Gemini Proxy] This usually means the model name is incorrect, or the key or project has no access to it");
+    try {
+      const errorData = JSON.parse(err.body);
+      errorData.troubleshooting = [
+        "Check model availability using the /list-models endpoint",
+        "Verify model access in Google Cloud Console: https://console.cloud.google.com/vertex-ai/generative-ai/models",
+        "Ensure API key permissions in AI Studio: https://aistudio.google.com/",
+        "See README.md for detailed troubleshooting steps"
+      ];
+      return json(err.status, errorData, headers);
+    } catch {
+      // Not JSON; fall through to the raw body
+    }
+  }
+
+  return {
+    status: err.status,
+    headers: { ...headers, "Content-Type": "application/json" },
+    body: err.body || JSON.stringify({ error: err.message || "LLM API error" })
+  };
+}
+
+/** @type {import("../http/index.js").Route} */
+export const generatePlanRoute = {
+  name: "Gemini Proxy",
+  methods: ["POST"],
+  exposeHeaders: GENERATION_EXPOSE_HEADERS,
+
+  async handle({ headers: requestHeaders, ip, body: payload }) {
+    const headers = {};
+    let refund = async () => {};
+
+    try {
+      const { endpoint, body, stream, operation } = payload || {};
+      if (!endpoint || !body) {
+        return json(400, { error: "Missing endpoint or body" });
+      }
+
+      const request = checkProxyRequest({ endpoint, body, stream });
+      const { model, requestedModel, method } = request;
+      if (model !== requestedModel) {
+        console.log(`[Gemini Proxy] Model override: ${requestedModel} → ${model}`);
+      }
+      if (request.stripped.length) {
+        console.warn("[Gemini Proxy] Stripped fields:", request.stripped.join(", "));
+      }
+
+      // Token counting is free; anything that generates costs one generation
+      const auth = await authorizeGeneration({ headers: requestHeaders, ip }, method === "countTokens" ? 0 : 1);
+      refund = auth.refund;
+      Object.assign(headers, auth.headers);
+      const usage = createUsageLog(auth);
+      const upstreamBody = applyTierLimits(request, auth.tier);
+
+      const provider = getProvider();
+      console.log(`[Gemini Proxy] Using ${provider.type} provider: ${provider.baseUrl}`);
+      console.log(`[Gemini Proxy] Model endpoint: ${model}:${method}`);
+      console.log("[Gemini Proxy] Request body keys:", Object.keys(upstreamBody));
+
+      // Check model availability before making the request (providers that can list models).
+      // Unavailable models are dropped from the fallback chain; 404 only when none is left.
+      const models = [];
+      let modelCheck;
+      for (const candidate of modelChain(model)) {
+        modelCheck = await checkModelAvailability(provider, candidate);
+        if (modelCheck.available) models.push(candidate);
+        else console.warn(`[Gemini Proxy] Model '${candidate}' is NOT available, skipping`);
+      }
+
+      if (!models.length) {
+        console.error(`[Gemini Proxy] ❌ Model '${model}' is NOT available`);
+
+        // Find alternative models that support generateContent
+        const alternatives = modelCheck.models.filter(m =>
+          m.supportedGenerationMethods?.includes("generateContent")
+        );
+
+        console.error("[Gemini Proxy] Available alternatives:", alternatives.map(m => m.name).join(", "));
+        await refund();
+        return json(404, {
+          error: "MODEL_NOT_FOUND",
+          message: `The requested model '${model}' is not available from the ${provider.type} provider.`,
+          requestedModel: model,
+          availableModels: alternatives.map(m => ({
+            name: m.name,
+            displayName: m.displayName
+          })),
+          troubleshooting: [
+            "Check LLM_PROVIDER / GEMINI_API_ENDPOINT and LLM_MODEL / GEMINI_MODEL",
+            "Set LLM_FALLBACK_MODELS to models your provider serves",
+            "Verify your Google Cloud project has access to the Gemini API",
+            "Check if the model is enabled in Google Cloud Console: https://console.cloud.google.com/vertex-ai/generative-ai/models",
+            "Ensure your API key has the necessary permissions in AI Studio: https://aistudio.google.com/",
+            "Consider using an alternative model from the availableModels list"
+          ]
+        }, headers);
+      }
+
+      console.log(`[Gemini Proxy] ✅ Model check passed, trying: ${models.join(" → ")}`);
+      const started = Date.now();
+
+      if (method === "countTokens") {
+        const { result, ...servedBy } = await withFallback(models, m => provider.countTokens(m, upstreamBody));
+        return json(200, { ...result, servedBy }, { ...headers, ...servedByHeaders(servedBy) });
+      }
+
+      if (method === "streamGenerateContent") {
+        // Pull the first chunk before answering so upstream errors still get a status
+        // code and can fall back; after that the stream is committed to the serving model
+        const { chunks, first, ...servedBy } = await streamWithFallback(models, m => provider.stream(m, upstreamBody));
+        console.log(`[Gemini Proxy] Streaming response from ${servedBy.model}`);
+
+        const frames = async function* () {
+          let usageMetadata = null, finishReason = null;
+          try {
+            for (let next = first; !next.done; next = await chunks.next()) {
+              usageMetadata = next.value.usageMetadata || usageMetadata;
+              finishReason = next.value.candidates?.[0]?.finishReason || finishReason;
+              yield formatSSE(null, next.value);
+            }
+          } catch (err) {
+            await refund();
+            throw err;
+          } finally {
+            usage.add({ operation: parseOperation(operation), ...servedBy, usageMetadata, finishReason, latencyMs: Date.now() - started });
+            await usage.flush();
+          }
+        };
+        return { status: 200, headers: { ...headers, ...servedByHeaders(servedBy) }, stream: frames() };
+      }
+
+      const { result: parsed, ...servedBy } = await withFallback(models, m => provider.generate(m, upstreamBody));
+      logResponseStructure(parsed);
+      usage.add({
+        operation: parseOperation(operation),
+        ...servedBy,
+        usageMetadata: parsed.usageMetadata,
+        finishReason: parsed.candidates?.[0]?.finishReason || null,
+        latencyMs: Date.now() - started
+      });
+      await usage.flush();
+      return json(200, { ...parsed, servedBy }, { ...headers, ...servedByHeaders(servedBy) });
+    } catch (err) {
+      const errorResponse = requestErrorResponse(err);
+      if (errorResponse) {
+        console.warn(`[Gemini Proxy] Rejected: ${err.code}`);
+        await refund();
+        return json(errorResponse.status, errorResponse.body, { ...headers, ...errorResponse.headers });
+      }
+
+      await refund();
+      // Upstream errors carry the provider's status and body; configuration errors don't
+      if (err.status && err.body !== undefined) return upstreamErrorResponse(err, headers);
+
+      console.error("[Gemini Proxy] Exception:", err);
+      return json(err.status || 500, { error: err.message || "Server error" }, headers);
+    }
+  }
+};
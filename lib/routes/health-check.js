@@ -0,0 +1,210 @@
+// Health check for the LLM provider configuration, served as /api/health-check
+// (Vercel) and /.netlify/functions/health-check (Netlify).
+// Verifies the API key (or Vertex service-account credentials), provider endpoint and
+// model availability.
+
+import { resolveModel } from "../gemini.js";
+import { getProvider, getProviderName } from "../providers/index.js";
+import { json } from "../http/index.js";
+
+/** @type {import("../http/index.js").Route} */
+export const healthCheckRoute = {
+  name: "Health Check",
+  methods: ["GET"],
+
+  async handle() {
+    const healthCheck = {
+      status: "ok",
+      timestamp: new Date().toISOString(),
+      configuration: {},
+      tests: {},
+      warnings: [],
+      errors: []
+    };
+
+    try {
+      let provider;
+      try {
+        provider = getProvider();
+      } catch (err) {
+        healthCheck.errors.push(err.message);
+        healthCheck.configuration.endpointType = getProviderName();
+      }
+
+      // Check API key (optional for local OpenAI-compatible servers; none for mock/replay)
+      const keyName = provider ? provider.apiKeyEnv : "GEMINI_API_KEY";
+      const key = keyName ? process.env[keyName] : null;
+      if (provider?.authType === "service-account") {
+        healthCheck.configuration.apiKey = "NOT_REQUIRED (service account)";
+      } else if (!keyName) {
+        healthCheck.configuration.apiKey = "NOT_REQUIRED";
+      } else if (!key && (!provider || provider.apiKeyRequired)) {
+        healthCheck.status = "error";
+        healthCheck.errors.push(`${keyName} environment variable is not set`);
+        healthCheck.configuration.apiKey = "NOT_CONFIGURED";
+      } else if (!key) {
+        healthCheck.configuration.apiKey = "NOT_SET (optional)";
+      } else {
+        healthCheck.configuration.apiKey = `${key.substring(0, 10)}...${key.substring(key.length - 4)}`;
+      }
+
+      // Check provider configuration
+      if (provider) {
+        healthCheck.configuration.endpointType = provider.type;
+        healthCheck.configuration.baseUrl = provider.baseUrl;
+        if (provider.type === "openai" && !provider.baseUrl) {
+          healthCheck.errors.push("OPENAI_BASE_URL environment variable is not set");
+        }
+        if (provider.type === "mock" || provider.type === "replay") {
+          healthCheck.warnings.push(`Using the offline ${provider.type} provider - responses are not from a real model`);
+        }
+        if (provider.recordingTo) {
+          healthCheck.configuration.recordingTo = provider.recordingTo;
+        }
+        if (provider.type === "vertex") {
+          healthCheck.configuration.auth = provider.authType || "api-key";
+          if (provider.authType === "service-account") {
+            healthCheck.configuration.project = provider.project;
+            healthCheck.configuration.location = provider.location;
+          } else {
+            healthCheck.warnings.push("Vertex AI is using an API key, which only express mode accepts - set VERTEX_SERVICE_ACCOUNT_JSON for project access");
+          }
+        }
+      }
+
+      // Mint an access token before any model call, so bad credentials are reported as such
+      if (provider?.verifyCredentials && healthCheck.errors.length === 0) {
+        console.log("[Health Check] Verifying credentials...");
+        try {
+          const { clientEmail, expiresAt } = await provider.verifyCredentials();
+          healthCheck.configuration.serviceAccount = clientEmail;
+          healthCheck.tests.credentials = "SUCCESS";
+          healthCheck.tests.tokenExpiresAt = expiresAt;
+          console.log("[Health Check] ✅ Credentials verified for", clientEmail);
+        } catch (authErr) {
+          healthCheck.tests.credentials = "FAILED";
+          healthCheck.errors.push(authErr.message);
+          console.error("[Health Check] ❌ Credential check failed:", authErr.message);
+        }
+      }
+
+      // Check configured model
+      const configuredModel = resolveModel();
+      healthCheck.configuration.model = configuredModel;
+
+      // If the provider is usable, test it
+      if (provider && healthCheck.errors.length === 0) {
+        console.log("[Health Check] Testing API connectivity...");
+        console.log("[Health Check] Provider:", provider.type);
+        console.log("[Health Check] Base URL:", provider.baseUrl);
+        console.log("[Health Check] API Key:", healthCheck.configuration.apiKey);
+
+        try {
+          // Providers without a list endpoint (Vertex AI) are tested with a direct model call
+          if (!provider.supportsListModels) {
+            healthCheck.tests.modelListEndpoint = `N/A (${provider.type})`;
+            healthCheck.warnings.push(`The ${provider.type} provider does not support list models - testing direct model access instead`);
+
+            const testBody = {
+              contents: [{
+                role: "user",
+                parts: [{ text: "Say 'OK' if you can read this." }]
+              }],
+              generationConfig: {
+                maxOutputTokens: 10,
+                temperature: 0.1
+              }
+            };
+
+            console.log("[Health Check] Testing model access:", configuredModel);
+            try {
+              await provider.generate(configuredModel, testBody);
+              healthCheck.tests.vertexModelAccess = "SUCCESS";
+              healthCheck.tests.modelAvailable = true;
+              console.log("[Health Check] ✅ Model access successful");
+            } catch (testErr) {
+              healthCheck.tests.vertexModelAccess = `FAILED (${testErr.status || "error"})`;
+              healthCheck.tests.modelAvailable = false;
+              healthCheck.errors.push(`Model test failed: ${testErr.status || ""} - ${testErr.message}`);
+              console.error("[Health Check] ❌ Model access failed:", testErr.status, testErr.message);
+            }
+          } else {
+            // Test model listing
+            healthCheck.tests.modelListEndpoint = `${provider.baseUrl.replace(/\/+$/, "")}${provider.type === "openai" ? "/models" : ""}`;
+            let models = null;
+            try {
+              models = await provider.listModels();
+            } catch (listErr) {
+              healthCheck.status = "error";
+              healthCheck.errors.push(`Model listing failed: ${listErr.status || ""} - ${listErr.body || listErr.message}`);
+              healthCheck.tests.modelListAccess = `FAILED (${listErr.status || "error"})`;
+              console.error("[Health Check] ❌ Model listing failed:", listErr.status, listErr.message);
+            }
+
+            if (models) {
+              healthCheck.tests.modelListAccess = "SUCCESS";
+              healthCheck.tests.totalModelsAvailable = models.length;
+            
+              // Check if configured model is available (Gemini lists names as "models/...")
+              const bareName = (name) => String(name).replace(/^models\//, "");
+              const modelExists = models.some(m => bareName(m.name) === bareName(configuredModel));
+              healthCheck.tests.configuredModelAvailable = modelExists;
+            
+              if (!modelExists) {
+                healthCheck.warnings.push(`Configured model '${configuredModel}' not found in available models`);
+              
+                // Find generateContent-capable models
+                const contentGenModels = models.filter(m => 
+                  m.supportedGenerationMethods?.includes("generateContent")
+                );
+              
+                healthCheck.tests.alternativeModels = contentGenModels.map(m => ({
+                  name: m.name,
+                  displayName: m.displayName
+                }));
+              
+                if (contentGenModels.length > 0) {
+                  healthCheck.warnings.push(`${contentGenModels.length} alternative models available that support generateContent`);
+                } else {
+                  healthCheck.errors.push("No models found that support generateContent");
+                  healthCheck.status = "error";
+                }
+              } else {
+                console.log("[Health Check] ✅ Configured model is available");
+              }
+            
+              console.log("[Health Check] Found", models.length, "models total");
+            }
+          }
+        } catch (err) {
+          healthCheck.status = "error";
+          healthCheck.errors.push(`API test failed: ${err.message}`);
+          healthCheck.tests.apiConnectivity = "FAILED";
+          console.error("[Health Check] Exception during API test:", err);
+        }
+      } else {
+        healthCheck.tests.apiConnectivity = "SKIPPED (configuration errors)";
+      }
+
+      // Determine final status
+      if (healthCheck.errors.length > 0) {
+        healthCheck.status = "error";
+      } else if (healthCheck.warnings.length > 0) {
+        healthCheck.status = "warning";
+      }
+
+      console.log("[Health Check] Final status:", healthCheck.status);
+      console.log("[Health Check] Errors:", healthCheck.errors.length);
+      console.log("[Health Check] Warnings:", healthCheck.warnings.length);
+
+      return json(200, healthCheck);
+    } catch (err) {
+      console.error("[Health Check] Unexpected error:", err);
+      return json(500, {
+        status: "error",
+        timestamp: new Date().toISOString(),
+        error: err.message || "Internal server error"
+      });
+    }
+  }
+};
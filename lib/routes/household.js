@@ -0,0 +1,43 @@
+// The account's household members, served as /api/household (Vercel) and
+// /.netlify/functions/household (Netlify).
+// GET → { members }: the saved members, in order
+// PUT { members } → { members }: replaces them. Each member is { name, age, gender, goal?, diet?,
+//   exclusions?, allergies?, conditions?, heightCm?, weightKg?, activity? }, validated like a profile
+// Requires a Supabase access token (Authorization: Bearer) and Supabase storage (lib/household)
+// Rate limited per client IP before the token is verified (lib/rate-limit)
+
+import { parseMembers } from "../meal-plan.js";
+import { authenticateRequest, throttleByIp, requestError, requestErrorResponse } from "../quota.js";
+import { listHouseholdMembers, saveHouseholdMembers } from "../household.js";
+import { json } from "../http/index.js";
+
+/** @type {import("../http/index.js").Route} */
+export const householdRoute = {
+  name: "Household",
+  methods: ["GET", "PUT"],
+
+  async handle({ method, headers, ip, body }) {
+    try {
+      const limits = await throttleByIp(ip);
+      const user = await authenticateRequest(headers);
+      if (method === "GET") {
+        return json(200, { members: await listHouseholdMembers(user.id) }, limits);
+      }
+
+      if (!Array.isArray(body?.members)) {
+        throw requestError(400, "INVALID_MEMBERS", "The body must have a members array.");
+      }
+      const { members, errors } = parseMembers(body.members);
+      if (errors.length) {
+        throw requestError(400, "INVALID_MEMBERS", "One or more household members are invalid.", { details: errors });
+      }
+      return json(200, { members: await saveHouseholdMembers(user.id, members) }, limits);
+    } catch (err) {
+      const errorResponse = requestErrorResponse(err);
+      if (errorResponse) return json(errorResponse.status, errorResponse.body, errorResponse.headers);
+
+      console.error("[Household] Exception:", err);
+      return json(err.status || 500, { error: err.message || "Server error" });
+    }
+  }
+};
@@ -0,0 +1,70 @@
+// List available models from the configured LLM provider, served as /api/list-models
+// (Vercel) and /.netlify/functions/list-models (Netlify).
+// Supports the Generative Language API, Vertex AI and OpenAI-compatible servers (see lib/providers)
+
+import { resolveModel } from "../gemini.js";
+import { getProvider } from "../providers/index.js";
+import { json } from "../http/index.js";
+
+/** @type {import("../http/index.js").Route} */
+export const listModelsRoute = {
+  name: "List Models",
+  methods: ["GET"],
+
+  async handle() {
+    const provider = getProvider();
+    console.log(`[List Models] Using ${provider.type} provider: ${provider.baseUrl}`);
+
+    // Vertex AI has no list endpoint for publisher models
+    if (!provider.supportsListModels) {
+      console.log(`[List Models] ${provider.type} provider does not support list models`);
+      return json(200, {
+        notice: `The ${provider.type} provider does not support list models. Using configured model.`,
+        endpointType: provider.type,
+        configuredModel: resolveModel(),
+        commonModels: [
+          { name: "gemini-2.5-pro", displayName: "Gemini 2.5 Pro" }
+        ],
+        message: "To verify model access, use the health-check endpoint or make a test request."
+      });
+    }
+
+    console.log("[List Models] Fetching available models");
+    let models;
+    try {
+      models = await provider.listModels();
+    } catch (err) {
+      console.error("[List Models] API error:", err.status, err.body || err.message);
+      return err.body
+        ? { status: err.status || 500, headers: { "Content-Type": "application/json" }, body: err.body }
+        : json(err.status || 500, { error: err.message || "LLM API error" });
+    }
+
+    console.log("[List Models] Found", models.length, "models");
+
+    // Log model names for debugging
+    models.forEach(model => {
+      console.log("[List Models] -", model.name, "- Supported:", model.supportedGenerationMethods?.join(", "));
+    });
+
+    // Filter to only models that support generateContent
+    const contentGenModels = models.filter(m =>
+      m.supportedGenerationMethods?.includes("generateContent")
+    );
+
+    console.log("[List Models] Models supporting generateContent:", contentGenModels.length);
+
+    return json(200, {
+      endpointType: provider.type,
+      allModels: models.map(m => ({
+        name: m.name,
+        displayName: m.displayName,
+        supportedMethods: m.supportedGenerationMethods
+      })),
+      generateContentModels: contentGenModels.map(m => ({
+        name: m.name,
+        displayName: m.displayName
+      }))
+    });
+  }
+};
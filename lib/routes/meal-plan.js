@@ -0,0 +1,135 @@
+// Build a meal plan on the server from a structured profile, served as /api/meal-plan
+// (Vercel) and /.netlify/functions/meal-plan (Netlify).
+// POST { profile: { age, gender, goal, diet, exclusions, meals, days, heightCm?, weightKg?, activity? } } → { plan, model, servedBy, validation }
+// POST { profile, stream: true } → text/event-stream of start, day-start, delta, day, plan (or error);
+// no delta for profiles with allergies, whose days are only sent once checked
+// Requires a Supabase access token (Authorization: Bearer); each plan consumes one monthly generation
+// Rate limited per user and tier (lib/rate-limit); responses carry RateLimit-* headers
+// Model calls fall back through LLM_FALLBACK_MODELS (lib/model-fallback); servedBy reports the models used
+// Token usage and estimated cost of every model call are recorded in generation_usage (lib/usage)
+
+import { resolveModel } from "../gemini.js";
+import { parseProfile, planDates, generateMealPlan, MAX_SYNC_DAYS } from "../meal-plan.js";
+import { repairPlan } from "../plan-repair.js";
+import { checkPlanConstraints } from "../rules/index.js";
+import { computeTargets } from "../targets.js";
+import { eventStream } from "../sse.js";
+import { authorizeGeneration, requestErrorResponse } from "../quota.js";
+import { summarizeServedBy, servedByHeaders } from "../model-fallback.js";
+import { createUsageLog } from "../usage.js";
+import { json } from "../http/index.js";
+import { GENERATION_EXPOSE_HEADERS } from "./generate-plan.js";
+
+/**
+ * Track the model calls of one plan: which models served them, and their usage.
+ * A one-day, one-meal profile is accounted as a single meal rather than a plan.
+ */
+function createCallLog(profile, auth) {
+  const usage = createUsageLog(auth);
+  const served = [];
+  const operation = profile.days === 1 && profile.meals.length === 1 ? "meal" : "plan";
+  const track = (op) => (response) => {
+    served.push(response.servedBy);
+    usage.addResponse(op, response);
+  };
+  return {
+    onGenerate: track(operation),
+    onRepair: track("repair"),
+    servedBy: () => summarizeServedBy(served),
+    flush: () => usage.flush()
+  };
+}
+
+/**
+ * Stream generation progress as SSE. Once the stream has started, failures are
+ * reported as an `error` event instead of an HTTP status.
+ * Each streamed day has the recipes with the user's allergens withheld; for users with
+ * allergies the raw model text (delta) is not relayed, so those recipes never reach them.
+ */
+function streamMealPlan(profile, model, auth) {
+  const calls = createCallLog(profile, auth);
+
+  return eventStream(async (send) => {
+    const onEvent = (event, data) => {
+      if (event === "delta" && profile.allergies.length) return;
+      if (event === "day") {
+        // The draft itself stays whole for repairPlan, which replaces those recipes
+        const day = structuredClone(data.day);
+        checkPlanConstraints({ days: [day] }, profile, { withhold: true });
+        return send(event, { ...data, day });
+      }
+      send(event, data);
+    };
+
+    try {
+      send("start", { model, days: planDates(profile), targets: computeTargets(profile) });
+      const draft = await generateMealPlan(profile, model, { onEvent, onResponse: calls.onGenerate });
+      const { plan, validation } = await repairPlan(draft, profile, model, { onResponse: calls.onRepair });
+      send("plan", { plan, model, servedBy: calls.servedBy(), validation, quota: auth.quota });
+    } catch (err) {
+      console.error("[Meal Plan] Stream exception:", err);
+      await auth.refund();
+      send("error", { error: err.code || "GENERATION_FAILED", message: err.message || "Server error", status: err.status || 500 });
+    }
+    await calls.flush();
+  });
+}
+
+/** @type {import("../http/index.js").Route} */
+export const mealPlanRoute = {
+  name: "Meal Plan",
+  methods: ["POST"],
+  exposeHeaders: GENERATION_EXPOSE_HEADERS,
+
+  async handle({ headers: requestHeaders, ip, body }) {
+    const headers = {};
+    let refund = async () => {};
+
+    try {
+      // Longer plans go through /plan-jobs, which generates them in the background
+      const { profile, errors } = parseProfile(body?.profile, { maxDays: MAX_SYNC_DAYS });
+      if (!profile) {
+        return json(400, { error: "INVALID_PROFILE", message: "The profile is missing or invalid.", details: errors });
+      }
+
+      const auth = await authorizeGeneration({ headers: requestHeaders, ip }, 1);
+      refund = auth.refund;
+      Object.assign(headers, auth.headers);
+
+      const model = resolveModel();
+      console.log(`[Meal Plan] ${profile.days} day(s), meals: ${profile.meals.join(", ")}, model: ${model}`);
+
+      if (body.stream) {
+        return { status: 200, headers, stream: streamMealPlan(profile, model, auth) };
+      }
+
+      // Calls made before a failure still cost tokens, so usage is recorded either way
+      const calls = createCallLog(profile, auth);
+      let draft;
+      try {
+        draft = await generateMealPlan(profile, model, { onResponse: calls.onGenerate });
+      } catch (err) {
+        await calls.flush();
+        throw err;
+      }
+      const { plan, validation } = await repairPlan(draft, profile, model, { onResponse: calls.onRepair });
+      await calls.flush();
+      const servedBy = calls.servedBy();
+      if (servedBy.model) Object.assign(headers, servedByHeaders(servedBy));
+      return json(200, { plan, model, servedBy, validation, quota: auth.quota }, headers);
+    } catch (err) {
+      const errorResponse = requestErrorResponse(err);
+      if (errorResponse) {
+        console.warn(`[Meal Plan] Rejected: ${err.code}`);
+        return json(errorResponse.status, errorResponse.body, { ...headers, ...errorResponse.headers });
+      }
+
+      console.error("[Meal Plan] Exception:", err);
+      await refund();
+      if (err.code === "PLAN_PARSE_FAILED") {
+        return json(502, { error: "PLAN_PARSE_FAILED", message: err.message }, headers);
+      }
+      return json(err.status || 500, { error: err.message || "Server error" }, headers);
+    }
+  }
+};
@@ -0,0 +1,43 @@
+// Worker for background plan jobs, served as /api/plan-jobs-worker (Vercel) and
+// /.netlify/functions/plan-jobs-worker-background (a Netlify background function).
+// Started through PLAN_JOB_WORKER_URL when a job is created, by the schedules (Vercel
+// Cron in vercel.json, plan-jobs-schedule in netlify.toml), and by itself before it
+// returns while jobs are left.
+// Advances runnable jobs for up to PLAN_JOB_BUDGET_MS → { processed, completed, failed, pending }
+// Callers must send Authorization: Bearer <CRON_SECRET> (Vercel Cron does this
+// automatically). Without CRON_SECRET the worker refuses to run: every run spends
+// model calls, so it is never open to anyone.
+
+import { getBearerToken } from "../quota.js";
+import { runPlanJobs, triggerPlanWorkerIfPending } from "../plan-jobs.js";
+import { json } from "../http/index.js";
+
+/** @type {import("../http/index.js").Route} */
+export const planJobsWorkerRoute = {
+  name: "Plan Jobs Worker",
+  methods: ["GET", "POST"],
+
+  async handle({ headers }) {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) {
+      console.error("[Plan Jobs] Worker called but CRON_SECRET is not set; refusing to run");
+      return json(503, { error: "WORKER_NOT_CONFIGURED", message: "Set CRON_SECRET to enable the plan-job worker." });
+    }
+    if (getBearerToken(headers) !== secret) {
+      return json(401, { error: "UNAUTHORIZED", message: "Missing or wrong worker secret." });
+    }
+
+    let summary;
+    try {
+      summary = await runPlanJobs();
+    } finally {
+      // Hand over to a fresh run rather than waiting for the schedule, also when this one
+      // broke off. Leased jobs don't count as pending, so jobs another worker holds don't
+      // keep retriggering
+      if (summary?.pending ?? true) {
+        await triggerPlanWorkerIfPending().catch(err => console.warn("[Plan Jobs] Could not check for waiting jobs:", err.message));
+      }
+    }
+    return json(200, summary);
+  }
+};
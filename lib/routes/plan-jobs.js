@@ -0,0 +1,87 @@
+// Background plan-generation jobs, served as /api/plan-jobs (Vercel) and
+// /.netlify/functions/plan-jobs (Netlify).
+// POST { profile } → 202 { job, quota }: queues a plan of up to 28 days and consumes one
+//   monthly generation per started week
+// GET ?id=<job id> → { job }: status, per-day progress and the days generated so far.
+//   Read-only: the worker (plan-jobs-worker.js) does the generating
+// GET → { jobs }: the user's five most recent jobs, to resume after closing the tab
+// Requires a Supabase access token (Authorization: Bearer) and Supabase storage (lib/plan-jobs)
+// Rate limited per client IP before the token is verified; polls have their own, looser bucket
+
+import { resolveModel } from "../gemini.js";
+import { parseProfile, generationCost } from "../meal-plan.js";
+import { authorizeGeneration, authenticateRequest, throttleByIp, requestError, requestErrorResponse } from "../quota.js";
+import { createPlanJob, getPlanJob, listPlanJobs, jobStatus, isJobId, triggerPlanWorker } from "../plan-jobs.js";
+import { json } from "../http/index.js";
+import { GENERATION_EXPOSE_HEADERS } from "./generate-plan.js";
+
+async function createJob(request, body) {
+  const headers = {};
+  let refund = async () => {};
+
+  try {
+    const { profile, errors } = parseProfile(body?.profile);
+    if (!profile) {
+      return json(400, { error: "INVALID_PROFILE", message: "The profile is missing or invalid.", details: errors });
+    }
+
+    const auth = await authorizeGeneration(request, generationCost(profile));
+    refund = auth.refund;
+    Object.assign(headers, auth.headers);
+
+    const row = await createPlanJob(profile, resolveModel(), auth);
+    await triggerPlanWorker();
+    return json(202, { job: jobStatus(row), quota: auth.quota }, headers);
+  } catch (err) {
+    const errorResponse = requestErrorResponse(err);
+    if (errorResponse) {
+      console.warn(`[Plan Jobs] Rejected: ${err.code}`);
+      return json(errorResponse.status, errorResponse.body, { ...headers, ...errorResponse.headers });
+    }
+
+    console.error("[Plan Jobs] Exception:", err);
+    await refund();
+    return json(err.status || 500, { error: err.message || "Server error" }, headers);
+  }
+}
+
+async function readJob({ headers: requestHeaders, ip }, query) {
+  try {
+    // Polls are frequent and generate nothing new: no quota, and a looser IP bucket, still
+    // spent before the token reaches Supabase Auth
+    const limits = await throttleByIp(ip, "poll");
+    const user = await authenticateRequest(requestHeaders);
+
+    if (!query.id) {
+      const rows = await listPlanJobs(user.id);
+      return json(200, { jobs: rows.map(jobStatus) }, limits);
+    }
+
+    if (!isJobId(query.id)) {
+      throw requestError(400, "INVALID_JOB_ID", "The job id is not valid.");
+    }
+    const row = await getPlanJob(query.id, user.id);
+    if (!row) {
+      throw requestError(404, "JOB_NOT_FOUND", "No plan job with this id was found for your account.");
+    }
+
+    return json(200, { job: jobStatus(row) }, limits);
+  } catch (err) {
+    const errorResponse = requestErrorResponse(err);
+    if (errorResponse) return json(errorResponse.status, errorResponse.body, errorResponse.headers);
+
+    console.error("[Plan Jobs] Exception:", err);
+    return json(err.status || 500, { error: err.message || "Server error" });
+  }
+}
+
+/** @type {import("../http/index.js").Route} */
+export const planJobsRoute = {
+  name: "Plan Jobs",
+  methods: ["GET", "POST"],
+  exposeHeaders: GENERATION_EXPOSE_HEADERS,
+
+  async handle({ method, headers, ip, body, query }) {
+    return method === "POST" ? createJob({ headers, ip }, body) : readJob({ headers, ip }, query);
+  }
+};
@@ -0,0 +1,229 @@
+// Constraint checker: scans every recipe's title and ingredients against the user's
+// exclusions, diets and allergies with the food lexicon in lexicon.js, and tags each
+// ingredient and recipe with the major allergens it contains.
+//
+// Exclusions are free text ("no shellfish, cilantro"). Each entry is either a lexicon group
+// ("shellfish" covers shrimp, crab, scallops…) or a single food with its synonyms. Diets
+// forbid groups (DIETS); keto also caps the carbs of each recipe. Allergies (ALLERGENS keys)
+// forbid everything tagged with that allergen. Medical conditions (lib/conditions) add diets
+// (celiac → Gluten-Free) and foods to avoid (pregnancy).
+
+import { GROUPS, DIETS, SYNONYMS, ALLERGENS } from "./lexicon.js";
+import { normalizeFoodName as norm } from "../nutrition/index.js";
+import { CONDITIONS } from "../conditions.js";
+
+const pad = (s) => ` ${s} `;
+const has = (padded, phrase) => padded.includes(pad(phrase));
+const capitalize = (s) => s ? s.charAt(0).toUpperCase() + s.slice(1) : "";
+
+const NO_EXCLUSIONS = new Set(["none", "na", "n a", "nothing", "no"]);
+
+const GROUP_BY_NAME = new Map(Object.entries(GROUPS).flatMap(([key, g]) => (g.names || []).map(name => [norm(name), key])));
+const SYNONYM_SETS = SYNONYMS.map(set => set.map(norm));
+
+const normalizeMatcher = (m) => ({ terms: m.terms.map(norm), except: (m.except || []).map(norm), safeIf: (m.safeIf || []).map(norm) });
+
+// A group and the groups it includes, each as a normalized matcher
+function groupMatchers(key, seen = new Set()) {
+  if (seen.has(key)) return [];
+  seen.add(key);
+  const group = GROUPS[key];
+  return [normalizeMatcher(group), ...(group.include || []).flatMap(k => groupMatchers(k, seen))];
+}
+
+const ALLERGEN_MATCHERS = Object.fromEntries(Object.entries(ALLERGENS).map(([key, a]) => [key, [normalizeMatcher(a)]]));
+
+function findTerm(text, matchers) {
+  const padded = pad(norm(text));
+  for (const m of matchers) {
+    if (m.safeIf.some(q => has(padded, q))) continue;
+    const rest = m.except.reduce((s, phrase) => s.split(pad(phrase)).join(" | "), padded);
+    const term = m.terms.find(t => has(rest, t));
+    if (term) return term;
+  }
+  return null;
+}
+
+/**
+ * Split the exclusions text into entries ("No shellfish; cilantro and mushrooms" →
+ * ["shellfish", "cilantro", "mushrooms"]).
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseExclusions(text) {
+  return String(text || "")
+    .split(/[,;\n/]+|\band\b|\bor\b/i)
+    .map(s => s.replace(/^\s*(?:no|avoid|without|not|exclude)\s+/i, "").trim())
+    .filter(s => s && !NO_EXCLUSIONS.has(norm(s)));
+}
+
+/**
+ * Major allergens in one ingredient ("Greek yogurt" → ["milk"], "tahini" → ["sesame"]).
+ * @param {string} text
+ * @returns {string[]} ALLERGENS keys
+ */
+export function detectAllergens(text) {
+  return Object.keys(ALLERGENS).filter(key => findTerm(text, ALLERGEN_MATCHERS[key]));
+}
+
+/**
+ * Tag a recipe's ingredients (ing.allergens) and the recipe itself (item.allergens, replacing
+ * whatever the model put there) with the allergens found in the ingredients.
+ * @param {object} item - mutated
+ * @returns {string[]} item.allergens
+ */
+export function tagAllergens(item) {
+  const found = new Set();
+  (item.ingredients || []).forEach(ing => {
+    const allergens = detectAllergens(typeof ing === "string" ? ing : ing?.item);
+    allergens.forEach(a => found.add(a));
+    if (ing && typeof ing === "object") {
+      if (allergens.length) ing.allergens = allergens;
+      else delete ing.allergens;
+    }
+  });
+  item.allergens = Object.keys(ALLERGENS).filter(key => found.has(key));
+  return item.allergens;
+}
+
+/**
+ * Rules for a profile's exclusions, diets, allergies and medical conditions.
+ * @param {{exclusions?: string, diet?: string[], allergies?: string[], conditions?: string[]}} profile
+ * @returns {Array<{kind: "exclusion"|"diet"|"allergy"|"condition", constraint: string, matchers: object[], forbids: string[], maxCarbsPerItem?: number}>}
+ *   forbids is what the prompt names: a diet's groups, or the terms of an exclusion or allergy
+ */
+export function compileConstraints(profile) {
+  const rules = [];
+
+  parseExclusions(profile.exclusions).forEach(label => {
+    const name = norm(label);
+    const group = GROUP_BY_NAME.get(name);
+    const matchers = group
+      ? groupMatchers(group)
+      : [{ terms: SYNONYM_SETS.find(set => set.includes(name)) || [name], except: [], safeIf: [] }];
+    const forbids = [...new Set(matchers.flatMap(m => m.terms))];
+    rules.push({ kind: "exclusion", constraint: label.toLowerCase(), matchers, forbids });
+  });
+
+  const conditions = (profile.conditions || []).filter(key => CONDITIONS[key]);
+  const diets = [...(profile.diet || []), ...conditions.flatMap(key => CONDITIONS[key].diets || [])];
+
+  [...new Set(diets)].forEach(diet => {
+    const key = Object.keys(DIETS).find(k => k.toLowerCase() === String(diet).trim().toLowerCase());
+    if (!key) return;
+    const { forbid, maxCarbsPerItem } = DIETS[key];
+    rules.push({ kind: "diet", constraint: key, matchers: forbid.flatMap(group => groupMatchers(group)), forbids: forbid, maxCarbsPerItem });
+  });
+
+  (profile.allergies || []).filter(key => ALLERGENS[key]).forEach(key => {
+    const matchers = ALLERGEN_MATCHERS[key];
+    rules.push({ kind: "allergy", constraint: ALLERGENS[key].label.toLowerCase(), matchers, forbids: matchers[0].terms });
+  });
+
+  conditions.filter(key => CONDITIONS[key].avoid).forEach(key => {
+    const { label, avoid, avoidExcept } = CONDITIONS[key];
+    const matchers = [normalizeMatcher({ terms: avoid, except: avoidExcept })];
+    rules.push({ kind: "condition", constraint: label.toLowerCase(), matchers, forbids: matchers[0].terms });
+  });
+
+  return rules;
+}
+
+function violation(rule, term, where, text) {
+  const message = rule.kind === "exclusion" ? `Contains ${term} (you excluded ${rule.constraint})`
+    : rule.kind === "allergy" ? `Contains ${term} (you're allergic to ${rule.constraint})`
+    : rule.kind === "condition" ? `Contains ${term} (not advised with ${rule.constraint})`
+    : `${capitalize(term)} is not ${rule.constraint}`;
+  return { kind: rule.kind, constraint: rule.constraint, term, where, text, message };
+}
+
+/**
+ * Violations of one recipe. The title is only checked for terms none of the ingredients
+ * mention, so "Pasta" with gluten-free pasta passes but "Shrimp Tacos" without shrimp does not.
+ * @param {object} item - recipe with title and ingredients (objects or strings)
+ * @param {object[]} rules - output of compileConstraints
+ * @returns {Array<{kind: string, constraint: string, term: string, where: "title"|"ingredient"|"macros", text: string, message: string}>}
+ */
+export function checkItem(item, rules) {
+  const ingredients = (item.ingredients || [])
+    .map(ing => typeof ing === "string" ? ing : ing?.item)
+    .filter(Boolean)
+    .map(String);
+
+  return rules.flatMap(rule => {
+    const found = ingredients
+      .map(text => ({ text, term: findTerm(text, rule.matchers) }))
+      .filter(hit => hit.term)
+      .map(hit => violation(rule, hit.term, "ingredient", hit.text));
+
+    const term = !found.length && item.title ? findTerm(item.title, rule.matchers) : null;
+    if (term && !ingredients.some(text => has(pad(norm(text)), term))) {
+      found.push(violation(rule, term, "title", String(item.title)));
+    }
+
+    if (rule.maxCarbsPerItem != null && +item.carbs > rule.maxCarbsPerItem) {
+      found.push({
+        kind: rule.kind, constraint: rule.constraint, term: "carbs", where: "macros", text: `${Math.round(item.carbs)}g carbs`,
+        message: `${Math.round(item.carbs)}g carbs is too much for ${rule.constraint} (at most ${rule.maxCarbsPerItem}g per recipe)`
+      });
+    }
+    return found;
+  });
+}
+
+/**
+ * Tag every recipe of a plan with its allergens and check it, setting item.violations on
+ * the ones that fail (and removing stale marks from the rest). With `withhold`, recipes that
+ * contain one of the user's allergens are taken out of their meal instead of being marked:
+ * they move to meal.withheld as { title, violations }, which can leave a meal with no items.
+ * @param {object} plan - mutated
+ * @param {object} profile
+ * @param {{withhold?: boolean}} [options]
+ * @returns {{passed: boolean, constraints: string[], checked: number, failed: number, withheld: number,
+ *   items: Array<{dayIndex: number, mealIndex: number, itemIndex: number, violations: object[]}>}}
+ *   failed counts the withheld recipes too; items lists the marked ones that are left
+ */
+export function checkPlanConstraints(plan, profile, { withhold = false } = {}) {
+  const rules = compileConstraints(profile);
+  const items = [];
+  let checked = 0, withheld = 0;
+
+  (plan.days || []).forEach((day, dayIndex) => (day.meals || []).forEach((meal, mealIndex) => {
+    if (!Array.isArray(meal.items)) return;
+    const kept = [];
+    meal.items.forEach(item => {
+      checked++;
+      tagAllergens(item);
+      const violations = rules.length ? checkItem(item, rules) : [];
+      if (withhold && violations.some(v => v.kind === "allergy")) {
+        meal.withheld = [...(meal.withheld || []), { title: item.title, violations }];
+        withheld++;
+        return;
+      }
+      if (violations.length) {
+        item.violations = violations;
+        items.push({ dayIndex, mealIndex, itemIndex: kept.length, violations });
+      } else {
+        delete item.violations;
+      }
+      kept.push(item);
+    });
+    meal.items = kept;
+  }));
+
+  const failed = items.length + withheld;
+  if (failed) console.warn(`[Constraints] ${failed} of ${checked} recipe(s) break the user's exclusions, diets or allergies${withheld ? `; ${withheld} withheld for allergens` : ""}`);
+  return { passed: failed === 0, constraints: rules.map(r => r.constraint), checked, failed, withheld, items };
+}
+
+/**
+ * Prompt line spelling out what the exclusions, diets and allergies forbid, so the model sees
+ * "shrimp" and not just "shellfish". Empty when there are none.
+ * @param {object} profile
+ * @returns {string}
+ */
+export function describeConstraints(profile) {
+  const parts = compileConstraints(profile).map(rule =>
+    `${rule.kind === "exclusion" ? rule.constraint : `${rule.constraint} ${rule.kind}`}: no ${rule.forbids.slice(0, 12).join(", ")}`);
+  return parts.length ? `Never include (${parts.join("; ")})` : "";
+}
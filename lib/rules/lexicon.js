@@ -0,0 +1,164 @@
+// Food lexicon for the constraint checker (index.js): ingredient groups, diet definitions,
+// synonyms and allergens. Terms are matched as whole words after normalizing (lowercase,
+// singular), so "eggs" matches "egg" but "eggplant" does not.
+//
+// A group lists its terms and, optionally:
+// - names: what users may type for the whole group ("no shellfish", "dairy")
+// - include: other groups it covers ("meat" covers beef, pork, poultry and lamb)
+// - except: phrases that contain a term but are fine ("almond milk" for dairy)
+// - safeIf: qualifiers that clear a whole ingredient ("vegan cheese", "gluten-free pasta")
+
+import { ALLERGEN_LABELS } from "../../js/allergens.js";
+
+export const GROUPS = {
+  shellfish: {
+    names: ["shellfish", "shell fish"],
+    terms: ["shrimp", "prawn", "crab", "lobster", "crawfish", "crayfish", "langoustine", "scallop", "clam", "mussel", "oyster", "squid", "calamari", "octopus"]
+  },
+  fish: {
+    names: ["fish"],
+    terms: ["fish", "salmon", "tuna", "cod", "tilapia", "halibut", "trout", "sardine", "anchovy", "mackerel", "sea bass", "snapper", "haddock", "pollock", "swordfish", "catfish", "mahi mahi", "lox", "whitefish", "fish sauce", "worcestershire sauce"],
+    safeIf: ["vegan", "plant based"]
+  },
+  seafood: { names: ["seafood", "sea food"], include: ["fish", "shellfish"], terms: ["seafood"] },
+  beef: {
+    names: ["beef"],
+    terms: ["beef", "steak", "sirloin", "brisket", "veal", "short rib", "ribeye", "filet mignon", "ground chuck", "corned beef"],
+    safeIf: ["vegan", "plant based", "meatless"]
+  },
+  pork: {
+    names: ["pork"],
+    terms: ["pork", "bacon", "ham", "prosciutto", "pancetta", "chorizo", "salami", "pepperoni", "lard", "sausage", "pork rind"],
+    except: ["turkey bacon", "turkey ham", "chicken sausage", "turkey sausage"],
+    safeIf: ["vegan", "plant based", "meatless", "vegetarian"]
+  },
+  poultry: {
+    names: ["poultry"],
+    terms: ["chicken", "turkey", "duck", "goose", "quail", "cornish hen"],
+    safeIf: ["vegan", "plant based", "meatless"]
+  },
+  lamb: { names: ["lamb"], terms: ["lamb", "mutton", "goat", "venison", "bison"], except: ["goat cheese", "goat milk"] },
+  "red meat": { names: ["red meat"], include: ["beef", "pork", "lamb"], terms: [] },
+  meat: {
+    names: ["meat"],
+    include: ["beef", "pork", "poultry", "lamb"],
+    terms: ["meat", "meatball", "jerky", "hot dog", "bone broth", "chicken broth", "beef broth"],
+    safeIf: ["vegan", "plant based", "meatless"]
+  },
+  gelatin: { names: ["gelatin"], terms: ["gelatin", "gelatine"] },
+  dairy: {
+    names: ["dairy", "lactose", "milk products"],
+    terms: ["milk", "cheese", "butter", "cream", "yogurt", "yoghurt", "whey", "casein", "ghee", "kefir", "buttermilk", "half and half", "parmesan", "mozzarella", "feta", "cheddar", "ricotta", "mascarpone", "brie", "gouda", "paneer", "custard", "ice cream"],
+    except: ["almond milk", "oat milk", "soy milk", "rice milk", "cashew milk", "coconut milk", "coconut cream", "coconut yogurt", "soy yogurt", "almond yogurt", "peanut butter", "almond butter", "cashew butter", "nut butter", "seed butter", "sunflower butter", "cocoa butter", "apple butter", "butter lettuce", "butter bean", "cream of tartar"],
+    safeIf: ["dairy free", "non dairy", "vegan", "plant based", "lactose free"]
+  },
+  egg: {
+    names: ["egg"],
+    terms: ["egg", "egg yolk", "egg white", "mayonnaise", "mayo", "aioli", "meringue"],
+    safeIf: ["egg free", "eggless", "vegan"]
+  },
+  honey: { names: ["honey"], terms: ["honey"] },
+  gluten: {
+    names: ["gluten", "wheat"],
+    terms: ["wheat", "flour", "bread", "toast", "pasta", "spaghetti", "penne", "linguine", "fettuccine", "macaroni", "lasagna", "orzo", "noodle", "udon", "ramen", "couscous", "bulgur", "farro", "barley", "rye", "spelt", "semolina", "seitan", "tortilla", "wrap", "pita", "naan", "bagel", "english muffin", "muffin", "pancake", "waffle", "cracker", "breadcrumb", "panko", "crouton", "pastry", "pie crust", "soy sauce", "malt", "beer", "sourdough", "baguette", "ciabatta", "bun"],
+    except: ["almond flour", "coconut flour", "rice flour", "chickpea flour", "oat flour", "tapioca flour", "cassava flour", "buckwheat flour", "corn tortilla", "rice noodle", "glass noodle", "rice paper", "lettuce wrap", "collard wrap", "rice cracker", "cauliflower crust"],
+    safeIf: ["gluten free"]
+  },
+  grains: {
+    names: ["grain"],
+    include: ["gluten"],
+    terms: ["rice", "oat", "oatmeal", "quinoa", "corn", "cornmeal", "polenta", "grits", "millet", "buckwheat", "amaranth", "granola", "popcorn", "corn tortilla", "rice noodle"],
+    except: ["cauliflower rice", "riced cauliflower", "broccoli rice", "rice vinegar", "rice wine vinegar"]
+  },
+  legumes: {
+    names: ["legume"],
+    terms: ["bean", "lentil", "chickpea", "garbanzo", "pea", "peanut", "soy", "soybean", "tofu", "tempeh", "edamame", "hummus", "miso", "soy sauce"],
+    except: ["green bean", "string bean", "snap pea", "snow pea", "sugar snap pea", "vanilla bean", "coffee bean", "cocoa bean"]
+  },
+  sugar: {
+    names: ["sugar", "added sugar"],
+    terms: ["sugar", "brown sugar", "cane sugar", "maple syrup", "agave", "corn syrup", "syrup", "candy", "molasses"],
+    except: ["sugar snap pea"],
+    safeIf: ["sugar free", "no sugar added", "unsweetened"]
+  },
+  "high-carb": {
+    include: ["grains", "sugar"],
+    terms: ["honey", "potato", "sweet potato", "yam", "banana", "mango", "pineapple", "grape", "raisin", "date", "dried fruit", "fruit juice", "orange juice", "apple juice", "bean", "lentil", "chickpea", "pea"],
+    except: ["green bean", "string bean", "snap pea", "snow pea", "sugar snap pea", "almond flour", "coconut flour"],
+    safeIf: ["keto", "low carb"]
+  },
+  "tree nut": {
+    names: ["tree nut"],
+    terms: ["almond", "walnut", "pecan", "cashew", "pistachio", "hazelnut", "macadamia", "brazil nut", "pine nut", "praline", "marzipan"]
+  },
+  peanut: { names: ["peanut"], terms: ["peanut", "peanut butter", "groundnut"] },
+  nut: { names: ["nut"], include: ["tree nut", "peanut"], terms: ["nut", "mixed nut", "nut butter"] },
+  soy: { names: ["soy", "soya"], terms: ["soy", "soya", "soybean", "tofu", "tempeh", "edamame", "miso", "soy sauce", "tamari"] },
+  sesame: { names: ["sesame"], terms: ["sesame", "tahini", "sesame oil"] }
+};
+
+// Keys match the diet checkboxes in index.html
+export const DIETS = {
+  Vegetarian: { forbid: ["meat", "seafood", "gelatin"] },
+  Pescatarian: { forbid: ["meat"] },
+  Vegan: { forbid: ["meat", "seafood", "gelatin", "dairy", "egg", "honey"] },
+  Keto: { forbid: ["high-carb"], maxCarbsPerItem: 15 },
+  Paleo: { forbid: ["grains", "legumes", "dairy", "sugar"] },
+  "Gluten-Free": { forbid: ["gluten"] },
+  "Dairy-Free": { forbid: ["dairy"] }
+};
+
+// Words that name the same food; an exclusion of one excludes all of them
+export const SYNONYMS = [
+  ["cilantro", "coriander"],
+  ["shrimp", "prawn"],
+  ["eggplant", "aubergine"],
+  ["zucchini", "courgette"],
+  ["chickpea", "garbanzo", "garbanzo bean"],
+  ["scallion", "green onion", "spring onion"],
+  ["arugula", "rocket"],
+  ["bell pepper", "capsicum"],
+  ["squid", "calamari"],
+  ["beet", "beetroot"],
+  ["corn", "maize", "sweetcorn"],
+  ["mushroom", "cremini", "portobello", "shiitake", "champignon"],
+  ["peanut", "groundnut"],
+  ["rutabaga", "swede"],
+  ["snow pea", "mangetout"]
+];
+
+// Terms of the allergens in js/allergens.js, including derived ingredients (ghee is milk,
+// surimi is fish)
+const ALLERGEN_TERMS = {
+  milk: {
+    terms: [...GROUPS.dairy.terms, "lactose", "curd", "quark", "skyr", "labneh", "cottage cheese", "sour cream", "creme fraiche", "halloumi", "pecorino", "gruyere", "provolone", "burrata", "queso", "caseinate", "nougat"],
+    except: GROUPS.dairy.except,
+    safeIf: ["dairy free", "non dairy", "vegan", "plant based"]
+  },
+  egg: {
+    terms: [...GROUPS.egg.terms, "albumin", "hollandaise", "custard", "eggnog", "frittata", "omelet", "omelette", "quiche", "brioche", "challah", "egg noodle"],
+    safeIf: GROUPS.egg.safeIf
+  },
+  fish: {
+    terms: [...GROUPS.fish.terms, "surimi", "imitation crab", "bonito", "dashi", "caviar", "roe", "anchovy paste", "nam pla", "fish stock", "caesar dressing"],
+    safeIf: GROUPS.fish.safeIf
+  },
+  shellfish: {
+    terms: [...GROUPS.shellfish.terms, "shrimp paste", "oyster sauce", "krill", "scampi"],
+    except: ["imitation crab"]
+  },
+  "tree-nuts": {
+    terms: [...GROUPS["tree nut"].terms, "nutella", "gianduja", "frangipane", "pesto", "mixed nut", "nut butter"]
+  },
+  peanuts: { terms: [...GROUPS.peanut.terms, "peanut oil", "satay", "arachis oil"] },
+  wheat: {
+    terms: [...GROUPS.gluten.terms.filter(t => !["barley", "rye", "malt", "beer"].includes(t)), "durum", "einkorn", "emmer", "kamut", "freekeh", "croissant", "graham cracker", "teriyaki"],
+    except: GROUPS.gluten.except,
+    safeIf: ["gluten free", "wheat free"]
+  },
+  soy: { terms: [...GROUPS.soy.terms, "soy lecithin", "natto", "shoyu", "teriyaki", "hoisin"] },
+  sesame: { terms: [...GROUPS.sesame.terms, "halva", "halvah", "hummus", "za atar", "gomasio", "benne", "furikake"] }
+};
+
+// Keys and labels come from the shared module, so the browser and the server agree
+export const ALLERGENS = Object.fromEntries(Object.entries(ALLERGEN_LABELS).map(([key, label]) => [key, { label, ...ALLERGEN_TERMS[key] }]));
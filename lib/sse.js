@@ -0,0 +1,79 @@
+// Server-Sent Events helpers: writing streams to Vercel/Node res objects, building route streams and reading upstream streams
+
+/**
+ * Switch a response into SSE mode. Headers already set (e.g. CORS) are kept.
+ * @param {import("http").ServerResponse} res
+ */
+export function startSSE(res) {
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no"); // disable proxy buffering
+  if (typeof res.flushHeaders === "function") res.flushHeaders();
+}
+
+/**
+ * Format one SSE message with a JSON payload. A null event writes an unnamed
+ * ("message") frame, the shape Gemini's alt=sse streams use.
+ * @param {string|null} event
+ * @param {object} data
+ * @returns {string}
+ */
+export function formatSSE(event, data) {
+  return `${event ? `event: ${event}\n` : ""}data: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Parse a Server-Sent Events byte stream into { event, data } messages.
+ * @param {ReadableStream<Uint8Array>} stream
+ */
+export async function* readSSE(stream) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of stream) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const frames = buffer.split(/\r?\n\r?\n/);
+    buffer = frames.pop();
+    for (const frame of frames) {
+      const message = { event: "message", data: "" };
+      frame.split(/\r?\n/).forEach(line => {
+        if (line.startsWith("event:")) message.event = line.slice(6).trim();
+        else if (line.startsWith("data:")) message.data += line.slice(5).trim();
+      });
+      if (message.data) yield message;
+    }
+  }
+}
+
+/**
+ * Run `run(send)` and yield every frame it sends as soon as it is sent, so
+ * callback-style progress can be returned as a route's response stream.
+ * Errors thrown by `run` are rethrown after the frames sent before them.
+ * @param {(send: (event: string|null, data: object) => void) => Promise<void>} run
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* eventStream(run) {
+  const frames = [];
+  let wake = null;
+  let finished = false;
+  const notify = () => {
+    if (wake) wake();
+    wake = null;
+  };
+
+  const work = run((event, data) => {
+    frames.push(formatSSE(event, data));
+    notify();
+  }).finally(() => {
+    finished = true;
+    notify();
+  });
+  work.catch(() => {}); // handled by the await below, once the frames are drained
+
+  while (!finished || frames.length) {
+    if (frames.length) yield frames.shift();
+    else await new Promise(resolve => { wake = resolve; });
+  }
+  await work;
+}
@@ -0,0 +1,98 @@
+// Minimal Supabase client for the API routes: Auth and PostgREST over fetch,
+// authenticated with the service role key (bypasses RLS - server-side only).
+// Failures (error responses and unreachable hosts) are logged here with the details, and
+// thrown as a generic 502: the routes pass err.message to the client.
+
+export function isSupabaseConfigured() {
+  return Boolean(process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY);
+}
+
+function getConfig() {
+  if (!isSupabaseConfigured()) {
+    const err = new Error("SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be configured");
+    err.status = 500;
+    throw err;
+  }
+  return {
+    url: process.env.SUPABASE_URL.replace(/\/+$/, ""),
+    serviceKey: process.env.SUPABASE_SERVICE_ROLE_KEY
+  };
+}
+
+function upstreamError(what, detail) {
+  console.error(`[Supabase] ${what} failed: ${detail}`);
+  const err = new Error("The database request failed. Please try again.");
+  err.status = 502;
+  return err;
+}
+
+/**
+ * fetch() for Supabase: a network failure or, unless `accept` takes the status, an error
+ * response becomes a logged, generic error.
+ * @param {string} what - e.g. "GET profiles", for the log
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {(status: number) => boolean} [accept] - statuses the caller handles itself
+ * @returns {Promise<Response>}
+ * @throws {Error} status 502; dbCode is PostgREST's error code (e.g. "P0002"), if any
+ */
+async function supabaseFetch(what, url, init, accept = () => false) {
+  let resp;
+  try {
+    resp = await fetch(url, init);
+  } catch (err) {
+    throw upstreamError(what, err.cause?.message || err.message);
+  }
+  if (resp.ok || accept(resp.status)) return resp;
+
+  const text = await resp.text();
+  const err = upstreamError(what, `${resp.status} ${text}`);
+  try {
+    err.dbCode = JSON.parse(text)?.code;
+  } catch {
+    // not JSON; no code to report
+  }
+  throw err;
+}
+
+/**
+ * Verify a user's access token with Supabase Auth.
+ * @param {string} accessToken - JWT from supabase.auth.getSession()
+ * @returns {Promise<{id: string, email: string}|null>} null when the token is invalid or expired
+ */
+export async function getUser(accessToken) {
+  const { url, serviceKey } = getConfig();
+  const resp = await supabaseFetch("GET auth/v1/user", `${url}/auth/v1/user`, {
+    headers: { apikey: serviceKey, Authorization: `Bearer ${accessToken}` }
+  }, status => status === 401 || status === 403);
+  if (!resp.ok) return null;
+  const user = await resp.json();
+  return user?.id ? user : null;
+}
+
+/**
+ * Call PostgREST, e.g. rest("profiles?id=eq.123&select=*").
+ * @param {string} path - table or rpc path with query string
+ * @param {object} [options]
+ * @param {string} [options.method]
+ * @param {object} [options.body]
+ * @param {string} [options.prefer] - Prefer header, e.g. "return=representation"
+ * @returns {Promise<any>} parsed JSON, or null for empty responses
+ */
+export async function rest(path, { method = "GET", body, prefer } = {}) {
+  const { url, serviceKey } = getConfig();
+  const headers = {
+    apikey: serviceKey,
+    Authorization: `Bearer ${serviceKey}`,
+    "Content-Type": "application/json"
+  };
+  if (prefer) headers.Prefer = prefer;
+
+  const resp = await supabaseFetch(`${method} ${path.split("?")[0]}`, `${url}/rest/v1/${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await resp.text();
+  return text ? JSON.parse(text) : null;
+}
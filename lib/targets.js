@@ -0,0 +1,105 @@
+// Energy and macro targets from body measurements.
+//
+// BMR uses the Mifflin-St Jeor equation; TDEE multiplies it by the activity factor and
+// the goal shifts TDEE (a 20% deficit for weight loss, a 10% surplus for muscle gain).
+// Protein is set per kg of body weight, fat at 30% of energy, and carbs take the rest.
+// A plan only covers the meals the user picked, so the targets are also split by meal.
+
+export const ACTIVITY_LEVELS = {
+  sedentary: { factor: 1.2, label: "sedentary" },
+  light: { factor: 1.375, label: "lightly active" },
+  moderate: { factor: 1.55, label: "moderately active" },
+  active: { factor: 1.725, label: "very active" },
+  athlete: { factor: 1.9, label: "extremely active" }
+};
+export const DEFAULT_ACTIVITY = "light";
+
+const GOALS = {
+  "Weight Loss": { adjust: -0.2, proteinPerKg: 2.0 },
+  "Maintain Weight": { adjust: 0, proteinPerKg: 1.6 },
+  "Muscle Gain": { adjust: 0.1, proteinPerKg: 2.0 }
+};
+
+const FAT_ENERGY_SHARE = 0.3;
+const KCAL_PER_G = { protein: 4, carbs: 4, fat: 9 };
+
+// Deficits never go below these daily floors
+const MIN_CALORIES = { Male: 1500, Female: 1200 };
+const DEFAULT_MIN_CALORIES = 1350;
+
+// Share of the day's energy each meal is planned to cover
+export const MEAL_SHARES = { Breakfast: 0.25, Lunch: 0.35, Dinner: 0.4 };
+
+/**
+ * Basal metabolic rate (Mifflin-St Jeor). Genders other than Male/Female use the
+ * midpoint of the two constants.
+ * @param {{age: number, gender: string, heightCm: number, weightKg: number}} profile
+ * @returns {number} kcal/day
+ */
+export function basalMetabolicRate({ age, gender, heightCm, weightKg }) {
+  const constant = gender === "Male" ? 5 : gender === "Female" ? -161 : -78;
+  return 10 * weightKg + 6.25 * heightCm - 5 * age + constant;
+}
+
+function macrosFor(calories, proteinG) {
+  const protein = Math.min(proteinG, (calories * 0.4) / KCAL_PER_G.protein);
+  const fat = (calories * FAT_ENERGY_SHARE) / KCAL_PER_G.fat;
+  const carbs = Math.max(0, (calories - protein * KCAL_PER_G.protein - fat * KCAL_PER_G.fat) / KCAL_PER_G.carbs);
+  return { calories, protein, carbs, fat };
+}
+
+const roundMacros = (t) => ({
+  calories: Math.round(t.calories),
+  protein: Math.round(t.protein),
+  carbs: Math.round(t.carbs),
+  fat: Math.round(t.fat)
+});
+
+const scaleMacros = (t, share) => roundMacros({
+  calories: t.calories * share,
+  protein: t.protein * share,
+  carbs: t.carbs * share,
+  fat: t.fat * share
+});
+
+/**
+ * Daily and per-meal targets for a profile with height and weight.
+ * @param {object} profile - output of parseProfile
+ * @returns {{bmr: number, tdee: number, activity: string, daily: object, meals: object, planned: object}|null}
+ *   `planned` covers only the profile's meals; null when height or weight is missing
+ */
+export function computeTargets(profile) {
+  if (!profile.heightCm || !profile.weightKg) return null;
+
+  const activity = ACTIVITY_LEVELS[profile.activity] ? profile.activity : DEFAULT_ACTIVITY;
+  const goal = GOALS[profile.goal] || GOALS["Maintain Weight"];
+  const bmr = basalMetabolicRate(profile);
+  const tdee = bmr * ACTIVITY_LEVELS[activity].factor;
+  const floor = MIN_CALORIES[profile.gender] || DEFAULT_MIN_CALORIES;
+  const calories = Math.max(tdee * (1 + goal.adjust), Math.min(floor, tdee));
+
+  const daily = macrosFor(calories, goal.proteinPerKg * profile.weightKg);
+  const meals = Object.fromEntries(profile.meals.map(m => [m, scaleMacros(daily, MEAL_SHARES[m])]));
+  const share = profile.meals.reduce((sum, m) => sum + MEAL_SHARES[m], 0);
+
+  return {
+    bmr: Math.round(bmr),
+    tdee: Math.round(tdee),
+    activity,
+    daily: roundMacros(daily),
+    meals,
+    planned: scaleMacros(daily, share)
+  };
+}
+
+/**
+ * Prompt lines stating the targets for the planned meals.
+ * @param {object} targets - output of computeTargets
+ * @returns {string}
+ */
+export function describeTargets(targets) {
+  const { planned, meals } = targets;
+  const perMeal = Object.entries(meals).map(([name, t]) => `${name} ~${t.calories} kcal`).join(", ");
+  return `Daily target: ${targets.daily.calories} kcal (${ACTIVITY_LEVELS[targets.activity].label}, TDEE ${targets.tdee} kcal)
+These meals together: ~${planned.calories} kcal, ${planned.protein}g protein, ${planned.carbs}g carbs, ${planned.fat}g fat (${perMeal})`;
+}
@@ -0,0 +1,163 @@
+// Token usage and cost accounting. Every model call made for a user is written to
+// the generation_usage table (FIXED_DATABASE_SETUP.sql) with its token counts,
+// latency, finishReason and an estimated cost; calls made for one request share a
+// request_id, so a multi-day plan and its repairs add up to one generation.
+//
+// Prices are USD per million tokens. LLM_PRICES overrides or extends the table as
+// JSON, e.g. {"gemini-2.0-flash": {"input": 0.1, "output": 0.4}}. Models without a
+// price (self-hosted ones, say) are recorded with no cost.
+
+import { randomUUID } from "node:crypto";
+import { isSupabaseConfigured, rest } from "./supabase.js";
+import { getProviderName } from "./providers/index.js";
+
+export const OPERATIONS = ["plan", "meal", "regeneration", "repair", "image", "other"];
+
+// Google's list prices for prompts up to 128k/200k tokens; thinking tokens bill as output
+export const DEFAULT_MODEL_PRICES = {
+  "gemini-2.0-flash": { input: 0.10, output: 0.40 },
+  "gemini-2.0-flash-lite": { input: 0.075, output: 0.30 },
+  "gemini-2.5-flash": { input: 0.30, output: 2.50 },
+  "gemini-2.5-pro": { input: 1.25, output: 10.00 },
+  "gemini-1.5-flash": { input: 0.075, output: 0.30 },
+  "gemini-1.5-pro": { input: 1.25, output: 5.00 }
+};
+
+function getPrices() {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.LLM_PRICES || "{}");
+  } catch {
+    console.warn("[Usage] Ignoring invalid LLM_PRICES JSON");
+  }
+  return { ...DEFAULT_MODEL_PRICES, ...overrides };
+}
+
+/**
+ * Price for a model. Versioned ids match their family by longest prefix,
+ * so "gemini-2.0-flash-001" is priced as "gemini-2.0-flash".
+ * @param {string} model
+ * @returns {{input: number, output: number}|null}
+ */
+export function modelPrice(model) {
+  const id = String(model || "").replace(/^models\//, "");
+  const prices = getPrices();
+  const match = Object.keys(prices)
+    .filter(key => id === key || id.startsWith(`${key}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? prices[match] : null;
+}
+
+/**
+ * Estimated cost of one call from its usageMetadata.
+ * @param {string} model
+ * @param {object} [usageMetadata] - Gemini usageMetadata
+ * @returns {number|null} USD, or null when the model has no price
+ */
+export function estimateCost(model, usageMetadata = {}) {
+  const price = modelPrice(model);
+  if (!price) return null;
+  const input = usageMetadata.promptTokenCount || 0;
+  const output = (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0);
+  return (input * price.input + output * price.output) / 1e6;
+}
+
+/**
+ * Operation named by the client, or "other".
+ * @param {string} [operation]
+ * @returns {string}
+ */
+export function parseOperation(operation) {
+  return OPERATIONS.includes(operation) ? operation : "other";
+}
+
+/**
+ * Collects the model calls of one request and writes them to generation_usage.
+ * @param {object} context
+ * @param {{id: string}|null} context.user - null when auth is skipped (offline providers)
+ * @param {string} context.tier
+ * @returns {{requestId: string, add: Function, addResponse: Function, summary: Function, flush: () => Promise<void>}}
+ */
+export function createUsageLog({ user, tier }) {
+  const requestId = randomUUID();
+  const provider = getProviderName();
+  const rows = [];
+
+  /**
+   * @param {object} call
+   * @param {string} call.operation - one of OPERATIONS
+   * @param {string} call.model - the model that served the call
+   * @param {number} [call.attempts]
+   * @param {object} [call.usageMetadata]
+   * @param {string|null} [call.finishReason]
+   * @param {number} [call.latencyMs]
+   */
+  function add({ operation, model, attempts = 1, usageMetadata, finishReason = null, latencyMs }) {
+    const usage = usageMetadata || {};
+    const cost = estimateCost(model, usage);
+    const promptTokens = usage.promptTokenCount || 0;
+    const outputTokens = usage.candidatesTokenCount || 0;
+    const thoughtsTokens = usage.thoughtsTokenCount || 0;
+    rows.push({
+      user_id: user?.id || null,
+      request_id: requestId,
+      tier,
+      operation: parseOperation(operation),
+      provider,
+      model,
+      attempts: attempts || 1,
+      prompt_tokens: promptTokens,
+      output_tokens: outputTokens,
+      thoughts_tokens: thoughtsTokens,
+      total_tokens: usage.totalTokenCount || promptTokens + outputTokens + thoughtsTokens,
+      latency_ms: Number.isFinite(latencyMs) ? Math.round(latencyMs) : null,
+      finish_reason: finishReason,
+      estimated_cost_usd: cost === null ? null : Number(cost.toFixed(8))
+    });
+  }
+
+  function summary() {
+    return {
+      calls: rows.length,
+      totalTokens: rows.reduce((n, r) => n + r.total_tokens, 0),
+      estimatedCostUsd: Number(rows.reduce((n, r) => n + (r.estimated_cost_usd || 0), 0).toFixed(8))
+    };
+  }
+
+  return {
+    requestId,
+    add,
+    summary,
+
+    /**
+     * Add a response from lib/gemini.js (which carries servedBy).
+     * @param {string} operation
+     * @param {object} response
+     */
+    addResponse(operation, response) {
+      add({
+        operation,
+        model: response.servedBy?.model,
+        attempts: response.servedBy?.attempts,
+        usageMetadata: response.usageMetadata,
+        finishReason: response.candidates?.[0]?.finishReason || null,
+        latencyMs: response.servedBy?.latencyMs
+      });
+    },
+
+    /**
+     * Write the collected rows. Best effort: accounting never fails a generation.
+     */
+    async flush() {
+      if (!rows.length) return;
+      const { totalTokens, estimatedCostUsd } = summary();
+      console.log(`[Usage] ${rows.length} call(s), ${totalTokens} tokens, ~$${estimatedCostUsd.toFixed(6)} (${requestId})`);
+      if (!isSupabaseConfigured()) return;
+      try {
+        await rest("generation_usage", { method: "POST", body: rows.splice(0), prefer: "return=minimal" });
+      } catch (err) {
+        console.warn("[Usage] Could not record usage:", err.message);
+      }
+    }
+  };
+}
@@ -0,0 +1,14 @@
+// Netlify Function: Check a plan against the profile's exclusions, diets and allergies
+// The handler lives in lib/routes/check-plan.js, shared with the Vercel route
+
+// lib/ is ES modules; load it lazily from this CommonJS function
+let handler = null;
+
+exports.handler = async (event) => {
+  if (!handler) {
+    const { toNetlifyHandler } = await import("../../lib/http/netlify.js");
+    const { checkPlanRoute } = await import("../../lib/routes/check-plan.js");
+    handler = toNetlifyHandler(checkPlanRoute);
+  }
+  return handler(event);
+};
@@ -0,0 +1,14 @@
+// Netlify Function: The account's household members
+// The handler lives in lib/routes/household.js, shared with the Vercel route
+
+// lib/ is ES modules; load it lazily from this CommonJS function
+let handler = null;
+
+exports.handler = async (event) => {
+  if (!handler) {
+    const { toNetlifyHandler } = await import("../../lib/http/netlify.js");
+    const { householdRoute } = await import("../../lib/routes/household.js");
+    handler = toNetlifyHandler(householdRoute);
+  }
+  return handler(event);
+};
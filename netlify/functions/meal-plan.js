@@ -0,0 +1,14 @@
+// Netlify Function: Build a meal plan on the server from a structured profile
+// The handler lives in lib/routes/meal-plan.js, shared with the Vercel route
+
+// lib/ is ES modules; load it lazily from this CommonJS function
+let handler = null;
+
+exports.handler = async (event) => {
+  if (!handler) {
+    const { toNetlifyHandler } = await import("../../lib/http/netlify.js");
+    const { mealPlanRoute } = await import("../../lib/routes/meal-plan.js");
+    handler = toNetlifyHandler(mealPlanRoute);
+  }
+  return handler(event);
+};
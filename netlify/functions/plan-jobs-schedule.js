@@ -0,0 +1,14 @@
+// Netlify Scheduled Function: Starts the plan-job worker every minute (schedule in netlify.toml)
+// Scheduled functions stop after 30 seconds, too short to generate a day, so this only
+// triggers plan-jobs-worker-background (PLAN_JOB_WORKER_URL) while jobs are waiting
+
+exports.handler = async () => {
+  // lib/ is ES modules; load it lazily from this CommonJS function
+  const { triggerPlanWorkerIfPending } = await import("../../lib/plan-jobs.js");
+  try {
+    await triggerPlanWorkerIfPending();
+  } catch (err) {
+    console.error("[Plan Jobs] Scheduled trigger failed:", err.message);
+  }
+  return { statusCode: 200 };
+};
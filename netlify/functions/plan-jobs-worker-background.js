@@ -0,0 +1,16 @@
+// Netlify Background Function: Worker for background plan jobs
+// The "-background" suffix gives it up to 15 minutes; plan-jobs triggers it through
+// PLAN_JOB_WORKER_URL. The handler lives in lib/routes/plan-jobs-worker.js, shared
+// with the Vercel route
+
+// lib/ is ES modules; load it lazily from this CommonJS function
+let handler = null;
+
+exports.handler = async (event) => {
+  if (!handler) {
+    const { toNetlifyHandler } = await import("../../lib/http/netlify.js");
+    const { planJobsWorkerRoute } = await import("../../lib/routes/plan-jobs-worker.js");
+    handler = toNetlifyHandler(planJobsWorkerRoute);
+  }
+  return handler(event);
+};
@@ -0,0 +1,14 @@
+// Netlify Function: Background plan-generation jobs (create, poll, resume)
+// The handler lives in lib/routes/plan-jobs.js, shared with the Vercel route
+
+// lib/ is ES modules; load it lazily from this CommonJS function
+let handler = null;
+
+exports.handler = async (event) => {
+  if (!handler) {
+    const { toNetlifyHandler } = await import("../../lib/http/netlify.js");
+    const { planJobsRoute } = await import("../../lib/routes/plan-jobs.js");
+    handler = toNetlifyHandler(planJobsRoute);
+  }
+  return handler(event);
+};
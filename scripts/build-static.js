@@ -0,0 +1,22 @@
+// Build the static site into public/, the only directory Vercel and Netlify publish.
+//
+// Just the pages, css/, js/ and assets/ are copied. Server code (lib/, api/, netlify/),
+// docs and SQL stay out, since the functions bundle what they import on their own. Browser
+// modules the server also uses (js/ingredients.js, js/aisles.js) live in js/ for that reason.
+
+import { cpSync, mkdirSync, readdirSync, rmSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const OUT = join(ROOT, "public");
+const DIRS = ["css", "js", "assets"];
+
+rmSync(OUT, { recursive: true, force: true });
+mkdirSync(OUT);
+
+const pages = readdirSync(ROOT).filter(name => name.endsWith(".html"));
+pages.forEach(name => cpSync(join(ROOT, name), join(OUT, name)));
+DIRS.forEach(dir => cpSync(join(ROOT, dir), join(OUT, dir), { recursive: true }));
+
+console.log(`[Build] Copied ${pages.length} page(s) and ${DIRS.join(", ")} to public/`);
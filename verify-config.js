@@ -94,65 +94,51 @@ function main() {
     }
   ]);
   
-  // Check generate-plan.js
-  log('\nChecking netlify/functions/generate-plan.js...', 'blue');
-  allChecksPass &= checkFile('netlify/functions/generate-plan.js', [
+  // Check the shared provider layer
+  log('\nChecking lib/providers...', 'blue');
+  allChecksPass &= checkFile('lib/providers/index.js', [
     {
-      description: 'Uses process.env.GEMINI_API_KEY',
-      regex: /process\.env\.GEMINI_API_KEY/,
-      shouldMatch: true
-    },
-    {
-      description: 'Defaults to "vertex" endpoint',
-      regex: /process\.env\.GEMINI_API_ENDPOINT\s*\|\|\s*['""]vertex['"]/,
+      description: 'Selects the provider from LLM_PROVIDER or GEMINI_API_ENDPOINT',
+      regex: /process\.env\.LLM_PROVIDER\s*\|\|\s*process\.env\.GEMINI_API_ENDPOINT/,
       shouldMatch: true
-    },
-    {
-      description: 'Supports Vertex AI endpoint',
-      regex: /aiplatform\.googleapis\.com/,
-      shouldMatch: true
-    },
-    {
-      description: 'No hardcoded API keys',
-      regex: /AIzaSy[A-Za-z0-9_-]{33}/,
-      shouldMatch: false
     }
   ]);
-  
-  // Check health-check.js
-  log('\nChecking netlify/functions/health-check.js...', 'blue');
-  allChecksPass &= checkFile('netlify/functions/health-check.js', [
+  allChecksPass &= checkFile('lib/providers/gemini-rest.js', [
     {
       description: 'Uses process.env.GEMINI_API_KEY',
       regex: /process\.env\.GEMINI_API_KEY/,
       shouldMatch: true
     },
     {
-      description: 'Defaults to "vertex" endpoint',
-      regex: /process\.env\.GEMINI_API_ENDPOINT\s*\|\|\s*['""]vertex['"]/,
-      shouldMatch: true
-    },
-    {
-      description: 'Supports Vertex AI endpoint check',
-      regex: /vertex.*aiplatform\.googleapis\.com/s,
-      shouldMatch: true
+      description: 'No hardcoded API keys',
+      regex: /AIzaSy[A-Za-z0-9_-]{33}/,
+      shouldMatch: false
     }
   ]);
-  
-  // Check list-models.js
-  log('\nChecking netlify/functions/list-models.js...', 'blue');
-  allChecksPass &= checkFile('netlify/functions/list-models.js', [
-    {
-      description: 'Uses process.env.GEMINI_API_KEY',
-      regex: /process\.env\.GEMINI_API_KEY/,
-      shouldMatch: true
-    },
+  allChecksPass &= checkFile('lib/providers/vertex.js', [
     {
-      description: 'Defaults to "vertex" endpoint',
-      regex: /process\.env\.GEMINI_API_ENDPOINT\s*\|\|\s*['""]vertex['"]/,
+      description: 'Supports Vertex AI endpoint',
+      regex: /aiplatform\.googleapis\.com/,
       shouldMatch: true
     }
   ]);
+
+  // Check that the Netlify functions go through the provider layer
+  ['generate-plan.js', 'health-check.js', 'list-models.js'].forEach(name => {
+    log(`\nChecking netlify/functions/${name}...`, 'blue');
+    allChecksPass &= checkFile(`netlify/functions/${name}`, [
+      {
+        description: 'Uses lib/providers',
+        regex: /lib\/providers\/index\.js/,
+        shouldMatch: true
+      },
+      {
+        description: 'No hardcoded API keys',
+        regex: /AIzaSy[A-Za-z0-9_-]{33}/,
+        shouldMatch: false
+      }
+    ]);
+  });
   
   // Check README.md
   log('\nChecking README.md...', 'blue');